@@ -1,9 +1,19 @@
 import { DataService } from './services/data.js';
+import { PersistentCache } from './services/persistent-cache.js';
 import { RenderService } from './ui/render.js';
 import { initTheme } from './ui/theme.js';
 import { initTooltip } from './ui/tooltip.js';
 import { initScrollbarBehavior } from './ui/scroll.js';
 import { AudioPlayer } from './ui/audio-player.js';
+import { DevOverlay } from './ui/dev-overlay.js';
+import { ImageStatsOverlay } from './ui/image-stats-overlay.js';
+import { SearchUI } from './ui/search.js';
+import { TagFilter } from './ui/tag-filter.js';
+import { PhotoMap } from './ui/photo-map.js';
+import { Router } from './ui/router.js';
+import { NetworkStatus } from './ui/network-status.js';
+import { ImageProxyService } from './services/image-proxy.js';
+import { escapeHtml } from './core/html.js';
 
 /**
  * 站点配置缓存（模块级）
@@ -12,12 +22,19 @@ import { AudioPlayer } from './ui/audio-player.js';
  */
 let siteConfig = null;
 
+/**
+ * 各 section 的加载任务（按分类 ID）
+ * 首屏、后台预加载和深链接可能同时请求同一 section，共用同一个 Promise 避免重复渲染
+ * @type {Map<string, Promise<void>>}
+ */
+const sectionLoads = new Map();
+
 /**
  * 应用程序入口
  * 
  * 加载策略：首屏优先 + 后台预加载
  * 1. 加载站点配置（元数据）
- * 2. 渲染页面骨架（带加载状态）
+ * 2. 渲染页面骨架（带加载状态；页面已预渲染时保留已有内容）
  * 3. 加载并渲染首个 section
  * 4. 后台静默加载其余所有 section
  * 5. 启动滚动监听等功能
@@ -27,25 +44,61 @@ async function init() {
         // 1. 初始化 UI 事件委托
         RenderService.init();
 
+        // 1.1 离线支持：注册 Service Worker，显示网络状态与内容更新提示
+        NetworkStatus.init();
+        initImageRetry();
+
+        // 1.2 持久化缓存：分类内容优先从 IndexedDB 读取，后台校验到变化时局部更新
+        DataService.configure({ store: PersistentCache });
+        DataService.onContentUpdate(updateSection);
+
         // 2. 加载站点配置（仅元数据，不含分类内容）
         siteConfig = await DataService.loadSiteConfig();
 
+        // 2.1 图片代理：按配置排列提供方，后台检查可用性（不可用的提供方降级）
+        configureImageProxy(siteConfig.blogInfo.imageProxy);
+
         // 3. 渲染页面骨架（所有 section 显示加载状态）
         RenderService.renderAll(siteConfig);
 
         // 4. 启动滚动监听（需要在骨架渲染后立即启动）
         setupScrollSpy();
 
+        // 4.1 初始化搜索（各 section 加载后陆续加入索引）
+        SearchUI.init(siteConfig.categories);
+
+        // 4.2 初始化标签筛选（从 URL 恢复筛选状态）
+        TagFilter.init();
+
+        // 4.3 初始化照片地图模式（卡片 / 地图切换）
+        PhotoMap.init();
+
+        // 4.4 初始化路由（#分类/条目 深链接）
+        Router.init({ categories: siteConfig.categories, loadSection: loadAndRenderSection });
+
         // 5. 加载并渲染首个 section（首屏优先）
         const firstCategory = siteConfig.categories[0];
         if (firstCategory) {
             await loadAndRenderSection(firstCategory);
         }
 
+        // 5.1 打开深链接：加载目标 section（及其之前的 section）后定位
+        Router.start().catch(e => console.error('[App] Failed to open route:', e));
+
         // 6. 后台静默加载其余 section
         const remainingCategories = siteConfig.categories.slice(1);
         preloadRemainingCategories(remainingCategories);
 
+        // 7. 开发模式：运行内容校验并显示浮层
+        if (DevOverlay.isEnabled()) {
+            DevOverlay.init().catch(e => console.error('[App] Content validation failed:', e));
+        }
+
+        // 7.1 开发模式：图片加载统计浮层
+        if (ImageStatsOverlay.isEnabled()) {
+            ImageStatsOverlay.init();
+        }
+
     } catch (e) {
         console.error('[App] Initialization failed:', e);
         const contentRoot = document.getElementById('contentRoot');
@@ -56,7 +109,7 @@ async function init() {
                         加载失败
                     </p>
                     <p style="color: var(--color-text-secondary, #888); font-size: 0.875rem;">
-                        ${e.message}
+                        ${escapeHtml(e.message)}
                     </p>
                 </div>
             `;
@@ -65,12 +118,60 @@ async function init() {
 }
 
 /**
- * 加载并渲染单个 section 的内容
+ * 应用图片代理配置，并通知 Service Worker 缓存这些代理域名的图片
+ * @param {Array<{name: string, baseUrl?: string}>} [providers] - 博客配置中的「图片代理」，未配置时使用默认提供方
+ */
+function configureImageProxy(providers) {
+    if (providers) {
+        ImageProxyService.updateConfig({ providers });
+    }
+    NetworkStatus.setImageProxyHosts(ImageProxyService.getProviderHosts());
+
+    ImageProxyService.probe().then((results) => {
+        const failed = results.filter(r => !r.ok).map(r => r.name);
+        if (failed.length > 0) console.warn(`[App] Image proxy health check failed: ${failed.join(', ')}`);
+    });
+}
+
+/**
+ * 图片加载失败时显示「重试」提示；恢复联网时自动重试
+ */
+function initImageRetry() {
+    const retry = () => import('./services/image-load-manager.js')
+        .then(({ ImageLoadManager }) => ImageLoadManager.retryFailed())
+        .catch(e => console.error('[App] Failed to retry images:', e));
+
+    NetworkStatus.onRetryImages = retry;
+    document.addEventListener('image-load-failed', (e) => NetworkStatus.showImageRetry(e.detail.count));
+    window.addEventListener('online', () => {
+        NetworkStatus.showImageRetry(0);
+        retry();
+    });
+}
+
+/**
+ * 加载并渲染单个 section 的内容（同一 section 只执行一次）
+ * 
+ * @param {Object} category - 分类配置对象
+ * @returns {Promise<void>}
+ */
+function loadAndRenderSection(category) {
+    if (!sectionLoads.has(category.id)) {
+        const task = renderSection(category);
+        sectionLoads.set(category.id, task);
+        // 失败后允许重试
+        task.catch(() => sectionLoads.delete(category.id));
+    }
+    return sectionLoads.get(category.id);
+}
+
+/**
+ * 加载分类内容并渲染到对应 section
  * 
  * @param {Object} category - 分类配置对象
  * @returns {Promise<void>}
  */
-async function loadAndRenderSection(category) {
+async function renderSection(category) {
     const sectionEl = document.getElementById(category.id);
     if (!sectionEl) {
         console.warn(`[App] Section element not found: ${category.id}`);
@@ -88,8 +189,60 @@ async function loadAndRenderSection(category) {
     // 缓存到 category 对象（供其他功能使用，如音乐播放器）
     category.items = items;
 
-    // 渲染内容
-    RenderService.renderSectionContent(sectionEl, items, category.type);
+    // 渲染内容（有预渲染内容时直接复用，仅初始化交互）
+    if (!RenderService.hydrateSectionContent(sectionEl, items, category.type)) {
+        RenderService.renderSectionContent(sectionEl, items, category.type);
+    }
+
+    finishSection(category, sectionEl, items);
+}
+
+/**
+ * 后台校验发现分类内容有变化：局部更新已渲染的 section
+ * 音乐分类的播放器正在使用当前播放列表，不直接替换，改为提示刷新页面
+ *
+ * @param {Object} category - 分类配置对象
+ * @param {Array} items - 新的条目
+ */
+function updateSection(category, items) {
+    const sectionEl = document.getElementById(category.id);
+    if (!sectionEl || !RenderService.isSectionLoaded(sectionEl)) {
+        return;
+    }
+
+    if (category.type === 'music') {
+        NetworkStatus.showUpdatePrompt();
+        return;
+    }
+
+    const previousItems = category.items || [];
+    category.items = items;
+    RenderService.patchSectionContent(sectionEl, previousItems, items, category.type);
+    finishSection(category, sectionEl, items);
+    console.info(`[App] Section "${category.id}" updated`);
+}
+
+/**
+ * section 内容就位后的处理：搜索索引、JSON-LD、标签筛选、音乐播放器
+ *
+ * @param {Object} category - 分类配置对象
+ * @param {HTMLElement} sectionEl - section DOM 元素
+ * @param {Array} items - 分类内容项数组
+ */
+function finishSection(category, sectionEl, items) {
+    // 加入搜索索引
+    SearchUI.index(category, items);
+
+    // 写入该分类的 JSON-LD
+    RenderService.updateStructuredData(category.id, RenderService.buildCategoryStructuredData(category, items));
+
+    // 渲染标签云并应用当前筛选
+    TagFilter.refreshSection(sectionEl);
+
+    // 照片分类：有可定位的条目时提供地图模式
+    if (category.type === 'photo') {
+        PhotoMap.refreshSection(sectionEl, category, items);
+    }
 
     // 如果是音乐类型，初始化音乐播放器
     if (category.type === 'music' && items.length > 0) {
@@ -202,6 +355,9 @@ function setupScrollSpy() {
         if (nav && activeLink) {
             scrollNavToActiveLink(nav, activeLink, isMobile);
         }
+
+        // 通知其他模块（如 Router 同步 hash）
+        document.dispatchEvent(new CustomEvent('section-change', { detail: { id } }));
     };
 
     /**
@@ -305,6 +461,7 @@ function setupScrollSpy() {
     };
 
     // 1. 监听导航点击 (通过 RenderService 派发的事件)
+    // detail.element 存在时为条目级导航（深链接、搜索结果）：滚动到条目并居中
     document.addEventListener('nav-click', (e) => {
         isClickScrolling = true;
         highlight(e.detail.id);
@@ -312,7 +469,9 @@ function setupScrollSpy() {
         // 手动滚动到目标 section
         // 移动端需考虑 Sticky Nav 的遮挡偏移 (约60px)
         const targetSection = document.getElementById(e.detail.id);
-        if (targetSection) {
+        if (e.detail.element) {
+            e.detail.element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        } else if (targetSection) {
             const offset = isMobile ? 60 : 0;
 
             if (isMobile) {
@@ -372,9 +531,9 @@ function setupScrollSpy() {
         }, { passive: true });
     }
 
-    // 3. 初始化：延迟执行以确保 DOM 渲染完成
+    // 3. 初始化：延迟执行以确保 DOM 渲染完成（深链接已开始滚动时跳过）
     setTimeout(() => {
-        updateActiveSection();
+        if (!isClickScrolling) updateActiveSection();
     }, 100);
 }
 
@@ -0,0 +1,342 @@
+/**
+ * 内容校验模块（Lint）
+ * 检查 contents/*.md 中的格式问题，返回结构化诊断信息
+ *
+ * 检查项：
+ * - 未知字段 / 无法识别的内容行
+ * - 字段值格式非法（如封面不是 ![alt](url)）
+ * - 日期无效（日记标题、拍摄日期）
+ * - 各类型缺失的必填字段
+ * - 重复标题
+ * - 相对路径图片不存在
+ * - 配置文件中的未知样式类型、缺失链接、非法展示限制
+ *
+ * 与运行环境无关：文件读取和资源检测通过参数注入，
+ * 既可在 Node 下无头运行（scripts/validate-content.mjs），也可在浏览器中驱动开发浮层。
+ *
+ * @module core/content-validator
+ */
+
+import { Parser } from './parser.js';
+import { DateUtils } from './date-utils.js';
+import { FieldSchema } from './field-schema.js';
+
+/**
+ * 诊断信息
+ * @typedef {Object} Diagnostic
+ * @property {string} file - 文件路径（相对项目根目录）
+ * @property {number} line - 行号（从 1 开始）
+ * @property {string|null} field - 相关字段名（Markdown 中的中文字段名）
+ * @property {'error'|'warning'} severity - 严重程度
+ * @property {string} code - 规则标识（如 unknown-field）
+ * @property {string} message - 可读的问题描述
+ */
+
+/**
+ * 严重程度常量
+ */
+export const SEVERITY = {
+    ERROR: 'error',
+    WARNING: 'warning'
+};
+
+/**
+ * 各类型的必填字段（"A|B" 表示任选其一）
+ * - item：## 级数据项
+ * - subItem：### 级图集子项
+ */
+const REQUIRED_FIELDS = {
+    project: { item: ['描述', '链接'] },
+    game: { item: ['封面|SteamID'] },
+    book: { item: ['作者', '封面|ISBN'] },
+    photo: { item: ['照片链接|照片源'], subItem: ['照片链接'] },
+    diary: { item: ['内容'] },
+    music: { item: ['作者', '音频预览'] },
+    film: { item: ['导演', '封面'] }
+};
+
+/**
+ * 可能引用本地资源的字段解析器（值为相对路径时需检查文件是否存在）
+ */
+const PATH_PARSERS = new Set(['image', 'path']);
+
+export const ContentValidator = {
+    /**
+     * 校验整个站点：配置文件 + 所有分类文件
+     *
+     * @param {Object} options
+     * @param {(path: string) => Promise<string|null>} options.loadText - 读取文本文件，不存在时返回 null
+     * @param {(path: string) => Promise<boolean>} [options.resourceExists] - 检测资源是否存在（省略则跳过路径检查）
+     * @param {string} [options.configFile='contents/博客配置.md'] - 配置文件路径
+     * @returns {Promise<Diagnostic[]>}
+     */
+    async validateSite({ loadText, resourceExists, configFile = 'contents/博客配置.md' }) {
+        const configMd = await loadText(configFile);
+        if (configMd === null) {
+            return [this._diagnostic(configFile, 1, null, SEVERITY.ERROR, 'missing-file', '配置文件不存在')];
+        }
+
+        const diagnostics = this.validateConfig(configMd, { file: configFile });
+        const config = Parser.parseConfig(configMd, { file: configFile });
+
+        for (const category of config.categories) {
+            if (!category.path) continue;
+
+            const md = await loadText(category.path);
+            if (md === null) {
+                diagnostics.push(this._diagnostic(
+                    configFile, category.source.line, '链接',
+                    SEVERITY.ERROR, 'missing-file', `分类「${category.title}」的内容文件不存在：${category.path}`
+                ));
+                continue;
+            }
+
+            const fileDiagnostics = await this.validateContent(md, {
+                file: category.path,
+                type: category.type,
+                resourceExists
+            });
+            diagnostics.push(...fileDiagnostics);
+        }
+
+        return diagnostics;
+    },
+
+    /**
+     * 校验博客配置文件
+     *
+     * @param {string} md - 配置文件 Markdown
+     * @param {Object} [options]
+     * @param {string} [options.file='contents/博客配置.md'] - 文件路径（用于诊断信息）
+     * @returns {Diagnostic[]}
+     */
+    validateConfig(md, { file = 'contents/博客配置.md' } = {}) {
+        const diagnostics = [];
+        const config = Parser.parseConfig(md, { file });
+        const seenTitles = new Map();
+
+        config.categories.forEach(category => {
+            const line = category.source.line;
+
+            if (seenTitles.has(category.title)) {
+                diagnostics.push(this._diagnostic(file, line, null, SEVERITY.WARNING, 'duplicate-title',
+                    `分类标题「${category.title}」重复（首次出现于第 ${seenTitles.get(category.title)} 行）`));
+            } else {
+                seenTitles.set(category.title, line);
+            }
+
+            if (!FieldSchema.hasType(category.type)) {
+                diagnostics.push(this._diagnostic(file, line, '样式类型', SEVERITY.WARNING, 'unknown-type',
+                    `未知的样式类型「${category.type}」，将回退到默认卡片样式`));
+            }
+
+            if (!category.path) {
+                diagnostics.push(this._diagnostic(file, line, '链接', SEVERITY.ERROR, 'missing-field',
+                    `分类「${category.title}」缺少内容文件链接`));
+            }
+
+            if (category.limit !== undefined) {
+                const limit = parseInt(category.limit, 10);
+                if (isNaN(limit) || limit <= 0) {
+                    diagnostics.push(this._diagnostic(file, line, '展示限制', SEVERITY.WARNING, 'invalid-value',
+                        `展示限制「${category.limit}」不是正整数，将显示全部内容`));
+                }
+            }
+        });
+
+        return diagnostics;
+    },
+
+    /**
+     * 校验单个分类内容文件
+     *
+     * @param {string} md - 分类 Markdown
+     * @param {Object} options
+     * @param {string} options.file - 文件路径（用于诊断信息）
+     * @param {string} [options.type='default'] - 分类类型
+     * @param {(path: string) => Promise<boolean>} [options.resourceExists] - 检测资源是否存在
+     * @returns {Promise<Diagnostic[]>}
+     */
+    async validateContent(md, { file, type = 'default', resourceExists } = {}) {
+        const diagnostics = [];
+        const { entries, pathRefs } = this._scanLines(md, { file, type, diagnostics });
+
+        this._checkRequiredFields(entries, { file, type, diagnostics });
+        this._checkItems(md, { file, type, diagnostics });
+
+        if (resourceExists) {
+            for (const ref of pathRefs) {
+                if (!(await resourceExists(ref.path))) {
+                    diagnostics.push(this._diagnostic(file, ref.line, ref.label, SEVERITY.ERROR, 'missing-resource',
+                        `引用的文件不存在：${ref.path}`));
+                }
+            }
+        }
+
+        return diagnostics.sort((a, b) => a.line - b.line);
+    },
+
+    /**
+     * 逐行扫描：识别字段、记录数据项结构
+     * @private
+     * @returns {{ entries: Array<Object>, pathRefs: Array<Object> }}
+     */
+    _scanLines(md, { file, type, diagnostics }) {
+        const lines = md.split(/\r?\n/);
+        const entries = []; // { title, line, level, fields: Set<FieldDefinition> }
+        const pathRefs = [];
+        let currentItem = null;
+        let currentTarget = null;
+        let block = null; // 正在读取的多行字段 { field, target }
+
+        lines.forEach((rawLine, index) => {
+            const lineNo = index + 1;
+            const trimmed = rawLine.trim();
+
+            // 多行字段正文为自由 Markdown，不做字段校验；非空正文即视为已填写
+            if (block) {
+                if (!FieldSchema.isBlockEnd(trimmed, type)) {
+                    if (trimmed) block.target.fields.add(block.field);
+                    return;
+                }
+                block = null;
+            }
+
+            // 空行、一级标题、引用注释（> 说明文字）不参与校验
+            if (!trimmed || /^#\s+/.test(trimmed) || trimmed.startsWith('>')) return;
+
+            if (/^##\s+/.test(trimmed)) {
+                currentItem = { title: trimmed.replace(/^##\s+/, '').trim(), line: lineNo, level: 2, fields: new Set(), subItems: [] };
+                currentTarget = currentItem;
+                entries.push(currentItem);
+                return;
+            }
+
+            if (/^###\s+/.test(trimmed)) {
+                if (!currentItem) return;
+                currentTarget = { title: trimmed.replace(/^###\s+/, '').trim(), line: lineNo, level: 3, fields: new Set() };
+                currentItem.subItems.push(currentTarget);
+                return;
+            }
+
+            if (!currentItem) return;
+
+            const match = FieldSchema.matchLine(trimmed, type);
+            if (!match) {
+                const parts = FieldSchema.splitLine(trimmed);
+                const isFieldLike = parts && /^[\p{L}\p{N}_/ ]{1,16}$/u.test(parts.label);
+                diagnostics.push(isFieldLike
+                    ? this._diagnostic(file, lineNo, parts.label, SEVERITY.WARNING, 'unknown-field',
+                        `未知字段「${parts.label}」，将被忽略`)
+                    : this._diagnostic(file, lineNo, null, SEVERITY.WARNING, 'unrecognized-line',
+                        `无法识别的内容行：${trimmed.slice(0, 40)}`));
+                return;
+            }
+
+            const target = match.field.scope === 'item' ? currentItem : currentTarget;
+            if (match.field.block) {
+                block = { field: match.field, target };
+                if (match.raw) target.fields.add(match.field);
+                return;
+            }
+
+            // 空值视为未填写（可选字段常见写法），不报错
+            if (!match.raw) return;
+
+            const value = FieldSchema.parseValue(match.field, match.raw);
+            if (value === null) {
+                diagnostics.push(this._diagnostic(file, lineNo, match.label, SEVERITY.WARNING, 'invalid-value',
+                    `字段「${match.label}」的值格式无效，已忽略：${match.raw.slice(0, 40)}`));
+                return;
+            }
+
+            target.fields.add(match.field);
+
+            if (match.field.key === 'photoDate' && !DateUtils.extractDateFromTitle(value)) {
+                diagnostics.push(this._diagnostic(file, lineNo, match.label, SEVERITY.WARNING, 'invalid-date',
+                    `日期「${value}」无效，应为 YYYY年M月D日 格式`));
+            }
+
+            if (PATH_PARSERS.has(match.field.parse) && this._isLocalPath(value)) {
+                pathRefs.push({ path: value, line: lineNo, label: match.label });
+            }
+        });
+
+        return { entries, pathRefs };
+    },
+
+    /**
+     * 检查必填字段
+     * @private
+     */
+    _checkRequiredFields(entries, { file, type, diagnostics }) {
+        const required = REQUIRED_FIELDS[type];
+        if (!required) return;
+
+        const check = (entry, rules) => {
+            (rules || []).forEach(rule => {
+                const labels = rule.split('|');
+                const satisfied = labels.some(label => entry.fields.has(FieldSchema.findField(label, type)));
+                if (!satisfied) {
+                    diagnostics.push(this._diagnostic(file, entry.line, labels[0], SEVERITY.WARNING, 'missing-field',
+                        `「${entry.title}」缺少必填字段：${labels.join(' 或 ')}`));
+                }
+            });
+        };
+
+        entries.forEach(entry => {
+            // 图集的照片由子项提供
+            if (entry.subItems.length > 0) {
+                entry.subItems.forEach(sub => check(sub, required.subItem));
+            } else {
+                check(entry, required.item);
+            }
+        });
+    },
+
+    /**
+     * 基于解析结果的检查：重复标题、日记日期
+     * @private
+     */
+    _checkItems(md, { file, type, diagnostics }) {
+        const items = Parser.parseContent(md, { type, file });
+        const seenTitles = new Map();
+
+        items.forEach(item => {
+            const line = item.source.line;
+
+            if (seenTitles.has(item.title)) {
+                diagnostics.push(this._diagnostic(file, line, null, SEVERITY.WARNING, 'duplicate-title',
+                    `标题「${item.title}」重复（首次出现于第 ${seenTitles.get(item.title)} 行）`));
+            } else {
+                seenTitles.set(item.title, line);
+            }
+        });
+
+        if (type === 'diary') {
+            DateUtils.validateItemDates(items)
+                .filter(result => !result.hasDate)
+                .forEach(result => {
+                    diagnostics.push(this._diagnostic(file, items[result.index].source.line, null, SEVERITY.ERROR, 'invalid-date',
+                        `日记标题「${result.title}」不是有效日期（YYYY年M月D日），将排在最后`));
+                });
+        }
+    },
+
+    /**
+     * 是否为本地相对路径（需要检查文件是否存在）
+     * @private
+     */
+    _isLocalPath(path) {
+        return !/^(https?:|data:|\/\/)/.test(path);
+    },
+
+    /**
+     * 构造诊断对象
+     * @private
+     * @returns {Diagnostic}
+     */
+    _diagnostic(file, line, field, severity, code, message) {
+        return { file, line, field, severity, code, message };
+    }
+};
@@ -52,6 +52,35 @@ export const DateUtils = {
         }
     },
 
+    /**
+     * 宽松解析字段中的日期（如 拍摄日期、上映日期、发售日期）
+     * 支持：2026年1月6日、2026-1-6、2026/01/06、2026.1.6、2026年1月、2026-01、2026
+     * 缺少的月、日按 1 计
+     *
+     * @param {string} text - 日期文本
+     * @returns {Date|null} 解析成功返回 Date 对象（本地时间零点），失败返回 null
+     */
+    parseDate(text) {
+        if (!text || typeof text !== 'string') {
+            return null;
+        }
+
+        const match = text.trim().match(/^(\d{4})(?:\s*[年\-/.]\s*(\d{1,2})(?:\s*[月\-/.]\s*(\d{1,2})\s*日?)?\s*月?)?\s*年?$/);
+        if (!match) {
+            return null;
+        }
+
+        const year = parseInt(match[1], 10);
+        const month = match[2] ? parseInt(match[2], 10) : 1;
+        const day = match[3] ? parseInt(match[3], 10) : 1;
+
+        const date = new Date(year, month - 1, day);
+        if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+            return null;
+        }
+        return date;
+    },
+
     /**
      * 检查标题是否符合日期格式
      * 
@@ -0,0 +1,414 @@
+/**
+ * 图片元数据读取
+ * 从文件字节中读取图片尺寸和 EXIF 信息，不依赖第三方库
+ *
+ * 支持格式：JPEG（含 EXIF）、PNG、GIF、WebP（含 EXIF）
+ * 与运行环境无关：Node（照片清单生成脚本）中传入 Buffer，浏览器中传入 Uint8Array（ArrayBuffer）
+ *
+ * @module core/exif
+ */
+
+/**
+ * TIFF 字段类型 → 单个值的字节数
+ */
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+/**
+ * 读取的 EXIF 标签（IFD0 与 Exif 子 IFD）
+ */
+const TAGS = {
+    0x010f: 'make',
+    0x0110: 'model',
+    0x0112: 'orientation',
+    0x0132: 'dateTime',
+    0x8769: 'exifIfd',
+    0x8825: 'gpsIfd',
+    0x829a: 'exposureTime',
+    0x829d: 'fNumber',
+    0x8827: 'iso',
+    0x9003: 'dateTimeOriginal',
+    0x9011: 'offsetTimeOriginal',
+    0x920a: 'focalLength',
+    0xa405: 'focalLengthIn35mm',
+    0xa433: 'lensMake',
+    0xa434: 'lensModel'
+};
+
+/**
+ * GPS 子 IFD 的标签（编号与 IFD0 独立）
+ */
+const GPS_TAGS = {
+    0x0001: 'latitudeRef',
+    0x0002: 'latitude',
+    0x0003: 'longitudeRef',
+    0x0004: 'longitude',
+    0x0005: 'altitudeRef',
+    0x0006: 'altitude'
+};
+
+/**
+ * 图片信息
+ * @typedef {Object} ImageInfo
+ * @property {string} format - jpeg / png / gif / webp
+ * @property {number|null} width - 显示宽度（已按 EXIF 方向旋转）
+ * @property {number|null} height - 显示高度
+ * @property {Object} exif - 读取到的 EXIF 标签（见 TAGS），没有 EXIF 时为空对象
+ */
+
+/**
+ * 读取 TIFF 结构（EXIF 数据块）中的标签
+ * 偏移和数量都来自文件本身，读取前逐一检查是否越界：损坏或截断的数据只返回已读取到的标签
+ *
+ * @param {DataView} view
+ * @param {number} start - TIFF 头在 view 中的偏移
+ * @param {number} [end=view.byteLength] - EXIF 数据块的结束位置（JPEG 为 APP1 段的末尾）
+ * @returns {Object} 标签名 → 值
+ */
+function readTiff(view, start, end = view.byteLength) {
+    end = Math.min(end, view.byteLength);
+    if (start + 8 > end) return {};
+
+    const order = view.getUint16(start);
+    if (order !== 0x4949 && order !== 0x4d4d) return {};
+    const little = order === 0x4949;
+
+    /**
+     * 相对 TIFF 头的 [offset, offset + size) 是否在数据块内
+     */
+    const fits = (offset, size) => Number.isInteger(offset) && offset >= 0 && start + offset + size <= end;
+    const u16 = offset => view.getUint16(start + offset, little);
+    const u32 = offset => view.getUint32(start + offset, little);
+
+    /**
+     * 读取标签值：ASCII 读取整个字符串，有理数读取全部值（如 GPS 的度、分、秒），其他类型只读取第一个值
+     */
+    const readValue = (type, count, valueOffset) => {
+        if (!TYPE_SIZES[type] || count === 0) return undefined;
+        const size = TYPE_SIZES[type] * count;
+        const offset = size > 4 ? u32(valueOffset) : valueOffset;
+        if (!fits(offset, size)) return undefined;
+
+        if ((type === 5 || type === 10) && count > 1) {
+            return Array.from({ length: count }, (_, i) => readSingle(type, offset + i * 8));
+        }
+        if (type === 2) {
+            let text = '';
+            for (let i = 0; i < count; i++) {
+                const code = view.getUint8(start + offset + i);
+                if (code === 0) break;
+                text += String.fromCharCode(code);
+            }
+            return text.trim();
+        }
+        return readSingle(type, offset);
+    };
+
+    /**
+     * 读取单个数值
+     */
+    const readSingle = (type, offset) => {
+        switch (type) {
+            case 1: case 7: return view.getUint8(start + offset);
+            case 3: return u16(offset);
+            case 4: return u32(offset);
+            case 9: return view.getInt32(start + offset, little);
+            case 5: return u32(offset) / u32(offset + 4);
+            case 10: return view.getInt32(start + offset, little) / view.getInt32(start + offset + 4, little);
+            default: return undefined;
+        }
+    };
+
+    const readIfd = (ifdOffset, tags, names = TAGS) => {
+        if (!fits(ifdOffset, 2)) return;
+        const count = u16(ifdOffset);
+        for (let i = 0; i < count; i++) {
+            const entry = ifdOffset + 2 + i * 12;
+            if (!fits(entry, 12)) return;
+            const name = names[u16(entry)];
+            if (!name) continue;
+            const value = readValue(u16(entry + 2), u32(entry + 4), entry + 8);
+            if (value !== undefined) tags[name] = value;
+        }
+    };
+
+    const tags = {};
+    readIfd(u32(4), tags);
+    // 子 IFD 的指针只从 IFD0 读取，子 IFD 中的指针不再跟随（避免损坏的数据互相引用）
+    const { exifIfd, gpsIfd } = tags;
+    delete tags.exifIfd;
+    delete tags.gpsIfd;
+    if (exifIfd) {
+        readIfd(exifIfd, tags);
+        delete tags.exifIfd;
+        delete tags.gpsIfd;
+    }
+    if (gpsIfd) {
+        tags.gps = {};
+        readIfd(gpsIfd, tags.gps, GPS_TAGS);
+    }
+    return tags;
+}
+
+/**
+ * 读取 JPEG：遍历标记段，取 APP1（EXIF）和 SOF（尺寸）
+ * @param {DataView} view
+ * @returns {{ width: number|null, height: number|null, exif: Object }}
+ */
+function readJpeg(view) {
+    let offset = 2;
+    let width = null;
+    let height = null;
+    let exif = {};
+
+    while (offset + 4 <= view.byteLength) {
+        if (view.getUint8(offset) !== 0xff) break;
+        const marker = view.getUint8(offset + 1);
+        // 填充字节
+        if (marker === 0xff) {
+            offset++;
+            continue;
+        }
+        // 图像数据开始，之后没有元数据
+        if (marker === 0xda || marker === 0xd9) break;
+
+        const length = view.getUint16(offset + 2);
+        const data = offset + 4;
+
+        if (marker === 0xe1 && data + 6 <= view.byteLength && view.getUint32(data) === 0x45786966) {
+            // "Exif\0\0"
+            exif = readTiff(view, data + 6, data + length - 2);
+        } else if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker) && data + 5 <= view.byteLength) {
+            height = view.getUint16(data + 1);
+            width = view.getUint16(data + 3);
+        }
+
+        offset = data + length - 2;
+    }
+
+    return { width, height, exif };
+}
+
+/**
+ * 读取 WebP：VP8 / VP8L / VP8X 尺寸，以及 EXIF 块
+ * @param {DataView} view
+ * @returns {{ width: number|null, height: number|null, exif: Object }}
+ */
+function readWebp(view) {
+    let offset = 12;
+    let width = null;
+    let height = null;
+    let exif = {};
+    const u24 = at => view.getUint8(at) | (view.getUint8(at + 1) << 8) | (view.getUint8(at + 2) << 16);
+
+    while (offset + 8 <= view.byteLength) {
+        const chunk = String.fromCharCode(...[0, 1, 2, 3].map(i => view.getUint8(offset + i)));
+        const size = view.getUint32(offset + 4, true);
+        const data = offset + 8;
+
+        if (chunk === 'VP8X' && data + 10 <= view.byteLength) {
+            width = u24(data + 4) + 1;
+            height = u24(data + 7) + 1;
+        } else if (chunk === 'VP8 ' && width === null && data + 10 <= view.byteLength) {
+            width = view.getUint16(data + 6, true) & 0x3fff;
+            height = view.getUint16(data + 8, true) & 0x3fff;
+        } else if (chunk === 'VP8L' && width === null && data + 5 <= view.byteLength) {
+            const bits = view.getUint32(data + 1, true);
+            width = (bits & 0x3fff) + 1;
+            height = ((bits >> 14) & 0x3fff) + 1;
+        } else if (chunk === 'EXIF' && size >= 8 && data + size <= view.byteLength) {
+            // 部分编码器在 TIFF 头前保留 "Exif\0\0"
+            exif = readTiff(view, view.getUint32(data) === 0x45786966 ? data + 6 : data, data + size);
+        }
+
+        offset = data + size + (size % 2);
+    }
+
+    return { width, height, exif };
+}
+
+/**
+ * 照片元数据
+ * @typedef {Object} PhotoMetadata
+ * @property {string} [takenAt] - 拍摄时间（ISO 8601）
+ * @property {string} [camera] - 相机
+ * @property {string} [lens] - 镜头
+ * @property {number} [focalLength] - 焦距（mm）
+ * @property {number} [focalLengthIn35mm] - 等效 35mm 焦距
+ * @property {number} [aperture] - 光圈值（f/）
+ * @property {number} [exposureTime] - 快门时间（秒）
+ * @property {number} [iso] - 感光度
+ * @property {{latitude: number, longitude: number, altitude?: number}} [gps] - 坐标（WGS 84，十进制度）
+ */
+
+/**
+ * 保留指定位数的小数
+ * @param {number} value
+ * @param {number} digits
+ * @returns {number|null}
+ */
+function round(value, digits) {
+    if (!Number.isFinite(value) || value <= 0) return null;
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * GPS 标签 → 十进制坐标（南纬、西经为负；海拔参考为 1 时表示海平面以下）
+ * @param {Object} [gps]
+ * @returns {{latitude: number, longitude: number, altitude?: number}|null}
+ */
+function toCoordinates(gps) {
+    if (!gps || !Array.isArray(gps.latitude) || !Array.isArray(gps.longitude)) return null;
+
+    const toDegrees = ([degrees = 0, minutes = 0, seconds = 0]) => degrees + minutes / 60 + seconds / 3600;
+    const latitude = toDegrees(gps.latitude) * (gps.latitudeRef === 'S' ? -1 : 1);
+    const longitude = toDegrees(gps.longitude) * (gps.longitudeRef === 'W' ? -1 : 1);
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude) || (latitude === 0 && longitude === 0)) return null;
+
+    const coordinates = { latitude: Number(latitude.toFixed(6)), longitude: Number(longitude.toFixed(6)) };
+    if (Number.isFinite(gps.altitude)) {
+        coordinates.altitude = Math.round(gps.altitude * (gps.altitudeRef === 1 ? -1 : 1));
+    }
+    return coordinates;
+}
+
+/**
+ * 快门时间 → 1/250s、2s
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatExposure(seconds) {
+    return seconds >= 1 ? `${Number(seconds.toFixed(1))}s` : `1/${Math.round(1 / seconds)}s`;
+}
+
+/**
+ * 坐标 → 26.5801°N, 106.7131°E
+ * @param {{latitude: number, longitude: number}} gps
+ * @returns {string}
+ */
+function formatCoordinates({ latitude, longitude }) {
+    const lat = `${Math.abs(latitude).toFixed(4)}°${latitude < 0 ? 'S' : 'N'}`;
+    const lng = `${Math.abs(longitude).toFixed(4)}°${longitude < 0 ? 'W' : 'E'}`;
+    return `${lat}, ${lng}`;
+}
+
+export const Exif = {
+    /**
+     * 读取图片格式、尺寸和 EXIF 信息
+     * 只需文件开头部分（JPEG 的 EXIF 和 SOF 通常在前 256KB 内）；数据不完整时缺失的字段为 null
+     *
+     * @param {Uint8Array} bytes - 文件内容（或开头部分）
+     * @returns {ImageInfo|null} 不支持的格式返回 null
+     */
+    readImageInfo(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        if (view.byteLength < 12) return null;
+
+        let format;
+        let result;
+        if (view.getUint16(0) === 0xffd8) {
+            format = 'jpeg';
+            result = readJpeg(view);
+        } else if (view.getUint32(0) === 0x89504e47 && view.byteLength >= 24) {
+            format = 'png';
+            result = { width: view.getUint32(16), height: view.getUint32(20), exif: {} };
+        } else if (view.getUint32(0) === 0x47494638) {
+            // "GIF8"
+            format = 'gif';
+            result = { width: view.getUint16(6, true), height: view.getUint16(8, true), exif: {} };
+        } else if (view.getUint32(0) === 0x52494646 && view.getUint32(8) === 0x57454250) {
+            // "RIFF" .... "WEBP"
+            format = 'webp';
+            result = readWebp(view);
+        } else {
+            return null;
+        }
+
+        // EXIF 方向 5~8 表示旋转 90°，显示尺寸需交换宽高
+        const rotated = result.exif.orientation >= 5 && result.exif.orientation <= 8;
+        return {
+            format,
+            width: rotated ? result.height : result.width,
+            height: rotated ? result.width : result.height,
+            exif: result.exif
+        };
+    },
+
+    /**
+     * 拍摄时间：EXIF 日期（2025:07:05 10:28:29）→ ISO 8601（2025-07-05T10:28:29，有时区偏移时附加）
+     * 优先 DateTimeOriginal，其次 DateTime
+     *
+     * @param {Object} exif - readImageInfo 返回的 exif
+     * @returns {string|null}
+     */
+    getCaptureTime(exif) {
+        const value = exif?.dateTimeOriginal || exif?.dateTime;
+        const match = value && value.match(/^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
+        if (!match || match[1] === '0000') return null;
+
+        const [, year, month, day, hour, minute, second] = match;
+        const offset = /^[+-]\d{2}:\d{2}$/.test(exif.offsetTimeOriginal || '') ? exif.offsetTimeOriginal : '';
+        return `${year}-${month}-${day}T${hour}:${minute}:${second}${offset}`;
+    },
+
+    /**
+     * 拍摄参数：原始 EXIF 标签 → 照片元数据（写入照片清单，供卡片、Lightbox 和排序使用）
+     * 缺失的字段不输出
+     *
+     * @param {Object} exif - readImageInfo 返回的 exif
+     * @returns {PhotoMetadata}
+     */
+    getPhotoMetadata(exif) {
+        if (!exif) return {};
+
+        const make = exif.make || '';
+        const model = exif.model || '';
+        // 多数厂商的型号已包含品牌（如 "Canon EOS R6"）
+        const camera = model && make && !model.toLowerCase().startsWith(make.split(' ')[0].toLowerCase())
+            ? `${make} ${model}`
+            : (model || make);
+        const lens = exif.lensModel && exif.lensMake && !exif.lensModel.includes(exif.lensMake)
+            ? `${exif.lensMake} ${exif.lensModel}`
+            : exif.lensModel;
+
+        const metadata = {
+            takenAt: this.getCaptureTime(exif),
+            camera,
+            lens,
+            focalLength: round(exif.focalLength, 1),
+            focalLengthIn35mm: exif.focalLengthIn35mm || null,
+            aperture: round(exif.fNumber, 1),
+            exposureTime: exif.exposureTime > 0 ? exif.exposureTime : null,
+            iso: exif.iso || null,
+            gps: toCoordinates(exif.gps)
+        };
+
+        return Object.fromEntries(Object.entries(metadata).filter(([, value]) => value !== null && value !== undefined && value !== ''));
+    },
+
+    /**
+     * 照片元数据 → 展示用的文本行（Lightbox 信息面板）
+     *
+     * @param {PhotoMetadata} metadata
+     * @returns {Array<{label: string, value: string}>}
+     */
+    describe(metadata) {
+        if (!metadata) return [];
+
+        const settings = [
+            metadata.focalLength ? `${metadata.focalLength}mm${metadata.focalLengthIn35mm ? `（等效 ${metadata.focalLengthIn35mm}mm）` : ''}` : null,
+            metadata.aperture ? `f/${metadata.aperture}` : null,
+            metadata.exposureTime ? formatExposure(metadata.exposureTime) : null,
+            metadata.iso ? `ISO ${metadata.iso}` : null
+        ].filter(Boolean);
+
+        const rows = [
+            { label: '时间', value: metadata.takenAt ? metadata.takenAt.slice(0, 16).replace('T', ' ') : '' },
+            { label: '相机', value: metadata.camera },
+            { label: '镜头', value: metadata.lens },
+            { label: '参数', value: settings.join(' · ') },
+            { label: '坐标', value: metadata.gps ? formatCoordinates(metadata.gps) : '' }
+        ];
+        return rows.filter(row => row.value);
+    }
+};
@@ -0,0 +1,262 @@
+/**
+ * 订阅源与站点地图生成模块
+ * 将解析后的条目转换为 sitemap.xml、Atom 和 JSON Feed
+ *
+ * 与运行环境无关：只做数据到文本的转换，文件读写由 scripts/generate-feeds.mjs 负责
+ *
+ * 条目日期（用于 lastmod、published 和「最近添加」排序），按优先级取：
+ * 1. 日记标题中的日期（dateTimestamp）
+ * 2. 拍摄日期（图集取最新一张）
+ * 3. 上映 / 发售日期、发行时间、出版年份
+ * 晚于生成时间的日期（如尚未上映）视为无日期
+ *
+ * @module core/feed-builder
+ */
+
+import { DateUtils } from './date-utils.js';
+import { Markdown } from './markdown.js';
+
+/**
+ * 依次尝试的日期字段
+ */
+const DATE_FIELDS = ['photoDate', 'releaseDate', 'releaseTime', 'publishYear'];
+
+/**
+ * 作为正文的字段（按优先级）
+ */
+const BODY_FIELDS = ['content', 'review', 'desc'];
+
+const SUMMARY_LENGTH = 160;
+
+/**
+ * 订阅源条目
+ * @typedef {Object} FeedEntry
+ * @property {string} id - 唯一 ID（条目深链接）
+ * @property {string} url - 条目深链接
+ * @property {string} title - 标题
+ * @property {string} summary - 纯文本摘要
+ * @property {string} contentHtml - 正文 HTML
+ * @property {Date|null} date - 条目日期
+ * @property {string} category - 分类标题
+ * @property {string[]} tags - 标签
+ * @property {string|null} image - 封面 / 配图的绝对 URL
+ */
+
+/**
+ * XML 转义
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeXml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * 本地日期 → YYYY-MM-DD（条目日期只精确到天，不受时区影响）
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatDay(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * 本地日期 → RFC 3339（Atom / JSON Feed）
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatDateTime(date) {
+    return `${formatDay(date)}T00:00:00Z`;
+}
+
+export const FeedBuilder = {
+    /**
+     * 获取条目日期
+     * @param {Object} item - 数据项
+     * @param {Date} [now=new Date()] - 生成时间（更晚的日期被忽略）
+     * @returns {Date|null}
+     */
+    getItemDate(item, now = new Date()) {
+        const candidates = [];
+
+        if (item.dateTimestamp) {
+            candidates.push(new Date(item.dateTimestamp));
+        } else {
+            const photoDates = (item.photos || [])
+                .map(photo => DateUtils.parseDate(photo.photoDate))
+                .filter(Boolean)
+                .sort((a, b) => b - a);
+            if (photoDates.length > 0) candidates.push(photoDates[0]);
+
+            DATE_FIELDS.forEach(key => {
+                const date = DateUtils.parseDate(item[key]);
+                if (date) candidates.push(date);
+            });
+        }
+
+        return candidates.find(date => date <= now) || null;
+    },
+
+    /**
+     * 将条目转换为订阅源条目
+     *
+     * @param {Object} item - 数据项
+     * @param {Object} category - 分类配置
+     * @param {Object} options
+     * @param {string} options.url - 条目深链接
+     * @param {string} options.siteUrl - 站点地址（用于把相对图片路径转为绝对 URL）
+     * @param {Date} [options.now] - 生成时间
+     * @returns {FeedEntry}
+     */
+    toEntry(item, category, { url, siteUrl, now = new Date() }) {
+        const bodyKey = BODY_FIELDS.find(key => item[key]);
+        const body = bodyKey ? item[bodyKey] : '';
+        const plain = Markdown.toPlainText(body).replace(/\s+/g, ' ').trim();
+        const image = item.cover || item.image || item.photoUrl || item.photos?.[0]?.photoUrl || null;
+
+        return {
+            id: url,
+            url,
+            title: item.title,
+            summary: plain.length > SUMMARY_LENGTH ? `${plain.slice(0, SUMMARY_LENGTH)}…` : plain,
+            contentHtml: body ? Markdown.render(body) : '',
+            date: this.getItemDate(item, now),
+            category: category.title,
+            tags: Array.isArray(item.tags) ? item.tags : [],
+            image: image ? this._absoluteUrl(image, siteUrl) : null
+        };
+    },
+
+    /**
+     * 最近的条目：只保留有日期的条目，按日期降序
+     * @param {FeedEntry[]} entries
+     * @param {number} [limit=30]
+     * @returns {FeedEntry[]}
+     */
+    recent(entries, limit = 30) {
+        return entries
+            .filter(entry => entry.date)
+            .sort((a, b) => b.date - a.date)
+            .slice(0, limit);
+    },
+
+    /**
+     * 生成 sitemap.xml
+     * @param {Array<{loc: string, lastmod?: Date|null}>} urls
+     * @returns {string}
+     */
+    buildSitemap(urls) {
+        const body = urls.map(({ loc, lastmod }) => [
+            '  <url>',
+            `    <loc>${escapeXml(loc)}</loc>`,
+            lastmod ? `    <lastmod>${formatDay(lastmod)}</lastmod>` : null,
+            '  </url>'
+        ].filter(Boolean).join('\n'));
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+            ...body,
+            '</urlset>',
+            ''
+        ].join('\n');
+    },
+
+    /**
+     * 生成 Atom 订阅源
+     *
+     * @param {Object} feed
+     * @param {string} feed.title - 订阅源标题
+     * @param {string} [feed.description] - 副标题
+     * @param {string} feed.homeUrl - 站点地址
+     * @param {string} feed.feedUrl - 订阅源地址
+     * @param {{name: string, url?: string}} [feed.author] - 作者
+     * @param {FeedEntry[]} feed.entries - 条目（需有日期）
+     * @returns {string}
+     */
+    buildAtom({ title, description, homeUrl, feedUrl, author, entries }) {
+        const updated = entries[0]?.date ? formatDateTime(entries[0].date) : formatDateTime(new Date(0));
+
+        const entriesXml = entries.map(entry => [
+            '  <entry>',
+            `    <id>${escapeXml(entry.id)}</id>`,
+            `    <title>${escapeXml(entry.title)}</title>`,
+            `    <link rel="alternate" type="text/html" href="${escapeXml(entry.url)}"/>`,
+            `    <published>${formatDateTime(entry.date)}</published>`,
+            `    <updated>${formatDateTime(entry.date)}</updated>`,
+            `    <category term="${escapeXml(entry.category)}"/>`,
+            ...entry.tags.map(tag => `    <category term="${escapeXml(tag)}"/>`),
+            entry.summary ? `    <summary>${escapeXml(entry.summary)}</summary>` : null,
+            entry.contentHtml ? `    <content type="html">${escapeXml(entry.contentHtml)}</content>` : null,
+            '  </entry>'
+        ].filter(Boolean).join('\n'));
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="zh-CN">',
+            `  <id>${escapeXml(feedUrl)}</id>`,
+            `  <title>${escapeXml(title)}</title>`,
+            description ? `  <subtitle>${escapeXml(description)}</subtitle>` : null,
+            `  <link rel="self" type="application/atom+xml" href="${escapeXml(feedUrl)}"/>`,
+            `  <link rel="alternate" type="text/html" href="${escapeXml(homeUrl)}"/>`,
+            `  <updated>${updated}</updated>`,
+            author?.name ? [
+                '  <author>',
+                `    <name>${escapeXml(author.name)}</name>`,
+                author.url ? `    <uri>${escapeXml(author.url)}</uri>` : null,
+                '  </author>'
+            ].filter(Boolean).join('\n') : null,
+            ...entriesXml,
+            '</feed>',
+            ''
+        ].filter(line => line !== null).join('\n');
+    },
+
+    /**
+     * 生成 JSON Feed 1.1
+     * @param {Object} feed - 参数同 buildAtom
+     * @returns {string}
+     */
+    buildJsonFeed({ title, description, homeUrl, feedUrl, author, entries }) {
+        const json = {
+            version: 'https://jsonfeed.org/version/1.1',
+            title,
+            home_page_url: homeUrl,
+            feed_url: feedUrl,
+            language: 'zh-CN',
+            ...(description && { description }),
+            ...(author?.name && { authors: [{ name: author.name, ...(author.url && { url: author.url }) }] }),
+            items: entries.map(entry => ({
+                id: entry.id,
+                url: entry.url,
+                title: entry.title,
+                ...(entry.contentHtml && { content_html: entry.contentHtml }),
+                ...(entry.summary && { summary: entry.summary }),
+                ...(entry.image && { image: entry.image }),
+                date_published: formatDateTime(entry.date),
+                tags: [entry.category, ...entry.tags]
+            }))
+        };
+
+        return `${JSON.stringify(json, null, 2)}\n`;
+    },
+
+    /**
+     * 相对路径 → 绝对 URL
+     * @private
+     * @param {string} path
+     * @param {string} siteUrl
+     * @returns {string}
+     */
+    _absoluteUrl(path, siteUrl) {
+        if (/^https?:\/\//.test(path)) return path;
+        const clean = path.replace(/^(\.\.\/|\.\/|\/)+/, '');
+        return `${siteUrl}/${clean.split('/').map(encodeURIComponent).join('/')}`;
+    }
+};
@@ -0,0 +1,431 @@
+/**
+ * 字段 Schema 模块
+ * 以声明式的方式描述每种分类类型可识别的 Markdown 字段
+ *
+ * 设计：
+ * - 每个字段定义包含：目标键（key）、字段名及别名（labels）、值解析器（parse）
+ * - Parser.parseContent 根据分类 type 查询对应 Schema，不再硬编码 if 链
+ * - 新增内容类型或字段时，只需修改本文件的 Schema 声明（或调用 register）
+ *
+ * 字段定义结构：
+ * @typedef {Object} FieldDefinition
+ * @property {string} key - 写入数据项的属性名
+ * @property {string[]} labels - Markdown 中的字段名（第一个为主名称，其余为别名）
+ * @property {string|Function} [parse='text'] - 值解析器名称（见 VALUE_PARSERS）或自定义函数
+ * @property {'target'|'item'} [scope='target'] - 写入位置：当前目标（图集子项优先）或所属主项
+ * @property {Function} [assign] - 自定义写入逻辑 (target, value) => void
+ * @property {boolean} [block=false] - 多行字段：值延续到下一个已知字段或标题之前（内容为 Markdown 文本）
+ *
+ * @module core/field-schema
+ */
+
+import { parseLinkValue } from './utils.js';
+
+/**
+ * 去掉相对路径前缀 ../（Markdown 文件位于 contents/，资源路径需相对项目根目录）
+ * @param {string} url
+ * @returns {string}
+ */
+function stripParentPrefix(url) {
+    return url.startsWith('../') ? url.substring(3) : url;
+}
+
+/**
+ * 值解析器
+ * 输入为字段原始值（已去除字段名和首尾空白），返回 null/undefined/'' 表示无效值
+ */
+export const VALUE_PARSERS = {
+    /** 纯文本 */
+    text: (raw) => raw,
+
+    /** 数值：整个值必须是数字（不截取开头的数字，如「52集/30」视为无效） */
+    number: (raw) => (/^-?\d+(?:\.\d+)?$/.test(raw) ? parseFloat(raw) : null),
+
+    /**
+     * 时长（分钟）：「108」「108分钟」，剧集为「集数集/每集分钟数」（如 52集/30）
+     * 返回 { minutes, episodes }（电影的 episodes 为 null），格式非法时返回 null
+     */
+    duration: (raw) => {
+        const m = raw.match(/^(?:(\d+)\s*集\s*[/／]\s*)?(\d+(?:\.\d+)?)\s*(?:分钟)?$/);
+        if (!m) return null;
+        return { minutes: parseFloat(m[2]), episodes: m[1] ? parseInt(m[1], 10) : null };
+    },
+
+    /** 列表：支持 、 , ， / | ｜ 分隔 */
+    list: (raw) => {
+        const list = raw.split(/[、,，\/|｜]/).map(t => t.trim()).filter(Boolean);
+        return list.length > 0 ? list : null;
+    },
+
+    /** 链接：[文本](URL) 或裸 URL，返回 { text, url } */
+    link: (raw) => parseLinkValue(raw),
+
+    /** URL：从 [文本](URL) 中提取 URL，否则原样返回 */
+    url: (raw) => {
+        const m = raw.match(/\[.*?\]\((.*?)\)$/);
+        return m ? m[1] : raw;
+    },
+
+    /** 路径：同 url，并处理 ../ 相对前缀 */
+    path: (raw) => stripParentPrefix(VALUE_PARSERS.url(raw)),
+
+    /** 坐标：「纬度, 经度」（十进制度，可带 °N/°S/°E/°W），返回 { latitude, longitude }，超出范围时返回 null */
+    coordinates: (raw) => {
+        const m = raw.match(/^(-?\d+(?:\.\d+)?)\s*°?\s*([NS])?\s*[,，\s]\s*(-?\d+(?:\.\d+)?)\s*°?\s*([EW])?$/i);
+        if (!m) return null;
+        const latitude = parseFloat(m[1]) * (/s/i.test(m[2] || '') ? -1 : 1);
+        const longitude = parseFloat(m[3]) * (/w/i.test(m[4] || '') ? -1 : 1);
+        if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+        return { latitude, longitude };
+    },
+
+    /** 图片：严格要求 Markdown 图片语法 ![alt](url)，格式非法时返回 null */
+    image: (raw) => {
+        const m = raw.match(/^!\[(.*?)\]\((.+?)\)$/);
+        if (!m || !m[2].trim()) return null;
+        return stripParentPrefix(m[2].trim());
+    }
+};
+
+// --- 字段定义 ---
+
+const FIELD = {
+    order: { key: 'order', labels: ['展示序号', '序号'] },
+    quantity: {
+        key: 'isSet',
+        labels: ['数量'],
+        parse: 'number',
+        scope: 'item',
+        // 数量大于1视为图集
+        assign: (item, count) => { if (count > 1) item.isSet = true; }
+    },
+    desc: { key: 'desc', labels: ['描述'] },
+    status: { key: 'status', labels: ['状态'] },
+    review: { key: 'review', labels: ['评价'], block: true },
+    cover: { key: 'cover', labels: ['封面', 'Cover'], parse: 'image' },
+    link: {
+        key: 'link',
+        labels: ['链接'],
+        parse: 'link',
+        assign: (target, link) => {
+            target.linkText = link.text;
+            target.linkUrl = link.url;
+        }
+    },
+
+    // Project
+    tech: { key: 'tech', labels: ['技术栈'], parse: 'list' },
+
+    // Game
+    gameTags: { key: 'tags', labels: ['游戏类型', '标签'], parse: 'list' },
+    dev: { key: 'dev', labels: ['开发商', '厂商'] },
+    platform: { key: 'platform', labels: ['发售平台', '平台'] },
+    releaseDate: { key: 'releaseDate', labels: ['发售日期', '日期'] },
+    steamId: { key: 'steamId', labels: ['SteamID', 'SteamAppID'] },
+
+    // Book
+    author: { key: 'author', labels: ['作者'] },
+    publishYear: { key: 'publishYear', labels: ['出版年份', '出版时间'] },
+    bookTags: { key: 'tags', labels: ['书籍类型', '标签'], parse: 'list' },
+    isbn: { key: 'isbn', labels: ['ISBN'] },
+
+    // Photo
+    photoLocation: { key: 'photoLocation', labels: ['拍摄地点'] },
+    photoDate: { key: 'photoDate', labels: ['拍摄日期'] },
+    photoUrl: { key: 'photoUrl', labels: ['照片链接'], parse: 'path' },
+    // 地图模式的位置；未填写时使用照片 EXIF 中的 GPS 坐标
+    coordinates: { key: 'coordinates', labels: ['坐标', '拍摄坐标'], parse: 'coordinates' },
+    photoSource: {
+        key: 'photoSourcePath',
+        labels: ['照片源'],
+        parse: 'path',
+        scope: 'item',
+        // 目录模式：[](../assets/images/photos/目录名)，交由 DataService 自动发现
+        assign: (item, path) => {
+            item.photoSourcePath = path;
+            item.photoSourceMode = true;
+        }
+    },
+
+    // Diary
+    weather: { key: 'weather', labels: ['天气'] },
+    mood: { key: 'mood', labels: ['心情'] },
+    content: { key: 'content', labels: ['内容'], block: true },
+    image: { key: 'image', labels: ['配图'], parse: 'image' },
+
+    // Music
+    artist: { key: 'artist', labels: ['作者'] },
+    musicDuration: { key: 'duration', labels: ['歌曲时长'], parse: 'number' },
+    album: { key: 'album', labels: ['专辑'] },
+    releaseTime: { key: 'releaseTime', labels: ['发行时间'] },
+    audioPreview: { key: 'audioPreview', labels: ['音频预览'], parse: 'url' },
+
+    // Film
+    director: { key: 'director', labels: ['导演'] },
+    starring: { key: 'starring', labels: ['主演'] },
+    region: { key: 'region', labels: ['制片国家/地区', '地区'] },
+    language: { key: 'language', labels: ['语言'] },
+    imdb: { key: 'imdb', labels: ['IMDb'] },
+    filmTags: { key: 'tags', labels: ['类型', '标签'], parse: 'list' },
+    filmDuration: {
+        key: 'duration',
+        labels: ['片长'],
+        parse: 'duration',
+        // 剧集：duration 为每集分钟数，episodes 为集数
+        assign: (target, { minutes, episodes }) => {
+            target.duration = minutes;
+            if (episodes) target.episodes = episodes;
+        }
+    },
+    filmReleaseDate: { key: 'releaseDate', labels: ['上映日期', '上映年份'] }
+};
+
+/**
+ * 派生字段：在数据项解析完成后执行（与字段出现顺序无关）
+ */
+const DERIVE = {
+    /** 无自定义封面时，通过 ISBN 生成 Open Library 封面 */
+    isbnCover(item) {
+        if (item.cover || !item.isbn) return;
+        // 国内无法直接访问 Open Library，渲染时由 ImageProxyService 代理
+        item.cover = `https://covers.openlibrary.org/b/isbn/${item.isbn}-L.jpg`;
+    },
+
+    /** 无自定义封面时，通过 SteamID 生成 Steam CDN 封面 */
+    steamCover(item) {
+        if (item.cover || !item.steamId) return;
+        item.cover = `https://cdn.akamai.steamstatic.com/steam/apps/${item.steamId}/header.jpg`;
+    }
+};
+
+const COMMON_FIELDS = [FIELD.order, FIELD.desc, FIELD.status, FIELD.review, FIELD.cover, FIELD.link];
+
+/**
+ * 各分类类型的 Schema
+ * @type {Object<string, { fields: FieldDefinition[], derive: Function[] }>}
+ */
+const TYPE_SCHEMAS = {
+    project: {
+        fields: [...COMMON_FIELDS, FIELD.tech],
+        derive: []
+    },
+    game: {
+        fields: [...COMMON_FIELDS, FIELD.gameTags, FIELD.dev, FIELD.platform, FIELD.releaseDate, FIELD.steamId],
+        derive: [DERIVE.steamCover]
+    },
+    book: {
+        fields: [...COMMON_FIELDS, FIELD.author, FIELD.publishYear, FIELD.bookTags, FIELD.isbn],
+        derive: [DERIVE.isbnCover]
+    },
+    photo: {
+        fields: [...COMMON_FIELDS, FIELD.quantity, FIELD.photoLocation, FIELD.photoDate, FIELD.photoUrl, FIELD.coordinates, FIELD.photoSource],
+        derive: []
+    },
+    diary: {
+        fields: [...COMMON_FIELDS, FIELD.weather, FIELD.mood, FIELD.content, FIELD.image],
+        derive: []
+    },
+    music: {
+        fields: [...COMMON_FIELDS, FIELD.artist, FIELD.musicDuration, FIELD.album, FIELD.releaseTime, FIELD.audioPreview],
+        derive: []
+    },
+    film: {
+        fields: [
+            ...COMMON_FIELDS, FIELD.director, FIELD.starring, FIELD.region, FIELD.language, FIELD.imdb,
+            FIELD.filmTags, FIELD.filmDuration, FIELD.filmReleaseDate
+        ],
+        derive: []
+    }
+};
+
+/**
+ * 默认 Schema：未知类型时识别所有已知字段
+ * 字段名冲突时按类型声明顺序先到先得（如 作者 → author）
+ */
+TYPE_SCHEMAS.default = {
+    fields: Object.values(TYPE_SCHEMAS).flatMap(schema => schema.fields),
+    derive: [DERIVE.isbnCover, DERIVE.steamCover]
+};
+
+export const FieldSchema = {
+    /**
+     * 字段名 → 字段定义的查找表缓存（按类型）
+     * @private
+     * @type {Map<string, Map<string, FieldDefinition>>}
+     */
+    _lookupCache: new Map(),
+
+    /**
+     * 获取类型对应的 Schema，未注册的类型回退到 default
+     *
+     * @param {string} type - 分类类型
+     * @returns {{ fields: FieldDefinition[], derive: Function[] }}
+     */
+    getSchema(type = 'default') {
+        return TYPE_SCHEMAS[type] || TYPE_SCHEMAS.default;
+    },
+
+    /**
+     * 是否存在该类型的 Schema（未注册的类型会回退到 default）
+     *
+     * @param {string} type - 分类类型
+     * @returns {boolean}
+     */
+    hasType(type) {
+        return Object.prototype.hasOwnProperty.call(TYPE_SCHEMAS, type);
+    },
+
+    /**
+     * 获取类型对应的字段定义列表
+     *
+     * @param {string} type - 分类类型
+     * @returns {FieldDefinition[]}
+     */
+    getFields(type = 'default') {
+        return this.getSchema(type).fields;
+    },
+
+    /**
+     * 获取通用字段（序号、描述、状态、评价、封面、链接），供自定义类型组合使用
+     *
+     * @returns {FieldDefinition[]}
+     */
+    getCommonFields() {
+        return [...COMMON_FIELDS];
+    },
+
+    /**
+     * 注册（或覆盖）某个类型的 Schema
+     *
+     * @param {string} type - 分类类型
+     * @param {Object} schema
+     * @param {FieldDefinition[]} schema.fields - 字段定义
+     * @param {Function[]} [schema.derive=[]] - 派生字段函数
+     *
+     * @example
+     * FieldSchema.register('podcast', {
+     *     fields: [{ key: 'host', labels: ['主播'] }, { key: 'episodes', labels: ['集数'], parse: 'number' }]
+     * });
+     */
+    register(type, { fields = [], derive = [] } = {}) {
+        TYPE_SCHEMAS[type] = { fields, derive };
+        this._lookupCache.delete(type);
+    },
+
+    /**
+     * 拆分 "字段名：值" 行
+     *
+     * @param {string} line - 已 trim 的行文本
+     * @returns {{ label: string, raw: string }|null}
+     */
+    splitLine(line) {
+        const m = line.match(/^([^:：]+?)\s*[:：](.*)$/);
+        if (!m) return null;
+        return { label: m[1], raw: m[2].trim() };
+    },
+
+    /**
+     * 在指定类型的 Schema 中匹配一行字段
+     *
+     * @param {string} line - 已 trim 的行文本
+     * @param {string} type - 分类类型
+     * @returns {{ field: FieldDefinition, label: string, raw: string }|null} 未识别的字段返回 null
+     */
+    matchLine(line, type = 'default') {
+        const parts = this.splitLine(line);
+        if (!parts) return null;
+
+        const field = this.findField(parts.label, type);
+        return field ? { field, ...parts } : null;
+    },
+
+    /**
+     * 判断一行是否结束多行字段：遇到标题或该类型的已知字段行
+     * 注意：正文中以“已知字段名：”开头的行会被识别为新字段
+     *
+     * @param {string} line - 已 trim 的行文本
+     * @param {string} type - 分类类型
+     * @returns {boolean}
+     */
+    isBlockEnd(line, type = 'default') {
+        return /^#{1,6}\s+/.test(line) || this.matchLine(line, type) !== null;
+    },
+
+    /**
+     * 按字段名（含别名）查找字段定义
+     *
+     * @param {string} label - Markdown 中的字段名
+     * @param {string} type - 分类类型
+     * @returns {FieldDefinition|null}
+     */
+    findField(label, type = 'default') {
+        return this._getLookup(type).get(label) || null;
+    },
+
+    /**
+     * 解析字段值
+     *
+     * @param {FieldDefinition} field - 字段定义
+     * @param {string} raw - 原始值
+     * @returns {*} 解析结果，无效值返回 null
+     */
+    parseValue(field, raw) {
+        if (!raw) return null;
+        const parser = typeof field.parse === 'function'
+            ? field.parse
+            : VALUE_PARSERS[field.parse || 'text'];
+        const value = parser(raw);
+        return value === undefined || value === '' ? null : value;
+    },
+
+    /**
+     * 将解析后的值写入目标对象
+     *
+     * @param {FieldDefinition} field - 字段定义
+     * @param {Object} target - 当前目标（主项或图集子项）
+     * @param {Object} item - 所属主项
+     * @param {*} value - 解析后的值
+     */
+    assign(field, target, item, value) {
+        const dest = field.scope === 'item' ? item : target;
+        if (field.assign) {
+            field.assign(dest, value);
+        } else {
+            dest[field.key] = value;
+        }
+    },
+
+    /**
+     * 执行类型的派生字段规则
+     *
+     * @param {Object} item - 解析完成的数据项
+     * @param {string} type - 分类类型
+     */
+    applyDerived(item, type = 'default') {
+        this.getSchema(type).derive.forEach(fn => fn(item));
+    },
+
+    /**
+     * 构建（并缓存）字段名查找表
+     * @private
+     * @param {string} type
+     * @returns {Map<string, FieldDefinition>}
+     */
+    _getLookup(type) {
+        const cacheKey = TYPE_SCHEMAS[type] ? type : 'default';
+        if (this._lookupCache.has(cacheKey)) {
+            return this._lookupCache.get(cacheKey);
+        }
+
+        const lookup = new Map();
+        this.getFields(cacheKey).forEach(field => {
+            field.labels.forEach(label => {
+                // 先声明的字段优先
+                if (!lookup.has(label)) lookup.set(label, field);
+            });
+        });
+
+        this._lookupCache.set(cacheKey, lookup);
+        return lookup;
+    }
+};
@@ -0,0 +1,158 @@
+/**
+ * HTML 安全输出模块
+ * 所有渲染器（CardRenderer、MusicUI、RenderService）拼接 innerHTML 时统一使用
+ *
+ * - html`...`：标签模板，插值默认转义；嵌套的 html`` / raw() 结果原样输出
+ * - raw(str)：标记可信 HTML（如图标 SVG、Markdown 渲染结果），跳过转义
+ * - escapeHtml(value)：转义 & < > " '，可用于元素内容和引号包裹的属性值
+ * - unescapeHtml(value)：还原 escapeHtml 生成的实体
+ * - join(values, separator)：拼接多个值（逐项转义）
+ * - safeUrl(url)：URL 白名单（http/https/mailto/相对路径/图片 data URI），其余返回 fallback
+ *
+ * @module core/html
+ *
+ * @example
+ * html`<a href="${safeUrl(it.linkUrl)}" data-tooltip="${it.title}">${it.title}</a>`
+ */
+
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+/**
+ * 实体 → 字符（escapeHtml 的逆映射）
+ */
+const HTML_UNESCAPES = Object.fromEntries(Object.entries(HTML_ESCAPES).map(([ch, entity]) => [entity, ch]));
+
+/**
+ * 允许的 URL 协议
+ */
+const ALLOWED_PROTOCOLS = new Set(['http:', 'https:', 'mailto:']);
+
+/**
+ * 允许的 data URI：仅图片类型（SVG 作为 <img> 加载时不会执行脚本）
+ */
+const SAFE_DATA_URI = /^data:image\/(png|jpe?g|gif|webp|avif|svg\+xml)[;,]/i;
+
+/**
+ * 已确认安全的 HTML 片段
+ * 通过 html`` 或 raw() 创建；toString() 返回 HTML 字符串，可直接赋值给 innerHTML
+ */
+export class SafeHtml {
+    constructor(value) {
+        this.value = String(value);
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+/**
+ * 转义 HTML 特殊字符
+ *
+ * @param {*} value - 任意值（null/undefined 视为空字符串）
+ * @returns {string}
+ */
+export function escapeHtml(value) {
+    if (value === null || value === undefined) return '';
+    return String(value).replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+}
+
+/**
+ * 还原 escapeHtml 生成的实体（用于从已转义的文本中取回原始值，如 Markdown 链接地址）
+ *
+ * @param {string} value - escapeHtml 的输出
+ * @returns {string}
+ */
+export function unescapeHtml(value) {
+    return String(value).replace(/&(?:amp|lt|gt|quot|#39);/g, entity => HTML_UNESCAPES[entity]);
+}
+
+/**
+ * 标记可信 HTML，插入 html`` 模板时不再转义
+ *
+ * @param {string|SafeHtml} value - 可信的 HTML 字符串
+ * @returns {SafeHtml}
+ */
+export function raw(value) {
+    if (value instanceof SafeHtml) return value;
+    return new SafeHtml(value === null || value === undefined ? '' : value);
+}
+
+/**
+ * 将插值转为 HTML 字符串
+ * - SafeHtml：原样输出
+ * - 数组：逐项处理后拼接（便于 items.map(...) 直接插入）
+ * - null / undefined / false：输出空字符串（便于 cond && html`...`）
+ * - 其他：转义
+ * @param {*} value
+ * @returns {string}
+ */
+function renderValue(value) {
+    if (value instanceof SafeHtml) return value.value;
+    if (Array.isArray(value)) return value.map(renderValue).join('');
+    if (value === null || value === undefined || value === false) return '';
+    return escapeHtml(value);
+}
+
+/**
+ * HTML 标签模板：插值自动转义
+ *
+ * @param {TemplateStringsArray} strings
+ * @param {...*} values
+ * @returns {SafeHtml}
+ */
+export function html(strings, ...values) {
+    let result = strings[0];
+    values.forEach((value, i) => {
+        result += renderValue(value) + strings[i + 1];
+    });
+    return new SafeHtml(result);
+}
+
+/**
+ * 拼接多个值：每项按插值规则处理（普通值转义），分隔符可为 raw() 片段
+ *
+ * @param {Array<*>} values - 待拼接的值（空值会被跳过）
+ * @param {string|SafeHtml} [separator=''] - 分隔符
+ * @returns {SafeHtml}
+ *
+ * @example
+ * join([it.dev, it.platform], raw(' <span class="dot">&bull;</span> '))
+ */
+export function join(values, separator = '') {
+    const sep = renderValue(separator);
+    return new SafeHtml(values
+        .filter(v => v !== null && v !== undefined && v !== false && v !== '')
+        .map(renderValue)
+        .join(sep));
+}
+
+/**
+ * URL 白名单检查
+ * 允许：http(s)、mailto、相对路径、锚点、图片 data URI；
+ * 拒绝：javascript:、vbscript:、其他 data: 等（含用空白/控制字符混淆的写法）
+ *
+ * @param {string} url - 原始 URL
+ * @param {string} [fallback='#'] - 不安全或为空时的返回值
+ * @returns {string} 原始 URL（未转义，插入 html`` 时会自动转义）或 fallback
+ */
+export function safeUrl(url, fallback = '#') {
+    if (url === null || url === undefined) return fallback;
+    const value = String(url).trim();
+    if (!value) return fallback;
+
+    // 浏览器解析协议时会忽略其中的空白和控制字符（如 "java\tscript:"）
+    const normalized = value.replace(/[\u0000- \u007f]/g, '');
+    const scheme = normalized.match(/^([a-z][a-z0-9+.-]*):/i);
+
+    if (!scheme) return value; // 相对路径、锚点、协议相对 URL（//host）
+    if (ALLOWED_PROTOCOLS.has(scheme[0].toLowerCase())) return value;
+    if (SAFE_DATA_URI.test(normalized)) return value;
+    return fallback;
+}
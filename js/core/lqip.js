@@ -0,0 +1,532 @@
+/**
+ * 低质量图片占位（LQIP）
+ * 从 JPEG 中生成极小的预览图（≤16px，PNG Data URL）和主色，用作图片加载前的占位
+ *
+ * 只解码每个 8×8 块的直流分量（块的平均颜色），得到 1/8 尺寸的图像，无需 IDCT，也不依赖第三方库
+ * 支持基线 JPEG 和渐进式 JPEG（取第一遍直流扫描）；其他格式返回 null
+ * 与运行环境无关：PNG 压缩函数通过参数注入（Node 中为 zlib.deflateSync）
+ *
+ * @module core/lqip
+ */
+
+/**
+ * 预览图的最大边长（像素）
+ */
+const DEFAULT_SIZE = 16;
+
+/**
+ * 主色统计时每个通道保留的位数（3 位 → 8×8×8 个颜色桶）
+ */
+const COLOR_BITS = 3;
+
+/**
+ * 解码后的图像（RGB，每像素 3 字节）
+ * @typedef {Object} RgbImage
+ * @property {number} width
+ * @property {number} height
+ * @property {Uint8Array} data
+ */
+
+/**
+ * 构建 Huffman 解码表（JPEG 规范 F.2.2.3 的 MAXCODE / VALPTR / MINCODE）
+ * @param {Uint8Array} counts - 长度 1~16 的码字数量
+ * @param {Uint8Array} symbols
+ * @returns {{ maxCode: Int32Array, valPtr: Int32Array, minCode: Int32Array, symbols: Uint8Array }}
+ */
+function buildHuffmanTable(counts, symbols) {
+    const maxCode = new Int32Array(17).fill(-1);
+    const valPtr = new Int32Array(17);
+    const minCode = new Int32Array(17);
+    let code = 0;
+    let k = 0;
+    for (let length = 1; length <= 16; length++) {
+        const count = counts[length - 1];
+        valPtr[length] = k;
+        minCode[length] = code;
+        if (count > 0) maxCode[length] = code + count - 1;
+        code = (code + count) << 1;
+        k += count;
+    }
+    return { maxCode, valPtr, minCode, symbols };
+}
+
+/**
+ * 熵编码数据的位读取器（处理 0xFF00 填充字节，遇到标记时停止）
+ * @param {Uint8Array} bytes
+ * @param {number} offset - 扫描数据起始位置
+ */
+function createBitReader(bytes, offset) {
+    let position = offset;
+    let buffer = 0;
+    let bits = 0;
+
+    return {
+        get position() { return position; },
+
+        bit() {
+            if (bits === 0) {
+                if (position >= bytes.length) throw new Error('Unexpected end of scan data');
+                buffer = bytes[position++];
+                if (buffer === 0xff) {
+                    const next = bytes[position];
+                    if (next === 0) position++;
+                    else throw new Error('Unexpected marker in scan data');
+                }
+                bits = 8;
+            }
+            bits--;
+            return (buffer >> bits) & 1;
+        },
+
+        receive(length) {
+            let value = 0;
+            for (let i = 0; i < length; i++) value = (value << 1) | this.bit();
+            return value;
+        },
+
+        decode(table) {
+            let code = 0;
+            for (let length = 1; length <= 16; length++) {
+                code = (code << 1) | this.bit();
+                if (code <= table.maxCode[length]) {
+                    return table.symbols[table.valPtr[length] + code - table.minCode[length]];
+                }
+            }
+            throw new Error('Invalid Huffman code');
+        },
+
+        /** 跳过 RSTn 标记，重新对齐到字节边界 */
+        restart() {
+            bits = 0;
+            while (position + 1 < bytes.length && !(bytes[position] === 0xff && bytes[position + 1] >= 0xd0 && bytes[position + 1] <= 0xd7)) {
+                position++;
+            }
+            position += 2;
+        }
+    };
+}
+
+/**
+ * 符号扩展（JPEG 规范 F.2.2.1 EXTEND）
+ * @param {number} value
+ * @param {number} length
+ * @returns {number}
+ */
+function extend(value, length) {
+    return value < (1 << (length - 1)) ? value - (1 << length) + 1 : value;
+}
+
+/**
+ * 解码一个扫描中各块的直流分量，写入对应分量的 dc 数组
+ * 基线扫描同时跳过交流系数；渐进式的直流扫描没有交流系数
+ * @param {Uint8Array} bytes
+ * @param {number} offset - 扫描数据起始位置
+ * @param {Object} frame
+ * @param {Array<Object>} components - 扫描包含的分量
+ * @param {{ progressive: boolean, successive: number, restartInterval: number }} options
+ * @returns {number} 扫描数据之后的位置
+ */
+function decodeScan(bytes, offset, frame, components, { progressive, successive, restartInterval }) {
+    const reader = createBitReader(bytes, offset);
+    const interleaved = components.length > 1;
+    const mcusPerLine = interleaved ? frame.mcusPerLine : Math.ceil(Math.ceil(frame.width * components[0].h / frame.maxH) / 8);
+    const mcusPerColumn = interleaved ? frame.mcusPerColumn : Math.ceil(Math.ceil(frame.height * components[0].v / frame.maxV) / 8);
+    const total = mcusPerLine * mcusPerColumn;
+
+    components.forEach(c => { c.pred = 0; });
+
+    const decodeBlock = (component, row, col) => {
+        const size = reader.decode(component.dcTable);
+        component.pred += size === 0 ? 0 : extend(reader.receive(size), size);
+        if (row < component.blocksPerColumn && col < component.blocksPerLine) {
+            component.dc[row * component.blocksPerLine + col] = component.pred << successive;
+        }
+        if (progressive) return;
+
+        // 跳过 63 个交流系数
+        for (let k = 1; k < 64;) {
+            const rs = reader.decode(component.acTable);
+            const run = rs >> 4;
+            const length = rs & 15;
+            if (length === 0) {
+                if (run !== 15) break;
+                k += 16;
+            } else {
+                reader.receive(length);
+                k += run + 1;
+            }
+        }
+    };
+
+    for (let mcu = 0; mcu < total; mcu++) {
+        if (restartInterval && mcu > 0 && mcu % restartInterval === 0) {
+            reader.restart();
+            components.forEach(c => { c.pred = 0; });
+        }
+
+        const mcuRow = Math.floor(mcu / mcusPerLine);
+        const mcuCol = mcu % mcusPerLine;
+        if (interleaved) {
+            for (const component of components) {
+                for (let v = 0; v < component.v; v++) {
+                    for (let h = 0; h < component.h; h++) {
+                        decodeBlock(component, mcuRow * component.v + v, mcuCol * component.h + h);
+                    }
+                }
+            }
+        } else {
+            decodeBlock(components[0], mcuRow, mcuCol);
+        }
+    }
+
+    return skipScanData(bytes, reader.position);
+}
+
+/**
+ * 跳过熵编码数据，返回下一个标记（RSTn 除外）的位置
+ * @param {Uint8Array} bytes
+ * @param {number} position
+ * @returns {number}
+ */
+function skipScanData(bytes, position) {
+    while (position + 1 < bytes.length) {
+        const next = bytes[position + 1];
+        if (bytes[position] === 0xff && next !== 0 && next !== 0xff && !(next >= 0xd0 && next <= 0xd7)) break;
+        position++;
+    }
+    return position;
+}
+
+/**
+ * 各分量的直流分量 → RGB 图像（每个像素对应亮度分量的一个 8×8 块）
+ * @param {Object} frame
+ * @returns {RgbImage|null}
+ */
+function toRgb(frame) {
+    const width = Math.ceil(frame.width / 8);
+    const height = Math.ceil(frame.height / 8);
+    const data = new Uint8Array(width * height * 3);
+    const { components } = frame;
+    const clamp = value => Math.max(0, Math.min(255, Math.round(value)));
+
+    // 块平均值 = DC × 量化值 / 8 + 128
+    const sample = (component, x, y) => {
+        const col = Math.min(Math.floor(x * component.h / frame.maxH), component.blocksPerLine - 1);
+        const row = Math.min(Math.floor(y * component.v / frame.maxV), component.blocksPerColumn - 1);
+        return component.dc[row * component.blocksPerLine + col] * component.quant / 8 + 128;
+    };
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 3;
+            if (components.length === 1) {
+                data[i] = data[i + 1] = data[i + 2] = clamp(sample(components[0], x, y));
+            } else {
+                const Y = sample(components[0], x, y);
+                const cb = sample(components[1], x, y) - 128;
+                const cr = sample(components[2], x, y) - 128;
+                data[i] = clamp(Y + 1.402 * cr);
+                data[i + 1] = clamp(Y - 0.344136 * cb - 0.714136 * cr);
+                data[i + 2] = clamp(Y + 1.772 * cb);
+            }
+        }
+    }
+
+    return { width, height, data };
+}
+
+/**
+ * 按 EXIF 方向旋转 / 翻转图像（与浏览器显示方向一致）
+ * @param {RgbImage} image
+ * @param {number} orientation - EXIF 方向（1~8）
+ * @returns {RgbImage}
+ */
+function orient(image, orientation) {
+    if (!orientation || orientation === 1 || orientation > 8) return image;
+
+    const { width: W, height: H } = image;
+    const swap = orientation >= 5;
+    const width = swap ? H : W;
+    const height = swap ? W : H;
+    const data = new Uint8Array(width * height * 3);
+
+    // 目标坐标 (x, y) → 源坐标
+    const source = {
+        2: (x, y) => [W - 1 - x, y],
+        3: (x, y) => [W - 1 - x, H - 1 - y],
+        4: (x, y) => [x, H - 1 - y],
+        5: (x, y) => [y, x],
+        6: (x, y) => [y, H - 1 - x],
+        7: (x, y) => [W - 1 - y, H - 1 - x],
+        8: (x, y) => [W - 1 - y, x]
+    }[orientation];
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const [sx, sy] = source(x, y);
+            data.set(image.data.subarray((sy * W + sx) * 3, (sy * W + sx) * 3 + 3), (y * width + x) * 3);
+        }
+    }
+    return { width, height, data };
+}
+
+/**
+ * 按面积平均缩小到最大边长 size
+ * @param {RgbImage} image
+ * @param {number} size
+ * @returns {RgbImage}
+ */
+function downscale(image, size) {
+    const scale = Math.min(1, size / Math.max(image.width, image.height));
+    const width = Math.max(1, Math.round(image.width * scale));
+    const height = Math.max(1, Math.round(image.height * scale));
+    const data = new Uint8Array(width * height * 3);
+
+    for (let y = 0; y < height; y++) {
+        const y0 = Math.floor(y * image.height / height);
+        const y1 = Math.max(y0 + 1, Math.floor((y + 1) * image.height / height));
+        for (let x = 0; x < width; x++) {
+            const x0 = Math.floor(x * image.width / width);
+            const x1 = Math.max(x0 + 1, Math.floor((x + 1) * image.width / width));
+            const sum = [0, 0, 0];
+            for (let sy = y0; sy < y1; sy++) {
+                for (let sx = x0; sx < x1; sx++) {
+                    const i = (sy * image.width + sx) * 3;
+                    sum[0] += image.data[i];
+                    sum[1] += image.data[i + 1];
+                    sum[2] += image.data[i + 2];
+                }
+            }
+            const count = (y1 - y0) * (x1 - x0);
+            data.set(sum.map(v => Math.round(v / count)), (y * width + x) * 3);
+        }
+    }
+    return { width, height, data };
+}
+
+/**
+ * 主色：按 COLOR_BITS 量化后像素最多的颜色桶的平均色
+ * @param {RgbImage} image
+ * @returns {string} #rrggbb
+ */
+function dominantColor(image) {
+    const shift = 8 - COLOR_BITS;
+    const buckets = new Map();
+    for (let i = 0; i < image.data.length; i += 3) {
+        const [r, g, b] = image.data.subarray(i, i + 3);
+        const key = ((r >> shift) << (2 * COLOR_BITS)) | ((g >> shift) << COLOR_BITS) | (b >> shift);
+        const bucket = buckets.get(key) || { count: 0, sum: [0, 0, 0] };
+        bucket.count++;
+        bucket.sum[0] += r;
+        bucket.sum[1] += g;
+        bucket.sum[2] += b;
+        buckets.set(key, bucket);
+    }
+
+    let best = null;
+    for (const bucket of buckets.values()) {
+        if (!best || bucket.count > best.count) best = bucket;
+    }
+    return `#${best.sum.map(v => Math.round(v / best.count).toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * CRC-32（PNG 块校验）
+ */
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * 编码为 PNG（RGB，8 位，无行滤波）
+ * @param {RgbImage} image
+ * @param {(data: Uint8Array) => Uint8Array} deflate - zlib 压缩
+ * @returns {Uint8Array}
+ */
+function encodePng({ width, height, data }, deflate) {
+    const rows = new Uint8Array(height * (width * 3 + 1));
+    for (let y = 0; y < height; y++) {
+        rows.set(data.subarray(y * width * 3, (y + 1) * width * 3), y * (width * 3 + 1) + 1);
+    }
+
+    const chunk = (type, body) => {
+        const bytes = new Uint8Array(body.length + 12);
+        const view = new DataView(bytes.buffer);
+        view.setUint32(0, body.length);
+        bytes.set([...type].map(c => c.charCodeAt(0)), 4);
+        bytes.set(body, 8);
+        view.setUint32(body.length + 8, crc32(bytes.subarray(4, body.length + 8)));
+        return bytes;
+    };
+
+    const header = new Uint8Array(13);
+    new DataView(header.buffer).setUint32(0, width);
+    new DataView(header.buffer).setUint32(4, height);
+    header.set([8, 2, 0, 0, 0], 8);
+
+    const parts = [
+        new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        chunk('IHDR', header),
+        chunk('IDAT', deflate(rows)),
+        chunk('IEND', new Uint8Array(0))
+    ];
+    const png = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        png.set(part, offset);
+        offset += part.length;
+    }
+    return png;
+}
+
+export const Lqip = {
+    /**
+     * 解码 JPEG 的 1/8 尺寸预览（每个 8×8 块的平均颜色，未按 EXIF 方向旋转）
+     *
+     * @param {Uint8Array} bytes - 完整的 JPEG 文件
+     * @returns {RgbImage|null} 不是 JPEG、不支持的编码（算术编码、无损、CMYK）或数据损坏时返回 null
+     */
+    decodeJpegPreview(bytes) {
+        if (bytes.length < 4 || bytes[0] !== 0xff || bytes[1] !== 0xd8) return null;
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const quantTables = [];
+        const dcTables = [];
+        const acTables = [];
+        let frame = null;
+        let restartInterval = 0;
+        let offset = 2;
+
+        try {
+            while (offset + 4 <= bytes.length) {
+                if (bytes[offset] !== 0xff) return null;
+                const marker = bytes[offset + 1];
+                if (marker === 0xff) {
+                    offset++;
+                    continue;
+                }
+                if (marker === 0xd9) break;
+
+                const length = view.getUint16(offset + 2);
+                const data = offset + 4;
+                const end = offset + 2 + length;
+
+                if (marker === 0xdb) {
+                    // DQT：只需要每张表的第一个值（直流量化值）
+                    for (let p = data; p < end;) {
+                        const precision = bytes[p] >> 4;
+                        quantTables[bytes[p] & 15] = precision ? view.getUint16(p + 1) : bytes[p + 1];
+                        p += 1 + 64 * (precision ? 2 : 1);
+                    }
+                } else if (marker === 0xc4) {
+                    // DHT
+                    for (let p = data; p < end;) {
+                        const counts = bytes.subarray(p + 1, p + 17);
+                        const total = counts.reduce((sum, c) => sum + c, 0);
+                        const table = buildHuffmanTable(counts, bytes.subarray(p + 17, p + 17 + total));
+                        (bytes[p] >> 4 ? acTables : dcTables)[bytes[p] & 15] = table;
+                        p += 17 + total;
+                    }
+                } else if (marker === 0xdd) {
+                    restartInterval = view.getUint16(data);
+                } else if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+                    // 只支持 Huffman 编码的基线（SOF0/1）和渐进式（SOF2）
+                    if (marker > 0xc2) return null;
+                    const count = bytes[data + 5];
+                    if (count !== 1 && count !== 3) return null;
+
+                    const components = [];
+                    for (let i = 0; i < count; i++) {
+                        const p = data + 6 + i * 3;
+                        components.push({ id: bytes[p], h: bytes[p + 1] >> 4, v: bytes[p + 1] & 15, quantId: bytes[p + 2] });
+                    }
+                    frame = {
+                        progressive: marker === 0xc2,
+                        height: view.getUint16(data + 1),
+                        width: view.getUint16(data + 3),
+                        maxH: Math.max(...components.map(c => c.h)),
+                        maxV: Math.max(...components.map(c => c.v)),
+                        components
+                    };
+                    frame.mcusPerLine = Math.ceil(frame.width / (8 * frame.maxH));
+                    frame.mcusPerColumn = Math.ceil(frame.height / (8 * frame.maxV));
+                    for (const c of components) {
+                        c.blocksPerLine = frame.mcusPerLine * c.h;
+                        c.blocksPerColumn = frame.mcusPerColumn * c.v;
+                        c.dc = new Int32Array(c.blocksPerLine * c.blocksPerColumn);
+                        c.done = false;
+                    }
+                } else if (marker === 0xda) {
+                    if (!frame) return null;
+                    const count = bytes[data];
+                    const scan = [];
+                    for (let i = 0; i < count; i++) {
+                        const component = frame.components.find(c => c.id === bytes[data + 1 + i * 2]);
+                        if (!component) return null;
+                        const tables = bytes[data + 2 + i * 2];
+                        component.dcTable = dcTables[tables >> 4];
+                        component.acTable = acTables[tables & 15];
+                        scan.push(component);
+                    }
+                    const spectralStart = bytes[data + 1 + count * 2];
+                    const approximation = bytes[data + 3 + count * 2];
+
+                    // 渐进式 JPEG 只解码第一遍直流扫描（Ss = 0，Ah = 0）
+                    const isFirstDcScan = spectralStart === 0 && (approximation >> 4) === 0 && scan.every(c => !c.done);
+                    if (isFirstDcScan) {
+                        offset = decodeScan(bytes, end, frame, scan, {
+                            progressive: frame.progressive,
+                            successive: frame.progressive ? approximation & 15 : 0,
+                            restartInterval
+                        });
+                        scan.forEach(c => { c.done = true; });
+                        if (frame.components.every(c => c.done)) break;
+                    } else {
+                        offset = skipScanData(bytes, end);
+                    }
+                    continue;
+                }
+
+                offset = end;
+            }
+        } catch {
+            return null;
+        }
+
+        if (!frame || !frame.components.every(c => c.done)) return null;
+        for (const c of frame.components) {
+            c.quant = quantTables[c.quantId] ?? 1;
+        }
+        return toRgb(frame);
+    },
+
+    /**
+     * 生成占位数据：预览图（PNG Data URL）和主色
+     *
+     * @param {Uint8Array} bytes - 完整的 JPEG 文件
+     * @param {Object} options
+     * @param {(data: Uint8Array) => Uint8Array} options.deflate - zlib 压缩函数
+     * @param {number} [options.orientation=1] - EXIF 方向
+     * @param {number} [options.size=16] - 预览图最大边长
+     * @returns {{ color: string, lqip: string }|null} 无法解码时返回 null
+     */
+    createPlaceholder(bytes, { deflate, orientation = 1, size = DEFAULT_SIZE }) {
+        const preview = this.decodeJpegPreview(bytes);
+        if (!preview) return null;
+
+        const image = orient(preview, orientation);
+        const png = encodePng(downscale(image, size), deflate);
+        return {
+            color: dominantColor(image),
+            lqip: `data:image/png;base64,${btoa(String.fromCharCode(...png))}`
+        };
+    }
+};
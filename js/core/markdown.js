@@ -0,0 +1,184 @@
+/**
+ * 轻量 Markdown 渲染模块（安全子集）
+ * 用于多行字段（日记内容、评价）的正文渲染
+ *
+ * 支持的语法：
+ * - 段落（空行分隔），段内换行保留为 <br>
+ * - 无序列表（- / * / + 开头）、有序列表（1. 开头）
+ * - 引用块（> 开头）
+ * - 行内：**粗体**、*斜体* / _斜体_、`行内代码`、[文本](链接)
+ *
+ * 安全：先转义全部 HTML，再生成有限的标签；链接地址经 safeUrl 白名单检查
+ *
+ * @module core/markdown
+ */
+
+import { escapeHtml, unescapeHtml, safeUrl } from './html.js';
+
+const LIST_PATTERNS = {
+    ul: /^[-*+]\s+/,
+    ol: /^\d+[.)]\s+/
+};
+
+export const Markdown = {
+    /**
+     * 渲染块级 Markdown 为 HTML
+     *
+     * @param {string} text - Markdown 文本
+     * @returns {string} HTML 字符串
+     */
+    render(text) {
+        if (!text) return '';
+        return this._splitBlocks(String(text))
+            .map(block => this._renderBlock(block))
+            .join('');
+    },
+
+    /**
+     * 渲染行内 Markdown（不生成块级标签）
+     *
+     * @param {string} text - 单行 Markdown 文本
+     * @returns {string} HTML 字符串
+     */
+    renderInline(text) {
+        if (!text) return '';
+
+        // 行内代码和链接先提取为占位符，避免其中的内容（如 URL 中的 _）被继续解析
+        const tokens = [];
+        const hold = (html) => {
+            tokens.push(html);
+            return `\u0000${tokens.length - 1}\u0000`;
+        };
+
+        let html = escapeHtml(text).replace(/`([^`]+)`/g, (_, code) => hold(`<code>${code}</code>`));
+
+        // 链接文本和地址均已转义；地址需还原实体后再做白名单检查
+        html = html.replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, href) => {
+            const url = safeUrl(unescapeHtml(href), null);
+            if (url === null) return label;
+            const external = /^https?:/i.test(url);
+            return hold(`<a href="${escapeHtml(url)}"${external ? ' target="_blank" rel="noopener"' : ''}>${this._emphasis(label)}</a>`);
+        });
+
+        return this._emphasis(html).replace(/\u0000(\d+)\u0000/g, (_, i) => tokens[Number(i)]);
+    },
+
+    /**
+     * 紧凑渲染：去掉块级标记（列表、引用），所有行合并为一行后按行内语法渲染
+     * 用于卡片上固定行数的评价摘要
+     *
+     * @param {string} text - Markdown 文本
+     * @returns {string} HTML 字符串
+     */
+    renderCompact(text) {
+        if (!text) return '';
+        return this.renderInline(this._stripBlockMarkers(text).join(' '));
+    },
+
+    /**
+     * 转为纯文本（去除 Markdown 标记），用于 tooltip、摘要和 meta 描述
+     *
+     * @param {string} text - Markdown 文本
+     * @returns {string} 纯文本（多行合并为一行）
+     */
+    toPlainText(text) {
+        if (!text) return '';
+        return this._stripBlockMarkers(text)
+            .join(' ')
+            .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+            .replace(/`([^`]+)`/g, '$1')
+            .replace(/\*\*(.+?)\*\*/g, '$1')
+            .replace(/(^|[^*])\*([^*]+)\*/g, '$1$2')
+            .replace(/(^|[^\w])_([^_]+)_(?!\w)/g, '$1$2');
+    },
+
+    /**
+     * 去掉每行的块级标记，返回非空行
+     * @private
+     * @param {string} text
+     * @returns {string[]}
+     */
+    _stripBlockMarkers(text) {
+        return String(text)
+            .split(/\r?\n/)
+            .map(line => line.trim()
+                .replace(/^>\s?/, '')
+                .replace(LIST_PATTERNS.ul, '')
+                .replace(LIST_PATTERNS.ol, ''))
+            .filter(Boolean);
+    },
+
+    /**
+     * 粗体 / 斜体
+     * @private
+     * @param {string} html - 已转义的文本
+     * @returns {string}
+     */
+    _emphasis(html) {
+        return html
+            .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+            .replace(/(^|[^*])\*([^*\s](?:.*?[^*\s])?)\*(?!\*)/g, '$1<em>$2</em>')
+            .replace(/(^|[^\w])_([^_\s](?:.*?[^_\s])?)_(?!\w)/g, '$1<em>$2</em>');
+    },
+
+    /**
+     * 按空行和块类型切分
+     * @private
+     * @param {string} text
+     * @returns {Array<{type: string, lines: string[]}>}
+     */
+    _splitBlocks(text) {
+        const blocks = [];
+        let current = null;
+
+        text.split(/\r?\n/).forEach(rawLine => {
+            const line = rawLine.trim();
+            if (!line) {
+                current = null;
+                return;
+            }
+
+            let type = 'p';
+            if (line.startsWith('>')) type = 'blockquote';
+            else if (LIST_PATTERNS.ul.test(line)) type = 'ul';
+            else if (LIST_PATTERNS.ol.test(line)) type = 'ol';
+
+            // 段落中的非列表行延续当前列表项（惰性续行）
+            if (current && (current.type === type || (type === 'p' && current.type !== 'blockquote'))) {
+                current.lines.push(line);
+                return;
+            }
+
+            current = { type, lines: [line] };
+            blocks.push(current);
+        });
+
+        return blocks;
+    },
+
+    /**
+     * 渲染单个块
+     * @private
+     */
+    _renderBlock({ type, lines }) {
+        switch (type) {
+            case 'blockquote': {
+                const inner = lines.map(line => line.replace(/^>\s?/, '')).join('\n');
+                return `<blockquote>${this.render(inner)}</blockquote>`;
+            }
+            case 'ul':
+            case 'ol': {
+                const pattern = LIST_PATTERNS[type];
+                const items = [];
+                lines.forEach(line => {
+                    if (pattern.test(line)) items.push([line.replace(pattern, '')]);
+                    else items[items.length - 1].push(line);
+                });
+                const lis = items.map(parts => `<li>${parts.map(p => this.renderInline(p)).join('<br>')}</li>`).join('');
+                return `<${type}>${lis}</${type}>`;
+            }
+            default:
+                return `<p>${lines.map(line => this.renderInline(line)).join('<br>')}</p>`;
+        }
+    }
+};
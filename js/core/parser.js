@@ -1,12 +1,24 @@
-import { parseField, parseLink, slugify } from './utils.js';
+import { parseField, parseLinkValue, slugify } from './utils.js';
 import { DateUtils } from './date-utils.js';
-import { SortStrategyFactory } from './sort-strategy.js';
+import { FieldSchema, VALUE_PARSERS } from './field-schema.js';
 
 export const Parser = {
+    /**
+     * 解析结果的结构版本
+     * 修改解析逻辑、字段 Schema 或派生字段（导致同一份 Markdown 的解析结果不同）时递增，使持久化缓存失效
+     * @type {number}
+     */
+    VERSION: 4,
+
     /**
      * 解析博客配置文件
+     *
+     * @param {string} md - 配置文件 Markdown
+     * @param {Object} [options]
+     * @param {string} [options.file='contents/博客配置.md'] - 来源文件路径（记录到 category.source）
+     * @returns {Object} 配置对象
      */
-    parseConfig(md) {
+    parseConfig(md, { file = 'contents/博客配置.md' } = {}) {
         const lines = md.split(/\r?\n/);
         const config = {
             blogInfo: {},
@@ -17,8 +29,9 @@ export const Parser = {
         let currentSection = null;
         let currentCategory = null;
 
-        for (const line of lines) {
+        for (const [index, line] of lines.entries()) {
             const trimmed = line.trim();
+            const lineNo = index + 1;
             if (!trimmed) continue;
 
             if (/^##\s+博客信息/.test(trimmed)) { currentSection = 'blog'; continue; }
@@ -47,6 +60,27 @@ export const Parser = {
 
                 const copyright = parseField(trimmed, '版权');
                 if (copyright) config.blogInfo.copyright = copyright;
+
+                // 源码仓库：用于生成“在 GitHub 上编辑”链接
+                const repo = parseField(trimmed, '源码仓库');
+                if (repo) {
+                    const { url } = parseLinkValue(repo);
+                    if (url !== '#') {
+                        config.blogInfo.repo = { ...config.blogInfo.repo, url: url.replace(/(\.git)?\/*$/, '') };
+                    }
+                }
+
+                const branch = parseField(trimmed, '源码分支');
+                if (branch) config.blogInfo.repo = { ...config.blogInfo.repo, branch };
+
+                // 图片代理：按优先级排列，失败时依次降级；自建服务用链接语法指定地址，如 [imgproxy](https://img.example.com)
+                const imageProxy = parseField(trimmed, '图片代理');
+                if (imageProxy) {
+                    config.blogInfo.imageProxy = imageProxy.split(/[、,，]/).map(t => t.trim()).filter(Boolean).map((entry) => {
+                        const m = entry.match(/^\[(.*?)\]\((.*?)\)$/);
+                        return m ? { name: m[1].trim().toLowerCase(), baseUrl: m[2].trim() } : { name: entry.toLowerCase() };
+                    });
+                }
             } else if (currentSection === 'author') {
                 const name = parseField(trimmed, '姓名');
                 if (name) config.authorInfo.name = name;
@@ -79,12 +113,15 @@ export const Parser = {
                     currentCategory = {
                         title: title,
                         id: slugify(title),
-                        type: 'default' // Default type
+                        type: 'default', // Default type
+                        source: { file, line: lineNo, endLine: lineNo }
                     };
                     config.categories.push(currentCategory);
                     continue;
                 }
                 if (currentCategory) {
+                    currentCategory.source.endLine = lineNo;
+
                     const type = parseField(trimmed, '样式类型');
                     if (type) currentCategory.type = type;
 
@@ -97,6 +134,12 @@ export const Parser = {
                     const limit = parseField(trimmed, '展示限制');
                     if (limit) currentCategory.limit = limit;
 
+                    // 地图模式底图（照片分类）：GeoJSON 轮廓或本地瓦片地址模板（{z}/{x}/{y}）
+                    const outline = parseField(trimmed, '地图轮廓');
+                    if (outline) currentCategory.map = { ...currentCategory.map, outline: VALUE_PARSERS.path(outline) };
+                    const tiles = parseField(trimmed, '地图瓦片');
+                    if (tiles) currentCategory.map = { ...currentCategory.map, tiles: VALUE_PARSERS.path(tiles) };
+
                     if (trimmed.startsWith('链接：')) {
                         const m = trimmed.match(/\((.*?)\)$/);
                         if (m) {
@@ -108,27 +151,62 @@ export const Parser = {
                 }
             }
         }
+        if (config.blogInfo.repo) {
+            // 仓库地址缺失时忽略分支设置；分支默认为 main
+            if (!config.blogInfo.repo.url) delete config.blogInfo.repo;
+            else config.blogInfo.repo.branch = config.blogInfo.repo.branch || 'main';
+        }
+
         config.categories.sort((a, b) => (a.order || 99) - (b.order || 99));
         return config;
     },
 
     /**
      * 解析分类内容文件 (markdown -> items array)
+     *
+     * @param {string} md - Markdown 文本
+     * @param {Object} [options]
+     * @param {string} [options.type='default'] - 分类类型，决定使用哪套字段 Schema
+     * @param {string} [options.file] - 来源文件路径（记录到 item.source，用于错误定位和编辑链接）
+     * @returns {Array<Object>} 数据项数组
      */
-    parseContent(md) {
+    parseContent(md, { type = 'default', file = null } = {}) {
         const lines = md.split(/\r?\n/);
         const items = [];
         let currentItem = null;
 
+        // 来源位置：{ file, line, endLine, fields: { [key]: { line, endLine } } }，行号从 1 开始
+        const createSource = (lineNo) => ({ file, line: lineNo, endLine: lineNo, fields: {} });
+
+        // 正在读取的多行字段：{ field, target, item, lines, line, endLine }
+        let block = null;
+
+        const closeBlock = () => {
+            if (!block) return;
+            const value = FieldSchema.parseValue(block.field, block.lines.join('\n').trim());
+            if (value !== null) {
+                FieldSchema.assign(block.field, block.target, block.item, value);
+                const owner = block.field.scope === 'item' ? block.item : block.target;
+                owner.source.fields[block.field.key] = { line: block.line, endLine: block.endLine };
+            }
+            block = null;
+        };
+
         const pushItem = () => {
+            closeBlock();
             if (currentItem && currentItem.title) {
+                FieldSchema.applyDerived(currentItem, type);
                 items.push(currentItem);
             }
             currentItem = null;
         };
 
-        for (const line of lines) {
+        for (const [index, line] of lines.entries()) {
             const trimmed = line.trim();
+            const lineNo = index + 1;
+
+            // 多行字段在下一个标题或已知字段处结束
+            if (block && FieldSchema.isBlockEnd(trimmed, type)) closeBlock();
 
             // H2: New Item
             if (/^##\s+/.test(trimmed)) {
@@ -136,7 +214,8 @@ export const Parser = {
                 const title = trimmed.replace(/^##\s+/, '').trim();
                 currentItem = {
                     title: title,
-                    photos: [] // For photo sets
+                    photos: [], // For photo sets
+                    source: createSource(lineNo)
                 };
                 // 尝试从标题提取日期（用于日记等时间性内容）
                 const dateObj = DateUtils.extractDateFromTitle(title);
@@ -153,197 +232,51 @@ export const Parser = {
                     currentItem.isSet = true;
                     // Switch context to new photo object
                     const photoTitle = trimmed.replace(/^###\s+/, '').trim();
-                    currentItem.currentSubItem = { title: photoTitle };
+                    currentItem.currentSubItem = { title: photoTitle, source: createSource(lineNo) };
                     currentItem.photos.push(currentItem.currentSubItem);
+                    currentItem.source.endLine = lineNo;
                 }
                 continue;
             }
 
             if (!currentItem) continue;
 
-            // Target is either the main item or the sub-item (photo)
-            let target = currentItem;
-            if (currentItem.isSet && currentItem.currentSubItem) {
-                target = currentItem.currentSubItem;
-            }
-
-            // --- Fields ---
-            // Support both '展示序号' (legacy) and '序号' (new local index)
-            const order = parseField(trimmed, '展示序号') || parseField(trimmed, '序号');
-            if (order) {
-                // For gallery sub-items, this effectively becomes a local index (e.g., "1", "2")
-                target.order = order;
-                continue;
-            }
-
-            const quantity = parseField(trimmed, '数量');
-            if (quantity) {
-                const count = parseInt(quantity, 10);
-                // 数量大于1视为图集
-                if (!isNaN(count) && count > 1) {
-                    currentItem.isSet = true;
-                    continue;
-                }
-            }
-
-            const desc = parseField(trimmed, '描述');
-            if (desc) { target.desc = desc; continue; }
-
-            const tech = parseField(trimmed, '技术栈');
-            if (tech) { target.tech = tech; continue; }
-
-            // Game fields
-            const status = parseField(trimmed, '状态');
-            if (status) { target.status = status; continue; }
-
-            const gameType = parseField(trimmed, '游戏类型') || parseField(trimmed, '标签');
-            if (gameType) { target.tags = gameType; continue; } // Unify as tags
-
-            const dev = parseField(trimmed, '开发商') || parseField(trimmed, '厂商');
-            if (dev) { target.dev = dev; continue; }
-
-            const platform = parseField(trimmed, '发售平台') || parseField(trimmed, '平台');
-            if (platform) { target.platform = platform; continue; }
-
-            const releaseDate = parseField(trimmed, '发售日期') || parseField(trimmed, '日期');
-            if (releaseDate) { target.releaseDate = releaseDate; continue; }
-
-            const review = parseField(trimmed, '评价');
-            if (review) { target.review = review; continue; }
-
-            // Book fields
-            const author = parseField(trimmed, '作者');
-            if (author) { target.author = author; continue; }
-
-            const publishYear = parseField(trimmed, '出版年份') || parseField(trimmed, '出版时间');
-            if (publishYear) { target.publishYear = publishYear; continue; }
-
-            const bookType = parseField(trimmed, '书籍类型');
-            if (bookType) { target.tags = bookType; continue; } // Unify as tags
-
-            // Photo fields
-            const pLoc = parseField(trimmed, '拍摄地点');
-            if (pLoc) { target.photoLocation = pLoc; continue; }
-            const pDate = parseField(trimmed, '拍摄日期');
-            if (pDate) { target.photoDate = pDate; continue; }
-
-            // NEW: Photo Source (directory mode for auto-discovery)
-            const photoSourceRaw = parseField(trimmed, '照片源');
-            if (photoSourceRaw) {
-                // Extract directory path from markdown link: [](../assets/images/photos/dirName)
-                const m = photoSourceRaw.match(/\((.*?)\)$/);
-                let path = m ? m[1] : photoSourceRaw;
-                if (path.startsWith('../')) path = path.substring(3);
-                
-                currentItem.photoSourcePath = path;
-                currentItem.photoSourceMode = true; // Mark as new format
-                continue;
+            // 非空行都计入当前数据项（及当前子项）的行范围
+            if (trimmed) {
+                currentItem.source.endLine = lineNo;
+                if (currentItem.currentSubItem) currentItem.currentSubItem.source.endLine = lineNo;
             }
 
-            // Diary fields
-            const weather = parseField(trimmed, '天气');
-            if (weather) { target.weather = weather; continue; }
-
-            const mood = parseField(trimmed, '心情');
-            if (mood) { target.mood = mood; continue; }
-
-            const diaryContent = parseField(trimmed, '内容');
-            if (diaryContent) { target.content = diaryContent; continue; }
-
-            const diaryImage = parseField(trimmed, '配图');
-            if (diaryImage) {
-                const m = diaryImage.match(/^!\[.*?\]\((.+?)\)$/);
-                if (m) {
-                    let url = m[1];
-                    if (url.startsWith('../')) url = url.substring(3);
-                    target.image = url;
-                }
+            // 多行字段正文（保留空行，用于分段）
+            if (block) {
+                block.lines.push(trimmed);
+                if (trimmed) block.endLine = lineNo;
                 continue;
             }
 
-            // Music fields
-            const artist = parseField(trimmed, '作者');
-            if (artist) { target.artist = artist; continue; }
-
-            const duration = parseField(trimmed, '歌曲时长') || parseField(trimmed, '片长');
-            if (duration) { target.duration = duration; continue; }
-
-            const album = parseField(trimmed, '专辑');
-            if (album) { target.album = album; continue; }
-
-            const releaseTime = parseField(trimmed, '发行时间') || parseField(trimmed, '上映日期') || parseField(trimmed, '上映年份');
-            if (releaseTime) { target.releaseTime = releaseTime; continue; }
-
-            // Film fields
-            const director = parseField(trimmed, '导演');
-            if (director) { target.director = director; continue; }
-
-            const starring = parseField(trimmed, '主演');
-            if (starring) { target.starring = starring; continue; }
-
-            const region = parseField(trimmed, '制片国家/地区') || parseField(trimmed, '地区');
-            if (region) { target.region = region; continue; }
-
-            const language = parseField(trimmed, '语言');
-            if (language) { target.language = language; continue; }
-
-            const imdb = parseField(trimmed, 'IMDb');
-            if (imdb) { target.imdb = imdb; continue; }
-
-            const filmType = parseField(trimmed, '类型'); // Film genre
-            if (filmType) { target.tags = filmType; continue; }
-
-            const audioPreview = parseField(trimmed, '音频预览');
-            if (audioPreview) {
-                const m = audioPreview.match(/\[.*?\]\((.*?)\)$/);
-                target.audioPreview = m ? m[1] : audioPreview;
-                continue;
+            // Target is either the main item or the sub-item (photo)
+            let target = currentItem;
+            if (currentItem.isSet && currentItem.currentSubItem) {
+                target = currentItem.currentSubItem;
             }
 
-            // Images
-            const coverRaw = parseField(trimmed, '封面') || parseField(trimmed, 'Cover');
-            if (coverRaw) {
-                // Strict validation: must be markdown image format ![alt](url)
-                const m = coverRaw.match(/^!\[(.*?)\]\((.+?)\)$/);
-                if (m && m[2] && m[2].trim()) {
-                    target.cover = m[2].trim();
-                }
-                // If format invalid or url empty, target.cover remains undefined
-                // allowing fallback to ISBN logic below
-                if (target.cover) continue;
-            }
+            // --- Fields ---
+            // 按分类类型的 Schema 识别字段（未识别的行直接忽略）
+            const match = FieldSchema.matchLine(trimmed, type);
+            if (!match) continue;
 
-            const isbn = parseField(trimmed, 'ISBN');
-            if (isbn && !target.cover) {
-                // 使用 weserv.nl 代理 Open Library 封面（解决国内无法访问问题）
-                const openLibraryUrl = `https://covers.openlibrary.org/b/isbn/${isbn}-L.jpg`;
-                target.cover = `https://images.weserv.nl/?url=${encodeURIComponent(openLibraryUrl)}`;
+            if (match.field.block) {
+                block = { field: match.field, target, item: currentItem, lines: [match.raw], line: lineNo, endLine: lineNo };
                 continue;
             }
 
-            const steamId = parseField(trimmed, 'SteamID') || parseField(trimmed, 'SteamAppID');
-            if (steamId && !target.cover) {
-                // Auto-generate cover from Steam CDN if no custom cover provided
-                target.cover = `https://cdn.akamai.steamstatic.com/steam/apps/${steamId}/header.jpg`;
-                continue;
-            }
+            const value = FieldSchema.parseValue(match.field, match.raw);
+            if (value === null) continue;
 
-            const photoRaw = parseField(trimmed, '照片链接');
-            if (photoRaw) {
-                const m = photoRaw.match(/\((.*?)\)$/);
-                let url = m ? m[1] : photoRaw;
-                if (url.startsWith('../')) url = url.substring(3);
-                target.photoUrl = url;
-                continue;
-            }
+            FieldSchema.assign(match.field, target, currentItem, value);
 
-            // Link
-            if (/^链接\s*[:：]/.test(trimmed)) {
-                const link = parseLink(trimmed);
-                target.linkText = link.text;
-                target.linkUrl = link.url;
-                continue;
-            }
+            const owner = match.field.scope === 'item' ? currentItem : target;
+            owner.source.fields[match.field.key] = { line: lineNo, endLine: lineNo };
         }
         pushItem();
 
@@ -0,0 +1,176 @@
+/**
+ * 重试策略
+ * 负责失败请求的重试等待时间，以及按域名的熔断
+ *
+ * - 指数退避 + 随机抖动：第 n 次重试等待 [cap/2, cap) 毫秒，cap = min(maxDelay, baseDelay × 2^(n-1))，
+ *   避免同一时刻失败的大量图片同时重试
+ * - 熔断器：同一域名连续失败 failureThreshold 次后断开（OPEN），cooldown 内该域名的请求全部跳过；
+ *   冷却结束后放行一个试探请求（HALF_OPEN），成功则恢复，失败则重新断开并加倍冷却时间（不超过 maxCooldown）；
+ *   试探请求被取消时，再过一个冷却时间放行下一个
+ *
+ * 不依赖 DOM；时钟和随机数可注入（测试见 test-retry-policy.js）
+ */
+
+/**
+ * 熔断器状态
+ */
+export const BREAKER_STATE = {
+    CLOSED: 'closed',       // 正常
+    OPEN: 'open',           // 断开，跳过该域名
+    HALF_OPEN: 'half-open'  // 冷却结束，试探请求进行中
+};
+
+/**
+ * 默认参数
+ */
+const DEFAULT_OPTIONS = {
+    baseDelay: 500,
+    maxDelay: 8000,
+    failureThreshold: 3,
+    cooldown: 30 * 1000,
+    maxCooldown: 5 * 60 * 1000,
+    now: () => Date.now(),
+    random: Math.random
+};
+
+/**
+ * URL 的域名（相对路径按当前页面解析）
+ * @param {string} url
+ * @returns {string}
+ */
+export function hostOf(url) {
+    try {
+        return new URL(url, globalThis.location?.href || 'http://localhost/').host;
+    } catch {
+        return '';
+    }
+}
+
+/**
+ * 创建重试策略
+ *
+ * @param {Object} [options] - 覆盖 DEFAULT_OPTIONS
+ * @returns {Object} 重试策略
+ */
+export function createRetryPolicy(options = {}) {
+    const config = { ...DEFAULT_OPTIONS, ...options };
+
+    return {
+        /**
+         * 连续失败多少次后断开
+         * @type {number}
+         */
+        failureThreshold: config.failureThreshold,
+
+        /**
+         * 域名 → { state, failures, cooldown, openUntil }（没有记录的域名为 CLOSED）
+         * @private
+         * @type {Map<string, Object>}
+         */
+        _breakers: new Map(),
+
+        /**
+         * 第 attempt 次重试前的等待时间（毫秒）
+         *
+         * @param {number} attempt - 重试次数（从 1 开始）
+         * @returns {number}
+         */
+        getDelay(attempt) {
+            const cap = Math.min(config.maxDelay, config.baseDelay * 2 ** Math.max(0, attempt - 1));
+            return Math.floor(cap / 2 + config.random() * cap / 2);
+        },
+
+        /**
+         * 是否允许请求该 URL（熔断器断开时返回 false；冷却结束后只放行一个试探请求）
+         *
+         * @param {string} url
+         * @returns {boolean}
+         */
+        allows(url) {
+            const breaker = this._breakers.get(hostOf(url));
+            if (!breaker || breaker.state === BREAKER_STATE.CLOSED) return true;
+            if (config.now() < breaker.openUntil) return false;
+
+            // 冷却结束（或上一个试探请求被取消、超过冷却时间仍无结果）：放行一个试探请求
+            breaker.state = BREAKER_STATE.HALF_OPEN;
+            breaker.openUntil = config.now() + breaker.cooldown;
+            return true;
+        },
+
+        /**
+         * 记录请求失败
+         *
+         * @param {string} url
+         * @returns {boolean} 本次失败是否使该域名的熔断器断开
+         */
+        recordFailure(url) {
+            const host = hostOf(url);
+            const breaker = this._breakers.get(host) || { state: BREAKER_STATE.CLOSED, failures: 0, cooldown: 0, openUntil: 0 };
+            this._breakers.set(host, breaker);
+
+            breaker.failures++;
+            if (breaker.state === BREAKER_STATE.HALF_OPEN) {
+                breaker.cooldown = Math.min(config.maxCooldown, breaker.cooldown * 2);
+            } else if (breaker.state === BREAKER_STATE.CLOSED && breaker.failures >= config.failureThreshold) {
+                breaker.cooldown = config.cooldown;
+            } else {
+                return false;
+            }
+
+            breaker.state = BREAKER_STATE.OPEN;
+            breaker.openUntil = config.now() + breaker.cooldown;
+            return true;
+        },
+
+        /**
+         * 记录请求成功（恢复该域名）
+         *
+         * @param {string} url
+         */
+        recordSuccess(url) {
+            this._breakers.delete(hostOf(url));
+        },
+
+        /**
+         * 域名的熔断器状态
+         *
+         * @param {string} url - URL 或域名所在的任意地址
+         * @returns {string} BREAKER_STATE
+         */
+        getState(url) {
+            return this._breakers.get(hostOf(url))?.state || BREAKER_STATE.CLOSED;
+        },
+
+        /**
+         * 域名的连续失败次数
+         *
+         * @param {string} url - URL 或域名所在的任意地址
+         * @returns {number}
+         */
+        getFailures(url) {
+            return this._breakers.get(hostOf(url))?.failures || 0;
+        },
+
+        /**
+         * 熔断器未恢复的域名（用于调试和遥测）
+         *
+         * @returns {Array<{host: string, state: string, failures: number, openUntil: number}>}
+         */
+        getOpenHosts() {
+            return Array.from(this._breakers, ([host, { state, failures, openUntil }]) => ({ host, state, failures, openUntil }))
+                .filter(breaker => breaker.state !== BREAKER_STATE.CLOSED);
+        },
+
+        /**
+         * 恢复所有域名（用户手动重试时）
+         */
+        reset() {
+            this._breakers.clear();
+        }
+    };
+}
+
+/**
+ * 图片加载共用的重试策略
+ */
+export const RetryPolicy = createRetryPolicy();
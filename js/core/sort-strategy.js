@@ -5,9 +5,17 @@
  * 设计：策略模式，支持多种排序规则
  * - diary: 按日期倒序（最新优先）
  * - default: 按 order 字段排序（现有逻辑）
+ * - 其他类型可通过 register() 注册自定义排序函数
  */
 
 export const SortStrategyFactory = {
+    /**
+     * 自定义类型的排序函数（由 register 注册）
+     * @private
+     * @type {Map<string, Function>}
+     */
+    _customStrategies: new Map(),
+
     /**
      * 日期倒序排序函数（用于日记分类）
      * 最新的日期优先显示
@@ -55,15 +63,26 @@ export const SortStrategyFactory = {
     },
 
     /**
-     * 按修改时间排序（用于自动扫描的照片）
-     * 从早到晚排序（mtime升序）
+     * 图集内照片排序函数
+     * - 填写了 order 字段的照片在前，按 order 排序
+     * - 其余照片按拍摄时间（exif.takenAt）从早到晚排序
+     * - 缺少拍摄时间的照片排在后面，保持原有顺序（稳定排序）
      * 
      * @private
      */
-    _mtimeSortFn: (a, b) => {
-        const mtimeA = a.mtime || 0;
-        const mtimeB = b.mtime || 0;
-        return mtimeA - mtimeB;
+    _captureTimeSortFn: (a, b) => {
+        const hasOrderA = a.order !== undefined;
+        const hasOrderB = b.order !== undefined;
+        if (hasOrderA || hasOrderB) {
+            if (hasOrderA && hasOrderB) return SortStrategyFactory._orderFieldSortFn(a, b);
+            return hasOrderA ? -1 : 1;
+        }
+
+        // 拍摄时间可能带时区偏移，按时间点比较
+        const timeA = Date.parse(a.exif?.takenAt || '') || Infinity;
+        const timeB = Date.parse(b.exif?.takenAt || '') || Infinity;
+        if (timeA === timeB) return 0;
+        return timeA < timeB ? -1 : 1;
     },
 
     /**
@@ -77,6 +96,10 @@ export const SortStrategyFactory = {
      * items.sort(sortFn);
      */
     createSortStrategy(categoryType) {
+        if (this._customStrategies.has(categoryType)) {
+            return this._customStrategies.get(categoryType);
+        }
+
         switch (categoryType) {
             case 'diary':
                 return this._dateDescendingSortFn;
@@ -87,6 +110,24 @@ export const SortStrategyFactory = {
         }
     },
 
+    /**
+     * 为分类类型注册排序策略
+     *
+     * @param {string} categoryType - 分类类型
+     * @param {Function|string} strategy - 排序函数 (a, b) => number，或复用已有类型的策略（如 'diary' 按日期倒序）
+     *
+     * @example
+     * SortStrategyFactory.register('talk', 'diary');
+     * SortStrategyFactory.register('paper', (a, b) => (b.year || 0) - (a.year || 0));
+     */
+    register(categoryType, strategy) {
+        const sortFn = typeof strategy === 'string' ? this.createSortStrategy(strategy) : strategy;
+        if (typeof sortFn !== 'function') {
+            throw new TypeError(`[SortStrategyFactory] Invalid sort strategy for "${categoryType}"`);
+        }
+        this._customStrategies.set(categoryType, sortFn);
+    },
+
     /**
      * 批量应用排序策略到多个分类
      * 用于加载时一次性排序所有分类内容
@@ -106,8 +147,8 @@ export const SortStrategyFactory = {
         // 同时对图集内部的子项进行排序
         items.forEach(item => {
             if (item.isSet && Array.isArray(item.photos)) {
-                // 图集内部通常不涉及日期排序，使用 order 字段
-                item.photos.sort(this._orderFieldSortFn);
+                // 图集内部：order 字段优先，其余按拍摄时间
+                item.photos.sort(this._captureTimeSortFn);
             }
         });
 
@@ -0,0 +1,193 @@
+/**
+ * HTML 转义与 URL 白名单测试脚本
+ * 验证标题中含 " ' < & 时卡片和音乐列表能完整渲染，javascript: 链接被拦截
+ *
+ * 使用：在浏览器控制台运行 (F12 -> Console)
+ * import * as Test from './js/core/test-html-escape.js'
+ * Test.runAllTests()
+ */
+
+import { html, raw, join, escapeHtml, safeUrl } from './html.js';
+import { Markdown } from './markdown.js';
+import { CardRenderer } from '../ui/card-renderer.js';
+import { MusicUI } from '../ui/music-ui.js';
+
+const TRICKY_TITLE = `Tom & Jerry's "<Best>" 合集`;
+
+/**
+ * 记录单条断言结果
+ * @returns {boolean}
+ */
+function check(name, passed, detail = '') {
+    console.log(`  ${passed ? '✓' : '✗'} ${name}${detail ? ` -> ${detail}` : ''}`);
+    return passed;
+}
+
+/**
+ * 将 HTML 字符串解析为 DOM 片段
+ */
+function toFragment(markup) {
+    const template = document.createElement('template');
+    template.innerHTML = String(markup);
+    return template.content;
+}
+
+/**
+ * 测试 escapeHtml / html`` / raw / join
+ */
+function testTemplate() {
+    console.log('=== Testing html`` template ===');
+    const results = [];
+
+    results.push(check('escapeHtml 转义 5 个特殊字符',
+        escapeHtml(`&<>"'`) === '&amp;&lt;&gt;&quot;&#39;', escapeHtml(`&<>"'`)));
+    results.push(check('escapeHtml(null) 为空字符串', escapeHtml(null) === ''));
+
+    const value = '<img src=x onerror=alert(1)>';
+    results.push(check('插值被转义',
+        String(html`<p>${value}</p>`) === '<p>&lt;img src=x onerror=alert(1)&gt;</p>'));
+
+    const inner = html`<b>${'a&b'}</b>`;
+    results.push(check('嵌套 html`` 不重复转义',
+        String(html`<p>${inner}</p>`) === '<p><b>a&amp;b</b></p>'));
+
+    results.push(check('raw() 原样输出', String(html`${raw('<hr>')}`) === '<hr>'));
+    results.push(check('数组逐项转义后拼接',
+        String(html`${['<a>', html`<i></i>`]}`) === '&lt;a&gt;<i></i>'));
+    results.push(check('null / undefined / false 输出为空',
+        String(html`${null}${undefined}${false}`) === ''));
+    results.push(check('join 跳过空值并转义',
+        String(join(['a<', '', null, 'b'], raw(' &bull; '))) === 'a&lt; &bull; b'));
+
+    return results.every(Boolean);
+}
+
+/**
+ * 测试 safeUrl 白名单
+ */
+function testSafeUrl() {
+    console.log('\n=== Testing safeUrl() ===');
+
+    const cases = [
+        { input: 'https://example.com/?a=1&b=2', expect: 'https://example.com/?a=1&b=2' },
+        { input: 'http://example.com', expect: 'http://example.com' },
+        { input: 'mailto:me@example.com', expect: 'mailto:me@example.com' },
+        { input: 'assets/images/a.jpg', expect: 'assets/images/a.jpg' },
+        { input: '#section', expect: '#section' },
+        { input: '//cdn.example.com/a.png', expect: '//cdn.example.com/a.png' },
+        { input: 'data:image/png;base64,AAAA', expect: 'data:image/png;base64,AAAA' },
+        { input: 'javascript:alert(1)', expect: '#' },
+        { input: ' JavaScript:alert(1)', expect: '#' },
+        { input: 'java\tscript:alert(1)', expect: '#' },
+        { input: 'vbscript:msgbox(1)', expect: '#' },
+        { input: 'data:text/html,<script>alert(1)</script>', expect: '#' },
+        { input: '', expect: '#' },
+        { input: undefined, expect: '#' }
+    ];
+
+    return cases
+        .map(({ input, expect }) => {
+            const result = safeUrl(input);
+            return check(JSON.stringify(input), result === expect, result);
+        })
+        .every(Boolean);
+}
+
+/**
+ * 测试 Markdown 正文中的 HTML 和危险链接
+ */
+function testMarkdown() {
+    console.log('\n=== Testing Markdown ===');
+    const results = [];
+
+    const rendered = Markdown.render('<script>alert(1)</script> [x](javascript:alert(1)) [ok](https://a.com/?q="1")');
+    const fragment = toFragment(rendered);
+    results.push(check('不生成 <script>', fragment.querySelector('script') === null));
+    results.push(check('javascript: 链接被移除',
+        Array.from(fragment.querySelectorAll('a')).every(a => !a.getAttribute('href').startsWith('javascript:'))));
+    results.push(check('合法链接保留', fragment.querySelector('a[href^="https://a.com/"]') !== null));
+
+    const href = toFragment(Markdown.renderInline(`[ok](https://a.com/?q="1"&x='y')`)).querySelector('a').getAttribute('href');
+    results.push(check('链接地址中的 " \' & 不被重复转义', href === `https://a.com/?q="1"&x='y'`, href));
+
+    return results.every(Boolean);
+}
+
+/**
+ * 测试卡片渲染：标题含 " ' < & 时内容和属性完整
+ */
+function testCards() {
+    console.log('\n=== Testing CardRenderer ===');
+
+    const item = {
+        title: TRICKY_TITLE,
+        desc: `描述里有 "引号" 和 <标签>`,
+        status: `进行中 <b>`,
+        tech: ['A&B', `C"D`],
+        linkUrl: 'javascript:alert(1)',
+        linkText: `<点我>`,
+        review: `评价 'quoted' & "double"`
+    };
+
+    return ['project', 'book', 'game', 'film', 'default']
+        .map(type => {
+            const fragment = toFragment(CardRenderer.render(item, type));
+            const heading = fragment.querySelector('h3');
+            const tooltip = fragment.querySelector('[data-tooltip]');
+            const links = Array.from(fragment.querySelectorAll('a[href]'));
+
+            const titleOk = heading && heading.textContent.trim() === TRICKY_TITLE;
+            const tooltipOk = tooltip && tooltip.getAttribute('data-tooltip') === TRICKY_TITLE;
+            const noScript = fragment.querySelector('b, script') === null;
+            const linksOk = links.every(a => !a.getAttribute('href').toLowerCase().startsWith('javascript:'));
+
+            return check(`${type} 卡片`, titleOk && tooltipOk && noScript && linksOk,
+                `title=${Boolean(titleOk)} tooltip=${Boolean(tooltipOk)} noInjectedTags=${noScript} safeLinks=${linksOk}`);
+        })
+        .every(Boolean);
+}
+
+/**
+ * 测试音乐列表：data-playlist JSON 可被完整解析
+ */
+function testMusic() {
+    console.log('\n=== Testing MusicUI ===');
+    const results = [];
+
+    const items = [
+        { title: TRICKY_TITLE, artist: `O'Neil & "Co"`, audioPreview: 'https://example.com/a.mp3', linkUrl: 'javascript:alert(1)' },
+        { title: '第二首', artist: '<script>', audioPreview: 'https://example.com/b.mp3' }
+    ];
+    const fragment = toFragment(MusicUI.render(items));
+    const section = fragment.querySelector('.music-section');
+
+    let playlist = null;
+    try {
+        playlist = JSON.parse(section.dataset.playlist);
+    } catch (e) {
+        // 解析失败时 playlist 保持 null
+    }
+
+    results.push(check('data-playlist 可解析', Array.isArray(playlist) && playlist.length === 2));
+    results.push(check('playlist 标题完整', playlist?.[0]?.title === TRICKY_TITLE, playlist?.[0]?.title));
+    results.push(check('列表标题完整',
+        fragment.querySelector('.playlist-item-title')?.textContent === TRICKY_TITLE));
+    results.push(check('不生成 <script>', fragment.querySelector('script') === null));
+    results.push(check('javascript: 链接被拦截',
+        fragment.querySelector('.player-link')?.getAttribute('href') === '#'));
+
+    return results.every(Boolean);
+}
+
+/**
+ * 运行所有测试
+ */
+export function runAllTests() {
+    console.log('🧪 Starting HTML Escape Tests...\n');
+
+    const results = [testTemplate(), testSafeUrl(), testMarkdown(), testCards(), testMusic()];
+    const passed = results.every(Boolean);
+
+    console.log(passed ? '\n✅ All tests PASSED' : '\n❌ Some tests FAILED, check results above');
+    return passed;
+}
@@ -0,0 +1,209 @@
+/**
+ * 图片重试策略测试脚本
+ * 验证指数退避 + 抖动、按域名的熔断器，以及代理服务故障、源图缺失时整页图片的请求情况
+ *
+ * 使用：在浏览器控制台运行 (F12 -> Console)
+ * import * as Test from './js/core/test-retry-policy.js'
+ * Test.runAllTests()
+ */
+
+import { createRetryPolicy, BREAKER_STATE } from './retry-policy.js';
+
+const PROXY = 'https://images.weserv.nl/';
+const SITE = 'https://carrotwudev.github.io/';
+
+/**
+ * 记录单条断言结果
+ * @returns {boolean}
+ */
+function check(name, passed, detail = '') {
+    console.log(`  ${passed ? '✓' : '✗'} ${name}${detail ? ` -> ${detail}` : ''}`);
+    return passed;
+}
+
+/**
+ * 可手动推进的时钟
+ */
+function createClock() {
+    let time = 0;
+    return {
+        now: () => time,
+        advance: (ms) => { time += ms; }
+    };
+}
+
+/**
+ * 第 i 张图片的降级链：代理 URL → 原图
+ */
+function candidatesFor(i) {
+    const source = `${SITE}assets/images/photos/${i}.jpg`;
+    return [`${PROXY}?url=${encodeURIComponent(source)}&w=800&q=80`, source];
+}
+
+/**
+ * 模拟加载一张图片：依次尝试降级链中未熔断的地址
+ * 与 ImageLoadManager 一致：失败的地址在之后的地址加载成功时才计入熔断器（全部失败视为源图缺失）
+ * @param {Object} policy - 重试策略
+ * @param {string[]} candidates - 降级链
+ * @param {Function} isDown - (url) => 该地址是否不可用
+ * @param {string[]} requests - 记录实际发出的请求
+ * @returns {string|null} 加载成功的地址
+ */
+function simulateLoad(policy, candidates, isDown, requests) {
+    const failed = [];
+    for (const url of candidates) {
+        if (!policy.allows(url)) continue;
+        requests.push(url);
+        if (isDown(url)) {
+            failed.push(url);
+        } else {
+            failed.forEach(failedUrl => policy.recordFailure(failedUrl));
+            policy.recordSuccess(url);
+            return url;
+        }
+    }
+    return null;
+}
+
+/**
+ * 测试退避时间：指数增长、带抖动、不超过上限
+ */
+function testBackoff() {
+    console.log('=== Testing backoff ===');
+    const results = [];
+
+    const low = createRetryPolicy({ baseDelay: 500, maxDelay: 8000, random: () => 0 });
+    const high = createRetryPolicy({ baseDelay: 500, maxDelay: 8000, random: () => 0.999 });
+
+    results.push(check('第 1 次重试在 [250, 500) 内',
+        low.getDelay(1) === 250 && high.getDelay(1) < 500, `${low.getDelay(1)} ~ ${high.getDelay(1)}`));
+    results.push(check('第 2 次重试翻倍',
+        low.getDelay(2) === 500 && high.getDelay(2) < 1000, `${low.getDelay(2)} ~ ${high.getDelay(2)}`));
+    results.push(check('第 3 次重试再翻倍', low.getDelay(3) === 1000, String(low.getDelay(3))));
+    results.push(check('不超过 maxDelay',
+        low.getDelay(20) === 4000 && high.getDelay(20) <= 8000, `${low.getDelay(20)} ~ ${high.getDelay(20)}`));
+
+    const randoms = [0.1, 0.9];
+    const jittered = createRetryPolicy({ random: () => randoms.shift() });
+    results.push(check('同一次重试的等待时间有抖动', jittered.getDelay(1) !== jittered.getDelay(1)));
+
+    return results.every(Boolean);
+}
+
+/**
+ * 测试熔断器：连续失败后断开，冷却后试探，失败加倍冷却，成功恢复
+ */
+function testCircuitBreaker() {
+    console.log('\n=== Testing circuit breaker ===');
+    const results = [];
+    const clock = createClock();
+    const policy = createRetryPolicy({ failureThreshold: 3, cooldown: 1000, maxCooldown: 3000, now: clock.now });
+    const [proxyUrl, siteUrl] = candidatesFor(1);
+
+    results.push(check('前 2 次失败不断开',
+        policy.recordFailure(proxyUrl) === false && policy.recordFailure(proxyUrl) === false && policy.allows(proxyUrl)));
+    results.push(check('第 3 次失败断开', policy.recordFailure(proxyUrl) === true));
+    results.push(check('断开后同域名的其他图片被跳过', !policy.allows(candidatesFor(2)[0])));
+    results.push(check('其他域名不受影响', policy.allows(siteUrl)));
+    results.push(check('getOpenHosts 列出断开的域名',
+        policy.getOpenHosts().map(b => b.host).join() === 'images.weserv.nl'));
+
+    clock.advance(999);
+    results.push(check('冷却期内仍跳过', !policy.allows(proxyUrl)));
+    clock.advance(1);
+    results.push(check('冷却结束后放行一个试探请求', policy.allows(proxyUrl) && policy.getState(proxyUrl) === BREAKER_STATE.HALF_OPEN));
+    results.push(check('试探期间不放行其他请求', !policy.allows(candidatesFor(3)[0])));
+    clock.advance(1000);
+    results.push(check('试探请求无结果（被取消）时，冷却后再放行一个', policy.allows(proxyUrl) && !policy.allows(proxyUrl)));
+
+    results.push(check('试探失败重新断开', policy.recordFailure(proxyUrl) === true && policy.getState(proxyUrl) === BREAKER_STATE.OPEN));
+    clock.advance(1000);
+    results.push(check('冷却时间加倍', !policy.allows(proxyUrl)));
+    clock.advance(1000);
+    results.push(check('加倍冷却结束后再次试探', policy.allows(proxyUrl)));
+    policy.recordFailure(proxyUrl);
+    clock.advance(3000);
+    results.push(check('冷却时间不超过 maxCooldown', policy.allows(proxyUrl)));
+
+    policy.recordSuccess(proxyUrl);
+    results.push(check('试探成功后恢复', policy.getState(proxyUrl) === BREAKER_STATE.CLOSED && policy.allows(proxyUrl)));
+    results.push(check('恢复后重新计数', policy.recordFailure(proxyUrl) === false));
+
+    policy.recordFailure(proxyUrl);
+    policy.recordFailure(proxyUrl);
+    policy.reset();
+    results.push(check('reset 恢复所有域名', policy.allows(proxyUrl) && policy.getOpenHosts().length === 0));
+
+    return results.every(Boolean);
+}
+
+/**
+ * 模拟代理服务故障：整页 30 张图片只向代理发出 failureThreshold 次请求，其余直接加载原图
+ * 代理恢复后，冷却结束的第一张图片试探成功，之后的图片重新使用代理
+ */
+function testProxyOutage() {
+    console.log('\n=== Testing proxy outage ===');
+    const results = [];
+    const clock = createClock();
+    const policy = createRetryPolicy({ failureThreshold: 3, cooldown: 30000, now: clock.now });
+
+    let proxyDown = true;
+    const isDown = url => proxyDown && url.startsWith(PROXY);
+    const requests = [];
+
+    const loaded = Array.from({ length: 30 }, (_, i) => simulateLoad(policy, candidatesFor(i), isDown, requests));
+    const proxyRequests = requests.filter(url => url.startsWith(PROXY)).length;
+
+    results.push(check('所有图片都加载成功', loaded.every(Boolean)));
+    results.push(check('所有图片都降级到原图', loaded.every(url => url.startsWith(SITE))));
+    results.push(check('代理只被请求 3 次', proxyRequests === 3, String(proxyRequests)));
+    results.push(check('总请求数 = 30 + 3', requests.length === 33, String(requests.length)));
+
+    // 代理恢复，冷却结束
+    proxyDown = false;
+    clock.advance(30000);
+    requests.length = 0;
+    const recovered = Array.from({ length: 5 }, (_, i) => simulateLoad(policy, candidatesFor(100 + i), isDown, requests));
+
+    results.push(check('冷却结束后重新使用代理', recovered.every(url => url.startsWith(PROXY))));
+    results.push(check('恢复后每张图片只请求一次', requests.length === 5, String(requests.length)));
+
+    return results.every(Boolean);
+}
+
+/**
+ * 模拟源图缺失：代理和原图都失败，不计入代理服务的熔断，其他图片继续使用代理
+ */
+function testMissingSources() {
+    console.log('\n=== Testing missing sources ===');
+    const results = [];
+    const policy = createRetryPolicy({ failureThreshold: 3 });
+
+    // 前 5 张图片的源图不存在：原图和引用它的代理 URL 都失败
+    const missing = [0, 1, 2, 3, 4].map(i => candidatesFor(i)[1]);
+    const isDown = url => missing.some(source => url === source || url.includes(encodeURIComponent(source)));
+    const requests = [];
+
+    const failed = Array.from({ length: 5 }, (_, i) => simulateLoad(policy, candidatesFor(i), isDown, requests));
+    results.push(check('源图缺失时返回 null', failed.every(url => url === null)));
+    results.push(check('每张图片请求代理和原图各一次', requests.length === 10, String(requests.length)));
+    results.push(check('代理未熔断', policy.getOpenHosts().length === 0));
+
+    const loaded = Array.from({ length: 5 }, (_, i) => simulateLoad(policy, candidatesFor(100 + i), isDown, requests));
+    results.push(check('之后的图片仍使用代理', loaded.every(url => url.startsWith(PROXY))));
+
+    return results.every(Boolean);
+}
+
+/**
+ * 运行所有测试
+ */
+export function runAllTests() {
+    console.log('🧪 Starting Retry Policy Tests...\n');
+
+    const results = [testBackoff(), testCircuitBreaker(), testProxyOutage(), testMissingSources()];
+    const passed = results.every(Boolean);
+
+    console.log(passed ? '\n✅ All tests PASSED' : '\n❌ Some tests FAILED, check results above');
+    return passed;
+}
@@ -24,7 +24,12 @@ export function parseField(line, fieldName) {
 
 // 解析 Link: [Text](URL) 或直接 URL
 export function parseLink(line) {
-    const rest = line.replace(/^链接\s*[:：]\s*/, '').trim();
+    return parseLinkValue(line.replace(/^链接\s*[:：]\s*/, ''));
+}
+
+// 解析链接字段的值部分（不含 "链接：" 前缀）
+export function parseLinkValue(value) {
+    const rest = (value || '').trim();
     const m = rest.match(/^\[(.*?)\]\((.*?)\)$/);
     if (m) {
         return { text: m[1].trim(), url: m[2].trim() };
@@ -35,3 +40,34 @@ export function parseLink(line) {
     }
     return { text: rest || '访问', url: '#' };
 }
+
+// 格式化来源位置：file:line 或 file:line-endLine（用于日志和错误信息）
+export function formatSource(source) {
+    if (!source) return '(unknown source)';
+    const file = source.file || '(unknown file)';
+    const range = source.endLine && source.endLine !== source.line
+        ? `${source.line}-${source.endLine}`
+        : `${source.line}`;
+    return `${file}:${range}`;
+}
+
+// 生成 GitHub 源文件链接（定位到行范围），repo 为 { url, branch }
+export function buildSourceUrl(repo, source) {
+    if (!repo || !repo.url || !source || !source.file) return null;
+    const path = source.file.split('/').map(encodeURIComponent).join('/');
+    const lines = source.endLine && source.endLine !== source.line
+        ? `#L${source.line}-L${source.endLine}`
+        : `#L${source.line}`;
+    return `${repo.url}/blob/${encodeURIComponent(repo.branch || 'main')}/${path}${lines}`;
+}
+
+// 内容摘要：值的 JSON 做 FNV-1a 哈希（32 位，base36）；浏览器和 Node 结果一致，用于判断预渲染的卡片是否过期
+export function hashContent(value) {
+    const text = JSON.stringify(value) ?? '';
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(36);
+}
@@ -1,11 +1,62 @@
 import { Parser } from '../core/parser.js';
 import { SortStrategyFactory } from '../core/sort-strategy.js';
+import { formatSource, slugify } from '../core/utils.js';
+import { DateUtils } from '../core/date-utils.js';
 // Import PhotoDiscovery for photo category processing
 // Note: PhotoDiscovery is a singleton that handles auto-discovery logic
 // For now, we declare it as a dynamic import to support lazy loading
 
 const CONFIG_URL = 'contents/博客配置.md';
 
+/**
+ * 持久化缓存的记录版本：解析器变化时旧的解析结果失效
+ */
+const CACHE_VERSION = `parser-${Parser.VERSION}`;
+
+/**
+ * 默认的文本加载方式：浏览器中通过 fetch 读取
+ * @param {string} path - 相对站点根目录的路径
+ * @returns {Promise<string|null>} 文件内容，不存在时返回 null
+ */
+async function fetchText(path) {
+    const response = await fetch(path);
+    return response.ok ? response.text() : null;
+}
+
+/**
+ * 拍摄时间 → 拍摄日期（按拍摄地的本地日期，忽略时区偏移）
+ * @param {string|null} takenAt - ISO 8601，如 '2025-07-05T10:36:14+08:00'
+ * @returns {string} 如 '2025年7月5日'；无法解析时返回空字符串
+ */
+function formatCaptureDate(takenAt) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(takenAt || '');
+    return match ? DateUtils.formatDateToString(new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]))) : '';
+}
+
+/**
+ * 带校验信息的请求：提供 ETag / Last-Modified 时发送条件请求
+ * @param {string} path - 相对站点根目录的路径
+ * @param {{ etag?: string|null, lastModified?: string|null }} [validators]
+ * @returns {Promise<{ notModified: boolean, text?: string|null, etag?: string|null, lastModified?: string|null }>}
+ */
+async function fetchWithValidators(path, { etag, lastModified } = {}) {
+    const headers = {};
+    if (etag) headers['If-None-Match'] = etag;
+    if (lastModified) headers['If-Modified-Since'] = lastModified;
+
+    const response = await fetch(path, { headers });
+    if (response.status === 304) {
+        return { notModified: true };
+    }
+
+    return {
+        notModified: false,
+        text: response.ok ? await response.text() : null,
+        etag: response.headers.get('ETag'),
+        lastModified: response.headers.get('Last-Modified')
+    };
+}
+
 /**
  * 数据服务层
  * 负责加载和缓存博客配置及分类内容
@@ -13,6 +64,10 @@ const CONFIG_URL = 'contents/博客配置.md';
  * 加载策略：首屏优先 + 后台加载
  * - 配置文件立即加载
  * - 分类内容按需加载，支持缓存
+ *
+ * 启用持久化缓存（configure({ store })）后：
+ * - 有缓存的分类立即返回缓存的解析结果，同时在后台发送条件请求重新校验
+ * - 内容有变化时更新缓存，并通过 onContentUpdate 通知页面重新渲染
  */
 export const DataService = {
     /**
@@ -29,18 +84,78 @@ export const DataService = {
      */
     _pendingRequests: new Map(),
 
+    /**
+     * 文本加载函数
+     * @type {(path: string) => Promise<string|null>}
+     * @private
+     */
+    _loadText: fetchText,
+
+    /**
+     * 持久化缓存（如 PersistentCache）；为 null 时只使用内存缓存
+     * @type {Object|null}
+     * @private
+     */
+    _store: null,
+
+    /**
+     * 持久化缓存是否可用
+     * @type {Promise<boolean>}
+     * @private
+     */
+    _storeReady: Promise.resolve(false),
+
+    /**
+     * 源码仓库（来自站点配置），照片目录不在清单中时通过 GitHub API 查询
+     * @type {{url: string, branch: string}|null}
+     * @private
+     */
+    _repo: null,
+
+    /**
+     * 内容更新监听器
+     * @type {Array<(category: Object, items: Array) => void>}
+     * @private
+     */
+    _updateListeners: [],
+
+    /**
+     * 配置数据服务
+     * 预渲染脚本在 Node 中运行时，用读取本地文件替换 fetch
+     *
+     * @param {Object} options
+     * @param {(path: string) => Promise<string|null>} [options.loadText] - 读取文本文件，不存在时返回 null
+     * @param {Object} [options.store] - 持久化缓存（浏览器中为 PersistentCache；需通过 fetch 读取以获得 ETag）
+     */
+    configure({ loadText, store } = {}) {
+        if (loadText) this._loadText = loadText;
+        if (store) {
+            this._store = store;
+            this._storeReady = store.open(CACHE_VERSION).catch(() => false);
+        }
+    },
+
+    /**
+     * 监听分类内容更新（后台校验发现内容变化时触发）
+     * @param {(category: Object, items: Array) => void} callback - 参数为分类配置和新的条目
+     */
+    onContentUpdate(callback) {
+        this._updateListeners.push(callback);
+    },
+
     /**
      * 加载站点配置（仅元数据，不含分类内容）
      * @returns {Promise<Object>} 站点配置对象
      */
     async loadSiteConfig() {
-        const response = await fetch(CONFIG_URL);
-        if (!response.ok) {
-            throw new Error(`Failed to load config: ${response.status}`);
+        const markdown = await this._loadText(CONFIG_URL);
+        if (markdown === null) {
+            throw new Error(`Failed to load config: ${CONFIG_URL}`);
         }
 
-        const markdown = await response.text();
-        return Parser.parseConfig(markdown);
+        const config = Parser.parseConfig(markdown, { file: CONFIG_URL });
+        this._repo = config.blogInfo.repo || null;
+        return config;
     },
 
     /**
@@ -69,7 +184,7 @@ export const DataService = {
         }
 
         // 创建加载 Promise
-        const loadPromise = this._fetchAndParseCategoryContent(id, path, type, limit);
+        const loadPromise = this._fetchAndParseCategoryContent(category);
         this._pendingRequests.set(id, loadPromise);
 
         try {
@@ -84,38 +199,30 @@ export const DataService = {
     /**
      * 实际执行分类内容的获取、解析、排序、限制
      * @private
-     * @param {string} id - 分类 ID
-     * @param {string} path - 分类文件路径
-     * @param {string} type - 分类类型（用于选择排序策略）
-     * @param {string|number} limit - 最多显示的项目数（可选）
+     * @param {Object} category - 分类对象
      * @returns {Promise<Array>} 分类内容项数组
      */
-    async _fetchAndParseCategoryContent(id, path, type = 'default', limit) {
+    async _fetchAndParseCategoryContent(category) {
+        const { id, path, type = 'default', limit } = category;
+
         try {
-            const response = await fetch(path);
+            const { items: parsed, record } = await this._loadParsedContent(category);
 
-            if (!response.ok) {
+            if (parsed === null) {
                 console.warn(`[DataService] Category file not found: ${path}`);
                 this._contentCache.set(id, []);
                 return [];
             }
 
-            const markdown = await response.text();
-            let items = Parser.parseContent(markdown);
-
-            // NEW: Handle photo category with new source mode (auto-discovery)
-            if (type === 'photo') {
-                items = await this._processPhotoItems(items);
-            }
-
-            // 应用排序策略
-            SortStrategyFactory.sortItems(items, type);
-
-            // 应用数量限制
-            items = this._limitItems(items, limit);
+            const items = await this._prepareItems(parsed, type, limit);
 
             // 写入缓存
             this._contentCache.set(id, items);
+
+            // 使用了持久化缓存：在后台重新校验（此时调用方已拿到条目，更新不会早于首次渲染）
+            if (record) {
+                this._revalidate(category, record);
+            }
             return items;
 
         } catch (error) {
@@ -125,9 +232,108 @@ export const DataService = {
         }
     },
 
+    /**
+     * 读取并解析分类文件
+     * 启用持久化缓存时优先返回缓存的解析结果，并在后台重新校验
+     *
+     * @private
+     * @param {Object} category - 分类对象
+     * @returns {Promise<{ items: Array|null, record: Object|null }>}
+     *   解析后的条目（未排序、未限制数量，文件不存在时为 null）和命中的持久化缓存记录
+     */
+    async _loadParsedContent(category) {
+        const { path, type = 'default' } = category;
+
+        if (!this._store || !(await this._storeReady)) {
+            const markdown = await this._loadText(path);
+            return { items: markdown === null ? null : this._parseItems(markdown, type, path), record: null };
+        }
+
+        const record = await this._store.get(path);
+        if (record) {
+            // 条目随后会被排序等处理修改，复制一份，记录保留原始内容用于校验时比较
+            return { items: structuredClone(record.items), record };
+        }
+
+        const response = await fetchWithValidators(path);
+        if (response.text === null) return { items: null, record: null };
+
+        const items = this._parseItems(response.text, type, path);
+        await this._store.set(path, { etag: response.etag, lastModified: response.lastModified, items });
+        return { items, record: null };
+    },
+
+    /**
+     * 后台校验缓存：内容有变化时更新缓存并通知监听器
+     * 网络错误（如离线）时继续使用缓存
+     *
+     * @private
+     * @param {Object} category - 分类对象
+     * @param {Object} record - 持久化缓存记录
+     * @returns {Promise<void>}
+     */
+    async _revalidate(category, record) {
+        const { id, path, type = 'default', limit } = category;
+
+        try {
+            const response = await fetchWithValidators(path, record);
+            if (response.notModified || response.text === null) return;
+
+            const parsed = this._parseItems(response.text, type, path);
+            await this._store.set(path, { etag: response.etag, lastModified: response.lastModified, items: parsed });
+
+            // 校验信息变化但解析结果相同（如重新部署）时无需更新页面
+            if (JSON.stringify(parsed) === JSON.stringify(record.items)) return;
+
+            const items = await this._prepareItems(parsed, type, limit);
+            this._contentCache.set(id, items);
+            this._updateListeners.forEach(listener => listener(category, items));
+        } catch (error) {
+            console.warn(`[DataService] Failed to revalidate category "${id}":`, error);
+        }
+    },
+
+    /**
+     * 解析分类文件并分配条目 ID
+     * @private
+     * @param {string} markdown - 分类文件内容
+     * @param {string} type - 分类类型
+     * @param {string} path - 分类文件路径
+     * @returns {Array} 解析后的条目
+     */
+    _parseItems(markdown, type, path) {
+        const items = Parser.parseContent(markdown, { type, file: path });
+
+        // 按文件顺序分配 ID（不受排序和数量限制影响），供搜索结果定位卡片
+        this._assignItemIds(items);
+        return items;
+    },
+
+    /**
+     * 解析结果 → 页面使用的条目：照片自动发现、排序、数量限制
+     * @private
+     * @param {Array} items - 解析后的条目
+     * @param {string} type - 分类类型（用于选择排序策略）
+     * @param {string|number} limit - 最多显示的项目数（可选）
+     * @returns {Promise<Array>}
+     */
+    async _prepareItems(items, type, limit) {
+        // NEW: Handle photo category with new source mode (auto-discovery)
+        if (type === 'photo') {
+            items = await this._processPhotoItems(items);
+        }
+
+        // 应用排序策略
+        SortStrategyFactory.sortItems(items, type);
+
+        // 应用数量限制
+        return this._limitItems(items, limit);
+    },
+
     /**
      * Process photo items: handle new photo source mode (directory-based auto-discovery)
      * 调用 GitHub API 实时获取目录下的所有照片，然后与已配置的照片合并去重
+     * 之后为每张照片补充照片清单中的 EXIF 信息（拍摄时间、相机、镜头、参数、坐标）
      * 
      * @private
      * @param {Array} items - Parsed photo items from markdown
@@ -140,6 +346,8 @@ export const DataService = {
 
         // Dynamically import PhotoDiscovery to avoid circular dependencies
         const { photoDiscoveryInstance } = await import('./photo-discovery.js');
+        // 照片清单与页面使用同一种读取方式；清单中没有的目录回退到配置仓库的 GitHub API
+        photoDiscoveryInstance.configure({ repo: this._repo, loadText: this._loadText });
 
         const processedItems = [];
 
@@ -147,7 +355,7 @@ export const DataService = {
             // Check if this item uses new photo source mode
             if (item.photoSourceMode && item.photoSourcePath) {
                 try {
-                    // Call GitHub API to get all files in directory
+                    // Look up the directory in the photo manifest (falls back to GitHub API)
                     // photoSourcePath format: "assets/images/photos/月亮湖"
                     const allPhotos = await photoDiscoveryInstance.getPhotosFromDirectory(item.photoSourcePath);
 
@@ -165,18 +373,28 @@ export const DataService = {
                     // Deduplicate: auto-discovered = all - configured
                     const autodiscovered = photoDiscoveryInstance.deduplicatePhotos(allPhotos, configuredSet);
 
+                    // Auto-discovered photos have no heading of their own: point their source at the 照片源 line
+                    const sourceField = item.source.fields.photoSourcePath || item.source;
+                    const discoveredSource = { file: item.source.file, line: sourceField.line, endLine: sourceField.endLine, fields: {} };
+
                     // Enrich auto-discovered photos with group-level metadata
+                    // Manifest format: { name, size, width, height, taken, exif }
                     // GitHub API response format: { name, size, download_url, sha, path, type, ... }
                     const enrichedAutodiscovered = autodiscovered.map(photo => ({
                         title: photo.name.replace(/\.[^.]+$/, ''), // Remove extension as title
                         photoUrl: `${item.photoSourcePath}/${photo.name}`,
                         photoLocation: item.photoLocation,
-                        photoDate: item.photoDate,
+                        // Prefer the capture date over the group-level date
+                        photoDate: formatCaptureDate(photo.taken) || item.photoDate,
+                        source: discoveredSource,
                         // GitHub API doesn't provide mtime, use sha as stable identifier
                         sha: photo.sha,
-                        // Store original GitHub API response for potential future use
-                        _githubMetadata: {
+                        // Store original file metadata (manifest or GitHub API) for potential future use
+                        _fileMetadata: {
                             size: photo.size,
+                            width: photo.width,
+                            height: photo.height,
+                            taken: photo.taken,
                             download_url: photo.download_url
                         }
                     }));
@@ -192,7 +410,7 @@ export const DataService = {
                     item.photos = merged;
                     item.isSet = merged.length > 1;
                 } catch (error) {
-                    console.error(`[DataService] Failed to process photos for "${item.title}":`, error);
+                    console.error(`[DataService] Failed to process photos for "${item.title}" (${formatSource(item.source)}):`, error);
                     // Fallback: if API fails, keep only configured photos
                     if (!item.isSet || !Array.isArray(item.photos)) {
                         item.photos = [];
@@ -201,12 +419,58 @@ export const DataService = {
                 }
             }
 
+            await this._attachPhotoMetadata(item, photoDiscoveryInstance);
             processedItems.push(item);
         }
 
         return processedItems;
     },
 
+    /**
+     * 为条目及图集中的照片补充 EXIF 信息：photo.exif = { takenAt, camera, lens, ..., gps }
+     * 以及加载前的占位：photo.placeholder = { width, height, color, lqip }（尺寸用于预留空间，主色和预览图见照片清单）
+     * 未填写「拍摄日期」的照片使用拍摄时间的日期
+     *
+     * @private
+     * @param {Object} item - 照片条目
+     * @param {Object} discovery - PhotoDiscovery 实例
+     */
+    async _attachPhotoMetadata(item, discovery) {
+        const photos = [item, ...(Array.isArray(item.photos) ? item.photos : [])];
+
+        for (const photo of photos) {
+            if (!photo.photoUrl) continue;
+            const file = await discovery.getPhotoMetadata(photo.photoUrl);
+            if (!file) continue;
+
+            photo.exif = file.taken ? { ...file.exif, takenAt: file.taken } : { ...file.exif };
+            if (file.width && file.height) {
+                photo.placeholder = { width: file.width, height: file.height, ...file.placeholder };
+            }
+            if (!photo.photoDate && file.taken) {
+                photo.photoDate = formatCaptureDate(file.taken);
+            }
+        }
+    },
+
+    /**
+     * 为条目分配分类内唯一的 ID（标题 slug，重名时追加 -2、-3…）
+     * @private
+     * @param {Array} items - 解析后的内容项数组
+     */
+    _assignItemIds(items) {
+        const used = new Set();
+        items.forEach(item => {
+            const base = slugify(item.title) || 'item';
+            let id = base;
+            for (let n = 2; used.has(id); n++) {
+                id = `${base}-${n}`;
+            }
+            used.add(id);
+            item.id = id;
+        });
+    },
+
     /**
      * 根据配置限制项目数量
      * @private
@@ -1,17 +1,30 @@
 /**
  * Image Load Manager
  * 图片加载生命周期管理模块
- * 
+ *
  * 职责：
- * - 集中管理全局 Intersection Observer
- * - 按优先级加载图片（首张优先，相邻预加载）
+ * - 集中管理 Intersection Observer（接近视口 / 进入视口两级）
+ * - 调度加载：限制同时进行的请求数，按优先级排序（可见 > 图集相邻页 > 视口外），
+ *   图片离开视口时取消尚未完成的加载
+ * - 按网络状况（navigator.connection）调整并发数，慢速网络或省流量模式下只加载可见图片
  * - 跟踪加载状态（待加/加载中/完成/失败/降级）
- * - 处理加载错误和降级逻辑
- * 
+ * - 处理加载错误和降级逻辑：按降级链（代理 URL → 其他代理提供方 → 原图）重试，
+ *   重试前按 RetryPolicy 指数退避，熔断中的域名直接跳过；
+ *   失败的地址在之后的降级地址加载成功（证明源图存在）后才计入熔断器和 ImageProxyService 的降级计数，
+ *   全部失败时视为源图缺失，不影响代理服务；同一域名待确认的失败达到熔断阈值时，该域名的其他图片等待结果
+ * - 全部失败的图片可通过 retryFailed() 重新加载（页面上的「重试」提示见 NetworkStatus）
+ * - 响应式图片：开始加载时同时替换 data-src 与 data-srcset（含 <picture> 中的 <source>）
+ * - 占位图：换上原图后添加 .is-loaded（低质量预览图过渡到清晰），全部失败时恢复占位图并添加 .is-failed
+ * - 向 ImageTelemetry 报告各阶段的时间和成功的降级层级
+ *
+ * 管理的图片：CardRenderer.img 以懒加载模式输出的 <img data-src>（各类卡片的封面、配图和图集）
+ *
  * @module services/image-load-manager
  */
 
 import { ImageProxyService } from './image-proxy.js';
+import { ImageTelemetry, TIER } from './image-telemetry.js';
+import { RetryPolicy, BREAKER_STATE, hostOf } from '../core/retry-policy.js';
 
 /**
  * 加载状态常量
@@ -28,19 +41,48 @@ const LOAD_STATE = {
  * 加载优先级常量
  */
 const PRIORITY = {
-    IMMEDIATE: 2,   // 立即加载（首张、当前可见）
-    PRELOAD: 1,     // 预加载（相邻）
-    DEFERRED: 0,    // 延迟加载（其他）
-    DISABLED: -1    // 禁用（预留）
+    IMMEDIATE: 2,   // 立即加载（当前可见）
+    PRELOAD: 1,     // 预加载（图集中与可见页相邻）
+    DEFERRED: 0,    // 延迟加载（视口外，接近视口）
+    DISABLED: -1    // 不加载（远离视口）
 };
 
+/**
+ * 图集中可见页的相邻页（相对位置），按优先级预加载
+ */
+const ADJACENT_SLIDES = [1, 2, -1];
+
+/**
+ * 各网络类型（navigator.connection.effectiveType）的加载策略
+ * - concurrency：同时进行的最大请求数
+ * - prefetch：是否预加载不可见的图片（相邻页、接近视口的图片）
+ */
+const NETWORK_PROFILES = {
+    'slow-2g': { concurrency: 1, prefetch: false },
+    '2g': { concurrency: 1, prefetch: false },
+    '3g': { concurrency: 3, prefetch: true },
+    '4g': { concurrency: 6, prefetch: true }
+};
+
+/**
+ * 省流量模式（saveData）下的最大并发数
+ */
+const SAVE_DATA_CONCURRENCY = 2;
+
 export const ImageLoadManager = {
     /**
-     * 全局 Intersection Observer 实例
+     * 接近视口的 Intersection Observer（提前 300px，决定是否需要加载）
      * @private
      * @type {IntersectionObserver|null}
      */
-    _observer: null,
+    _nearObserver: null,
+
+    /**
+     * 进入视口的 Intersection Observer（决定是否优先加载）
+     * @private
+     * @type {IntersectionObserver|null}
+     */
+    _visibleObserver: null,
 
     /**
      * 已初始化标志
@@ -50,14 +92,25 @@ export const ImageLoadManager = {
     _initialized: false,
 
     /**
-     * 加载队列 Map: url → { state, priority, element, retryCount }
+     * 加载队列 Map: url → { state, priority, elements, candidates, attempt, retryCount, retryTimer, failedUrls, originalUrl, placeholderSrc, loadedSrc, order, abort }
+     * - candidates：降级链 [{ url, tier }]，首次加载时生成；attempt 为当前使用的下标
+     * - failedUrls：本轮加载失败、尚未计入熔断器的地址
+     * - loadedSrc：加载成功的地址（降级时为降级地址），之后注册的同一 URL 的图片直接使用
      * @private
      * @type {Map}
      */
     _loadQueue: new Map(),
 
     /**
-     * 加载中的图片集合（防止并发重复加载）
+     * 观察目标的可见状态 Map: 元素 → { near, visible }
+     * 图集中的图片以所在的 .gallery-item 为目标（图集首张不懒加载，也需要观察以确定相邻页）
+     * @private
+     * @type {Map<Element, {near: boolean, visible: boolean}>}
+     */
+    _targets: new Map(),
+
+    /**
+     * 加载中的图片集合（占用并发名额）
      * @private
      * @type {Set}
      */
@@ -71,35 +124,63 @@ export const ImageLoadManager = {
     _loadedUrls: new Set(),
 
     /**
-     * 失败重试的最大次数
+     * 失败重试的最大次数（降级链最多 _maxRetries + 1 个地址）
      * @private
      * @type {number}
      */
     _maxRetries: 3,
 
+    /**
+     * 同时进行的最大请求数（按网络状况调整）
+     * @private
+     * @type {number}
+     */
+    _maxConcurrent: NETWORK_PROFILES['4g'].concurrency,
+
+    /**
+     * 允许加载的最低优先级（慢速网络下只加载可见图片）
+     * @private
+     * @type {number}
+     */
+    _minPriority: PRIORITY.DEFERRED,
+
+    /**
+     * 注册顺序计数（同优先级按注册顺序，即页面中的顺序加载）
+     * @private
+     * @type {number}
+     */
+    _order: 0,
+
     /**
      * 初始化加载管理器
-     * 创建全局 Intersection Observer
+     * 创建 Intersection Observer，读取网络状况
      */
     init() {
         if (this._initialized) {
             return;
         }
 
-        const options = {
-            // threshold: 0.1 表示图片至少有 10% 进入视口时触发
-            threshold: 0.1,
-            // rootMargin: '100px' 表示在视口外提前 100px 时就开始加载
-            rootMargin: '100px'
+        const update = (key) => (entries) => {
+            entries.forEach((entry) => {
+                const state = this._targets.get(entry.target);
+                if (state) state[key] = entry.isIntersecting;
+            });
+            this._reprioritize();
         };
 
-        this._observer = new IntersectionObserver((entries) => {
-            entries.forEach((entry) => {
-                if (entry.isIntersecting) {
-                    this._onImageIntersect(entry.target);
-                }
+        // rootMargin: '300px' 表示在视口外提前 300px 时就开始加载
+        this._nearObserver = new IntersectionObserver(update('near'), { rootMargin: '300px' });
+        // threshold: 0.1 表示图片至少有 10% 进入视口时视为可见
+        this._visibleObserver = new IntersectionObserver(update('visible'), { threshold: 0.1 });
+
+        this._readNetwork();
+        const connection = typeof navigator !== 'undefined' ? navigator.connection : null;
+        if (connection && connection.addEventListener) {
+            connection.addEventListener('change', () => {
+                this._readNetwork();
+                this._pump();
             });
-        }, options);
+        }
 
         this._initialized = true;
     },
@@ -115,194 +196,563 @@ export const ImageLoadManager = {
     },
 
     /**
-     * 注册图集内的所有图片进行懒加载管理
-     * 
-     * @param {HTMLElement} galleryEl - 图集容器元素
+     * 按网络状况设置并发数和预加载策略
+     * 不支持 navigator.connection 的浏览器按 4g 处理
+     * @private
+     */
+    _readNetwork() {
+        const connection = typeof navigator !== 'undefined' ? navigator.connection : null;
+        const profile = NETWORK_PROFILES[connection?.effectiveType] || NETWORK_PROFILES['4g'];
+        const saveData = Boolean(connection?.saveData);
+
+        this._maxConcurrent = saveData ? Math.min(profile.concurrency, SAVE_DATA_CONCURRENCY) : profile.concurrency;
+        this._minPriority = profile.prefetch && !saveData ? PRIORITY.DEFERRED : PRIORITY.IMMEDIATE;
+    },
+
+    /**
+     * 注册容器内的所有懒加载图片（<img data-src>）
+     *
+     * @param {HTMLElement} container - section 或卡片元素
      */
-    registerGalleryImages(galleryEl) {
+    registerImages(container) {
         this._ensureInitialized();
 
-        if (!galleryEl) return;
+        if (!container) return;
 
-        const images = galleryEl.querySelectorAll('[data-src]');
+        // 局部更新后被替换的卡片不再需要加载
+        this._prune();
 
-        images.forEach((img, index) => {
-            const dataSrc = img.dataset.src;
-            if (!dataSrc) return;
+        container.querySelectorAll('img[data-src]').forEach((img) => {
+            const url = img.dataset.src;
+            const entry = this._loadQueue.get(url);
 
-            // 确定优先级
-            // - 第 0 张（首张）：优先级 IMMEDIATE（用户一定会看到）
-            // - 第 1, 2 张：优先级 PRELOAD（相邻，用户可能看到）
-            // - 其他：优先级 DEFERRED（延迟加载）
-            let priority = PRIORITY.DEFERRED;
-            if (index === 0) {
-                priority = PRIORITY.IMMEDIATE;
-            } else if (index <= 2) {
-                priority = PRIORITY.PRELOAD;
+            // 已加载过的图片（如局部更新后重新渲染、图片未变的卡片）直接显示，不再排队
+            if (entry && entry.state === LOAD_STATE.LOADED) {
+                this._showLoaded(img, entry.loadedSrc, entry.loadedSrc !== url);
+                return;
+            }
+            if (!entry && this._loadedUrls.has(url)) {
+                this._showLoaded(img, url, false);
+                return;
             }
 
-            // 记录到队列
-            const key = dataSrc;
-            if (!this._loadQueue.has(key)) {
-                this._loadQueue.set(key, {
+            if (!entry) {
+                this._loadQueue.set(url, {
                     state: LOAD_STATE.PENDING,
-                    priority,
+                    priority: PRIORITY.DISABLED,
                     elements: new Set([img]),
+                    candidates: null,
+                    attempt: 0,
                     retryCount: 0,
-                    originalUrl: dataSrc
+                    retryTimer: null,
+                    failedUrls: [],
+                    originalUrl: url,
+                    // 占位图（低质量预览图或透明像素），全部加载失败或取消时恢复
+                    placeholderSrc: img.getAttribute('src'),
+                    loadedSrc: null,
+                    order: this._order++,
+                    abort: null
                 });
+                ImageTelemetry.queued(url);
             } else {
                 // 多个图片使用同一 URL 时，将 img 元素加入集合
-                this._loadQueue.get(key).elements.add(img);
+                entry.elements.add(img);
             }
 
-            // 立即加载优先级高的图
-            if (priority >= PRIORITY.PRELOAD) {
-                this._loadImageImmediate(img, dataSrc);
-            } else {
-                // 其他图片注册到 observer
-                this._observer.observe(img);
+            this._observe(this._targetOf(img));
+        });
+
+        // 图集的所有页都需要观察（首张不懒加载，但它可见时需要预加载相邻页）
+        container.querySelectorAll('.is-gallery .gallery-item').forEach(item => this._observe(item));
+    },
+
+    /**
+     * 观察目标元素
+     * @private
+     * @param {Element} target
+     */
+    _observe(target) {
+        if (this._targets.has(target)) return;
+        this._targets.set(target, { near: false, visible: false });
+        this._nearObserver.observe(target);
+        this._visibleObserver.observe(target);
+    },
+
+    /**
+     * 图片的观察目标：图集中为所在的 .gallery-item，其他为图片本身
+     * @private
+     * @param {HTMLImageElement} img
+     * @returns {Element}
+     */
+    _targetOf(img) {
+        return img.closest('.gallery-item') || img;
+    },
+
+    /**
+     * 移除已不在文档中的图片和观察目标（图片全部移除的队列项一并删除，包括已加载的）
+     * @private
+     */
+    _prune() {
+        for (const target of this._targets.keys()) {
+            if (!target.isConnected) {
+                this._nearObserver.unobserve(target);
+                this._visibleObserver.unobserve(target);
+                this._targets.delete(target);
+            }
+        }
+
+        for (const [url, entry] of this._loadQueue) {
+            entry.elements.forEach((img) => {
+                if (!img.isConnected) entry.elements.delete(img);
+            });
+            if (entry.elements.size === 0) {
+                this._cancel(entry);
+                this._loadQueue.delete(url);
             }
+        }
+    },
+
+    /**
+     * 计算单张图片的优先级
+     * @private
+     * @param {HTMLImageElement} img
+     * @returns {number}
+     */
+    _imagePriority(img) {
+        const target = this._targetOf(img);
+        const state = this._targets.get(target);
+        if (!state) return PRIORITY.DISABLED;
+        if (state.visible) return PRIORITY.IMMEDIATE;
+        if (target !== img && this._isAdjacentToVisible(target)) return PRIORITY.PRELOAD;
+        if (state.near) return PRIORITY.DEFERRED;
+        return PRIORITY.DISABLED;
+    },
+
+    /**
+     * 图集页是否与可见页相邻（见 ADJACENT_SLIDES）
+     * @private
+     * @param {Element} item - .gallery-item
+     * @returns {boolean}
+     */
+    _isAdjacentToVisible(item) {
+        const slides = Array.from(item.parentElement.children);
+        const index = slides.indexOf(item);
+        return ADJACENT_SLIDES.some((offset) => {
+            const slide = slides[index - offset];
+            return slide && this._targets.get(slide)?.visible;
         });
     },
 
     /**
-     * 当图片进入视口时的回调
+     * 可见状态变化后重新计算各图片的优先级：离开视口的图片取消加载，然后调度
      * @private
-     * @param {HTMLImageElement} img - 图片元素
      */
-    _onImageIntersect(img) {
-        const dataSrc = img.dataset.src;
-        if (!dataSrc) return;
+    _reprioritize() {
+        for (const entry of this._loadQueue.values()) {
+            if (entry.state === LOAD_STATE.LOADED || entry.state === LOAD_STATE.FALLBACK) continue;
 
-        this._observer.unobserve(img);
-        this._loadImageImmediate(img, dataSrc);
+            entry.priority = Math.max(PRIORITY.DISABLED, ...Array.from(entry.elements, img => this._imagePriority(img)));
+            if (entry.state === LOAD_STATE.LOADING && entry.priority < this._minPriority) {
+                this._cancel(entry);
+            }
+        }
+        this._pump();
     },
 
     /**
-     * 立即加载图片
+     * 调度：在并发名额内按优先级（同优先级按页面顺序）开始加载；退避等待中的图片跳过
      * @private
-     * @param {HTMLImageElement} img - 图片元素
-     * @param {string} dataSrc - 优化后的图片 URL
      */
-    _loadImageImmediate(img, dataSrc) {
+    _pump() {
+        while (this._loadingUrls.size < this._maxConcurrent) {
+            let next = null;
+            for (const entry of this._loadQueue.values()) {
+                if (entry.state !== LOAD_STATE.PENDING || entry.retryTimer || entry.priority < this._minPriority) continue;
+                if (this._awaitingVerdict(entry)) continue;
+                if (!next || entry.priority > next.priority || (entry.priority === next.priority && entry.order < next.order)) {
+                    next = entry;
+                }
+            }
+            if (!next) return;
+            this._load(next);
+        }
+    },
+
+    /**
+     * 下一个地址所在域名的连续失败（含待确认的）是否已达到熔断阈值：达到时等待这些图片的降级结果，
+     * 避免代理服务故障时所有图片在熔断前都请求一次代理（已断开或试探中的域名由 RetryPolicy.allows 处理）
+     * @private
+     * @param {Object} entry - 加载队列项
+     * @returns {boolean}
+     */
+    _awaitingVerdict(entry) {
+        const next = entry.candidates ? entry.candidates[entry.attempt] : { url: entry.originalUrl };
+        if (!next) return false;
+
+        if (RetryPolicy.getState(next.url) !== BREAKER_STATE.CLOSED) return false;
+
+        const host = hostOf(next.url);
+        let failures = RetryPolicy.getFailures(next.url);
+        for (const other of this._loadQueue.values()) {
+            failures += other.failedUrls.filter(url => hostOf(url) === host).length;
+        }
+        return failures >= RetryPolicy.failureThreshold;
+    },
+
+    /**
+     * 生成降级链：优化 URL → 其他可用的代理提供方 → 原图（不是代理 URL 时只有它本身）
+     * @private
+     * @param {string} url - 优化后的 URL
+     * @returns {Array<{url: string, tier: string}>}
+     */
+    _buildCandidates(url) {
+        const candidates = [{ url, tier: TIER.OPTIMIZED }];
+
+        let next = ImageProxyService.getFailoverUrl(url);
+        while (next && !candidates.some(candidate => candidate.url === next)) {
+            const tier = ImageProxyService.getProviderName(next) === 'direct' ? TIER.ORIGINAL : TIER.FAILOVER;
+            candidates.push({ url: next, tier });
+            next = ImageProxyService.getFailoverUrl(next);
+        }
+
+        // 超过重试次数时保留前面的代理和最后的原图
+        if (candidates.length > this._maxRetries + 1) {
+            candidates.splice(this._maxRetries, candidates.length - this._maxRetries - 1);
+        }
+        return candidates;
+    },
+
+    /**
+     * 开始加载队列中的一项（占用一个并发名额，直到成功、失败或取消）
+     * 降级链中熔断中的域名直接跳过，全部跳过时放弃
+     * @private
+     * @param {Object} entry - 加载队列项
+     */
+    _load(entry) {
+        const url = entry.originalUrl;
+
         // 如果已加载过，直接赋值
-        if (this._loadedUrls.has(dataSrc)) {
-            img.src = dataSrc;
-            img.removeAttribute('data-src');
+        if (this._loadedUrls.has(url)) {
+            this._applyLoadedUrl(entry);
             return;
         }
 
-        // 如果正在加载，等待
-        if (this._loadingUrls.has(dataSrc)) {
+        if (!entry.candidates) {
+            entry.candidates = this._buildCandidates(url);
+        }
+        while (entry.attempt < entry.candidates.length && !RetryPolicy.allows(entry.candidates[entry.attempt].url)) {
+            entry.attempt++;
+        }
+        if (entry.attempt >= entry.candidates.length) {
+            this._giveUp(entry);
             return;
         }
 
-        // 标记为加载中
-        this._loadingUrls.add(dataSrc);
+        entry.state = LOAD_STATE.LOADING;
+        this._loadingUrls.add(url);
 
-        // 创建临时 Image 对象进行预加载
+        // 响应式图片：由浏览器按 srcset / sizes 选择尺寸，无法用临时 Image 预加载（降级后按普通图片加载）
+        const responsive = entry.attempt === 0 && Array.from(entry.elements).find(img => img.dataset.srcset);
+        const candidate = entry.candidates[entry.attempt];
+        if (responsive) {
+            this._loadResponsiveImage(entry, responsive);
+        } else {
+            this._preload(entry, candidate, () => this._applyLoadedUrl(entry, candidate.url));
+        }
+    },
+
+    /**
+     * 用临时 Image 加载降级链中的地址，entry.abort 可取消
+     * @private
+     * @param {Object} entry - 加载队列项
+     * @param {{url: string, tier: string}} candidate - 要加载的地址及其降级层级
+     * @param {Function} onLoad - 加载成功的回调
+     */
+    _preload(entry, { url, tier }, onLoad) {
         const tempImg = new Image();
 
         tempImg.onload = () => {
-            // 加载成功
-            this._loadingUrls.delete(dataSrc);
-            this._loadedUrls.add(dataSrc);
-
-            // 将真实 src 赋值到所有引用这个 URL 的 img 元素
-            this._applyLoadedUrl(dataSrc);
+            entry.abort = null;
+            this._confirmFailures(entry);
+            ImageProxyService.reportSuccess(url);
+            RetryPolicy.recordSuccess(url);
+            this._loadedUrls.add(url);
+            onLoad();
+            ImageTelemetry.loaded(entry.originalUrl, entry.elements.values().next().value);
         };
 
         tempImg.onerror = () => {
-            // 加载失败，尝试降级
-            this._loadingUrls.delete(dataSrc);
-            this._handleLoadError(dataSrc);
+            entry.abort = null;
+            ImageTelemetry.failed(entry.originalUrl);
+            this._handleLoadError(entry.originalUrl);
+        };
+
+        entry.abort = () => {
+            tempImg.onload = tempImg.onerror = null;
+            tempImg.src = '';
+            ImageTelemetry.cancelled(entry.originalUrl);
         };
 
         // 触发加载
-        tempImg.src = dataSrc;
+        ImageTelemetry.started(entry.originalUrl, url, tier);
+        tempImg.src = url;
     },
 
     /**
-     * 应用已加载的 URL 到所有相关元素
+     * 取消加载：停止请求，恢复占位图，重新排队（之后进入视口时再加载）
      * @private
-     * @param {string} url - 已加载的 URL
+     * @param {Object} entry - 加载队列项
      */
-    _applyLoadedUrl(url) {
-        const queueEntry = this._loadQueue.get(url);
-        if (!queueEntry) return;
+    _cancel(entry) {
+        if (entry.state !== LOAD_STATE.LOADING) return;
 
-        queueEntry.elements.forEach((img) => {
-            if (img && img.parentElement) {  // 检查元素仍在 DOM 中
-                img.src = url;
-                img.removeAttribute('data-src');
-            }
+        if (entry.abort) entry.abort();
+        entry.abort = null;
+        entry.state = LOAD_STATE.PENDING;
+        this._loadingUrls.delete(entry.originalUrl);
+    },
+
+    /**
+     * 结束加载，释放并发名额并调度下一项
+     * @private
+     * @param {Object} entry - 加载队列项
+     * @param {string} state - 最终状态
+     */
+    _finish(entry, state) {
+        entry.state = state;
+        entry.abort = null;
+        this._loadingUrls.delete(entry.originalUrl);
+        this._pump();
+    },
+
+    /**
+     * 加载响应式图片：将 data-srcset / data-src 写入 <source> 和 <img>，监听 img 的加载结果
+     * 失败时移除 srcset 和候选格式，按普通图片进入降级流程；取消时恢复 data-* 属性和占位图
+     * @private
+     * @param {Object} entry - 加载队列项
+     * @param {HTMLImageElement} img - 图片元素
+     */
+    _loadResponsiveImage(entry, img) {
+        const url = entry.originalUrl;
+        const picture = img.parentElement && img.parentElement.tagName === 'PICTURE' ? img.parentElement : null;
+        const sources = picture ? Array.from(picture.querySelectorAll('source[data-srcset]')) : [];
+
+        const onLoad = () => {
+            img.removeEventListener('error', onError);
+            this._loadedUrls.add(url);
+            ImageProxyService.reportSuccess(url);
+            RetryPolicy.recordSuccess(url);
+            img.classList.add('is-loaded');
+            // 同一 URL 的其他图片元素
+            entry.elements.forEach((el) => {
+                if (el !== img) this._showLoaded(el, url, false);
+            });
+            entry.loadedSrc = url;
+            this._finish(entry, LOAD_STATE.LOADED);
+            ImageTelemetry.loaded(url, img);
+        };
+        const onError = () => {
+            img.removeEventListener('load', onLoad);
+            entry.abort = null;
+            ImageTelemetry.failed(url);
+            this._removeResponsiveSources(img);
+            this._handleLoadError(url);
+        };
+        img.addEventListener('load', onLoad, { once: true });
+        img.addEventListener('error', onError, { once: true });
+
+        const srcset = img.dataset.srcset;
+        entry.abort = () => {
+            img.removeEventListener('load', onLoad);
+            img.removeEventListener('error', onError);
+            sources.forEach((source) => {
+                source.dataset.srcset = source.srcset;
+                source.removeAttribute('srcset');
+            });
+            img.dataset.srcset = srcset;
+            img.removeAttribute('srcset');
+            img.dataset.src = url;
+            if (entry.placeholderSrc) img.src = entry.placeholderSrc;
+            ImageTelemetry.cancelled(url);
+        };
+
+        ImageTelemetry.started(url, url, TIER.OPTIMIZED);
+
+        sources.forEach((source) => {
+            source.srcset = source.dataset.srcset;
+            source.removeAttribute('data-srcset');
         });
+        img.srcset = srcset;
+        img.removeAttribute('data-srcset');
+        img.src = url;
+        img.removeAttribute('data-src');
+    },
+
+    /**
+     * 移除图片的 srcset 和 <picture> 中的候选格式（降级为单一 src）
+     * @private
+     * @param {HTMLImageElement} img - 图片元素
+     */
+    _removeResponsiveSources(img) {
+        img.removeAttribute('srcset');
+        img.removeAttribute('data-srcset');
+        img.removeAttribute('sizes');
+        if (img.parentElement && img.parentElement.tagName === 'PICTURE') {
+            img.parentElement.querySelectorAll('source').forEach(source => source.remove());
+        }
+    },
 
-        queueEntry.state = LOAD_STATE.LOADED;
+    /**
+     * 应用已加载的 URL 到所有相关元素
+     * @private
+     * @param {Object} entry - 加载队列项
+     * @param {string} [src] - 已加载的 URL（降级地址时移除响应式候选）
+     */
+    _applyLoadedUrl(entry, src = entry.originalUrl) {
+        const isFallback = src !== entry.originalUrl;
+
+        entry.elements.forEach(img => this._showLoaded(img, src, isFallback));
+
+        entry.loadedSrc = src;
+        this._finish(entry, LOAD_STATE.LOADED);
     },
 
     /**
-     * 处理图片加载错误，尝试降级方案
+     * 在图片元素上显示已加载的地址
+     * 首选地址时同时启用 data-srcset（含 <picture> 中的 <source>），降级地址时移除响应式候选
      * @private
-     * @param {string} optimizedUrl - 优化后的 URL（失败）
+     * @param {HTMLImageElement} img - 图片元素
+     * @param {string} src - 已加载的地址
+     * @param {boolean} isFallback - 是否为降级地址
      */
-    _handleLoadError(optimizedUrl) {
-        const queueEntry = this._loadQueue.get(optimizedUrl);
-        if (!queueEntry) return;
+    _showLoaded(img, src, isFallback) {
+        if (!img || !img.parentElement) return;  // 检查元素仍在 DOM 中
+
+        if (isFallback) {
+            this._removeResponsiveSources(img);
+        } else if (img.dataset.srcset) {
+            if (img.parentElement.tagName === 'PICTURE') {
+                img.parentElement.querySelectorAll('source[data-srcset]').forEach((source) => {
+                    source.srcset = source.dataset.srcset;
+                    source.removeAttribute('data-srcset');
+                });
+            }
+            img.srcset = img.dataset.srcset;
+            img.removeAttribute('data-srcset');
+        }
+        img.src = src;
+        img.removeAttribute('data-src');
+        img.classList.add('is-loaded');
+    },
 
-        const retryCount = (queueEntry.retryCount || 0) + 1;
-        queueEntry.retryCount = retryCount;
+    /**
+     * 降级地址加载成功：之前失败的地址（源图存在，是代理或域名的问题）计入提供方降级和域名熔断
+     * @private
+     * @param {Object} entry - 加载队列项
+     */
+    _confirmFailures(entry) {
+        entry.failedUrls.forEach((failedUrl) => {
+            ImageProxyService.reportFailure(failedUrl);
+            if (RetryPolicy.recordFailure(failedUrl)) {
+                console.warn(`[ImageLoadManager] Too many failures from ${hostOf(failedUrl)}, skipping it for now`);
+            }
+        });
+        entry.failedUrls = [];
+    },
 
-        // 降级策略链：优化URL → 原始URL → 占位符
-        let fallbackUrl = null;
+    /**
+     * 处理图片加载错误：记录失败的地址（降级地址成功后再计入，见 _confirmFailures），退避后尝试降级链的下一个地址
+     * 等待期间释放并发名额
+     * @private
+     * @param {string} url - 队列 URL（优化后的地址）
+     */
+    _handleLoadError(url) {
+        const queueEntry = this._loadQueue.get(url);
+        if (!queueEntry) return;
 
-        if (retryCount === 1) {
-            // 第1次失败：尝试原始 URL（去掉代理）
-            fallbackUrl = queueEntry.originalUrl;
-        } else if (retryCount === 2) {
-            // 第2次失败：尝试预加载版本（可能更稳定）
-            fallbackUrl = ImageProxyService.getPreloadUrl(queueEntry.originalUrl);
-        } else {
-            // 多次失败：使用灰色占位符，放弃重试
-            queueEntry.elements.forEach((img) => {
-                if (img && img.parentElement) {
-                    img.style.backgroundColor = '#e5e5e5';
-                    img.removeAttribute('data-src');
-                }
-            });
-            queueEntry.state = LOAD_STATE.FALLBACK;
+        queueEntry.failedUrls.push(queueEntry.candidates[queueEntry.attempt].url);
+        queueEntry.attempt++;
+        queueEntry.retryCount++;
+        queueEntry.abort = null;
+        this._loadingUrls.delete(url);
 
-            console.warn(
-                `[ImageLoadManager] Failed to load image after ${retryCount} retries: ${optimizedUrl}`
-            );
+        if (queueEntry.attempt >= queueEntry.candidates.length) {
+            this._giveUp(queueEntry);
             return;
         }
 
-        // 重试加载
-        if (fallbackUrl && retryCount <= this._maxRetries) {
-            console.debug(
-                `[ImageLoadManager] Retrying with fallback URL (attempt ${retryCount}): ${fallbackUrl}`
-            );
-
-            const tempImg = new Image();
-            tempImg.onload = () => {
-                this._loadedUrls.add(fallbackUrl);
-                queueEntry.elements.forEach((img) => {
-                    if (img && img.parentElement) {
-                        img.src = fallbackUrl;
-                        img.removeAttribute('data-src');
-                    }
-                });
-                queueEntry.state = LOAD_STATE.LOADED;
-            };
+        const delay = RetryPolicy.getDelay(queueEntry.retryCount);
+        console.debug(
+            `[ImageLoadManager] Retrying in ${delay}ms (attempt ${queueEntry.retryCount}): ${queueEntry.candidates[queueEntry.attempt].url}`
+        );
+
+        queueEntry.state = LOAD_STATE.PENDING;
+        queueEntry.retryTimer = setTimeout(() => {
+            queueEntry.retryTimer = null;
+            this._pump();
+        }, delay);
+        this._pump();
+    },
+
+    /**
+     * 降级链全部失败（或全部熔断）：恢复占位图（保留预览图和主色），通知页面显示「重试」
+     * 原图也无法加载时多为源图缺失，失败的地址不计入代理服务的降级和熔断
+     * @private
+     * @param {Object} entry - 加载队列项
+     */
+    _giveUp(entry) {
+        entry.failedUrls = [];
+        entry.elements.forEach((img) => {
+            if (img && img.parentElement) {
+                this._removeResponsiveSources(img);
+                if (entry.placeholderSrc) img.src = entry.placeholderSrc;
+                img.classList.add('is-failed');
+                img.removeAttribute('data-src');
+            }
+        });
+        this._finish(entry, LOAD_STATE.FALLBACK);
+        ImageTelemetry.gaveUp(entry.originalUrl);
+
+        console.warn(
+            `[ImageLoadManager] Failed to load image after ${entry.retryCount} retries: ${entry.originalUrl}`
+        );
+        document.dispatchEvent(new CustomEvent('image-load-failed', { detail: { count: this.getFailedCount() } }));
+    },
+
+    /**
+     * 加载失败（已显示占位图）的图片数量
+     * @returns {number}
+     */
+    getFailedCount() {
+        return Array.from(this._loadQueue.values()).filter(entry => entry.state === LOAD_STATE.FALLBACK).length;
+    },
 
-            tempImg.onerror = () => {
-                this._handleLoadError(optimizedUrl);
-            };
+    /**
+     * 重新加载所有失败的图片：恢复所有域名的熔断器，从降级链的第一个地址开始
+     * @returns {number} 重新加载的图片数量
+     */
+    retryFailed() {
+        RetryPolicy.reset();
+        this._prune();
+
+        let count = 0;
+        for (const entry of this._loadQueue.values()) {
+            if (entry.state !== LOAD_STATE.FALLBACK) continue;
+
+            entry.state = LOAD_STATE.PENDING;
+            entry.candidates = null;
+            entry.attempt = 0;
+            entry.retryCount = 0;
+            entry.failedUrls = [];
+            entry.elements.forEach(img => img.classList.remove('is-failed'));
+            count++;
+        }
 
-            tempImg.src = fallbackUrl;
+        if (count > 0) {
+            console.info(`[ImageLoadManager] Retrying ${count} failed image(s)`);
+            this._reprioritize();
         }
+        return count;
     },
 
     /**
@@ -310,27 +760,40 @@ export const ImageLoadManager = {
      * 用于页面卸载或主动清理
      */
     destroy() {
-        if (this._observer) {
-            this._observer.disconnect();
-            this._observer = null;
+        if (this._nearObserver) {
+            this._nearObserver.disconnect();
+            this._visibleObserver.disconnect();
+            this._nearObserver = null;
+            this._visibleObserver = null;
         }
 
+        this._loadQueue.forEach((entry) => {
+            this._cancel(entry);
+            clearTimeout(entry.retryTimer);
+        });
         this._loadQueue.clear();
+        this._targets.clear();
         this._loadingUrls.clear();
         this._initialized = false;
     },
 
     /**
-     * 获取统计信息（用于调试）
+     * 获取统计信息（用于调试；各图片的加载时间见 ImageTelemetry.getReport()）
      * @returns {Object} 统计数据
      */
     getStats() {
+        const pending = Array.from(this._loadQueue.values()).filter(entry => entry.state === LOAD_STATE.PENDING);
         return {
             initialized: this._initialized,
             queueSize: this._loadQueue.size,
+            pendingCount: pending.length,
             loadingCount: this._loadingUrls.size,
             loadedCount: this._loadedUrls.size,
-            observerConnected: this._observer ? true : false
+            failedCount: this.getFailedCount(),
+            openHosts: RetryPolicy.getOpenHosts().map(breaker => breaker.host),
+            maxConcurrent: this._maxConcurrent,
+            prefetch: this._minPriority < PRIORITY.IMMEDIATE,
+            observerConnected: this._nearObserver ? true : false
         };
     }
 };
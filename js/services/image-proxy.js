@@ -3,7 +3,8 @@
  * 图片代理服务模块
  * 
  * 用于解决国内无法直接访问 GitHub Pages 等服务的图片问题
- * 通过第三方 CDN 代理服务（如 weserv.nl）加速图片加载
+ * 通过图片代理服务（weserv.nl、自建 imgproxy / thumbor、Cloudflare Images）加速图片加载，
+ * 并按显示尺寸缩放、转换格式
  * 
  * @module services/image-proxy
  */
@@ -12,10 +13,11 @@
  * 代理服务配置
  * @typedef {Object} ProxyConfig
  * @property {boolean} enabled - 是否启用代理
- * @property {string} proxyBaseUrl - 代理服务基础 URL
+ * @property {Array<{name: string, baseUrl?: string}>} providers - 代理提供方（按优先级，失败时依次降级；见 PROVIDERS）
  * @property {string} siteBaseUrl - 站点基础 URL（用于将相对路径转换为绝对路径）
+ * @property {string} probeImage - 健康检查使用的图片（站内小图，相对路径）
  * @property {string[]} proxyPatterns - 需要代理的 URL 模式（正则表达式字符串）
- * @property {string[]} excludePatterns - 排除代理的 URL 模式
+ * @property {string[]} excludePatterns - 排除代理的 URL 模式（已经是代理 URL 的地址由提供方自行识别）
  */
 
 /**
@@ -24,19 +26,20 @@
  */
 const DEFAULT_CONFIG = {
     enabled: true,
-    proxyBaseUrl: 'https://images.weserv.nl/?url=',
+    providers: [{ name: 'weserv' }],
     siteBaseUrl: '', // 运行时自动检测
+    probeImage: 'assets/images/avatar.png',
     proxyPatterns: [
         // GitHub Pages
         /\.github\.io/,
         // GitHub Raw
         /raw\.githubusercontent\.com/,
         // GitHub User Content
-        /githubusercontent\.com/
+        /githubusercontent\.com/,
+        // Open Library 封面（按 ISBN 生成，国内无法直接访问）
+        /covers\.openlibrary\.org/
     ],
     excludePatterns: [
-        // 已经是代理 URL
-        /images\.weserv\.nl/,
         // Data URLs
         /^data:/,
         // 本地开发
@@ -45,12 +48,161 @@ const DEFAULT_CONFIG = {
     ]
 };
 
+/**
+ * 图片代理提供方
+ * - defaultBaseUrl：默认服务地址；自建服务（imgproxy / thumbor）没有默认地址，必须在配置中指定
+ * - buildUrl(baseUrl, sourceUrl, options)：生成代理 URL；options 为空时只代理不缩放，
+ *   format 为 auto 时由代理按请求的 Accept 选择格式（AVIF / WebP / 原格式）
+ * - extractSource(baseUrl, url)：从代理 URL 还原原图地址（降级时使用），不是该提供方的 URL 时返回 null
+ *
+ * @type {Object<string, {defaultBaseUrl: string, buildUrl: Function, extractSource: Function}>}
+ */
+const PROVIDERS = {
+    // images.weserv.nl：?url=原图&w=宽度&q=质量&output=格式
+    weserv: {
+        defaultBaseUrl: 'https://images.weserv.nl/',
+        buildUrl(baseUrl, sourceUrl, { width, quality, format } = {}) {
+            let url = `${baseUrl}?url=${encodeURIComponent(sourceUrl)}`;
+            if (width) url += `&w=${width}&q=${quality}`;
+            if (format) url += format === 'auto' ? `&f=${format}` : `&output=${format}`;
+            return url;
+        },
+        extractSource(baseUrl, url) {
+            if (!url.startsWith(baseUrl)) return null;
+            const source = new URL(url).searchParams.get('url');
+            return source || null;
+        }
+    },
+
+    // 自建 imgproxy（未启用签名）：/insecure/rs:fit:宽度:0/q:质量/plain/原图@格式
+    // 启用签名的实例需要密钥，不能在浏览器中生成 URL
+    imgproxy: {
+        defaultBaseUrl: '',
+        buildUrl(baseUrl, sourceUrl, { width, quality, format } = {}) {
+            const options = width ? `rs:fit:${width}:0/q:${quality}/` : '';
+            const extension = format && format !== 'auto' ? `@${format}` : '';
+            return `${baseUrl}insecure/${options}plain/${encodeURIComponent(sourceUrl)}${extension}`;
+        },
+        extractSource(baseUrl, url) {
+            if (!url.startsWith(baseUrl)) return null;
+            const m = url.match(/\/plain\/([^@]+)(?:@\w+)?$/);
+            return m ? decodeURIComponent(m[1]) : null;
+        }
+    },
+
+    // 自建 thumbor（未启用签名）：/unsafe/宽度x0/filters:quality(质量):format(格式)/原图
+    thumbor: {
+        defaultBaseUrl: '',
+        buildUrl(baseUrl, sourceUrl, { width, quality, format } = {}) {
+            const filters = [];
+            if (width) filters.push(`quality(${quality})`);
+            if (format && format !== 'auto') filters.push(`format(${format})`);
+            const size = width ? `${width}x0/` : '';
+            const filterPath = filters.length > 0 ? `filters:${filters.join(':')}/` : '';
+            return `${baseUrl}unsafe/${size}${filterPath}${encodeURIComponent(sourceUrl)}`;
+        },
+        extractSource(baseUrl, url) {
+            if (!url.startsWith(`${baseUrl}unsafe/`)) return null;
+            const m = url.match(/\/(https?%3A[^/]*)$/i);
+            return m ? decodeURIComponent(m[1]) : null;
+        }
+    },
+
+    // Cloudflare Images（图片变换）：/cdn-cgi/image/width=宽度,quality=质量,format=格式/原图
+    // 需要在 Cloudflare 托管的域名下使用；未指定地址时使用站点自身的域名
+    cloudflare: {
+        defaultBaseUrl: '',
+        buildUrl(baseUrl, sourceUrl, { width, quality, format = 'auto' } = {}) {
+            const options = width ? `width=${width},quality=${quality},format=${format}` : `format=${format}`;
+            return `${baseUrl}cdn-cgi/image/${options}/${sourceUrl}`;
+        },
+        extractSource(baseUrl, url) {
+            if (!url.startsWith(`${baseUrl}cdn-cgi/image/`)) return null;
+            const m = url.match(/\/cdn-cgi\/image\/[^/]+\/(.+)$/);
+            return m ? m[1] : null;
+        }
+    },
+
+    // 不使用代理：直接加载原图（无法缩放，也不提供 srcset）
+    direct: {
+        defaultBaseUrl: '',
+        buildUrl(baseUrl, sourceUrl) {
+            return sourceUrl;
+        },
+        extractSource() {
+            return null;
+        }
+    }
+};
+
+/**
+ * 连续失败多少次后降级提供方
+ */
+const DEMOTE_AFTER_FAILURES = 3;
+
+/**
+ * 降级持续时间（毫秒）：之后重新尝试该提供方
+ */
+const DEMOTE_DURATION = 5 * 60 * 1000;
+
+/**
+ * 健康检查超时（毫秒）
+ */
+const PROBE_TIMEOUT = 8000;
+
+/**
+ * 响应式图片配置（按图片在卡片中的显示宽度划分）
+ * - widths：srcset 候选宽度（像素），覆盖 1x–3x 屏幕
+ * - sizes：与 CSS 中的显示宽度保持一致（移动端 767px 以下为单列满宽，页面左右边距共 32px）
+ * - quality：输出质量
+ * @type {Object<string, {widths: number[], sizes: string, quality: number}>}
+ */
+const IMAGE_PROFILES = {
+    // 满宽卡片图：照片、图集、游戏封面、日记配图（卡片最小宽度 280px）
+    card: { widths: [320, 480, 640, 960, 1280], sizes: '(max-width: 767px) calc(100vw - 32px), 480px', quality: 80 },
+    // 读书封面：桌面端为 140px 宽的左侧封面，移动端改为顶部满宽
+    cover: { widths: [160, 280, 420, 640, 960], sizes: '(max-width: 767px) calc(100vw - 32px), 140px', quality: 80 },
+    // 电影票根海报：固定 140px 宽
+    poster: { widths: [160, 280, 420], sizes: '140px', quality: 80 },
+    // 详情面板中的封面和配图（面板最大宽度约 640px）
+    detail: { widths: [320, 480, 640, 960, 1280], sizes: '(max-width: 767px) calc(100vw - 32px), 600px', quality: 80 },
+    // 详情面板中的照片缩略图（网格列最小 120px）
+    thumbnail: { widths: [160, 240, 360, 480], sizes: '(max-width: 767px) 33vw, 160px', quality: 75 }
+};
+
+/**
+ * <picture> 的候选格式（按优先级），浏览器不支持时回退到 <img> 的 srcset
+ */
+const SOURCE_FORMATS = ['avif', 'webp'];
+
+/**
+ * 加载图片（健康检查用）
+ * @param {string} url
+ * @param {number} timeout - 超时（毫秒）
+ * @returns {Promise<boolean>} 是否加载成功
+ */
+function loadImage(url, timeout) {
+    return new Promise((resolve) => {
+        const img = new Image();
+        const timer = setTimeout(() => finish(false), timeout);
+        function finish(ok) {
+            clearTimeout(timer);
+            img.onload = img.onerror = null;
+            resolve(ok);
+        }
+        img.onload = () => finish(true);
+        img.onerror = () => finish(false);
+        img.src = url;
+    });
+}
+
 /**
  * ImageProxyService - 图片代理服务
  * 
  * 设计原则：
- * - 单一职责：仅负责图片 URL 的代理转换
- * - 可配置：支持自定义代理服务和规则
+ * - 单一职责：所有图片 URL 的代理转换都经过这里（包括 ISBN 封面等派生图片）
+ * - 可配置：代理提供方按 博客配置.md 中的「图片代理」排列，各提供方有自己的 URL 格式（见 PROVIDERS）
+ * - 自动降级：健康检查失败或连续加载失败的提供方暂时停用，改用下一个；全部停用时直接加载原图
  * - 惰性初始化：首次使用时自动检测环境
  */
 export const ImageProxyService = {
@@ -61,6 +213,13 @@ export const ImageProxyService = {
      */
     _config: { ...DEFAULT_CONFIG },
 
+    /**
+     * 代理提供方（按优先级）及其健康状态
+     * @private
+     * @type {Array<{name: string, baseUrl: string, failures: number, demotedUntil: number}>}
+     */
+    _providers: [],
+
     /**
      * 是否已初始化
      * @private
@@ -83,6 +242,7 @@ export const ImageProxyService = {
             this._config.siteBaseUrl = window.location.origin;
         }
 
+        this._providers = this._createProviders(this._config.providers);
         this._initialized = true;
     },
 
@@ -97,18 +257,82 @@ export const ImageProxyService = {
     },
 
     /**
-     * 检查 URL 是否需要代理
-     * 
-     * @param {string} url - 图片 URL
-     * @returns {boolean} 是否需要代理
+     * 按配置创建提供方列表（跳过未知或缺少地址的提供方）
+     * @private
+     * @param {Array<{name: string, baseUrl?: string}>} providers
+     * @returns {Array<{name: string, baseUrl: string, failures: number, demotedUntil: number}>}
      */
-    shouldProxy(url) {
-        this._ensureInitialized();
+    _createProviders(providers) {
+        const created = [];
+        for (const { name, baseUrl } of providers || []) {
+            const provider = PROVIDERS[name];
+            if (!provider) {
+                console.warn(`[ImageProxy] Unknown provider: ${name}`);
+                continue;
+            }
+            if (created.some(p => p.name === name)) continue;
+
+            let base = baseUrl || provider.defaultBaseUrl;
+            if (!base && name === 'cloudflare') base = this._config.siteBaseUrl;
+            if (!base && name !== 'direct') {
+                console.warn(`[ImageProxy] Provider "${name}" requires a base URL, skipped`);
+                continue;
+            }
+            created.push({ name, baseUrl: base ? `${base.replace(/\/+$/, '')}/` : '', failures: 0, demotedUntil: 0 });
+        }
+        return created;
+    },
+
+    /**
+     * 当前使用的提供方：第一个未被降级的提供方，全部降级时为 direct
+     * @private
+     * @returns {{name: string, baseUrl: string}}
+     */
+    _activeProvider() {
+        const now = Date.now();
+        return this._providers.find(p => p.demotedUntil <= now) || { name: 'direct', baseUrl: '' };
+    },
 
+    /**
+     * 查找生成该代理 URL 的提供方，并还原原图地址
+     * @private
+     * @param {string} url
+     * @returns {{provider: Object, source: string}|null} 不是代理 URL 时返回 null
+     */
+    _matchProvider(url) {
+        for (const provider of this._providers) {
+            const source = PROVIDERS[provider.name].extractSource(provider.baseUrl, url);
+            if (source) return { provider, source };
+        }
+        return null;
+    },
+
+    /**
+     * 使用指定提供方生成代理 URL
+     * @private
+     * @param {{name: string, baseUrl: string}} provider
+     * @param {string} absoluteUrl - 原图绝对 URL
+     * @param {Object} [options] - 缩放参数（width / quality / format）
+     * @returns {string}
+     */
+    _buildUrl(provider, absoluteUrl, options) {
+        return PROVIDERS[provider.name].buildUrl(provider.baseUrl, absoluteUrl, options);
+    },
+
+    /**
+     * 按规则检查 URL 是否属于需要代理的图片（不考虑提供方是否可用）
+     * @private
+     * @param {string} url - 绝对 URL
+     * @returns {boolean}
+     */
+    _matchesProxyRules(url) {
         if (!this._config.enabled || !url) {
             return false;
         }
 
+        // 已经是代理 URL
+        if (this._matchProvider(url)) return false;
+
         // 检查排除规则
         for (const pattern of this._config.excludePatterns) {
             if (pattern instanceof RegExp) {
@@ -130,6 +354,18 @@ export const ImageProxyService = {
         return false;
     },
 
+    /**
+     * 检查 URL 是否需要代理
+     * 当前没有可用的提供方（或配置为 direct）时不代理
+     * 
+     * @param {string} url - 图片 URL
+     * @returns {boolean} 是否需要代理
+     */
+    shouldProxy(url) {
+        this._ensureInitialized();
+        return this._matchesProxyRules(url) && this._activeProvider().name !== 'direct';
+    },
+
     /**
      * 将相对路径转换为绝对 URL
      * 
@@ -178,7 +414,7 @@ export const ImageProxyService = {
         }
 
         // 构建代理 URL
-        return `${this._config.proxyBaseUrl}${encodeURIComponent(absoluteUrl)}`;
+        return this._buildUrl(this._activeProvider(), absoluteUrl);
     },
 
     /**
@@ -197,7 +433,11 @@ export const ImageProxyService = {
      * @param {Partial<ProxyConfig>} newConfig - 新配置
      */
     updateConfig(newConfig) {
+        this._ensureInitialized();
         this._config = { ...this._config, ...newConfig };
+        if (newConfig.providers) {
+            this._providers = this._createProviders(this._config.providers);
+        }
     },
 
     /**
@@ -222,29 +462,75 @@ export const ImageProxyService = {
      * @param {Object} [options] - 优化选项
      * @param {number} [options.width=800] - 目标宽度（像素）
      * @param {number} [options.quality=80] - 图片质量（1-100）
-     * @param {string} [options.format='auto'] - 输出格式（auto/webp/jpeg/png）
-     * @returns {string} 优化后的代理 URL
+     * @param {string} [options.format='auto'] - 输出格式（auto/avif/webp/jpg/png）
+     * @returns {string} 优化后的代理 URL（不需要代理时为原图绝对 URL）
      */
     getOptimizedUrl(originalUrl, options = {}) {
         this._ensureInitialized();
 
         const { width = 800, quality = 80, format = 'auto' } = options;
 
-        // 先获取基础代理 URL
-        const baseProxiedUrl = this.getProxiedUrl(originalUrl);
+        const absoluteUrl = this.resolveUrl(originalUrl);
+
+        // 如果不需要代理，返回原 URL（无法添加缩放参数）
+        if (!this.shouldProxy(absoluteUrl)) {
+            return absoluteUrl;
+        }
+
+        // 由当前提供方生成带缩放参数的 URL：
+        // width=宽度: 缩放到指定宽度
+        // quality=质量: 1-100，推荐 75-85（对 JPEG）
+        // format=格式: auto 表示由代理自动选择最优格式（WebP/AVIF/JPEG）；
+        //   指定格式用于 <picture> 的 AVIF / WebP 候选
+        return this._buildUrl(this._activeProvider(), absoluteUrl, { width, quality, format });
+    },
+
+    /**
+     * 生成 srcset（每个候选宽度一个代理 URL）
+     * 不经过代理的图片无法缩放，返回空字符串
+     *
+     * @param {string} originalUrl - 原始图片 URL
+     * @param {Object} options
+     * @param {number[]} options.widths - 候选宽度（像素）
+     * @param {number} [options.quality=80] - 图片质量（1-100）
+     * @param {string} [options.format='auto'] - 输出格式
+     * @returns {string} 如 "https://...&w=320 320w, https://...&w=640 640w"
+     */
+    getSrcset(originalUrl, { widths, quality = 80, format = 'auto' }) {
+        this._ensureInitialized();
+
+        if (!originalUrl || !this.shouldProxy(this.resolveUrl(originalUrl))) {
+            return '';
+        }
+
+        return widths
+            .map(width => `${this.getOptimizedUrl(originalUrl, { width, quality, format })} ${width}w`)
+            .join(', ');
+    },
 
-        // 如果不需要代理，返回原 URL（无法添加 weserv 参数）
-        if (!this.shouldProxy(this.resolveUrl(originalUrl))) {
-            return baseProxiedUrl;
+    /**
+     * 按卡片类型生成响应式图片属性：<img> 的 srcset / sizes，以及 <picture> 的 AVIF / WebP 候选
+     * 不经过代理的图片（本地开发、站外图片）只有原图，srcset 为空且没有候选格式
+     *
+     * @param {string} originalUrl - 原始图片 URL
+     * @param {string} [profile='card'] - 配置名（card/cover/poster/detail/thumbnail）
+     * @returns {{srcset: string, sizes: string, sources: Array<{type: string, srcset: string}>}}
+     */
+    getResponsiveImage(originalUrl, profile = 'card') {
+        const { widths, sizes, quality } = IMAGE_PROFILES[profile] || IMAGE_PROFILES.card;
+        const srcset = this.getSrcset(originalUrl, { widths, quality });
+        if (!srcset) {
+            return { srcset: '', sizes: '', sources: [] };
         }
 
-        // 为 weserv.nl 代理 URL 添加优化参数
-        // 参数说明：
-        // w=宽度: 缩放到指定宽度
-        // q=质量: 1-100，推荐 75-85（对 JPEG）
-        // f=格式: auto 表示自动选择最优格式（WebP/AVIF/JPEG）
-        const params = `&w=${width}&q=${quality}&f=${format}`;
-        return `${baseProxiedUrl}${params}`;
+        return {
+            srcset,
+            sizes,
+            sources: SOURCE_FORMATS.map(format => ({
+                type: `image/${format}`,
+                srcset: this.getSrcset(originalUrl, { widths, quality, format })
+            }))
+        };
     },
 
     /**
@@ -263,16 +549,147 @@ export const ImageProxyService = {
     },
 
     /**
-     * 获取极小的模糊占位符 URL（Base64 编码）
-     * 用作 loading 状态下的初始 src
-     * 这是一个 1×1 像素的灰色 JPEG（极小，~200 字节）
+     * 获取通用占位符 URL（Base64 编码）
+     * 用作没有低质量预览图（照片清单中的 placeholder）的图片在 loading 状态下的初始 src
+     * 这是一个 1×1 像素的透明 GIF，加载前显示图片的背景色（主色或主题底色）
      * 
      * @returns {string} Base64 Data URL
      */
     getPlaceholderUrl() {
-        // 1×1 灰色像素的最小 JPEG（Base64）
-        // 生成方式：gray.jpg 压缩到极限
-        return 'data:image/jpeg;base64,/9j/4AAQSkZJRgABAQEAYABgAAD/2wBDAAgGBgcGBQgHBwcJCQgKDBQNDAsLDBkSEw8UHRofHh0aHBwgJC4nICIsIxwcKDcpLDAxNDQ0Hyc5PTgyPC4zNDL/2wBDAQkJCQwLDBgNDRgyIRwhMjIyMjIyMjIyMjIyMjIyMjIyMjIyMjIyMjIyMjIyMjIyMjIyMjIyMjIyMjIyMjIyMjL/wAARCAABAAEDASIAAhEBAxEB/8QAFQABAQAAAAAAAAAAAAAAAAAAAAn/xAAUEAEAAAAAAAAAAAAAAAAAAAAA/8VAFQEBAQAAAAAAAAAAAAAAAAAAAAX/xAAUEQEAAAAAAAAAAAAAAAAAAAAA/9oADAMBAAIRAxEAPwCwAA8A/9k=';
+        return 'data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7';
+    },
+
+    /**
+     * 健康检查：通过每个提供方加载一张站内小图，失败的提供方立即降级
+     * 本地开发（图片不经过代理）或非浏览器环境下跳过
+     *
+     * @returns {Promise<Array<{name: string, ok: boolean, duration: number}>>} 各提供方的检查结果
+     */
+    async probe() {
+        this._ensureInitialized();
+
+        const source = this.resolveUrl(this._config.probeImage);
+        if (typeof Image === 'undefined' || !this._matchesProxyRules(source)) {
+            return [];
+        }
+
+        return Promise.all(this._providers.filter(p => p.name !== 'direct').map(async (provider) => {
+            const start = Date.now();
+            const ok = await loadImage(this._buildUrl(provider, source, { width: 16, quality: 50 }), PROBE_TIMEOUT);
+            if (ok) {
+                provider.failures = 0;
+                provider.demotedUntil = 0;
+            } else {
+                this._demote(provider, 'health check failed');
+            }
+            return { name: provider.name, ok, duration: Date.now() - start };
+        }));
+    },
+
+    /**
+     * 降级提供方：DEMOTE_DURATION 内不再使用，之后重新尝试
+     * @private
+     * @param {Object} provider
+     * @param {string} reason - 原因（写入日志）
+     */
+    _demote(provider, reason) {
+        provider.failures = 0;
+        provider.demotedUntil = Date.now() + DEMOTE_DURATION;
+        console.warn(`[ImageProxy] Provider "${provider.name}" demoted (${reason}), now using "${this._activeProvider().name}"`);
+    },
+
+    /**
+     * 记录图片加载失败；同一提供方连续失败 DEMOTE_AFTER_FAILURES 次后降级
+     *
+     * @param {string} url - 加载失败的 URL（不是代理 URL 时忽略）
+     */
+    reportFailure(url) {
+        const match = this._matchProvider(url);
+        if (!match || match.provider.demotedUntil > Date.now()) return;
+
+        match.provider.failures++;
+        if (match.provider.failures >= DEMOTE_AFTER_FAILURES) {
+            this._demote(match.provider, `${DEMOTE_AFTER_FAILURES} consecutive load failures`);
+        }
+    },
+
+    /**
+     * 记录图片加载成功（清零提供方的连续失败次数）
+     *
+     * @param {string} url - 加载成功的 URL
+     */
+    reportSuccess(url) {
+        const match = this._matchProvider(url);
+        if (match) match.provider.failures = 0;
+    },
+
+    /**
+     * 获取代理 URL 加载失败后的替代地址：优先级更低的下一个可用提供方（预加载尺寸），没有时为原图
+     *
+     * @param {string} failedUrl - 加载失败的 URL
+     * @returns {string|null} 替代 URL；failedUrl 不是代理 URL 时返回 null
+     */
+    getFailoverUrl(failedUrl) {
+        this._ensureInitialized();
+
+        const match = this._matchProvider(failedUrl);
+        if (!match) return null;
+
+        const now = Date.now();
+        const next = this._providers
+            .slice(this._providers.indexOf(match.provider) + 1)
+            .find(p => p.demotedUntil <= now);
+
+        return next
+            ? this._buildUrl(next, match.source, { width: 500, quality: 75, format: 'auto' })
+            : match.source;
+    },
+
+    /**
+     * 从代理 URL 还原原图地址
+     *
+     * @param {string} url - 代理 URL 或原图 URL
+     * @returns {string} 原图绝对 URL
+     */
+    getSourceUrl(url) {
+        this._ensureInitialized();
+        const match = this._matchProvider(url);
+        return match ? match.source : url;
+    },
+
+    /**
+     * 获取生成该 URL 的代理提供方名称
+     *
+     * @param {string} url - 代理 URL 或原图 URL
+     * @returns {string} 提供方名称；不是代理 URL 时为 'direct'
+     */
+    getProviderName(url) {
+        this._ensureInitialized();
+        const match = this._matchProvider(url);
+        return match ? match.provider.name : 'direct';
+    },
+
+    /**
+     * 各代理提供方的域名（Service Worker 据此缓存代理图片）
+     *
+     * @returns {string[]}
+     */
+    getProviderHosts() {
+        this._ensureInitialized();
+        return this._providers
+            .filter(p => p.baseUrl)
+            .map(p => new URL(p.baseUrl).host);
+    },
+
+    /**
+     * 获取各提供方的状态（用于调试）
+     *
+     * @returns {Array<{name: string, baseUrl: string, active: boolean, failures: number, demotedUntil: number}>}
+     */
+    getStatus() {
+        this._ensureInitialized();
+        const active = this._activeProvider();
+        return this._providers.map(p => ({ ...p, active: p === active }));
     },
 
     /**
@@ -0,0 +1,300 @@
+/**
+ * Image Telemetry
+ * 图片加载遥测模块
+ *
+ * 职责：
+ * - 记录每张图片的加载时间线：进入队列、开始请求、首字节（Resource Timing）、解码完成
+ * - 记录每次请求的地址、代理提供方和结果，以及最终成功的降级层级（见 TIER）
+ * - 按代理提供方和域名汇总请求数、失败率和耗时，用于判断图集加载慢的原因（代理服务还是 GitHub Pages）
+ * - 生成可导出的 JSON 报告
+ *
+ * 由 ImageLoadManager 在加载各阶段调用；浮层展示见 ui/image-stats-overlay.js
+ *
+ * @module services/image-telemetry
+ */
+
+import { ImageProxyService } from './image-proxy.js';
+import { RetryPolicy } from '../core/retry-policy.js';
+
+/**
+ * 成功加载的降级层级（对应 ImageLoadManager._handleLoadError 的降级链）
+ */
+export const TIER = {
+    OPTIMIZED: 'optimized',     // 首选地址（当前代理提供方的优化 URL）
+    FAILOVER: 'failover',       // 下一个代理提供方
+    ORIGINAL: 'original',       // 原图（不经代理）
+    PLACEHOLDER: 'placeholder'  // 全部失败，保留占位图
+};
+
+/**
+ * 单次请求的结果
+ */
+const OUTCOME = {
+    PENDING: 'pending',
+    OK: 'ok',
+    ERROR: 'error',
+    CANCELLED: 'cancelled'
+};
+
+/**
+ * 当前时间（相对页面导航开始，毫秒）
+ * @returns {number}
+ */
+function now() {
+    return Math.round(performance.now());
+}
+
+/**
+ * URL 的域名（相对路径为本站域名）
+ * @param {string} url
+ * @returns {string}
+ */
+function hostOf(url) {
+    try {
+        return new URL(url, window.location.href).host;
+    } catch {
+        return '';
+    }
+}
+
+/**
+ * 读取请求的首字节时间（Resource Timing）
+ * 跨域资源没有 Timing-Allow-Origin 响应头时 responseStart 为 0，返回 null
+ * @param {string} url
+ * @returns {number|null}
+ */
+function firstByteOf(url) {
+    if (typeof performance.getEntriesByName !== 'function') return null;
+    const entries = performance.getEntriesByName(new URL(url, window.location.href).href, 'resource');
+    const entry = entries[entries.length - 1];
+    return entry && entry.responseStart > 0 ? Math.round(entry.responseStart) : null;
+}
+
+/**
+ * 分位数（已排序数组）
+ * @param {number[]} sorted
+ * @param {number} p - 0~1
+ * @returns {number|null}
+ */
+function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+/**
+ * 一组耗时的统计
+ * @param {number[]} values
+ * @returns {{count: number, p50: number|null, p90: number|null, max: number|null}}
+ */
+function summarize(values) {
+    const sorted = values.filter(v => v !== null).sort((a, b) => a - b);
+    return {
+        count: sorted.length,
+        p50: percentile(sorted, 0.5),
+        p90: percentile(sorted, 0.9),
+        max: sorted.length > 0 ? sorted[sorted.length - 1] : null
+    };
+}
+
+export const ImageTelemetry = {
+    /**
+     * 图片记录 Map: 队列 URL → { url, source, queuedAt, startedAt, firstByteAt, loadedAt, decodedAt, tier, attempts }
+     * @private
+     * @type {Map<string, Object>}
+     */
+    _records: new Map(),
+
+    /**
+     * 图片进入加载队列
+     * @param {string} url - 队列 URL（优化后的地址）
+     */
+    queued(url) {
+        if (this._records.has(url)) return;
+        this._records.set(url, {
+            url,
+            source: ImageProxyService.getSourceUrl(url),
+            queuedAt: now(),
+            startedAt: null,
+            firstByteAt: null,
+            loadedAt: null,
+            decodedAt: null,
+            tier: null,
+            attempts: []
+        });
+    },
+
+    /**
+     * 开始一次请求
+     * @param {string} url - 队列 URL
+     * @param {string} requestUrl - 本次请求的地址（首选或降级地址）
+     * @param {string} tier - 降级层级（TIER）
+     */
+    started(url, requestUrl, tier) {
+        const record = this._records.get(url);
+        if (!record) return;
+
+        const time = now();
+        if (record.startedAt === null) record.startedAt = time;
+        record.attempts.push({
+            url: requestUrl,
+            tier,
+            provider: ImageProxyService.getProviderName(requestUrl),
+            host: hostOf(requestUrl),
+            startedAt: time,
+            endedAt: null,
+            firstByteAt: null,
+            outcome: OUTCOME.PENDING
+        });
+    },
+
+    /**
+     * 结束当前请求
+     * @private
+     * @param {string} url - 队列 URL
+     * @param {string} outcome - OUTCOME
+     * @returns {Object|null} 结束的请求记录
+     */
+    _endAttempt(url, outcome) {
+        const record = this._records.get(url);
+        const attempt = record && record.attempts[record.attempts.length - 1];
+        if (!attempt || attempt.outcome !== OUTCOME.PENDING) return null;
+
+        attempt.endedAt = now();
+        attempt.firstByteAt = firstByteOf(attempt.url);
+        attempt.outcome = outcome;
+        return attempt;
+    },
+
+    /**
+     * 请求成功：记录层级，并在图片解码完成后记录解码时间
+     * @param {string} url - 队列 URL
+     * @param {HTMLImageElement} [img] - 显示该图片的元素
+     */
+    loaded(url, img) {
+        const attempt = this._endAttempt(url, OUTCOME.OK);
+        if (!attempt) return;
+
+        const record = this._records.get(url);
+        record.tier = attempt.tier;
+        record.firstByteAt = attempt.firstByteAt;
+        record.loadedAt = attempt.endedAt;
+
+        const decoding = img && typeof img.decode === 'function' ? img.decode() : Promise.resolve();
+        decoding
+            .catch(() => {})
+            .then(() => { record.decodedAt = now(); });
+    },
+
+    /**
+     * 请求失败（之后可能降级重试）
+     * @param {string} url - 队列 URL
+     */
+    failed(url) {
+        this._endAttempt(url, OUTCOME.ERROR);
+    },
+
+    /**
+     * 请求被取消（图片离开视口）
+     * @param {string} url - 队列 URL
+     */
+    cancelled(url) {
+        this._endAttempt(url, OUTCOME.CANCELLED);
+    },
+
+    /**
+     * 全部降级地址都失败，保留占位图
+     * @param {string} url - 队列 URL
+     */
+    gaveUp(url) {
+        const record = this._records.get(url);
+        if (record) record.tier = TIER.PLACEHOLDER;
+    },
+
+    /**
+     * 按字段汇总请求：次数、失败次数、失败率、耗时和首字节时间
+     * @private
+     * @param {string} key - 'provider' 或 'host'
+     * @returns {Object<string, Object>}
+     */
+    _aggregate(key) {
+        const groups = {};
+        for (const record of this._records.values()) {
+            for (const attempt of record.attempts) {
+                if (attempt.outcome === OUTCOME.PENDING || attempt.outcome === OUTCOME.CANCELLED) continue;
+                if (!groups[attempt[key]]) {
+                    groups[attempt[key]] = { requests: 0, failures: 0, durations: [], firstBytes: [] };
+                }
+                const group = groups[attempt[key]];
+                group.requests++;
+                if (attempt.outcome === OUTCOME.ERROR) group.failures++;
+                group.durations.push(attempt.endedAt - attempt.startedAt);
+                if (attempt.firstByteAt !== null) group.firstBytes.push(attempt.firstByteAt - attempt.startedAt);
+            }
+        }
+
+        return Object.fromEntries(Object.entries(groups).map(([name, group]) => [name, {
+            requests: group.requests,
+            failures: group.failures,
+            failureRate: group.failures / group.requests,
+            duration: summarize(group.durations),
+            firstByte: summarize(group.firstBytes)
+        }]));
+    },
+
+    /**
+     * 生成报告
+     * 时间均为相对页面导航开始的毫秒数；images 中 null 表示尚未到达该阶段（或首字节时间不可读）
+     *
+     * @returns {Object}
+     */
+    getReport() {
+        const records = Array.from(this._records.values());
+        const tiers = Object.fromEntries(Object.values(TIER).map(tier => [tier, 0]));
+        records.forEach((record) => {
+            if (record.tier) tiers[record.tier]++;
+        });
+
+        const since = (record, field, from) => (record[field] !== null && record[from] !== null ? record[field] - record[from] : null);
+        const connection = navigator.connection;
+
+        return {
+            generatedAt: new Date().toISOString(),
+            page: window.location.href,
+            connection: connection ? { effectiveType: connection.effectiveType, saveData: Boolean(connection.saveData) } : null,
+            providers: ImageProxyService.getStatus().map(({ name, baseUrl, active, demotedUntil }) => ({
+                name, baseUrl, active, demoted: demotedUntil > Date.now()
+            })),
+            openHosts: RetryPolicy.getOpenHosts(),
+            summary: {
+                images: records.length,
+                loaded: records.filter(record => record.tier && record.tier !== TIER.PLACEHOLDER).length,
+                tiers,
+                queueWait: summarize(records.map(record => since(record, 'startedAt', 'queuedAt'))),
+                loadTime: summarize(records.map(record => since(record, 'loadedAt', 'startedAt'))),
+                decodeTime: summarize(records.map(record => since(record, 'decodedAt', 'loadedAt')))
+            },
+            byProvider: this._aggregate('provider'),
+            byHost: this._aggregate('host'),
+            images: records
+        };
+    },
+
+    /**
+     * 下载 JSON 报告
+     */
+    exportReport() {
+        const json = JSON.stringify(this.getReport(), null, 2);
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        link.download = `image-telemetry-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    },
+
+    /**
+     * 清空记录
+     */
+    reset() {
+        this._records.clear();
+    }
+};
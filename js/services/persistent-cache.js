@@ -0,0 +1,178 @@
+/**
+ * 持久化缓存（IndexedDB）
+ *
+ * 按文件 URL 保存分类的解析结果和 HTTP 校验信息（ETag / Last-Modified），
+ * 供 DataService 在页面刷新后立即渲染，并通过条件请求重新校验
+ *
+ * 每条记录带有版本号（由调用方在 open 时传入，通常包含解析器版本），
+ * 版本不一致的记录视为不存在，并在打开数据库时清理
+ *
+ * IndexedDB 不可用（隐私模式、配额不足等）时所有操作静默降级：读取返回 null，写入忽略
+ *
+ * @module services/persistent-cache
+ */
+
+const DB_NAME = 'carrot-blog';
+const STORE_NAME = 'categories';
+
+/**
+ * 数据库结构版本（修改对象仓库结构时递增）
+ */
+const SCHEMA_VERSION = 1;
+
+/**
+ * 缓存记录
+ * @typedef {Object} CacheRecord
+ * @property {string} url - 文件 URL（主键）
+ * @property {string} version - 记录版本
+ * @property {string|null} etag - ETag 响应头
+ * @property {string|null} lastModified - Last-Modified 响应头
+ * @property {Array<Object>} items - 解析后的条目
+ * @property {number} savedAt - 写入时间戳
+ */
+
+/**
+ * IDBRequest → Promise
+ * @param {IDBRequest} request
+ * @returns {Promise<*>}
+ */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+export const PersistentCache = {
+    /**
+     * 数据库连接
+     * @private
+     * @type {Promise<IDBDatabase|null>|null}
+     */
+    _db: null,
+
+    /**
+     * 当前记录版本
+     * @private
+     * @type {string|null}
+     */
+    _version: null,
+
+    /**
+     * 当前环境是否支持 IndexedDB
+     * @returns {boolean}
+     */
+    isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    },
+
+    /**
+     * 打开数据库并清理版本不一致的记录
+     * @param {string} version - 记录版本
+     * @returns {Promise<boolean>} 是否可用
+     */
+    async open(version) {
+        this._version = String(version);
+        if (!this._db) {
+            this._db = this._openDatabase();
+        }
+
+        const db = await this._db;
+        if (!db) return false;
+
+        this._removeStale().catch(e => console.warn('[PersistentCache] Failed to remove stale records:', e));
+        return true;
+    },
+
+    /**
+     * 读取记录（不存在或版本不一致时返回 null）
+     * @param {string} url
+     * @returns {Promise<CacheRecord|null>}
+     */
+    async get(url) {
+        const db = await this._db;
+        if (!db) return null;
+
+        try {
+            const record = await promisify(db.transaction(STORE_NAME).objectStore(STORE_NAME).get(url));
+            return record && record.version === this._version ? record : null;
+        } catch (e) {
+            console.warn(`[PersistentCache] Failed to read: ${url}`, e);
+            return null;
+        }
+    },
+
+    /**
+     * 写入记录
+     * @param {string} url
+     * @param {{ etag?: string|null, lastModified?: string|null, items: Array<Object> }} entry
+     * @returns {Promise<void>}
+     */
+    async set(url, { etag = null, lastModified = null, items }) {
+        const db = await this._db;
+        if (!db) return;
+
+        try {
+            const store = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+            await promisify(store.put({ url, version: this._version, etag, lastModified, items, savedAt: Date.now() }));
+        } catch (e) {
+            console.warn(`[PersistentCache] Failed to write: ${url}`, e);
+        }
+    },
+
+    /**
+     * 清空所有记录
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        const db = await this._db;
+        if (!db) return;
+        await promisify(db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME).clear());
+    },
+
+    /**
+     * 打开（必要时创建）数据库；失败时返回 null
+     * @private
+     * @returns {Promise<IDBDatabase|null>}
+     */
+    async _openDatabase() {
+        if (!this.isAvailable()) return null;
+
+        try {
+            const request = indexedDB.open(DB_NAME, SCHEMA_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                // 结构变更时直接重建，缓存内容可以从网络恢复
+                if (db.objectStoreNames.contains(STORE_NAME)) {
+                    db.deleteObjectStore(STORE_NAME);
+                }
+                db.createObjectStore(STORE_NAME, { keyPath: 'url' });
+            };
+            return await promisify(request);
+        } catch (e) {
+            console.warn('[PersistentCache] IndexedDB unavailable, falling back to memory cache:', e);
+            return null;
+        }
+    },
+
+    /**
+     * 删除版本不一致的记录
+     * @private
+     * @returns {Promise<void>}
+     */
+    async _removeStale() {
+        const db = await this._db;
+        if (!db) return;
+
+        const request = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME).openCursor();
+        await new Promise((resolve, reject) => {
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return resolve();
+                if (cursor.value.version !== this._version) cursor.delete();
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+};
@@ -1,32 +1,137 @@
 /**
  * 照片发现服务
  * 职责：
- * - 通过 GitHub API 实时获取照片目录的文件列表
+ * - 获取照片目录的文件列表：优先查询预生成的照片清单（scripts/generate-photo-manifest.mjs），
+ *   清单缺失或不包含该目录时回退到 GitHub API（仓库由博客配置的「源码仓库」指定）
  * - 提供缓存机制以减少 API 调用
  * - 处理照片去重
  * - 支持排序合并（已配置 + 自动扫描）
  * 
  * 使用示例：
+ *   photoDiscoveryInstance.configure({ repo: { url: 'https://github.com/owner/name', branch: 'main' } });
  *   const photos = await PhotoDiscovery.getPhotosFromDirectory('assets/images/photos/月亮湖');
  *   const deduped = PhotoDiscovery.deduplicatePhotos(allPhotos, configuredSet);
  *   const merged = PhotoDiscovery.mergeAndSort(configured, autodiscovered);
  */
 
+/**
+ * 默认的文本加载方式：浏览器中通过 fetch 读取
+ * @param {string} path
+ * @returns {Promise<string|null>}
+ */
+async function fetchText(path) {
+  const response = await fetch(path);
+  return response.ok ? response.text() : null;
+}
+
 class PhotoDiscovery {
   constructor() {
     this.cache = new Map(); // dirPath → { files, timestamp }
     this.CACHE_TTL = 24 * 60 * 60 * 1000; // 24 小时
-    this.GITHUB_API_BASE = 'https://api.github.com/repos/CarrotWuDev/CarrotWuDev.github.io/contents';
+    this.GITHUB_API_BASE = 'https://api.github.com/repos';
+    this.MANIFEST_URL = 'assets/photo-manifest.json';
     this.SUPPORTED_EXTENSIONS = new Set(['.jpg', '.jpeg', '.png', '.gif', '.webp']);
     this.REQUEST_TIMEOUT = 5000; // 5 秒超时
+
+    this.repo = null; // { owner, name, branch }，未配置时不调用 GitHub API
+    this._loadText = fetchText;
+    this._manifest = null; // Promise<{ directories: Map<dirPath, files>, files: Map<filePath, file> }|null>
+  }
+
+  /**
+   * 配置照片来源
+   * @param {Object} options
+   * @param {{url: string, branch?: string}|null} [options.repo] - GitHub 仓库（博客配置的「源码仓库」），用于回退到 GitHub API
+   * @param {(path: string) => Promise<string|null>} [options.loadText] - 读取清单文件（Node 中读取本地文件）
+   */
+  configure({ repo, loadText } = {}) {
+    if (repo !== undefined) {
+      const match = repo?.url?.match(/^https?:\/\/github\.com\/([^/]+)\/([^/#?]+)/);
+      this.repo = match ? { owner: match[1], name: match[2], branch: repo.branch || 'main' } : null;
+    }
+    if (loadText && loadText !== this._loadText) {
+      this._loadText = loadText;
+      this._manifest = null;
+    }
   }
 
   /**
-   * 获取指定目录下的所有照片（通过 GitHub API）
+   * 获取指定目录下的所有照片
+   * 优先查询照片清单，清单中没有该目录时回退到 GitHub API
+   *
    * @param {string} dirPath 目录相对路径，如 'assets/images/photos/月亮湖'
-   * @returns {Promise<Array>} 照片数组，结构：[{ name, size, download_url, sha, type: 'file' }]
+   * @returns {Promise<Array>} 照片数组，结构：
+   *   清单：[{ name, size, width, height, taken }]
+   *   GitHub API：[{ name, size, download_url, sha, type: 'file' }]
    */
   async getPhotosFromDirectory(dirPath) {
+    const manifest = await this.loadManifest();
+    const listed = manifest?.directories.get(dirPath.replace(/\/+$/, ''));
+    if (listed) {
+      return listed;
+    }
+
+    if (manifest) {
+      console.info(`[PhotoDiscovery] Directory not in manifest, falling back to GitHub API: ${dirPath}`);
+    }
+    return this._getPhotosFromApi(dirPath);
+  }
+
+  /**
+   * 查询单张照片在清单中的记录（尺寸、拍摄时间、EXIF 拍摄参数、占位图）
+   * @param {string} photoUrl 照片路径，如 '../assets/images/photos/月亮湖/IMG.jpg'
+   * @returns {Promise<Object|null>} 清单记录：{ name, size, width, height, taken, exif, placeholder }
+   */
+  async getPhotoMetadata(photoUrl) {
+    if (!photoUrl) return null;
+    const manifest = await this.loadManifest();
+    const filePath = photoUrl.replace(/^(\.\.\/|\.\/|\/)+/, '').split('/').map(part => {
+      try {
+        return decodeURIComponent(part);
+      } catch {
+        return part;
+      }
+    }).join('/');
+    return manifest?.files.get(filePath) || null;
+  }
+
+  /**
+   * 加载照片清单（只加载一次）；清单不存在或格式错误时返回 null
+   * @returns {Promise<{ directories: Map<string, Array>, files: Map<string, Object> }|null>}
+   *   目录路径 → 照片数组；照片路径 → 照片记录
+   */
+  loadManifest() {
+    if (!this._manifest) {
+      this._manifest = this._loadText(this.MANIFEST_URL)
+        .then(text => {
+          if (text === null) return null;
+          const groups = Object.values(JSON.parse(text).manifest || {});
+          const files = new Map();
+          groups.forEach(group => (group.files || []).forEach(file => files.set(`${group.path}/${file.name}`, file)));
+          return {
+            directories: new Map(groups.map(group => [group.path, group.files || []])),
+            files
+          };
+        })
+        .catch(error => {
+          console.warn(`[PhotoDiscovery] Failed to load manifest: ${this.MANIFEST_URL}`, error);
+          return null;
+        });
+    }
+    return this._manifest;
+  }
+
+  /**
+   * 私有方法：通过 GitHub API 获取目录下的照片
+   * @param {string} dirPath
+   * @returns {Promise<Array>}
+   */
+  async _getPhotosFromApi(dirPath) {
+    if (!this.repo) {
+      console.warn(`[PhotoDiscovery] No GitHub repository configured, cannot list: ${dirPath}`);
+      return [];
+    }
+
     // 检查缓存
     const cached = this.cache.get(dirPath);
     if (cached && Date.now() - cached.timestamp < this.CACHE_TTL) {
@@ -34,7 +139,8 @@ class PhotoDiscovery {
     }
 
     try {
-      const apiUrl = `${this.GITHUB_API_BASE}/${dirPath}`;
+      const { owner, name, branch } = this.repo;
+      const apiUrl = `${this.GITHUB_API_BASE}/${owner}/${name}/contents/${dirPath}?ref=${encodeURIComponent(branch)}`;
       const response = await this._fetchWithTimeout(apiUrl, this.REQUEST_TIMEOUT);
 
       if (!response.ok) {
@@ -126,10 +232,10 @@ class PhotoDiscovery {
   /**
    * 排序合并：已配置照片 + 自动扫描照片
    * 已配置：保持用户指定的序号
-   * 自动扫描：保持 GitHub API 返回顺序（通常按字母序），序号自动递增
+   * 自动扫描：保持清单 / GitHub API 返回顺序（按文件名排序），序号自动递增
    * 
    * @param {Array} configuredPhotos 已配置的照片数组，结构：[{ filename, seq, ... }]
-   * @param {Array} autodiscoveredPhotos 自动扫描的照片数组，结构（GitHub API）：[{ name, size, download_url, sha, ... }]
+   * @param {Array} autodiscoveredPhotos 自动扫描的照片数组，结构：[{ name, ... }]
    * @param {number} startSeq 自动照片的起始序号（默认：已配置最大seq + 1）
    * @returns {Array} 合并后的照片数组
    */
@@ -210,6 +316,7 @@ class PhotoDiscovery {
    */
   clearCache() {
     this.cache.clear();
+    this._manifest = null;
   }
 
   /**
@@ -0,0 +1,387 @@
+import { Markdown } from '../core/markdown.js';
+
+/**
+ * 全文搜索索引（纯客户端、内存倒排索引）
+ *
+ * 数据来源：DataService.loadCategoryContent 解析出的条目，每个分类渲染完成后调用 addCategory 建索引
+ *
+ * 分词策略（中文友好）：
+ * - 中日韩文字：按字切分为单字 + 相邻二元组（bigram），无需词典即可匹配任意子串
+ * - 其他文字：按字母/数字连续段切分为单词，查询时支持前缀匹配（便于边输入边搜索）
+ *
+ * 排序：各字段按权重累加（标题 > 标签 > 作者/导演 > 简介 > 评价 > 日记正文），标题完整包含查询词时额外加分
+ *
+ * @module services/search-index
+ */
+
+/**
+ * 可搜索字段及权重
+ * 未列出的字段不参与搜索；评价和日记内容为 Markdown，建索引前转为纯文本
+ */
+const FIELD_WEIGHTS = {
+    title: 10,
+    tags: 6,
+    author: 4,
+    director: 4,
+    artist: 4,
+    album: 3,
+    starring: 3,
+    dev: 3,
+    tech: 3,
+    desc: 3,
+    photoLocation: 2,
+    review: 2,
+    content: 1
+};
+
+const MARKDOWN_FIELDS = new Set(['review', 'content']);
+
+/**
+ * 摘要优先从正文类字段截取
+ */
+const SNIPPET_FIELDS = ['desc', 'review', 'content'];
+
+/**
+ * 标题包含完整查询词时的加分
+ */
+const TITLE_MATCH_BONUS = 20;
+
+/**
+ * Latin 单词前缀匹配的得分折扣
+ */
+const PREFIX_MATCH_FACTOR = 0.5;
+
+/**
+ * 摘要长度（字符）
+ */
+const SNIPPET_LENGTH = 60;
+const SNIPPET_LEAD = 16;
+
+const CJK_RUN = /^[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]+$/u;
+const TOKEN_RUN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]+|[\p{L}\p{N}]+/gu;
+
+/**
+ * 统一大小写和全角/半角
+ * @param {string} text
+ * @returns {string}
+ */
+function normalize(text) {
+    return String(text ?? '').normalize('NFKC').toLowerCase();
+}
+
+/**
+ * 逐字符归一化，并记录归一化文本中每个字符在原文中的范围
+ * NFKC 可能改变长度（如 ㎏ → kg），匹配位置需映射回原文才能截取和高亮
+ * @param {string} text
+ * @returns {{ normalized: string, starts: number[], ends: number[] }}
+ */
+function normalizeWithOffsets(text) {
+    let normalized = '';
+    const starts = [];
+    const ends = [];
+    let index = 0;
+    for (const ch of String(text ?? '')) {
+        const part = normalize(ch);
+        for (let i = 0; i < part.length; i++) {
+            starts.push(index);
+            ends.push(index + ch.length);
+        }
+        normalized += part;
+        index += ch.length;
+    }
+    return { normalized, starts, ends };
+}
+
+/**
+ * 字段值转为纯文本（数组字段如 tags 用空格拼接）
+ * @param {string} key - 字段名
+ * @param {*} value - 字段值
+ * @returns {string}
+ */
+function fieldText(key, value) {
+    if (value === null || value === undefined || value === '') return '';
+    const text = Array.isArray(value) ? value.join(' ') : String(value);
+    return MARKDOWN_FIELDS.has(key) ? Markdown.toPlainText(text) : text;
+}
+
+export const SearchIndex = {
+    /**
+     * 文档表：docKey (`分类ID/条目ID`) -> 文档
+     * @type {Map<string, Object>}
+     * @private
+     */
+    _docs: new Map(),
+
+    /**
+     * 倒排表：token -> (docKey -> 得分)
+     * @type {Map<string, Map<string, number>>}
+     * @private
+     */
+    _postings: new Map(),
+
+    /**
+     * 已建索引的分类：分类ID -> docKey 数组
+     * @type {Map<string, string[]>}
+     * @private
+     */
+    _categories: new Map(),
+
+    /**
+     * 分词
+     *
+     * @param {string} text - 原始文本
+     * @param {Object} [options]
+     * @param {boolean} [options.query=false] - 查询模式：中文只取二元组（单字查询除外），
+     *        避免 "月亮湖" 退化为匹配任何含 "月" 的条目
+     * @returns {string[]} token 列表（可能重复）
+     */
+    tokenize(text, { query = false } = {}) {
+        const tokens = [];
+        const runs = normalize(text).match(TOKEN_RUN) || [];
+
+        runs.forEach(run => {
+            if (!CJK_RUN.test(run)) {
+                tokens.push(run);
+                return;
+            }
+
+            const chars = Array.from(run);
+            if (!query || chars.length === 1) {
+                tokens.push(...chars);
+            }
+            for (let i = 0; i < chars.length - 1; i++) {
+                tokens.push(chars[i] + chars[i + 1]);
+            }
+        });
+
+        return tokens;
+    },
+
+    /**
+     * 为一个分类建立（或重建）索引
+     *
+     * @param {Object} category - 分类配置（id、title、type）
+     * @param {Array<Object>} items - 该分类的条目（需有 item.id，由 DataService 分配）
+     */
+    addCategory(category, items) {
+        this.removeCategory(category.id);
+
+        const keys = [];
+        (items || []).forEach(item => {
+            if (!item || !item.id) return;
+
+            const key = `${category.id}/${item.id}`;
+            const fields = {};
+
+            Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+                const text = fieldText(field, item[field]);
+                if (!text) return;
+                fields[field] = text;
+
+                // 同一字段内重复出现的 token 只计一次，避免长文本刷分
+                new Set(this.tokenize(text)).forEach(token => {
+                    if (!this._postings.has(token)) this._postings.set(token, new Map());
+                    const posting = this._postings.get(token);
+                    posting.set(key, (posting.get(key) || 0) + weight);
+                });
+            });
+
+            this._docs.set(key, {
+                key,
+                categoryId: category.id,
+                categoryTitle: category.title,
+                type: category.type,
+                itemId: item.id,
+                title: item.title || '',
+                fields
+            });
+            keys.push(key);
+        });
+
+        this._categories.set(category.id, keys);
+    },
+
+    /**
+     * 移除一个分类的索引
+     * @param {string} categoryId - 分类 ID
+     */
+    removeCategory(categoryId) {
+        const keys = this._categories.get(categoryId);
+        if (!keys) return;
+
+        const removed = new Set(keys);
+        keys.forEach(key => this._docs.delete(key));
+        this._postings.forEach((posting, token) => {
+            removed.forEach(key => posting.delete(key));
+            if (posting.size === 0) this._postings.delete(token);
+        });
+        this._categories.delete(categoryId);
+    },
+
+    /**
+     * 分类是否已建索引
+     * @param {string} categoryId - 分类 ID
+     * @returns {boolean}
+     */
+    hasCategory(categoryId) {
+        return this._categories.has(categoryId);
+    },
+
+    /**
+     * 搜索
+     * 所有查询 token 都必须命中（AND），结果按分类分组，组间按组内最高分排序
+     *
+     * @param {string} query - 查询文本
+     * @param {Object} [options]
+     * @param {number} [options.limit=30] - 最多返回的条目数
+     * @returns {Array<{categoryId: string, categoryTitle: string, type: string,
+     *          results: Array<{key: string, itemId: string, title: string, snippet: string, score: number}>}>}
+     */
+    search(query, { limit = 30 } = {}) {
+        const tokens = Array.from(new Set(this.tokenize(query, { query: true })));
+        if (tokens.length === 0) return [];
+
+        let scores = null;
+        for (const token of tokens) {
+            const matches = this._matchToken(token);
+            if (matches.size === 0) return [];
+
+            if (scores === null) {
+                scores = matches;
+                continue;
+            }
+            const next = new Map();
+            scores.forEach((score, key) => {
+                if (matches.has(key)) next.set(key, score + matches.get(key));
+            });
+            scores = next;
+            if (scores.size === 0) return [];
+        }
+
+        const phrase = normalize(query).trim();
+        const terms = this.getQueryTerms(query);
+
+        const results = Array.from(scores, ([key, score]) => {
+            const doc = this._docs.get(key);
+            const title = normalize(doc.title);
+            if (phrase && title.includes(phrase)) {
+                score += TITLE_MATCH_BONUS + (title.startsWith(phrase) ? TITLE_MATCH_BONUS / 2 : 0);
+            }
+            return { doc, score };
+        })
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+
+        const groups = new Map();
+        results.forEach(({ doc, score }) => {
+            if (!groups.has(doc.categoryId)) {
+                groups.set(doc.categoryId, {
+                    categoryId: doc.categoryId,
+                    categoryTitle: doc.categoryTitle,
+                    type: doc.type,
+                    results: []
+                });
+            }
+            groups.get(doc.categoryId).results.push({
+                key: doc.key,
+                itemId: doc.itemId,
+                title: doc.title,
+                snippet: this._snippet(doc, terms),
+                score
+            });
+        });
+
+        // results 已按分数降序，Map 保留插入顺序，即组间按最高分排序
+        return Array.from(groups.values());
+    },
+
+    /**
+     * 查询中用于高亮的词（按空白切分，去重、去空）
+     * @param {string} query
+     * @returns {string[]}
+     */
+    getQueryTerms(query) {
+        return Array.from(new Set(normalize(query).split(/\s+/).filter(Boolean)));
+    },
+
+    /**
+     * 查找查询词在原文中的位置（按归一化文本匹配，位置映射回原文）
+     *
+     * @param {string} text - 原文
+     * @param {string[]} terms - 查询词（getQueryTerms 的结果）
+     * @returns {Array<{start: number, end: number}>} 按位置排序、互不重叠的原文范围
+     */
+    findMatches(text, terms) {
+        const { normalized, starts, ends } = normalizeWithOffsets(text);
+        const ranges = [];
+        terms.filter(Boolean).forEach((term) => {
+            for (let pos = normalized.indexOf(term); pos !== -1; pos = normalized.indexOf(term, pos + term.length)) {
+                ranges.push({ start: starts[pos], end: ends[pos + term.length - 1] });
+            }
+        });
+
+        // 位置相同时保留较长的范围，与前一个范围重叠的丢弃
+        ranges.sort((a, b) => a.start - b.start || b.end - a.end);
+        return ranges.reduce((merged, range) => {
+            const last = merged[merged.length - 1];
+            if (!last || range.start >= last.end) merged.push(range);
+            return merged;
+        }, []);
+    },
+
+    /**
+     * 清空索引
+     */
+    clear() {
+        this._docs.clear();
+        this._postings.clear();
+        this._categories.clear();
+    },
+
+    /**
+     * 查找单个查询 token 命中的文档
+     * Latin 单词除完全匹配外，还按前缀匹配（得分打折）
+     * @private
+     * @param {string} token
+     * @returns {Map<string, number>} docKey -> 得分
+     */
+    _matchToken(token) {
+        const matches = new Map(this._postings.get(token) || []);
+        if (CJK_RUN.test(token)) return matches;
+
+        this._postings.forEach((posting, candidate) => {
+            if (candidate === token || !candidate.startsWith(token)) return;
+            posting.forEach((score, key) => {
+                const prefixScore = score * PREFIX_MATCH_FACTOR;
+                if ((matches.get(key) || 0) < prefixScore) matches.set(key, prefixScore);
+            });
+        });
+        return matches;
+    },
+
+    /**
+     * 生成摘要：优先截取包含查询词的非标题字段，否则取简介开头
+     * @private
+     * @param {Object} doc
+     * @param {string[]} terms
+     * @returns {string}
+     */
+    _snippet(doc, terms) {
+        const candidates = [
+            ...SNIPPET_FIELDS.filter(field => doc.fields[field]),
+            ...Object.keys(doc.fields).filter(field => field !== 'title' && !SNIPPET_FIELDS.includes(field))
+        ].map(field => [field, doc.fields[field]]);
+
+        for (const [, text] of candidates) {
+            const matches = this.findMatches(text, terms);
+            if (matches.length === 0) continue;
+
+            const start = Math.max(0, matches[0].start - SNIPPET_LEAD);
+            const excerpt = text.slice(start, start + SNIPPET_LENGTH);
+            return `${start > 0 ? '…' : ''}${excerpt}${start + SNIPPET_LENGTH < text.length ? '…' : ''}`;
+        }
+
+        const fallback = doc.fields.desc || '';
+        return fallback.length > SNIPPET_LENGTH ? `${fallback.slice(0, SNIPPET_LENGTH)}…` : fallback;
+    }
+};
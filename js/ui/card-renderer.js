@@ -1,6 +1,11 @@
-import { slugify } from '../core/utils.js';
+import { slugify, buildSourceUrl, formatSource } from '../core/utils.js';
+import { Markdown } from '../core/markdown.js';
+import { html, raw, join, safeUrl } from '../core/html.js';
+import { registerCardType, getCardType } from './card-types.js';
+import { StructuredData } from './structured-data.js';
 import { ImageProxyService } from '../services/image-proxy.js';
 import { ImageLoadManager } from '../services/image-load-manager.js';
+import { Exif } from '../core/exif.js';
 
 /**
  * CardRenderer - 负责生成各种类型的卡片 HTML
@@ -19,9 +24,38 @@ const WEATHER_EMOJI_MAP = {
     '雷雨': '⛈️', '雪': '❄️', '雾': '🌫️', '风': '💨'
 };
 
+/**
+ * 图片占位（照片清单生成）：主色、低质量预览图
+ */
+const PLACEHOLDER_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const PLACEHOLDER_PREVIEW_PATTERN = /^data:image\/png;base64,[a-z0-9+/]+=*$/i;
+
+/**
+ * 元信息分隔符
+ */
+const DOT = raw('<span class="dot">&bull;</span>');
+const NBSP = raw('&nbsp;');
+
 export const CardRenderer = {
+    /**
+     * 源码仓库 { url, branch }，用于生成“在 GitHub 上编辑”链接（未配置则不显示）
+     * @private
+     */
+    _sourceRepo: null,
+
+    /**
+     * 设置渲染选项
+     * @param {Object} options
+     * @param {{url: string, branch: string}} [options.sourceRepo] - 源码仓库（来自博客配置的“源码仓库”字段）
+     */
+    configure({ sourceRepo = null } = {}) {
+        this._sourceRepo = sourceRepo;
+    },
+
     /**
      * 渲染卡片入口
+     * 按卡片类型注册表分发，未注册模板的类型使用默认卡片
+     *
      * @param {Object} item - 数据项
      * @param {string} type - 类型 (project, game, book, etc.)
      */
@@ -29,47 +63,53 @@ export const CardRenderer = {
         // 特殊情况: 图集 (Photo Gallery)
         if (item.isSet && item.photos) return this.cardGallery(item);
 
-        // 根据类型分发
-        switch (type) {
-            case 'project': return this.cardProject(item);
-            case 'game': return this.cardGame(item);
-            case 'photo': return this.cardPhoto(item);
-            case 'book': return this.cardBook(item);
-            case 'diary': return this.cardDiary(item);
-            case 'film': return this.cardFilm(item);
-            default: return this.cardDefault(item, type);
+        const cardType = getCardType(type);
+        if (cardType && cardType.render) {
+            return cardType.render(item, { type, renderer: this });
         }
+        return this.cardDefault(item, type);
     },
 
     // --- 辅助方法 ---
 
     /**
-     * 渲染图片标签（统一处理代理）
+     * 渲染图片标签（统一处理代理、懒加载、响应式图片和加载前的占位）
      * 
-     * @param {Object} options - 图片选项
-     * @param {string} options.src - 图片源地址
-     * @param {string} [options.alt=''] - 替代文本
-     * @param {string} [options.className=''] - CSS 类名
-     * @param {boolean} [options.lazy=true] - 是否懒加载
-     * @param {Object} [options.dataAttrs={}] - data-* 属性
-     * @returns {string} img 标签 HTML
-     */
-    /**
-     * 渲染图片标签（统一处理代理和懒加载）
+     * 经过代理的图片输出 srcset / sizes（按 profile 选择候选宽度），
+     * 并包裹为 <picture> 提供 AVIF / WebP 候选；懒加载时这些属性写为 data-srcset，由 ImageLoadManager 进入视口时替换
+     * 
+     * 提供 placeholder 时：写入 width / height 预留空间，背景为主色；
+     * 懒加载图片以预览图为初始 src（模糊显示，替换后过渡到清晰），直接加载的图片以预览图为背景
      * 
      * @param {Object} options - 图片选项
      * @param {string} options.src - 图片源地址
      * @param {string} [options.alt=''] - 替代文本
      * @param {string} [options.className=''] - CSS 类名
      * @param {boolean} [options.lazy=true] - 是否启用懒加载（data-src 模式）
-     * @param {string} [options.loadType='display'] - 加载类型（display/preload/thumbnail）
+     * @param {string} [options.loadType='display'] - 加载类型（display/preload/thumbnail），决定不支持 srcset 时的 src 尺寸
+     * @param {string} [options.profile='card'] - 响应式图片配置（card/cover/poster/detail/thumbnail，见 ImageProxyService）
+     * @param {{width?: number, height?: number, color?: string, lqip?: string}} [options.placeholder] - 占位（照片的 photo.placeholder）
      * @param {Object} [options.dataAttrs={}] - 自定义 data-* 属性
-     * @returns {string} img 标签 HTML
+     * @returns {SafeHtml|string} img（或 picture）标签 HTML（无图片时为空字符串）
      */
-    img({ src, alt = '', className = '', lazy = true, loadType = 'display', dataAttrs = {} }) {
+    img({ src, alt = '', className = '', lazy = true, loadType = 'display', profile = 'card', placeholder = null, dataAttrs = {} }) {
         if (!src) return '';
 
+        const dataAttrHtml = Object.entries(dataAttrs)
+            .map(([key, value]) => html` data-${key}="${value}"`);
+        const { srcset, sizes, sources } = ImageProxyService.getResponsiveImage(src, profile);
+        const srcsetAttr = lazy ? 'data-srcset' : 'srcset';
+
+        const { width, height, color, lqip } = placeholder || {};
+        const sizeAttrs = width > 0 && height > 0 ? html` width="${width}" height="${height}"` : '';
+        const preview = PLACEHOLDER_PREVIEW_PATTERN.test(lqip || '') ? lqip : '';
+        const styles = [];
+        if (PLACEHOLDER_COLOR_PATTERN.test(color || '')) styles.push(`background-color: ${color}`);
+        if (preview && !lazy) styles.push(`background-image: url(${preview})`, 'background-size: cover', 'background-position: center');
+        const styleAttr = styles.length > 0 ? html` style="${styles.join('; ')}"` : '';
+
         // 懒加载模式：用 data-src + 占位符
+        let imgHtml;
         if (lazy) {
             // 根据加载类型选择优化参数
             let optimizeOptions = { width: 800, quality: 80 };
@@ -80,43 +120,95 @@ export const CardRenderer = {
             }
 
             const realSrc = ImageProxyService.getOptimizedUrl(src, optimizeOptions);
-            const placeholderSrc = ImageProxyService.getPlaceholderUrl();
+            const placeholderSrc = preview || ImageProxyService.getPlaceholderUrl();
+            const classes = preview ? `${className} lqip`.trim() : className;
 
-            const dataAttrStr = Object.entries(dataAttrs)
-                .map(([key, value]) => `data-${key}="${value}"`)
-                .join(' ');
+            imgHtml = html`<img class="${classes}" src="${safeUrl(placeholderSrc)}" data-src="${safeUrl(realSrc)}"${srcset ? html` data-srcset="${srcset}" sizes="${sizes}"` : ''}${sizeAttrs}${styleAttr} loading="lazy" alt="${alt}"${dataAttrHtml}>`;
+        } else {
+            // 非懒加载模式：直接加载
+            const proxiedSrc = ImageProxyService.getOptimizedUrl(src, { width: 1000, quality: 85 });
 
-            return `<img class="${className}" src="${placeholderSrc}" data-src="${realSrc}" loading="lazy" alt="${alt}" ${dataAttrStr}>`.trim();
+            imgHtml = html`<img class="${className}" src="${safeUrl(proxiedSrc)}"${srcset ? html` srcset="${srcset}" sizes="${sizes}"` : ''}${sizeAttrs}${styleAttr} alt="${alt}"${dataAttrHtml}>`;
         }
 
-        // 非懒加载模式：直接加载
-        const proxiedSrc = ImageProxyService.getOptimizedUrl(src, { width: 1000, quality: 85 });
+        if (sources.length === 0) return imgHtml;
 
-        const dataAttrStr = Object.entries(dataAttrs)
-            .map(([key, value]) => `data-${key}="${value}"`)
-            .join(' ');
+        return html`<picture>${sources.map(source => html`<source type="${source.type}" ${srcsetAttr}="${source.srcset}" sizes="${sizes}">`)}${imgHtml}</picture>`;
+    },
 
-        return `<img class="${className}" src="${proxiedSrc}" alt="${alt}" ${dataAttrStr}>`.trim();
+    /**
+     * Lightbox 信息面板数据（卡片中以 JSON 写入 data-info 属性）
+     * 
+     * @param {Object} photo - 照片条目或图集中的照片
+     * @returns {{ location: string, date: string, rows: Array<{label: string, value: string}> }}
+     */
+    photoInfo(photo) {
+        return {
+            location: photo.photoLocation || '',
+            date: photo.photoDate || '',
+            rows: Exif.describe(photo.exif)
+        };
     },
 
     renderHeader(title, status) {
-        return `
+        return html`
         <div class="card-header">
             <h3 data-tooltip="${title || ''}">${title || '未命名'}</h3>
-            ${status ? `<span class="status" data-status="${status}">${status}</span>` : ''}
+            ${status ? html`<span class="status" data-status="${status}">${status}</span>` : ''}
         </div>`;
     },
 
-    renderTags(tagsStr, extraClass = '') {
-        if (!tagsStr) return '';
-        const tags = tagsStr.split(/[、,，\/|｜]/).map(t => t.trim()).filter(Boolean);
-        return `<div class="tags-group ${extraClass}">
-            ${tags.map(t => `<span class="tag">${t}</span>`).join('')}
+    /**
+     * 渲染标签组
+     * 标签为按钮，点击后由 TagFilter 按标签筛选（data-tag 为筛选值）
+     * @param {string[]|string} tagsValue - 标签数组（Schema list 字段）或分隔字符串
+     * @param {string} [extraClass=''] - 额外 CSS 类名
+     */
+    renderTags(tagsValue, extraClass = '') {
+        if (!tagsValue || tagsValue.length === 0) return '';
+        const tags = Array.isArray(tagsValue)
+            ? tagsValue
+            : tagsValue.split(/[、,，\/|｜]/).map(t => t.trim()).filter(Boolean);
+        return html`<div class="tags-group ${extraClass}">
+            ${tags.map(t => html`<button type="button" class="tag" data-tag="${t}" aria-pressed="false">${t}</button>`)}
         </div>`;
     },
 
+    /**
+     * 获取条目在 GitHub 上的源文件链接（未配置源码仓库或无源位置时为 null）
+     * @param {Object} it - 数据项（需包含 source）
+     * @returns {string|null}
+     */
+    getSourceUrl(it) {
+        return buildSourceUrl(this._sourceRepo, it.source);
+    },
+
+    /**
+     * 渲染源文件链接（跳转到 GitHub 上该条目所在的 Markdown 行）
+     * @param {Object} it - 数据项（需包含 source）
+     */
+    renderSourceLink(it) {
+        const url = this.getSourceUrl(it);
+        if (!url) return '';
+        const label = `在 GitHub 上编辑（${formatSource(it.source)}）`;
+        return html`<a class="card-source-link" href="${safeUrl(url)}" target="_blank" rel="noopener" aria-label="${label}" title="${label}">
+            <svg viewBox="0 0 24 24" width="14" height="14" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">
+                <path d="M12 20h9"></path>
+                <path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"></path>
+            </svg>
+        </a>`;
+    },
+
+    /**
+     * 渲染评价摘要段落（卡片上固定行数显示，完整内容见 tooltip）
+     * @param {string} review - 评价（Markdown 多行文本）
+     */
+    renderReview(review) {
+        return html`<p data-tooltip="${Markdown.toPlainText(review)}">${raw(Markdown.renderCompact(review))}</p>`;
+    },
+
     renderFooterLink(url, text) {
-        return `<a class="out" href="${url || '#'}" target="_blank" rel="noopener">${text || '访问'}</a>`;
+        return html`<a class="out" href="${safeUrl(url)}" target="_blank" rel="noopener">${text || '访问'}</a>`;
     },
 
     formatDateWithWeekday(dateStr) {
@@ -128,7 +220,7 @@ export const CardRenderer = {
             const date = new Date(year, month - 1, day);
             const weekdays = ['日', '一', '二', '三', '四', '五', '六'];
             const weekday = weekdays[date.getDay()];
-            return `${dateStr} 周${weekday}`;
+            return dateStr + ' 周' + weekday;
         }
         return dateStr;
     },
@@ -136,10 +228,11 @@ export const CardRenderer = {
     // --- 具体卡片模板 ---
 
     cardProject(it) {
-        return `
+        return html`
         <div class="card card-project">
+            ${this.renderSourceLink(it)}
             ${this.renderHeader(it.title, it.status)}
-            ${it.desc ? `<p data-tooltip="${it.desc}">${it.desc}</p>` : ''}
+            ${it.desc ? html`<p data-tooltip="${it.desc}">${it.desc}</p>` : ''}
             ${this.renderTags(it.tech, 'tech-tags')}
             ${this.renderFooterLink(it.linkUrl, it.linkText)}
         </div>`;
@@ -149,65 +242,66 @@ export const CardRenderer = {
         // 构建作者和年份的语义化 HTML 结构
         // 使用独立的 span 包裹，以支持 CSS 对作者名的截断控制
         const authorHtml = it.author
-            ? `<span class="book-author" data-tooltip="${it.author}">${it.author}</span>`
+            ? html`<span class="book-author" data-tooltip="${it.author}">${it.author}</span>`
             : '';
         const yearHtml = it.publishYear
-            ? `<span class="book-year">${it.publishYear}</span>`
+            ? html`<span class="book-year">${it.publishYear}</span>`
             : '';
-        const dotHtml = '<span class="dot">&bull;</span>';
 
         // 根据是否有作者和年份决定 meta 内容
         let metaHtml = '';
         if (it.author && it.publishYear) {
-            metaHtml = `${authorHtml} ${dotHtml} ${yearHtml}`;
+            metaHtml = html`${authorHtml} ${DOT} ${yearHtml}`;
         } else if (it.author) {
             metaHtml = authorHtml;
         } else if (it.publishYear) {
             metaHtml = yearHtml;
         } else {
-            metaHtml = '&nbsp;';
+            metaHtml = NBSP;
         }
 
         // 封面区域：包含封面图片和状态标签
-        const coverSection = it.cover ? `
+        const coverSection = it.cover ? html`
             <div class="book-cover-wrapper">
-                ${this.img({ src: it.cover, alt: `${it.title} 封面`, className: 'book-cover', lazy: false })}
-                ${it.status ? `<div class="book-status">${it.status}</div>` : ''}
+                ${this.img({ src: it.cover, alt: `${it.title} 封面`, className: 'book-cover', profile: 'cover' })}
+                ${it.status ? html`<div class="book-status">${it.status}</div>` : ''}
             </div>
         ` : '';
 
-        return `
+        return html`
         <div class="card card-book ${it.cover ? 'has-cover' : ''}">
+            ${this.renderSourceLink(it)}
             ${coverSection}
             ${this.renderHeader(it.title)}
             <div class="card-meta book-meta">${metaHtml}</div>
             ${this.renderTags(it.tags, 'book-tags')}
-            ${it.review ? `<div class="book-review"><p data-tooltip="${it.review}">${it.review}</p></div>` : '<div class="book-review">&nbsp;</div>'}
+            ${it.review ? html`<div class="book-review">${this.renderReview(it.review)}</div>` : html`<div class="book-review">${NBSP}</div>`}
             ${this.renderFooterLink(it.linkUrl, it.linkText)}
         </div>`;
     },
 
     cardGame(it) {
-        const meta = [it.dev, it.platform, it.releaseDate].filter(Boolean).join(' <span class="dot">&bull;</span> ');
+        const metaParts = [it.dev, it.platform, it.releaseDate].filter(Boolean);
 
         // 封面区域：包含封面图片和状态标签
-        const coverSection = it.cover ? `
+        const coverSection = it.cover ? html`
             <div class="game-cover-wrapper">
-                ${this.img({ src: it.cover, alt: `${it.title} 封面`, className: 'card-cover', lazy: false })}
-                ${it.status ? `<div class="game-status">${it.status}</div>` : ''}
+                ${this.img({ src: it.cover, alt: `${it.title} 封面`, className: 'card-cover' })}
+                ${it.status ? html`<div class="game-status">${it.status}</div>` : ''}
             </div>
         ` : '';
 
-        return `
+        return html`
         <div class="card card-game ${it.cover ? 'has-cover' : ''}">
+            ${this.renderSourceLink(it)}
             ${coverSection}
             ${this.renderHeader(it.title)}
-            <div class="card-meta game-meta" data-tooltip="${[it.dev, it.platform, it.releaseDate].filter(Boolean).join(' • ')}">${meta || '&nbsp;'}</div>
+            <div class="card-meta game-meta" data-tooltip="${metaParts.join(' • ')}">${metaParts.length > 0 ? join(metaParts, html` ${DOT} `) : NBSP}</div>
             
             ${this.renderTags(it.tags || it.gameType, 'game-tags')}
             
-            ${it.review ? `
-                <div class="review"><p data-tooltip="${it.review}">${it.review}</p></div>
+            ${it.review ? html`
+                <div class="review">${this.renderReview(it.review)}</div>
             ` : ''}
             
             ${this.renderFooterLink(it.linkUrl, it.linkText)}
@@ -215,21 +309,22 @@ export const CardRenderer = {
     },
 
     cardPhoto(it) {
-        const meta = [it.photoLocation, it.photoDate].filter(Boolean).join(' <span class="dot">&bull;</span> ');
+        const metaParts = [it.photoLocation, it.photoDate].filter(Boolean);
         // 获取代理后的图片 URL，用于 lightbox（高质量）
         const proxiedPhotoUrl = it.photoUrl ? ImageProxyService.getOptimizedUrl(it.photoUrl, { width: 1200, quality: 90 }) : '';
 
-        return `
+        return html`
         <div class="card card-photo ${it.photoUrl ? 'has-photo' : ''}">
+            ${this.renderSourceLink(it)}
             ${it.photoUrl ? this.img({
             src: it.photoUrl,
             alt: it.title,
             className: 'card-photo-img lightbox-trigger',
-            lazy: false,
-            dataAttrs: { src: proxiedPhotoUrl, caption: it.title }
+            placeholder: it.placeholder,
+            dataAttrs: { full: proxiedPhotoUrl, caption: it.title, info: JSON.stringify(this.photoInfo(it)) }
         }) : ''}
             <h3 data-tooltip="${it.title || ''}">${it.title || '未命名'}</h3>
-            ${meta ? `<p class="card-meta photo-meta" data-tooltip="${[it.photoLocation, it.photoDate].filter(Boolean).join(' • ')}">${meta}</p>` : ''}
+            ${metaParts.length > 0 ? html`<p class="card-meta photo-meta" data-tooltip="${metaParts.join(' • ')}">${join(metaParts, html` ${DOT} `)}</p>` : ''}
         </div>`;
     },
 
@@ -241,7 +336,7 @@ export const CardRenderer = {
             // 首张图（idx === 0）立即加载；其他图懒加载
             const isFirstImage = idx === 0;
             
-            return `
+            return html`
             <div class="gallery-item" id="alb-${slugify(it.title)}-${idx}">
                 ${p.photoUrl ? this.img({
                 src: p.photoUrl,
@@ -249,17 +344,19 @@ export const CardRenderer = {
                 className: 'card-photo-img lightbox-trigger',
                 lazy: !isFirstImage,
                 loadType: isFirstImage ? 'display' : 'preload',
-                dataAttrs: { src: proxiedPhotoUrl, caption: p.title }
+                placeholder: p.placeholder,
+                dataAttrs: { full: proxiedPhotoUrl, caption: p.title, info: JSON.stringify(this.photoInfo(p)) }
             }) : ''}
                 <div class="gallery-info">
                     <h4 data-tooltip="${p.title || ''}">${p.title || '图集'}</h4>
-                    ${(p.photoLocation || p.photoDate) ? `<p class="card-meta photo-meta" data-tooltip="${[p.photoLocation, p.photoDate].filter(Boolean).join(' • ')}">${[p.photoLocation, p.photoDate].filter(Boolean).join(' &bull; ')}</p>` : ''}
+                    ${(p.photoLocation || p.photoDate) ? html`<p class="card-meta photo-meta" data-tooltip="${[p.photoLocation, p.photoDate].filter(Boolean).join(' • ')}">${join([p.photoLocation, p.photoDate], raw(' &bull; '))}</p>` : ''}
                 </div>
             </div>
-        `}).join('');
+        `});
 
-        return `
+        return html`
         <div class="card card-photo is-gallery" data-gallery-id="${slugify(it.title)}">
+            ${this.renderSourceLink(it)}
             <div class="card-header">
                 <h3 data-tooltip="${it.title}">${it.title}</h3>
                 <span class="gallery-tag" data-tooltip="图集">
@@ -284,24 +381,25 @@ export const CardRenderer = {
         // Meta: Region • Duration • Year
         const metaParts = [];
         if (it.region) metaParts.push(it.region);
-        if (it.duration) metaParts.push(`${it.duration}分钟`);
+        if (it.duration) metaParts.push(it.episodes ? `${it.episodes}集 × ${it.duration}分钟` : `${it.duration}分钟`);
         if (it.releaseDate) {
             const match = it.releaseDate.match(/^\d{4}/);
             const yearStr = match ? match[0] : '';
             if (yearStr) metaParts.push(yearStr);
         }
-        const metaStr = metaParts.join(' &bull; ');
+        const metaStr = join(metaParts, raw(' &bull; '));
 
-        return `
+        return html`
         <div class="card card-film">
+            ${this.renderSourceLink(it)}
             <div class="card-film-container">
                 <!-- Divider Line -->
                 <div class="card-film-divider"></div>
 
                 <!-- Stub -->
                 <div class="film-stub">
-                    ${it.status ? `<div class="film-status">${it.status}</div>` : ''}
-                    ${it.cover ? this.img({ src: it.cover, alt: it.title, className: 'film-poster', lazy: false }) : ''}
+                    ${it.status ? html`<div class="film-status">${it.status}</div>` : ''}
+                    ${it.cover ? this.img({ src: it.cover, alt: it.title, className: 'film-poster', profile: 'poster' }) : ''}
                 </div>
 
                 <!-- Main -->
@@ -310,18 +408,18 @@ export const CardRenderer = {
                     <div class="film-meta-row">${metaStr}</div>
                     
                     <div class="film-credits">
-                        ${it.director ? `<div class="film-credit-line film-director" data-tooltip="${it.director}"><strong>导演：</strong>${it.director}</div>` : ''}
-                        ${it.starring ? `<div class="film-credit-line film-starring" data-tooltip="${it.starring}"><strong>主演：</strong>${it.starring}</div>` : ''}
+                        ${it.director ? html`<div class="film-credit-line film-director" data-tooltip="${it.director}"><strong>导演：</strong>${it.director}</div>` : ''}
+                        ${it.starring ? html`<div class="film-credit-line film-starring" data-tooltip="${it.starring}"><strong>主演：</strong>${it.starring}</div>` : ''}
                     </div>
                     
-                    ${it.review ? `<div class="film-review"><p data-tooltip="${it.review}">${it.review}</p></div>` : ''}
+                    ${it.review ? html`<div class="film-review">${this.renderReview(it.review)}</div>` : ''}
 
                     <div class="film-footer">
                         ${this.renderTags(it.tags, 'film-tags')}
                         
-                        ${it.linkUrl ? `
+                        ${it.linkUrl ? html`
                             <div class="film-actions">
-                            <a href="${it.linkUrl}" target="_blank" class="btn-douban">豆瓣</a>
+                            <a href="${safeUrl(it.linkUrl)}" target="_blank" rel="noopener" class="btn-douban">豆瓣</a>
                             </div>
                         ` : ''}
                     </div>
@@ -337,29 +435,41 @@ export const CardRenderer = {
         const moodEmoji = it.mood ? (MOOD_EMOJI_MAP[it.mood] || '📝') : '📝';
         const weatherEmoji = it.weather ? (WEATHER_EMOJI_MAP[it.weather] || it.weather) : '';
 
-        return `
+        return html`
         <article class="card card-diary">
+            ${this.renderSourceLink(it)}
             <div class="timeline-marker">${moodEmoji}</div>
             <div class="diary-header">
                 <time class="diary-date">${dateWithWeekday}</time>
-                ${weatherEmoji ? `<span class="diary-weather">${weatherEmoji}</span>` : ''}
+                ${weatherEmoji ? html`<span class="diary-weather">${weatherEmoji}</span>` : ''}
             </div>
             ${it.image ? this.img({
             src: it.image,
             alt: '日记配图',
-            className: 'diary-image',
-            lazy: false
+            className: 'diary-image'
         }) : ''}
-            ${it.content ? `<div class="diary-content"><p>${it.content}</p></div>` : ''}
+            ${it.content ? html`<div class="diary-content">${raw(Markdown.render(it.content))}</div>` : ''}
         </article>`;
     },
 
     cardDefault(it, type = 'default') {
-        return `
+        return html`
         <div class="card card-${type}">
+            ${this.renderSourceLink(it)}
             ${this.renderHeader(it.title, it.status)}
-            ${it.desc ? `<p data-tooltip="${it.desc}">${it.desc}</p>` : ''}
+            ${it.desc ? html`<p data-tooltip="${it.desc}">${it.desc}</p>` : ''}
             ${this.renderFooterLink(it.linkUrl, it.linkText)}
         </div>`;
     }
 };
+
+// --- 内置卡片类型 ---
+// css: true 表示样式由 css/components 下的静态文件提供
+registerCardType('project', { render: (item) => CardRenderer.cardProject(item), css: true });
+registerCardType('game', { render: (item) => CardRenderer.cardGame(item), structuredData: StructuredData.game, css: true });
+registerCardType('photo', { render: (item) => CardRenderer.cardPhoto(item), css: true });
+registerCardType('book', { render: (item) => CardRenderer.cardBook(item), structuredData: StructuredData.book, css: true });
+registerCardType('diary', { render: (item) => CardRenderer.cardDiary(item), css: true });
+registerCardType('film', { render: (item) => CardRenderer.cardFilm(item), structuredData: StructuredData.film });
+// 音乐由 MusicUI 整体渲染为播放器，不使用卡片模板
+registerCardType('music', { structuredData: StructuredData.music, css: true });
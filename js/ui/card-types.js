@@ -0,0 +1,94 @@
+import { FieldSchema } from '../core/field-schema.js';
+import { SortStrategyFactory } from '../core/sort-strategy.js';
+
+/**
+ * 卡片类型注册表
+ *
+ * 每种分类类型（博客配置.md 中的「样式类型」）可以声明：
+ * - render：卡片模板（未注册时回退到 CardRenderer.cardDefault）
+ * - fields：字段 Schema（写入 FieldSchema，自动附加通用字段）
+ * - sort：排序策略（写入 SortStrategyFactory，默认按序号）
+ * - css：样式（未提供时由 RenderService.injectDynamicStyles 生成强调色样式）
+ * - structuredData：条目的 schema.org 映射（用于 JSON-LD，见 ui/structured-data.js）
+ *
+ * 内置类型由 CardRenderer 注册；新增类型只需编写一个调用 registerCardType 的模块并在 app.js 中导入，
+ * 无需修改 CardRenderer.render。
+ *
+ * @module ui/card-types
+ */
+
+/**
+ * 卡片类型定义
+ * @typedef {Object} CardTypeDefinition
+ * @property {string} type - 类型名
+ * @property {Function|null} render - (item, { type, renderer }) => SafeHtml|string
+ * @property {true|string|null} css - true：样式已由静态 CSS 提供；字符串：注入的 CSS 文本；null：使用动态强调色样式
+ * @property {Function|null} structuredData - (item, { url, siteUrl, author }) => schema.org 节点；null 表示不输出
+ */
+
+/**
+ * @type {Map<string, CardTypeDefinition>}
+ */
+const CARD_TYPES = new Map();
+
+/**
+ * 注册（或覆盖）卡片类型
+ *
+ * @param {string} type - 类型名，与博客配置中的「样式类型」对应
+ * @param {Object} [definition]
+ * @param {Function} [definition.render] - 卡片模板 (item, { type, renderer }) => html``
+ * @param {Object[]} [definition.fields] - 该类型特有的字段定义（格式见 core/field-schema.js；通用字段会自动追加，同名时特有字段优先）
+ * @param {Function[]} [definition.derive] - 派生字段函数（需同时提供 fields）
+ * @param {Function|string} [definition.sort] - 排序函数，或复用已有类型的策略名（如 'diary'）
+ * @param {true|string} [definition.css] - true 表示已有静态样式；字符串为需要注入的 CSS 文本
+ * @param {Function} [definition.structuredData] - 条目 → schema.org 节点 (item, { url, siteUrl, author }) => Object
+ *
+ * @example
+ * import { registerCardType } from './ui/card-types.js';
+ * import { html } from './core/html.js';
+ *
+ * registerCardType('podcast', {
+ *     fields: [
+ *         { key: 'host', labels: ['主播'] },
+ *         { key: 'episodes', labels: ['集数'], parse: 'number' }
+ *     ],
+ *     sort: (a, b) => (b.episodes || 0) - (a.episodes || 0),
+ *     render: (item, { renderer }) => html`
+ *         <div class="card card-podcast">
+ *             ${renderer.renderHeader(item.title, item.status)}
+ *             <p class="card-meta">${item.host} · ${item.episodes} 集</p>
+ *             ${renderer.renderFooterLink(item.linkUrl, item.linkText)}
+ *         </div>`,
+ *     css: '.card-podcast { --card-accent: var(--accent-podcast, #f97316); }'
+ * });
+ */
+export function registerCardType(type, { render, fields, derive = [], sort, css, structuredData } = {}) {
+    if (!type || typeof type !== 'string') {
+        throw new TypeError('[CardTypes] Card type name must be a non-empty string');
+    }
+    if (render !== undefined && typeof render !== 'function') {
+        throw new TypeError(`[CardTypes] render for "${type}" must be a function`);
+    }
+    if (structuredData !== undefined && typeof structuredData !== 'function') {
+        throw new TypeError(`[CardTypes] structuredData for "${type}" must be a function`);
+    }
+
+    if (fields) {
+        FieldSchema.register(type, { fields: [...fields, ...FieldSchema.getCommonFields()], derive });
+    }
+    if (sort) {
+        SortStrategyFactory.register(type, sort);
+    }
+
+    CARD_TYPES.set(type, { type, render: render || null, css: css ?? null, structuredData: structuredData || null });
+}
+
+/**
+ * 获取卡片类型定义
+ *
+ * @param {string} type - 类型名
+ * @returns {CardTypeDefinition|null}
+ */
+export function getCardType(type) {
+    return CARD_TYPES.get(type) || null;
+}
@@ -0,0 +1,295 @@
+import { FieldSchema } from '../core/field-schema.js';
+import { Markdown } from '../core/markdown.js';
+import { html, raw, safeUrl } from '../core/html.js';
+import { formatSource } from '../core/utils.js';
+import { ImageProxyService } from '../services/image-proxy.js';
+import { CardRenderer } from './card-renderer.js';
+
+/**
+ * DetailView - 条目详情面板（模态框）
+ *
+ * 卡片为保持网格整齐会截断内容；详情面板按该分类的字段 Schema 列出解析到的全部字段，
+ * 因此自定义卡片类型注册的字段也会自动显示。
+ *
+ * 路由：#分类/条目/detail（由 Router 打开和关闭）
+ * 交互：Esc / 遮罩 / 关闭按钮关闭；打开时焦点移入面板并限制在面板内，关闭后焦点回到打开前的元素
+ */
+
+/**
+ * 不在详情中显示的字段（内部字段，或已在面板头部展示）
+ */
+const HIDDEN_KEYS = new Set(['order', 'isSet', 'status', 'cover']);
+
+/**
+ * 外部 ID 字段 → 链接
+ */
+const ID_LINKS = {
+    imdb: id => `https://www.imdb.com/title/${encodeURIComponent(id)}/`,
+    steamId: id => `https://store.steampowered.com/app/${encodeURIComponent(id)}/`,
+    isbn: id => `https://openlibrary.org/isbn/${encodeURIComponent(id.replace(/-/g, ''))}`
+};
+
+/**
+ * 多值文本的分隔符（如 主演：A / B / C），斜杠至少一侧有空格，避免拆开 AC/DC 这类名称
+ */
+const LIST_SEPARATOR = /\s\/|\/\s/;
+
+const FOCUSABLE = 'a[href], button:not([disabled]), input, select, textarea, audio[controls], [tabindex]:not([tabindex="-1"])';
+
+export const DetailView = {
+    // --- State ---
+    el: null,
+    dialog: null,
+    _onClose: null,
+    _returnFocus: null,
+
+    /**
+     * 创建 DOM 并绑定事件（首次打开时调用）
+     */
+    init() {
+        if (this.el) return;
+
+        this.el = document.createElement('div');
+        this.el.className = 'detail-view';
+        this.el.hidden = true;
+        this.el.innerHTML = `
+            <div class="detail-overlay"></div>
+            <div class="detail-dialog" role="dialog" aria-modal="true" aria-labelledby="detailTitle" tabindex="-1"></div>
+        `;
+        this.dialog = this.el.querySelector('.detail-dialog');
+
+        this.el.querySelector('.detail-overlay').addEventListener('click', () => this.close());
+        this.el.addEventListener('click', (e) => {
+            if (e.target.closest('.detail-close')) this.close();
+        });
+        this.el.addEventListener('keydown', (e) => this._onKeydown(e));
+
+        document.body.appendChild(this.el);
+    },
+
+    /**
+     * 面板是否打开
+     * @returns {boolean}
+     */
+    isOpen() {
+        return Boolean(this.el && !this.el.hidden);
+    },
+
+    /**
+     * 打开详情
+     *
+     * @param {Object} item - 数据项
+     * @param {Object} category - 分类配置（id、title、type）
+     * @param {Object} [options]
+     * @param {Function} [options.onClose] - 用户关闭面板时的回调（Router 用于还原 hash）
+     */
+    open(item, category, { onClose = null } = {}) {
+        this.init();
+
+        if (!this.isOpen()) {
+            this._returnFocus = document.activeElement;
+        }
+        this._onClose = onClose;
+
+        this.dialog.dataset.type = category.type;
+        this.dialog.innerHTML = this.render(item, category);
+
+        this.el.hidden = false;
+        document.body.classList.add('detail-open');
+        this.dialog.scrollTop = 0;
+        this.dialog.focus();
+    },
+
+    /**
+     * 关闭详情
+     * @param {Object} [options]
+     * @param {boolean} [options.notify=true] - 是否调用 onClose（由路由变化触发关闭时为 false）
+     */
+    close({ notify = true } = {}) {
+        if (!this.isOpen()) return;
+
+        this.el.hidden = true;
+        this.dialog.innerHTML = '';
+        document.body.classList.remove('detail-open');
+
+        const onClose = this._onClose;
+        const returnFocus = this._returnFocus;
+        this._onClose = null;
+        this._returnFocus = null;
+
+        if (returnFocus && document.contains(returnFocus)) {
+            returnFocus.focus({ preventScroll: true });
+        }
+        if (notify && onClose) onClose();
+    },
+
+    /**
+     * 渲染详情内容
+     *
+     * @param {Object} item - 数据项
+     * @param {Object} category - 分类配置
+     * @param {Object} [options]
+     * @param {boolean} [options.closable=true] - 是否显示关闭按钮（预渲染的条目页不是面板，不显示）
+     * @returns {SafeHtml}
+     */
+    render(item, category, { closable = true } = {}) {
+        const rows = this._collectFields(item, category.type);
+        const sourceUrl = CardRenderer.getSourceUrl(item);
+
+        return html`
+            <header class="detail-header">
+                <p class="detail-category">${category.title}</p>
+                <h2 class="detail-title" id="detailTitle">${item.title || '未命名'}</h2>
+                ${item.status ? html`<span class="status" data-status="${item.status}">${item.status}</span>` : ''}
+                ${closable ? html`<button type="button" class="detail-close" aria-label="关闭">×</button>` : ''}
+            </header>
+
+            ${item.cover ? html`<div class="detail-cover">${CardRenderer.img({ src: item.cover, alt: item.title, lazy: false, profile: 'detail' })}</div>` : ''}
+
+            <dl class="detail-fields">
+                ${rows.map(({ label, value }) => html`
+                    <div class="detail-field">
+                        <dt>${label}</dt>
+                        <dd>${value}</dd>
+                    </div>
+                `)}
+            </dl>
+
+            ${this._renderPhotos(item)}
+
+            ${item.source ? html`
+                <footer class="detail-footer">
+                    ${sourceUrl
+                        ? html`<a href="${safeUrl(sourceUrl)}" target="_blank" rel="noopener">在 GitHub 上编辑（${formatSource(item.source)}）</a>`
+                        : html`<code>${formatSource(item.source)}</code>`}
+                </footer>
+            ` : ''}
+        `;
+    },
+
+    /**
+     * 按 Schema 顺序收集有值的字段（同名 key 只取第一个）
+     * @private
+     * @param {Object} item
+     * @param {string} type
+     * @returns {Array<{label: string, value: SafeHtml}>}
+     */
+    _collectFields(item, type) {
+        const seen = new Set();
+        const rows = [];
+
+        FieldSchema.getFields(type).forEach(field => {
+            if (seen.has(field.key) || HIDDEN_KEYS.has(field.key)) return;
+            seen.add(field.key);
+
+            const value = this._renderValue(field, item);
+            if (value) rows.push({ label: field.labels[0], value });
+        });
+
+        return rows;
+    },
+
+    /**
+     * 渲染单个字段值
+     * @private
+     * @param {Object} field - 字段定义
+     * @param {Object} item - 数据项
+     * @returns {SafeHtml|null} 无值时返回 null
+     */
+    _renderValue(field, item) {
+        // 链接字段解析后拆分为 linkText / linkUrl
+        if (field.parse === 'link') {
+            if (!item.linkUrl) return null;
+            return html`<a href="${safeUrl(item.linkUrl)}" target="_blank" rel="noopener">${item.linkText || item.linkUrl}</a>`;
+        }
+
+        const value = item[field.key];
+        if (value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) {
+            return null;
+        }
+
+        if (field.block) {
+            return html`<div class="detail-markdown">${raw(Markdown.render(value))}</div>`;
+        }
+        if (Array.isArray(value)) {
+            return html`<span class="detail-tags">${value.map(v => html`<span class="tag">${v}</span>`)}</span>`;
+        }
+        if (field.parse === 'image') {
+            return CardRenderer.img({ src: value, alt: field.labels[0], className: 'detail-image', lazy: false, profile: 'detail' });
+        }
+        if (field.parse === 'url') {
+            return html`<a href="${safeUrl(value)}" target="_blank" rel="noopener">${value}</a>`;
+        }
+        if (ID_LINKS[field.key]) {
+            return html`<a href="${safeUrl(ID_LINKS[field.key](String(value)))}" target="_blank" rel="noopener">${value}</a>`;
+        }
+
+        const text = String(value);
+        const parts = text.split(LIST_SEPARATOR).map(part => part.trim()).filter(Boolean);
+        if (parts.length > 1) {
+            return html`<ul class="detail-list">${parts.map(part => html`<li>${part}</li>`)}</ul>`;
+        }
+        return html`${text}`;
+    },
+
+    /**
+     * 图集照片缩略图（点击打开 Lightbox）
+     * @private
+     * @param {Object} item
+     * @returns {SafeHtml|string}
+     */
+    _renderPhotos(item) {
+        const photos = (item.photos || []).filter(photo => photo.photoUrl);
+        if (photos.length === 0) return '';
+
+        return html`
+            <section class="detail-photos" aria-label="照片">
+                <h3>照片（${photos.length}）</h3>
+                <div class="detail-photo-grid">
+                    ${photos.map(photo => CardRenderer.img({
+                        src: photo.photoUrl,
+                        alt: photo.title,
+                        className: 'detail-photo lightbox-trigger',
+                        lazy: false,
+                        profile: 'thumbnail',
+                        placeholder: photo.placeholder,
+                        dataAttrs: { full: ImageProxyService.getOptimizedUrl(photo.photoUrl, { width: 1200, quality: 90 }), caption: photo.title || '', info: JSON.stringify(CardRenderer.photoInfo(photo)) }
+                    }))}
+                </div>
+            </section>
+        `;
+    },
+
+    /**
+     * 键盘：Esc 关闭，Tab 焦点限制在面板内
+     * @private
+     * @param {KeyboardEvent} e
+     */
+    _onKeydown(e) {
+        if (e.key === 'Escape') {
+            // Lightbox 打开时 Esc 交给 Lightbox
+            if (document.querySelector('.lightbox.active')) return;
+            e.preventDefault();
+            this.close();
+            return;
+        }
+
+        if (e.key !== 'Tab') return;
+
+        const focusable = Array.from(this.dialog.querySelectorAll(FOCUSABLE));
+        if (focusable.length === 0) {
+            e.preventDefault();
+            return;
+        }
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (e.shiftKey && (document.activeElement === first || document.activeElement === this.dialog)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+};
@@ -0,0 +1,105 @@
+import { ContentValidator, SEVERITY } from '../core/content-validator.js';
+
+/**
+ * DevOverlay - 内容校验开发浮层
+ *
+ * 职责：
+ * 1. 在浏览器中运行 ContentValidator（通过 fetch 读取内容文件）
+ * 2. 以可折叠浮层展示诊断信息（文件:行号 + 问题描述）
+ *
+ * 启用方式：设置 window.__DEV__ = true，或在 URL 中添加 ?lint
+ */
+export const DevOverlay = {
+    // --- State ---
+    el: null,
+
+    /**
+     * 是否处于开发模式
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return Boolean(window.__DEV__) || new URLSearchParams(window.location.search).has('lint');
+    },
+
+    /**
+     * 运行校验并渲染浮层
+     * @returns {Promise<void>}
+     */
+    async init() {
+        if (this.el) return;
+
+        const diagnostics = await ContentValidator.validateSite({
+            loadText: async (path) => {
+                const response = await fetch(path);
+                return response.ok ? response.text() : null;
+            },
+            resourceExists: async (path) => {
+                try {
+                    const response = await fetch(path, { method: 'HEAD' });
+                    return response.ok;
+                } catch {
+                    return false;
+                }
+            }
+        });
+
+        this.render(diagnostics);
+    },
+
+    /**
+     * 渲染浮层 DOM（使用 textContent，避免内容中的 HTML 被解析）
+     * @param {Array<Object>} diagnostics - 诊断信息
+     */
+    render(diagnostics) {
+        const errors = diagnostics.filter(d => d.severity === SEVERITY.ERROR).length;
+        const warnings = diagnostics.length - errors;
+
+        this.el = document.createElement('aside');
+        this.el.className = 'dev-overlay';
+        this.el.setAttribute('aria-label', '内容校验结果');
+
+        const toggle = document.createElement('button');
+        toggle.className = 'dev-overlay-toggle';
+        toggle.type = 'button';
+        toggle.setAttribute('aria-expanded', 'false');
+        toggle.textContent = diagnostics.length === 0
+            ? '内容校验：无问题'
+            : `内容校验：${errors} 错误 / ${warnings} 警告`;
+        toggle.dataset.state = errors > 0 ? SEVERITY.ERROR : (warnings > 0 ? SEVERITY.WARNING : 'ok');
+
+        const list = document.createElement('ol');
+        list.className = 'dev-overlay-list';
+        list.hidden = true;
+
+        diagnostics.forEach(d => {
+            const row = document.createElement('li');
+            row.className = 'dev-overlay-item';
+            row.dataset.severity = d.severity;
+
+            const location = document.createElement('code');
+            location.className = 'dev-overlay-location';
+            location.textContent = `${d.file}:${d.line}`;
+
+            const message = document.createElement('span');
+            message.className = 'dev-overlay-message';
+            message.textContent = d.field ? `[${d.field}] ${d.message}` : d.message;
+
+            row.append(location, message);
+            list.appendChild(row);
+        });
+
+        toggle.addEventListener('click', () => {
+            list.hidden = !list.hidden;
+            toggle.setAttribute('aria-expanded', String(!list.hidden));
+        });
+
+        this.el.append(toggle, list);
+        document.body.appendChild(this.el);
+
+        if (diagnostics.length > 0) {
+            console.groupCollapsed(`[DevOverlay] ${diagnostics.length} content problem(s)`);
+            diagnostics.forEach(d => console.warn(`${d.file}:${d.line} ${d.message}`));
+            console.groupEnd();
+        }
+    }
+};
@@ -0,0 +1,213 @@
+import { ImageTelemetry, TIER } from '../services/image-telemetry.js';
+
+/**
+ * ImageStatsOverlay - 图片加载遥测浮层
+ *
+ * 职责：
+ * 1. 展示 ImageTelemetry 的汇总：成功的降级层级、排队 / 加载 / 解码耗时
+ * 2. 按代理提供方和域名展示请求数、失败率、加载和首字节耗时，以及最慢的图片
+ * 3. 导出 JSON 报告
+ *
+ * 启用方式：设置 window.__DEV__ = true，或在 URL 中添加 ?imgstats
+ */
+
+/**
+ * 展开时的刷新间隔（毫秒）
+ */
+const REFRESH_INTERVAL = 1000;
+
+/**
+ * 展示的最慢图片数量
+ */
+const SLOWEST_COUNT = 5;
+
+const TIER_LABELS = {
+    [TIER.OPTIMIZED]: '首选',
+    [TIER.FAILOVER]: '备用代理',
+    [TIER.ORIGINAL]: '原图',
+    [TIER.PLACEHOLDER]: '失败'
+};
+
+/**
+ * 格式化毫秒数
+ * @param {number|null} ms
+ * @returns {string}
+ */
+function formatMs(ms) {
+    return ms === null ? '—' : `${ms}ms`;
+}
+
+/**
+ * URL 的文件名（用于列表展示）
+ * @param {string} url
+ * @returns {string}
+ */
+function fileName(url) {
+    const name = url.split(/[?#]/)[0].split('/').pop() || url;
+    try {
+        return decodeURIComponent(name);
+    } catch {
+        return name;
+    }
+}
+
+/**
+ * 创建带文本的元素
+ * @param {string} tag
+ * @param {string} className
+ * @param {string} text
+ * @returns {HTMLElement}
+ */
+function textElement(tag, className, text) {
+    const el = document.createElement(tag);
+    el.className = className;
+    el.textContent = text;
+    return el;
+}
+
+export const ImageStatsOverlay = {
+    // --- State ---
+    el: null,
+    toggle: null,
+    panel: null,
+    timer: null,
+
+    /**
+     * 是否启用浮层
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return Boolean(window.__DEV__) || new URLSearchParams(window.location.search).has('imgstats');
+    },
+
+    /**
+     * 渲染浮层（默认折叠）
+     */
+    init() {
+        if (this.el) return;
+
+        this.el = document.createElement('aside');
+        this.el.className = 'dev-overlay image-stats-overlay';
+        this.el.setAttribute('aria-label', '图片加载统计');
+
+        this.toggle = document.createElement('button');
+        this.toggle.className = 'dev-overlay-toggle';
+        this.toggle.type = 'button';
+        this.toggle.setAttribute('aria-expanded', 'false');
+        this.toggle.textContent = '图片加载统计';
+
+        this.panel = document.createElement('div');
+        this.panel.className = 'image-stats-panel';
+        this.panel.hidden = true;
+
+        this.toggle.addEventListener('click', () => this.setOpen(this.panel.hidden));
+
+        this.el.append(this.toggle, this.panel);
+        document.body.appendChild(this.el);
+    },
+
+    /**
+     * 展开 / 折叠；展开时定时刷新
+     * @param {boolean} open
+     */
+    setOpen(open) {
+        this.panel.hidden = !open;
+        this.toggle.setAttribute('aria-expanded', String(open));
+
+        clearInterval(this.timer);
+        this.timer = null;
+        if (open) {
+            this.update();
+            this.timer = setInterval(() => this.update(), REFRESH_INTERVAL);
+        }
+    },
+
+    /**
+     * 按当前报告重新渲染面板（使用 textContent，避免 URL 中的内容被解析为 HTML）
+     */
+    update() {
+        const report = ImageTelemetry.getReport();
+        const { summary } = report;
+
+        this.toggle.textContent = `图片加载统计：${summary.loaded} / ${summary.images}`;
+
+        const tiers = textElement('p', 'image-stats-line', Object.entries(summary.tiers)
+            .map(([tier, count]) => `${TIER_LABELS[tier]} ${count}`)
+            .join(' · '));
+        const timing = textElement('p', 'image-stats-line', [
+            `排队 p50 ${formatMs(summary.queueWait.p50)}`,
+            `加载 p50 ${formatMs(summary.loadTime.p50)} / p90 ${formatMs(summary.loadTime.p90)}`,
+            `解码 p50 ${formatMs(summary.decodeTime.p50)}`
+        ].join(' · '));
+
+        const exportButton = textElement('button', 'dev-overlay-toggle', '导出 JSON');
+        exportButton.type = 'button';
+        exportButton.addEventListener('click', () => ImageTelemetry.exportReport());
+
+        this.panel.replaceChildren(
+            tiers,
+            timing,
+            this.renderTable('代理提供方', report.byProvider),
+            this.renderTable('域名', report.byHost),
+            this.renderSlowest(report.images),
+            exportButton
+        );
+    },
+
+    /**
+     * 渲染请求汇总表
+     * @param {string} title - 第一列标题
+     * @param {Object<string, Object>} groups - ImageTelemetry 的 byProvider / byHost
+     * @returns {HTMLTableElement}
+     */
+    renderTable(title, groups) {
+        const table = document.createElement('table');
+        table.className = 'image-stats-table';
+
+        const head = document.createElement('tr');
+        [title, '请求', '失败率', '加载 p50', '首字节 p50'].forEach(label => head.appendChild(textElement('th', '', label)));
+        table.appendChild(head);
+
+        Object.entries(groups).forEach(([name, group]) => {
+            const row = document.createElement('tr');
+            if (group.failures > 0) row.dataset.severity = 'error';
+            [
+                name || '—',
+                String(group.requests),
+                `${Math.round(group.failureRate * 100)}%`,
+                formatMs(group.duration.p50),
+                formatMs(group.firstByte.p50)
+            ].forEach(value => row.appendChild(textElement('td', '', value)));
+            table.appendChild(row);
+        });
+
+        return table;
+    },
+
+    /**
+     * 渲染加载最慢的图片（从开始请求到加载完成，包括降级重试）
+     * @param {Array<Object>} images - ImageTelemetry 的图片记录
+     * @returns {HTMLOListElement}
+     */
+    renderSlowest(images) {
+        const list = document.createElement('ol');
+        list.className = 'dev-overlay-list image-stats-slowest';
+
+        images
+            .filter(image => image.loadedAt !== null)
+            .sort((a, b) => (b.loadedAt - b.startedAt) - (a.loadedAt - a.startedAt))
+            .slice(0, SLOWEST_COUNT)
+            .forEach((image) => {
+                const row = document.createElement('li');
+                row.className = 'dev-overlay-item';
+                row.dataset.severity = image.tier === TIER.OPTIMIZED ? 'warning' : 'error';
+                row.append(
+                    textElement('code', 'dev-overlay-location', `${formatMs(image.loadedAt - image.startedAt)} ${TIER_LABELS[image.tier]}`),
+                    textElement('span', 'dev-overlay-message', fileName(image.source))
+                );
+                list.appendChild(row);
+            });
+
+        return list;
+    }
+};
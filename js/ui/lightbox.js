@@ -1,19 +1,63 @@
 /**
- * Simple Lightbox Component
- * Features: Gallery Support, Swipe Navigation, Keyboard Nav
- * Note: Zoom feature removed for simplicity
+ * Lightbox Component
+ * Features: Gallery Support, Swipe Navigation, Keyboard Nav, Info Panel (caption, location, date, EXIF),
+ * Zoom & Pan (pinch, double-tap, double-click, mouse wheel), Neighbour Preloading,
+ * Loading / Error State per Slide, Thumbnail Filmstrip
  */
 
+import { ImageProxyService } from '../services/image-proxy.js';
+
+// --- Zoom Config ---
+const MIN_SCALE = 1;
+const MAX_SCALE = 4;
+const DOUBLE_TAP_SCALE = 2.5;
+const DOUBLE_TAP_DELAY = 300;    // ms
+const TAP_MAX_MOVE = 10;         // px，超过视为拖动
+const WHEEL_ZOOM_SPEED = 0.002;
+const KEY_ZOOM_STEP = 1.5;
+
+/**
+ * 两点间距离
+ * @param {{x: number, y: number}} a
+ * @param {{x: number, y: number}} b
+ * @returns {number}
+ */
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+/**
+ * 限制在区间内
+ * @param {number} value
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ */
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
 const Lightbox = {
     // --- State ---
     el: null,
     img: null,
-    items: [], // Array of { src, caption }
+    items: [], // Array of { src, thumb?, caption, info: { location, date, rows: [{ label, value }] } }
     currentIndex: 0,
+    fallbackTried: false, // 代理地址失败后已尝试原图
+    preloaded: new Set(),
 
     // Gesture State
     touchStartX: 0,
     touchStartY: 0,
+    pinched: false, // 本次触摸包含双指缩放（结束时不触发滑动切换）
+
+    // Zoom State
+    scale: 1,
+    panX: 0,
+    panY: 0,
+    pointers: new Map(), // pointerId → { x, y, startX, startY }
+    gesture: null,       // { type: 'pan', x, y } | { type: 'pinch', distance, scale, mid }
+    lastTap: null,       // { time, x, y }
 
     // --- DOM Elements ---
     els: {
@@ -22,7 +66,15 @@ const Lightbox = {
         closeBtn: null,
         prevBtn: null,
         nextBtn: null,
-        counter: null
+        counter: null,
+        info: null,
+        caption: null,
+        meta: null,
+        exif: null,
+        exifList: null,
+        error: null,
+        retryBtn: null,
+        filmstrip: null
     },
 
     /**
@@ -36,11 +88,25 @@ const Lightbox = {
         this.el.innerHTML = `
             <div class="lightbox-overlay"></div>
             <div class="lightbox-content">
-                <img src="" alt="" class="lightbox-img">
+                <img src="" alt="" class="lightbox-img" draggable="false">
+            </div>
+            <div class="lightbox-spinner" role="status" aria-label="加载中"></div>
+            <div class="lightbox-error" role="alert" hidden>
+                <span>图片加载失败</span>
+                <button type="button" class="lightbox-retry">重试</button>
             </div>
             <button class="lightbox-nav prev" aria-label="上一张">❮</button>
             <button class="lightbox-nav next" aria-label="下一张">❯</button>
             <div class="lightbox-counter"></div>
+            <div class="lightbox-info">
+                <p class="lightbox-caption"></p>
+                <p class="lightbox-meta"></p>
+                <details class="lightbox-exif">
+                    <summary>拍摄信息</summary>
+                    <dl class="lightbox-exif-list"></dl>
+                </details>
+            </div>
+            <div class="lightbox-filmstrip" aria-label="缩略图" hidden></div>
             <button class="lightbox-close" aria-label="关闭">×</button>
         `;
 
@@ -52,6 +118,14 @@ const Lightbox = {
         this.els.nextBtn = this.el.querySelector('.next');
         this.els.counter = this.el.querySelector('.lightbox-counter');
         this.els.closeBtn = this.el.querySelector('.lightbox-close');
+        this.els.info = this.el.querySelector('.lightbox-info');
+        this.els.caption = this.el.querySelector('.lightbox-caption');
+        this.els.meta = this.el.querySelector('.lightbox-meta');
+        this.els.exif = this.el.querySelector('.lightbox-exif');
+        this.els.exifList = this.el.querySelector('.lightbox-exif-list');
+        this.els.error = this.el.querySelector('.lightbox-error');
+        this.els.retryBtn = this.el.querySelector('.lightbox-retry');
+        this.els.filmstrip = this.el.querySelector('.lightbox-filmstrip');
 
         // Bind Events
         this.bindEvents();
@@ -67,11 +141,24 @@ const Lightbox = {
         els.overlay.addEventListener('click', () => this.close());
         els.prevBtn.addEventListener('click', (e) => { e.stopPropagation(); this.prev(); });
         els.nextBtn.addEventListener('click', (e) => { e.stopPropagation(); this.next(); });
+        els.retryBtn.addEventListener('click', (e) => { e.stopPropagation(); this.updateImage(); });
+
+        // Slide Loading State
+        this.img.addEventListener('load', () => this.setSlideState('loaded'));
+        this.img.addEventListener('error', () => this.handleImageError());
 
         // Swipe Gestures (Touch)
         el.addEventListener('touchstart', (e) => this.handleTouchStart(e), { passive: true });
         el.addEventListener('touchend', (e) => this.handleTouchEnd(e));
 
+        // Zoom & Pan (Pointer: mouse drag, touch pan / pinch / double-tap)
+        els.content.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        els.content.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        els.content.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+        els.content.addEventListener('pointercancel', (e) => this.handlePointerUp(e));
+        els.content.addEventListener('wheel', (e) => this.handleWheel(e), { passive: false });
+        els.content.addEventListener('dblclick', (e) => this.toggleZoom(e.clientX, e.clientY));
+
         // Keyboard Nav
         document.addEventListener('keydown', (e) => this.handleKeydown(e));
     },
@@ -83,6 +170,7 @@ const Lightbox = {
         this.items = items;
         this.currentIndex = index;
 
+        this.renderFilmstrip();
         this.updateImage();
 
         requestAnimationFrame(() => this.el.classList.add('active'));
@@ -91,10 +179,12 @@ const Lightbox = {
     close() {
         if (!this.el) return;
         this.el.classList.remove('active');
+        this.resetZoom();
         setTimeout(() => {
             if (!this.el.classList.contains('active')) {
                 this.img.src = '';
                 this.items = [];
+                this.els.filmstrip.replaceChildren();
             }
         }, 300);
     },
@@ -103,26 +193,150 @@ const Lightbox = {
         const item = this.items[this.currentIndex];
         if (!item) return;
 
+        this.resetZoom();
+        this.fallbackTried = false;
+        this.setSlideState('loading');
+
         this.img.src = item.src;
         this.img.alt = item.caption || '';
 
         // Update UI
         this.updateCounter();
         this.updateNavButtons();
+        this.updateInfo(item);
+        this.updateFilmstrip();
+        this.preloadNeighbours();
     },
 
-    prev() {
-        if (this.currentIndex > 0) {
-            this.currentIndex--;
-            this.updateImage();
+    /**
+     * 当前页的加载状态：loading 显示加载动画，error 显示错误提示和重试按钮
+     * @param {'loading'|'loaded'|'error'} state
+     */
+    setSlideState(state) {
+        this.el.dataset.state = state;
+        this.els.error.hidden = state !== 'error';
+    },
+
+    /**
+     * 图片加载失败：代理地址先降级到原图，仍失败时显示错误提示
+     */
+    handleImageError() {
+        const item = this.items[this.currentIndex];
+        if (!item || !this.img.getAttribute('src')) return; // 关闭时清空 src 触发的 error
+
+        const source = ImageProxyService.getSourceUrl(item.src);
+        if (!this.fallbackTried && source !== item.src) {
+            this.fallbackTried = true;
+            this.img.src = source;
+            return;
         }
+        this.setSlideState('error');
     },
 
-    next() {
-        if (this.currentIndex < this.items.length - 1) {
-            this.currentIndex++;
-            this.updateImage();
+    /**
+     * 预加载前后两张（省流量模式下不预加载）
+     */
+    preloadNeighbours() {
+        if (navigator.connection?.saveData) return;
+
+        [this.currentIndex - 1, this.currentIndex + 1].forEach((index) => {
+            const item = this.items[index];
+            if (!item || this.preloaded.has(item.src)) return;
+
+            this.preloaded.add(item.src);
+            const img = new Image();
+            img.decoding = 'async';
+            img.src = item.src;
+        });
+    },
+
+    /**
+     * 图集缩略图条（单张图片时隐藏；使用 DOM API，不拼接 HTML）
+     */
+    renderFilmstrip() {
+        const { filmstrip } = this.els;
+        const hasFilmstrip = this.items.length > 1;
+
+        filmstrip.hidden = !hasFilmstrip;
+        this.el.classList.toggle('has-filmstrip', hasFilmstrip);
+        if (!hasFilmstrip) {
+            filmstrip.replaceChildren();
+            return;
         }
+
+        filmstrip.replaceChildren(...this.items.map((item, index) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'lightbox-thumb';
+            button.setAttribute('aria-label', item.caption ? `${index + 1}. ${item.caption}` : `第 ${index + 1} 张`);
+            button.addEventListener('click', (e) => { e.stopPropagation(); this.go(index); });
+
+            const thumb = document.createElement('img');
+            thumb.src = item.thumb || item.src;
+            thumb.alt = '';
+            thumb.loading = 'lazy';
+            thumb.decoding = 'async';
+            thumb.draggable = false;
+
+            button.appendChild(thumb);
+            return button;
+        }));
+    },
+
+    /**
+     * 标记当前缩略图，并滚动到缩略图条中间
+     */
+    updateFilmstrip() {
+        const { filmstrip } = this.els;
+        if (filmstrip.hidden) return;
+
+        Array.from(filmstrip.children).forEach((button, index) => {
+            if (index === this.currentIndex) {
+                button.setAttribute('aria-current', 'true');
+                filmstrip.scrollLeft = button.offsetLeft - (filmstrip.clientWidth - button.offsetWidth) / 2;
+            } else {
+                button.removeAttribute('aria-current');
+            }
+        });
+    },
+
+    /**
+     * 信息面板：标题、地点 • 日期、EXIF 拍摄参数（使用 textContent，不拼接 HTML）
+     * @param {{ caption?: string, info?: Object|null }} item
+     */
+    updateInfo(item) {
+        const { location = '', date = '', rows = [] } = item.info || {};
+        const meta = [location, date].filter(Boolean).join(' • ');
+
+        this.els.caption.textContent = item.caption || '';
+        this.els.caption.hidden = !item.caption;
+        this.els.meta.textContent = meta;
+        this.els.meta.hidden = !meta;
+
+        this.els.exifList.replaceChildren(...rows.flatMap(({ label, value }) => {
+            const dt = document.createElement('dt');
+            dt.textContent = label;
+            const dd = document.createElement('dd');
+            dd.textContent = value;
+            return [dt, dd];
+        }));
+        this.els.exif.hidden = rows.length === 0;
+
+        this.els.info.hidden = !item.caption && !meta && rows.length === 0;
+    },
+
+    prev() {
+        this.go(this.currentIndex - 1);
+    },
+
+    next() {
+        this.go(this.currentIndex + 1);
+    },
+
+    go(index) {
+        if (index < 0 || index >= this.items.length || index === this.currentIndex) return;
+        this.currentIndex = index;
+        this.updateImage();
     },
 
     updateCounter() {
@@ -151,16 +365,151 @@ const Lightbox = {
         this.els.nextBtn.style.opacity = this.currentIndex === this.items.length - 1 ? '0.1' : '1';
     },
 
+    // --- Zoom Logic ---
+
+    /**
+     * 缩放到 scale，保持 (clientX, clientY) 处的画面位置不变（默认以图片中心缩放）
+     * @param {number} scale
+     * @param {number} [clientX]
+     * @param {number} [clientY]
+     */
+    zoomTo(scale, clientX, clientY) {
+        const next = clamp(scale, MIN_SCALE, MAX_SCALE);
+        if (next === MIN_SCALE) {
+            this.scale = MIN_SCALE;
+            this.panX = 0;
+            this.panY = 0;
+            this.applyTransform();
+            return;
+        }
+
+        const rect = this.els.content.getBoundingClientRect();
+        const originX = rect.left + rect.width / 2;
+        const originY = rect.top + rect.height / 2;
+        const x = (clientX ?? originX) - originX;
+        const y = (clientY ?? originY) - originY;
+        const ratio = next / this.scale;
+
+        this.panX = x - ratio * (x - this.panX);
+        this.panY = y - ratio * (y - this.panY);
+        this.scale = next;
+        this.applyTransform();
+    },
+
+    toggleZoom(clientX, clientY) {
+        if (this.scale > MIN_SCALE) this.resetZoom();
+        else this.zoomTo(DOUBLE_TAP_SCALE, clientX, clientY);
+    },
+
+    /**
+     * 还原缩放并结束进行中的手势（切换、关闭时）
+     */
+    resetZoom() {
+        this.scale = MIN_SCALE;
+        this.panX = 0;
+        this.panY = 0;
+        this.pointers.clear();
+        this.gesture = null;
+        if (this.el) this.applyTransform();
+    },
+
+    /**
+     * 限制平移范围（放大后的图片边缘不离开视口），并应用 transform
+     */
+    applyTransform() {
+        const maxX = Math.max(0, (this.img.offsetWidth * this.scale - window.innerWidth) / 2);
+        const maxY = Math.max(0, (this.img.offsetHeight * this.scale - window.innerHeight) / 2);
+        this.panX = clamp(this.panX, -maxX, maxX);
+        this.panY = clamp(this.panY, -maxY, maxY);
+
+        const zoomed = this.scale > MIN_SCALE;
+        this.img.style.transform = zoomed ? `translate(${this.panX}px, ${this.panY}px) scale(${this.scale})` : '';
+        this.el.classList.toggle('is-zoomed', zoomed);
+        this.el.classList.toggle('is-gesturing', Boolean(this.gesture));
+    },
+
+    handleWheel(e) {
+        e.preventDefault();
+        this.zoomTo(this.scale * Math.exp(-e.deltaY * WHEEL_ZOOM_SPEED), e.clientX, e.clientY);
+    },
+
+    // --- Gesture Logic (Pointer: Pan / Pinch / Double-tap) ---
+
+    handlePointerDown(e) {
+        if (e.pointerType === 'mouse' && e.button !== 0) return;
+
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY, startX: e.clientX, startY: e.clientY });
+        this.els.content.setPointerCapture?.(e.pointerId);
+
+        if (this.pointers.size === 2) {
+            const [a, b] = this.pointers.values();
+            this.pinched = true;
+            this.gesture = { type: 'pinch', distance: distance(a, b), scale: this.scale, mid: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 } };
+        } else if (this.pointers.size === 1 && this.scale > MIN_SCALE) {
+            this.gesture = { type: 'pan', x: e.clientX - this.panX, y: e.clientY - this.panY };
+        }
+        this.el.classList.toggle('is-gesturing', Boolean(this.gesture));
+    },
+
+    handlePointerMove(e) {
+        const pointer = this.pointers.get(e.pointerId);
+        if (!pointer) return;
+
+        pointer.x = e.clientX;
+        pointer.y = e.clientY;
+
+        const { gesture } = this;
+        if (gesture?.type === 'pinch' && this.pointers.size === 2) {
+            const [a, b] = this.pointers.values();
+            const mid = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+            // 双指移动时跟随平移
+            this.panX += mid.x - gesture.mid.x;
+            this.panY += mid.y - gesture.mid.y;
+            gesture.mid = mid;
+            this.zoomTo(gesture.scale * distance(a, b) / gesture.distance, mid.x, mid.y);
+        } else if (gesture?.type === 'pan') {
+            this.panX = e.clientX - gesture.x;
+            this.panY = e.clientY - gesture.y;
+            this.applyTransform();
+        }
+    },
+
+    handlePointerUp(e) {
+        const pointer = this.pointers.get(e.pointerId);
+        if (!pointer) return;
+        this.pointers.delete(e.pointerId);
+
+        // 双击（触摸）：两次轻点间隔短且位置接近
+        const isTap = e.type === 'pointerup' && e.pointerType === 'touch' && !this.pinched &&
+            distance(pointer, { x: pointer.startX, y: pointer.startY }) < TAP_MAX_MOVE;
+        if (isTap) {
+            const isDoubleTap = this.lastTap && e.timeStamp - this.lastTap.time < DOUBLE_TAP_DELAY &&
+                distance(this.lastTap, pointer) < TAP_MAX_MOVE * 3;
+            this.lastTap = isDoubleTap ? null : { time: e.timeStamp, x: pointer.x, y: pointer.y };
+            if (isDoubleTap) this.toggleZoom(pointer.x, pointer.y);
+        }
+
+        // 双指抬起一指：继续用剩下的一指平移
+        const [rest] = this.pointers.values();
+        this.gesture = rest && this.scale > MIN_SCALE
+            ? { type: 'pan', x: rest.x - this.panX, y: rest.y - this.panY }
+            : null;
+        this.el.classList.toggle('is-gesturing', Boolean(this.gesture));
+    },
+
     // --- Gesture Logic (Swipe) ---
 
     handleTouchStart(e) {
         if (e.touches.length > 1) return; // Disable swipe when multitouch
+        this.pinched = false;
         this.touchStartX = e.changedTouches[0].screenX;
         this.touchStartY = e.changedTouches[0].screenY;
     },
 
     handleTouchEnd(e) {
         if (e.changedTouches.length > 1) return;
+        // 放大或双指缩放时不切换图片（单指拖动用于平移）
+        if (this.scale > MIN_SCALE || this.pinched) return;
 
         const touchEndX = e.changedTouches[0].screenX;
         const touchEndY = e.changedTouches[0].screenY;
@@ -184,13 +533,17 @@ const Lightbox = {
             case 'Escape': this.close(); break;
             case 'ArrowLeft': this.prev(); break;
             case 'ArrowRight': this.next(); break;
+            case '+':
+            case '=': this.zoomTo(this.scale * KEY_ZOOM_STEP); break;
+            case '-': this.zoomTo(this.scale / KEY_ZOOM_STEP); break;
+            case '0': this.resetZoom(); break;
         }
     }
 };
 
 /**
  * Public API
- * @param {string|Array} target - Image src or Array of Items
+ * @param {string|Array} target - Image src or Array of Items ({ src, thumb, caption, info })
  * @param {string|number} param2 - Caption or Start Index
  */
 export function openLightbox(target, param2) {
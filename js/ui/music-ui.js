@@ -1,5 +1,7 @@
 import { AudioPlayer } from './audio-player.js';
 import { attachScrollBehavior } from './scroll.js';
+import { html, raw, safeUrl } from '../core/html.js';
+import { hashContent } from '../core/utils.js';
 
 /**
  * MusicUI - 音乐板块统一管理模块
@@ -45,10 +47,10 @@ export const MusicUI = {
         // Icons shorthand
         const { ICONS } = AudioPlayer.CONSTANTS;
 
-        const playerHtml = `
+        const playerHtml = html`
             <div class="music-player">
                 <img class="player-cover" 
-                     src="${getCoverUrl(firstTrack)}" 
+                     src="${safeUrl(getCoverUrl(firstTrack), '')}" 
                      alt="${firstTrack.title || '专辑封面'}"
                      loading="lazy">
                 <div class="player-info">
@@ -66,17 +68,17 @@ export const MusicUI = {
                 </div>
                 <div class="player-controls">
                     <button class="player-btn player-btn-prev" aria-label="上一首">
-                        ${ICONS.PREV}
+                        ${raw(ICONS.PREV)}
                     </button>
                     <button class="player-btn player-btn-play" aria-label="播放">
-                        ${ICONS.PLAY}
+                        ${raw(ICONS.PLAY)}
                     </button>
                     <button class="player-btn player-btn-next" aria-label="下一首">
-                        ${ICONS.NEXT}
+                        ${raw(ICONS.NEXT)}
                     </button>
                 </div>
-                ${firstTrack.linkUrl ? `
-                    <a class="player-link" href="${firstTrack.linkUrl}" target="_blank" rel="noopener">
+                ${firstTrack.linkUrl ? html`
+                    <a class="player-link" href="${safeUrl(firstTrack.linkUrl)}" target="_blank" rel="noopener">
                         <svg class="spotify-icon" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
                             <path d="M12 0C5.4 0 0 5.4 0 12s5.4 12 12 12 12-5.4 12-12S18.66 0 12 0zm5.521 17.34c-.24.359-.66.48-1.021.24-2.82-1.74-6.36-2.101-10.561-1.141-.418.122-.779-.179-.899-.539-.12-.421.18-.78.54-.9 4.56-1.021 8.52-.6 11.64 1.32.42.18.479.659.301 1.02zm1.44-3.3c-.301.42-.841.6-1.262.3-3.239-1.98-8.159-2.58-11.939-1.38-.479.12-1.02-.12-1.14-.6-.12-.48.12-1.021.6-1.141C9.6 9.9 15 10.561 18.72 12.84c.361.181.54.78.241 1.2zm.12-3.36C15.24 8.4 8.82 8.16 5.16 9.301c-.6.179-1.2-.181-1.38-.721-.18-.601.18-1.2.72-1.381 4.26-1.26 11.28-1.02 15.721 1.621.539.3.719 1.02.419 1.56-.299.421-1.02.599-1.559.3z"/>
                         </svg>
@@ -86,13 +88,15 @@ export const MusicUI = {
             </div>
         `;
 
-        const playlistItemsHtml = items.map((item, index) => `
+        const playlistItemsHtml = items.map((item, index) => html`
             <div class="playlist-item ${index === 0 ? 'is-current' : ''}" 
                  data-index="${index}"
-                 data-audio="${item.audioPreview || ''}">
+                 data-item-id="${item.id || ''}"
+                 data-hash="${hashContent(item)}"
+                 data-audio="${safeUrl(item.audioPreview, '')}">
                 <div class="playlist-item-cover-wrapper">
                     <img class="playlist-item-cover" 
-                         src="${getCoverUrl(item)}" 
+                         src="${safeUrl(getCoverUrl(item), '')}" 
                          alt="${item.title}"
                          loading="lazy">
                     <div class="playing-indicator">
@@ -108,9 +112,9 @@ export const MusicUI = {
                 </div>
                 <span class="playlist-item-duration">${this.formatDuration(item.duration)}</span>
             </div>
-        `).join('');
+        `);
 
-        const playlistHtml = `
+        const playlistHtml = html`
             <div class="music-playlist">
                 <div class="playlist-header">
                     <h3 class="playlist-title">播放列表 (${items.length})</h3>
@@ -122,15 +126,16 @@ export const MusicUI = {
         `;
 
         // Store minimal data in dataset for player to pick up if needed, though we use AudioPlayer directly now
-        return `
-            <div class="music-section" data-playlist='${JSON.stringify(items.map(item => ({
+        // JSON 中的引号会被 html`` 转义为实体，读取 dataset 时浏览器自动还原
+        return html`
+            <div class="music-section" data-playlist="${JSON.stringify(items.map(item => ({
             title: item.title,
             artist: getArtist(item),
             cover: getCoverUrl(item),
             audioPreview: item.audioPreview,
             duration: item.duration,
             linkUrl: item.linkUrl
-        })))}'>
+        })))}">
                 ${playerHtml}
                 ${playlistHtml}
             </div>
@@ -165,7 +170,7 @@ export const MusicUI = {
             setTimeout(() => this.checkMarquee(), 50);
 
             if (durationEl) durationEl.textContent = this.formatDuration(duration || track.duration);
-            if (link) link.href = track.linkUrl || '#';
+            if (link) link.href = safeUrl(track.linkUrl);
 
             // 更新列表高亮
             const items = section.querySelectorAll(SELECTORS.PLAYLIST_ITEM);
@@ -387,7 +392,7 @@ export const MusicUI = {
                 // 如果是 marquee 结构，innerHTML 类似于 "<span>text</span><span clone>text</span>"
                 // 取第一个 span 的内容即可
                 const originalText = el.querySelector('span')?.textContent || el.textContent;
-                el.innerHTML = originalText;
+                el.textContent = originalText;
             }
 
             // 2. 测量 (Measure)
@@ -0,0 +1,166 @@
+/**
+ * NetworkStatus - 离线支持与网络状态提示
+ *
+ * 职责：
+ * 1. 注册 Service Worker（sw.js，缓存策略见该文件）
+ * 2. 离线时显示提示条：当前显示的是缓存内容
+ * 3. Service Worker 取到新版本的 Markdown 内容时，提示刷新页面
+ * 4. 将图片代理的域名告知 Service Worker
+ * 5. 图片加载失败时提示重试
+ *
+ * 本地开发（localhost）不注册 Service Worker，避免修改后看到缓存的旧文件
+ */
+
+const SW_URL = 'sw.js';
+
+const LOCAL_HOSTS = ['localhost', '127.0.0.1'];
+
+export const NetworkStatus = {
+    // --- State ---
+    el: null,
+    offlineEl: null,
+    updateEl: null,
+    imagesEl: null,
+    onRetryImages: null,
+
+    /**
+     * 初始化：注册 Service Worker 并监听网络状态
+     */
+    init() {
+        if (this.el) return;
+
+        this.render();
+        this.setOffline(!navigator.onLine);
+
+        window.addEventListener('online', () => this.setOffline(false));
+        window.addEventListener('offline', () => this.setOffline(true));
+
+        this.registerServiceWorker();
+    },
+
+    /**
+     * 注册 Service Worker 并监听内容更新消息
+     */
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || LOCAL_HOSTS.includes(window.location.hostname)) {
+            return;
+        }
+
+        navigator.serviceWorker.addEventListener('message', (e) => {
+            if (e.data?.type === 'content-updated') {
+                if (window.__DEV__) {
+                    console.debug(`[NetworkStatus] Content updated: ${decodeURI(new URL(e.data.url).pathname)}`);
+                }
+                this.showUpdatePrompt();
+            }
+        });
+
+        navigator.serviceWorker.register(SW_URL).catch(e => {
+            console.warn('[NetworkStatus] Service worker registration failed:', e);
+        });
+    },
+
+    /**
+     * 告知 Service Worker 图片代理的域名（其图片按缓存优先处理）
+     * @param {string[]} hosts
+     */
+    setImageProxyHosts(hosts) {
+        if (!('serviceWorker' in navigator) || LOCAL_HOSTS.includes(window.location.hostname)) {
+            return;
+        }
+
+        navigator.serviceWorker.ready.then((registration) => {
+            registration.active?.postMessage({ type: 'image-proxy-hosts', hosts });
+        });
+    },
+
+    /**
+     * 渲染提示条容器（使用 textContent，不拼接 HTML）
+     */
+    render() {
+        this.el = document.createElement('div');
+        this.el.className = 'network-status';
+        this.el.setAttribute('role', 'status');
+        this.el.setAttribute('aria-live', 'polite');
+
+        this.offlineEl = document.createElement('p');
+        this.offlineEl.className = 'network-banner';
+        this.offlineEl.dataset.state = 'offline';
+        this.offlineEl.textContent = '离线中 · 显示的是缓存内容';
+        this.offlineEl.hidden = true;
+
+        this.updateEl = this.createActionBanner('updated', '内容已更新', '刷新', () => window.location.reload());
+
+        this.imagesEl = this.createActionBanner('images-failed', '', '重试', () => {
+            this.imagesEl.hidden = true;
+            if (this.onRetryImages) this.onRetryImages();
+        });
+
+        this.el.append(this.offlineEl, this.updateEl, this.imagesEl);
+        document.body.appendChild(this.el);
+    },
+
+    /**
+     * 创建带操作按钮和关闭按钮的提示条（默认隐藏）
+     * @param {string} state - data-state
+     * @param {string} text - 提示文字
+     * @param {string} actionLabel - 按钮文字
+     * @param {Function} onAction - 点击按钮的回调
+     * @returns {HTMLElement}
+     */
+    createActionBanner(state, text, actionLabel, onAction) {
+        const banner = document.createElement('p');
+        banner.className = 'network-banner';
+        banner.dataset.state = state;
+        banner.hidden = true;
+
+        const message = document.createElement('span');
+        message.className = 'network-banner-message';
+        message.textContent = text;
+
+        const action = document.createElement('button');
+        action.type = 'button';
+        action.className = 'network-banner-action';
+        action.textContent = actionLabel;
+        action.addEventListener('click', onAction);
+
+        const dismiss = document.createElement('button');
+        dismiss.type = 'button';
+        dismiss.className = 'network-banner-close';
+        dismiss.setAttribute('aria-label', '关闭');
+        dismiss.textContent = '×';
+        dismiss.addEventListener('click', () => {
+            banner.hidden = true;
+        });
+
+        banner.append(message, action, dismiss);
+        return banner;
+    },
+
+    /**
+     * 切换离线提示
+     * @param {boolean} offline
+     */
+    setOffline(offline) {
+        if (!this.offlineEl) return;
+        this.offlineEl.hidden = !offline;
+    },
+
+    /**
+     * 显示「内容已更新」提示（多个文件同时更新时只显示一次）
+     */
+    showUpdatePrompt() {
+        if (!this.updateEl) return;
+        this.updateEl.hidden = false;
+    },
+
+    /**
+     * 显示「图片加载失败」提示，点击「重试」时调用 onRetryImages
+     * @param {number} count - 加载失败的图片数量
+     */
+    showImageRetry(count) {
+        if (!this.imagesEl) return;
+        this.imagesEl.querySelector('.network-banner-message').textContent = `${count} 张图片加载失败`;
+        this.imagesEl.hidden = count === 0;
+    }
+};
@@ -0,0 +1,437 @@
+import { html, safeUrl } from '../core/html.js';
+import { CardRenderer } from './card-renderer.js';
+import { openLightbox } from './lightbox.js';
+import { ImageProxyService } from '../services/image-proxy.js';
+
+/**
+ * PhotoMap - 照片分类的地图模式
+ *
+ * 职责：
+ * 1. 照片分类顶部渲染「卡片 / 地图」切换按钮（没有可定位的条目或未配置底图时不显示）
+ * 2. 地图模式按坐标放置图集和单张照片：优先使用「坐标：」字段，其次使用照片 EXIF 中的 GPS
+ *    图集的位置为「坐标：」字段，未填写时取其照片坐标的中心点
+ * 3. 距离相近的标记合并为一个（显示照片数量）：点击合并的标记放大到其范围，
+ *    点击单个标记（或放大后仍无法分开的标记）打开 Lightbox 浏览其中全部照片
+ *
+ * 地图为纯 SVG（Web 墨卡托投影），不依赖在线地图服务，底图由分类配置提供：
+ * - 地图瓦片：本地瓦片地址模板，如 ../assets/tiles/{z}/{x}/{y}.png（按标准 XYZ 切片）
+ * - 地图轮廓：GeoJSON 轮廓（Polygon / MultiPolygon），如 ../assets/maps/区域.geojson（需使用注明来源和许可的真实边界数据）
+ * 两者都未配置时不提供地图模式：空白背景上的标记无法看出位置
+ */
+
+/**
+ * SVG viewBox 宽度（高度按地图范围计算）
+ */
+const VIEW_WIDTH = 1000;
+
+/**
+ * 地图高宽比范围：范围过扁或过窄时补齐另一方向
+ */
+const MIN_ASPECT = 0.5;
+const MAX_ASPECT = 1.2;
+
+/**
+ * 标记合并距离（viewBox 单位）
+ */
+const CLUSTER_RADIUS = 36;
+
+/**
+ * 地图范围四周的留白（占范围的比例）
+ */
+const PADDING = 0.1;
+
+/**
+ * 最小地图范围（墨卡托世界坐标，约 0.05 经度），只有一个标记时避免无限放大
+ */
+const MIN_SPAN = 0.04;
+
+const TILE_SIZE = 256;
+const MAX_TILE_ZOOM = 16;
+
+/**
+ * 经纬度 → Web 墨卡托世界坐标（0 级，范围 0–256）
+ * @param {{latitude: number, longitude: number}} coordinates
+ * @returns {{x: number, y: number}}
+ */
+function project({ latitude, longitude }) {
+    const lat = Math.max(-85.05, Math.min(85.05, latitude)) * Math.PI / 180;
+    return {
+        x: (longitude + 180) / 360 * TILE_SIZE,
+        y: (1 - Math.log(Math.tan(lat) + 1 / Math.cos(lat)) / Math.PI) / 2 * TILE_SIZE
+    };
+}
+
+/**
+ * 照片的坐标：「坐标：」字段优先，其次 EXIF GPS
+ * @param {Object} photo
+ * @returns {{latitude: number, longitude: number}|null}
+ */
+function getCoordinates(photo) {
+    return photo.coordinates || photo.exif?.gps || null;
+}
+
+/**
+ * 坐标的中心点
+ * @param {Array<{latitude: number, longitude: number}>} list
+ * @returns {{latitude: number, longitude: number}|null}
+ */
+function centroid(list) {
+    if (list.length === 0) return null;
+    return {
+        latitude: list.reduce((sum, c) => sum + c.latitude, 0) / list.length,
+        longitude: list.reduce((sum, c) => sum + c.longitude, 0) / list.length
+    };
+}
+
+/**
+ * 收集可定位的条目：图集为一个标记（照片为图集中的全部照片），单张照片为一个标记
+ * 「照片源」目录只发现一张照片时，照片同样位于 item.photos 中
+ * @param {Array<Object>} items - 照片分类条目
+ * @returns {Array<{title: string, coordinates: Object, photos: Array<Object>}>}
+ */
+function collectPins(items) {
+    return (items || []).flatMap(item => {
+        const listed = Array.isArray(item.photos) ? item.photos.filter(photo => photo.photoUrl) : [];
+        const photos = listed.length > 0 ? listed : (item.photoUrl ? [item] : []);
+        if (photos.length === 0) return [];
+
+        const coordinates = item.coordinates || centroid(photos.map(getCoordinates).filter(Boolean));
+        return coordinates ? [{ title: item.title, coordinates, photos }] : [];
+    });
+}
+
+/**
+ * GeoJSON → 多边形外环与内环列表（经纬度）
+ * @param {Object} geojson - FeatureCollection / Feature / Polygon / MultiPolygon
+ * @returns {Array<Array<[number, number]>>}
+ */
+function getRings(geojson) {
+    if (!geojson) return [];
+    switch (geojson.type) {
+        case 'FeatureCollection': return (geojson.features || []).flatMap(getRings);
+        case 'Feature': return getRings(geojson.geometry);
+        case 'Polygon': return geojson.coordinates || [];
+        case 'MultiPolygon': return (geojson.coordinates || []).flat();
+        default: return [];
+    }
+}
+
+/**
+ * 贪心合并：每个标记并入第一个距离不超过 radius 的分组，否则新建分组（分组位置为成员的中心点）
+ * @param {Array<{x: number, y: number}>} points
+ * @param {number} radius
+ * @returns {Array<{x: number, y: number, members: number[]}>}
+ */
+function clusterPoints(points, radius) {
+    const clusters = [];
+    points.forEach((point, index) => {
+        const cluster = clusters.find(c => Math.hypot(c.x - point.x, c.y - point.y) <= radius);
+        if (!cluster) {
+            clusters.push({ x: point.x, y: point.y, members: [index] });
+            return;
+        }
+        cluster.members.push(index);
+        cluster.x = cluster.members.reduce((sum, i) => sum + points[i].x, 0) / cluster.members.length;
+        cluster.y = cluster.members.reduce((sum, i) => sum + points[i].y, 0) / cluster.members.length;
+    });
+    return clusters;
+}
+
+/**
+ * 计算地图范围（墨卡托世界坐标）：包含底图轮廓和全部标记，加留白并限制高宽比
+ * @param {Array<{x: number, y: number}>} points
+ * @returns {{minX: number, minY: number, maxX: number, maxY: number}}
+ */
+function getBounds(points) {
+    const xs = points.map(p => p.x);
+    const ys = points.map(p => p.y);
+    let minX = Math.min(...xs), maxX = Math.max(...xs);
+    let minY = Math.min(...ys), maxY = Math.max(...ys);
+
+    const expand = (min, max, span) => {
+        const center = (min + max) / 2;
+        return [center - span / 2, center + span / 2];
+    };
+
+    let spanX = Math.max(maxX - minX, MIN_SPAN) * (1 + PADDING * 2);
+    let spanY = Math.max(maxY - minY, MIN_SPAN) * (1 + PADDING * 2);
+    spanY = Math.max(spanY, spanX * MIN_ASPECT);
+    spanX = Math.max(spanX, spanY / MAX_ASPECT);
+
+    [minX, maxX] = expand(minX, maxX, spanX);
+    [minY, maxY] = expand(minY, maxY, spanY);
+    return { minX, minY, maxX, maxY };
+}
+
+/**
+ * 覆盖地图范围的瓦片（缩放级别使瓦片像素宽度不小于 viewBox 宽度）
+ * @param {string} template - 瓦片地址模板（{z}/{x}/{y}）
+ * @param {Object} bounds
+ * @param {Function} toView - 世界坐标 → viewBox 坐标
+ * @returns {Array<{href: string, x: number, y: number, size: number}>}
+ */
+function getTiles(template, bounds, toView) {
+    const zoom = Math.max(0, Math.min(MAX_TILE_ZOOM, Math.ceil(Math.log2(VIEW_WIDTH / (bounds.maxX - bounds.minX)))));
+    const count = 2 ** zoom;
+    const tileWorld = TILE_SIZE / count;
+    const range = (min, max) => {
+        const list = [];
+        for (let i = Math.max(0, Math.floor(min / tileWorld)); i <= Math.min(count - 1, Math.floor(max / tileWorld)); i++) list.push(i);
+        return list;
+    };
+
+    return range(bounds.minY, bounds.maxY).flatMap(ty => range(bounds.minX, bounds.maxX).map(tx => {
+        const [x, y] = toView({ x: tx * tileWorld, y: ty * tileWorld });
+        const [x2] = toView({ x: (tx + 1) * tileWorld, y: 0 });
+        return {
+            href: template.replace('{z}', zoom).replace('{x}', tx).replace('{y}', ty),
+            x, y, size: x2 - x
+        };
+    }));
+}
+
+/**
+ * Lightbox 条目（与卡片中的 .lightbox-trigger 一致）
+ * @param {Object} photo
+ * @returns {{src: string, thumb: string, caption: string, info: Object}}
+ */
+function toLightboxItem(photo) {
+    return {
+        src: ImageProxyService.getOptimizedUrl(photo.photoUrl, { width: 1200, quality: 90 }),
+        thumb: ImageProxyService.getOptimizedUrl(photo.photoUrl, { width: 160, quality: 70 }),
+        caption: photo.title || '',
+        info: CardRenderer.photoInfo(photo)
+    };
+}
+
+/**
+ * 保留一位小数（SVG 坐标）
+ * @param {number} value
+ * @returns {number}
+ */
+function fixed(value) {
+    return Math.round(value * 10) / 10;
+}
+
+export const PhotoMap = {
+    // --- State ---
+    /** @type {Map<string, {category: Object, pins: Array, clusters: Array, focus: number[]|null, view: string}>} 分类 ID → 地图状态（focus 为放大显示的标记） */
+    _sections: new Map(),
+    /** @type {Map<string, Promise<Array|null>>} 轮廓地址 → 多边形环 */
+    _outlines: new Map(),
+
+    /**
+     * 初始化：绑定切换按钮与地图标记的事件（事件委托）
+     */
+    init() {
+        document.addEventListener('click', (e) => {
+            const viewBtn = e.target.closest('.photo-view-toggle [data-view]');
+            if (viewBtn) {
+                this.setView(viewBtn.closest('section'), viewBtn.dataset.view);
+                return;
+            }
+
+            const pin = e.target.closest('.map-pin');
+            if (pin) {
+                this.openPin(pin);
+                return;
+            }
+
+            const resetBtn = e.target.closest('.photo-map-reset');
+            if (resetBtn) this.focus(resetBtn.closest('section'), null);
+        });
+
+        document.addEventListener('keydown', (e) => {
+            const pin = e.target.closest?.('.map-pin');
+            if (pin && (e.key === 'Enter' || e.key === ' ')) {
+                e.preventDefault();
+                this.openPin(pin);
+            }
+        });
+    },
+
+    /**
+     * 刷新照片分类：渲染切换按钮；当前为地图模式时重新绘制地图
+     * 分类未配置底图（地图轮廓 / 地图瓦片）或没有可定位的条目时移除切换按钮和地图
+     * 分类内容渲染（或更新）完成后由 app.js 调用
+     *
+     * @param {HTMLElement} sectionEl - section 元素
+     * @param {Object} category - 分类配置（category.map 为底图配置）
+     * @param {Array<Object>} items - 分类条目
+     */
+    refreshSection(sectionEl, category, items) {
+        const { outline, tiles } = category.map || {};
+        const pins = outline || tiles ? collectPins(items) : [];
+        const previous = this._sections.get(sectionEl.id);
+
+        if (pins.length === 0) {
+            this._sections.delete(sectionEl.id);
+            sectionEl.querySelector('.photo-view-toggle')?.remove();
+            sectionEl.querySelector('.photo-map')?.remove();
+            delete sectionEl.dataset.view;
+            return;
+        }
+
+        const state = { category, pins, clusters: [], focus: null, view: previous?.view || 'cards' };
+        this._sections.set(sectionEl.id, state);
+
+        let toggle = sectionEl.querySelector('.photo-view-toggle');
+        if (!toggle) {
+            toggle = document.createElement('div');
+            toggle.className = 'photo-view-toggle';
+            toggle.setAttribute('role', 'group');
+            toggle.setAttribute('aria-label', '浏览方式');
+            sectionEl.querySelector('h2')?.after(toggle);
+        }
+        toggle.innerHTML = html`
+            <button type="button" data-view="cards">卡片</button>
+            <button type="button" data-view="map">地图（${pins.length}）</button>
+        `;
+
+        this.setView(sectionEl, state.view);
+    },
+
+    /**
+     * 切换卡片 / 地图模式
+     * @param {HTMLElement} sectionEl
+     * @param {'cards'|'map'} view
+     */
+    setView(sectionEl, view) {
+        const state = sectionEl && this._sections.get(sectionEl.id);
+        if (!state) return;
+
+        state.view = view === 'map' ? 'map' : 'cards';
+        sectionEl.dataset.view = state.view;
+        sectionEl.querySelectorAll('.photo-view-toggle [data-view]').forEach(btn => {
+            btn.setAttribute('aria-pressed', String(btn.dataset.view === state.view));
+        });
+
+        if (state.view === 'map') {
+            this.renderMap(sectionEl).catch(e => console.error('[PhotoMap] Failed to render map:', e));
+        }
+    },
+
+    /**
+     * 绘制地图
+     * @param {HTMLElement} sectionEl
+     * @returns {Promise<void>}
+     */
+    async renderMap(sectionEl) {
+        const state = this._sections.get(sectionEl.id);
+        if (!state) return;
+
+        let container = sectionEl.querySelector('.photo-map');
+        if (!container) {
+            container = document.createElement('div');
+            container.className = 'photo-map';
+            sectionEl.querySelector('.section-content')?.after(container);
+        }
+
+        const { outline: outlineUrl, tiles } = state.category.map || {};
+        const rings = outlineUrl ? await this._loadOutline(outlineUrl) : null;
+        // 加载轮廓期间内容可能已更新
+        if (this._sections.get(sectionEl.id) !== state) return;
+
+        const pinPoints = state.pins.map(pin => project(pin.coordinates));
+        const outlinePoints = (rings || []).flatMap(ring => ring.map(([longitude, latitude]) => project({ latitude, longitude })));
+        const bounds = getBounds(state.focus
+            ? state.focus.map(i => pinPoints[i])
+            : [...pinPoints, ...outlinePoints]);
+        const scale = VIEW_WIDTH / (bounds.maxX - bounds.minX);
+        const height = (bounds.maxY - bounds.minY) * scale;
+        const toView = ({ x, y }) => [(x - bounds.minX) * scale, (y - bounds.minY) * scale];
+
+        const outlinePath = (rings || []).map(ring => ring
+            .map(([longitude, latitude], i) => {
+                const [x, y] = toView(project({ latitude, longitude }));
+                return `${i === 0 ? 'M' : 'L'}${fixed(x)} ${fixed(y)}`;
+            })
+            .join(' ') + ' Z').join(' ');
+
+        state.clusters = clusterPoints(pinPoints.map(point => {
+            const [x, y] = toView(point);
+            return { x, y };
+        }), CLUSTER_RADIUS);
+
+        container.innerHTML = html`
+            ${state.focus ? html`<button type="button" class="photo-map-reset">显示全部</button>` : ''}
+            <svg class="photo-map-svg" viewBox="0 0 ${VIEW_WIDTH} ${fixed(height)}" role="img" aria-label="${state.category.title || '照片'}地图">
+                <rect class="photo-map-bg" width="${VIEW_WIDTH}" height="${fixed(height)}"></rect>
+                ${tiles ? getTiles(tiles, bounds, toView).map(tile => html`
+                    <image class="photo-map-tile" href="${safeUrl(tile.href)}" x="${fixed(tile.x)}" y="${fixed(tile.y)}" width="${fixed(tile.size) + 0.5}" height="${fixed(tile.size) + 0.5}" preserveAspectRatio="none"></image>
+                `) : ''}
+                ${outlinePath ? html`<path class="photo-map-outline" d="${outlinePath}"></path>` : ''}
+                ${state.clusters.map((cluster, index) => {
+                    const pins = cluster.members.map(i => state.pins[i]);
+                    const count = pins.reduce((sum, pin) => sum + pin.photos.length, 0);
+                    const label = `${pins.map(pin => pin.title).join('、')}（${count} 张照片）`;
+                    return html`
+                        <g class="map-pin" data-cluster="${index}" transform="translate(${fixed(cluster.x)} ${fixed(cluster.y)})" tabindex="0" role="button" aria-label="${label}">
+                            <title>${label}</title>
+                            <circle r="${pins.length > 1 ? 18 : 13}"></circle>
+                            <text dy="0.35em">${count}</text>
+                        </g>
+                    `;
+                })}
+            </svg>
+        `;
+    },
+
+    /**
+     * 点击标记：合并的标记放大到其范围；单个标记或已放大到该范围时打开其中的照片
+     * @param {Element} pinEl - .map-pin 元素
+     */
+    openPin(pinEl) {
+        const sectionEl = pinEl.closest('section');
+        const state = this._sections.get(sectionEl?.id);
+        const cluster = state?.clusters[Number(pinEl.dataset.cluster)];
+        if (!cluster) return;
+
+        const focused = state.focus && cluster.members.length === state.focus.length
+            && cluster.members.every(i => state.focus.includes(i));
+        if (cluster.members.length > 1 && !focused) {
+            this.focus(sectionEl, cluster.members);
+            return;
+        }
+
+        const photos = cluster.members.flatMap(i => state.pins[i].photos);
+        openLightbox(photos.map(toLightboxItem), 0);
+    },
+
+    /**
+     * 放大到指定标记的范围
+     * @param {HTMLElement} sectionEl
+     * @param {number[]|null} members - 标记序号；null 表示显示全部
+     */
+    focus(sectionEl, members) {
+        const state = sectionEl && this._sections.get(sectionEl.id);
+        if (!state) return;
+
+        state.focus = members;
+        this.renderMap(sectionEl)
+            .then(() => sectionEl.querySelector(members ? '.map-pin' : '.photo-view-toggle [data-view="map"]')?.focus())
+            .catch(e => console.error('[PhotoMap] Failed to render map:', e));
+    },
+
+    /**
+     * 加载 GeoJSON 轮廓（按地址缓存）；失败时返回 null，地图只显示标记
+     * @private
+     * @param {string} url
+     * @returns {Promise<Array|null>}
+     */
+    _loadOutline(url) {
+        if (!this._outlines.has(url)) {
+            this._outlines.set(url, fetch(url)
+                .then(response => response.ok ? response.json() : null)
+                .then(geojson => {
+                    const rings = getRings(geojson);
+                    return rings.length > 0 ? rings : null;
+                })
+                .catch(e => {
+                    console.warn(`[PhotoMap] Failed to load outline: ${url}`, e);
+                    return null;
+                }));
+        }
+        return this._outlines.get(url);
+    }
+};
@@ -3,18 +3,16 @@ import { CardRenderer } from './card-renderer.js';
 import { MusicUI } from './music-ui.js';
 import { MiniPlayer } from './mini-player.js';
 import { NavIndicator } from './nav-indicator.js';
+import { formatSource, hashContent } from '../core/utils.js';
+import { html, raw, join, safeUrl } from '../core/html.js';
+import { getCardType } from './card-types.js';
+import { Router } from './router.js';
+import { StructuredData } from './structured-data.js';
 
 /**
- * 类型注册表 - 集中定义所有已知类型
+ * 站点正式地址（用于 canonical 和 og:image 等绝对 URL）
  */
-const TYPE_REGISTRY = {
-    project: { hasStaticCSS: true },
-    game: { hasStaticCSS: true },
-    photo: { hasStaticCSS: true },
-    book: { hasStaticCSS: true },
-    diary: { hasStaticCSS: true },
-    music: { hasStaticCSS: true }
-};
+export const SITE_URL = 'https://carrotwudev.github.io';
 
 export const RenderService = {
     /**
@@ -29,19 +27,15 @@ export const RenderService = {
             // A. Lightbox
             const lightboxTrigger = e.target.closest('.lightbox-trigger');
             if (lightboxTrigger) {
-                const src = lightboxTrigger.dataset.src;
-                const caption = lightboxTrigger.dataset.caption;
+                const src = lightboxTrigger.dataset.full;
 
-                // Check if inside a gallery/album
-                const galleryCard = lightboxTrigger.closest('.card.is-gallery');
+                // Check if inside a gallery/album (or the photo grid of the detail view)
+                const galleryCard = lightboxTrigger.closest('.card.is-gallery, .detail-photo-grid');
 
                 if (galleryCard) {
                     // Collect all items in this gallery
                     const triggers = Array.from(galleryCard.querySelectorAll('.lightbox-trigger'));
-                    const items = triggers.map(el => ({
-                        src: el.dataset.src,
-                        caption: el.dataset.caption
-                    }));
+                    const items = triggers.map(el => this._lightboxItem(el));
                     const index = triggers.indexOf(lightboxTrigger);
 
                     if (src && index !== -1) {
@@ -49,7 +43,7 @@ export const RenderService = {
                     }
                 } else {
                     // Single image
-                    if (src) openLightbox(src, caption);
+                    if (src) openLightbox([this._lightboxItem(lightboxTrigger)], 0);
                 }
                 return;
             }
@@ -113,45 +107,113 @@ export const RenderService = {
     },
 
     /**
-     * 设置 SEO 信息
-     */
-
-
-    /**
-     * 设置 SEO 信息 (Title, Meta, OG, Twitter)
+     * 计算 SEO 信息 (Title, Meta, OG, Twitter)
+     * 与 DOM 无关，预渲染脚本用同一份数据写入静态 HTML
+     *
+     * @param {Object} config - 站点配置对象
+     * @returns {{title: string, canonical: string, favicon: string, meta: Array<{name: string, content: string, attr: string}>}|null}
      */
-    updateSEO(config) {
-        if (!config || !config.blogInfo) return;
+    getSEOMeta(config) {
+        if (!config || !config.blogInfo) return null;
 
         const info = config.blogInfo;
         const author = config.authorInfo || {};
-        const siteUrl = 'https://carrotwudev.github.io'; // Base URL
+        const meta = [];
+        const add = (name, content, attr = 'name') => {
+            if (content) meta.push({ name, content, attr });
+        };
 
         // 1. Basic SEO
-        if (info.title) document.title = info.title;
-        this.setMeta('description', info.desc);
-        this.setMeta('keywords', author.tags ? author.tags.join(', ') : '');
-        this.setMeta('author', author.name);
+        add('description', info.desc);
+        add('keywords', author.tags ? author.tags.join(', ') : '');
+        add('author', author.name);
 
         // 2. Open Graph
-        this.setMeta('og:title', info.title, 'property');
-        this.setMeta('og:description', info.desc, 'property');
+        add('og:title', info.title, 'property');
+        add('og:description', info.desc, 'property');
         // Construct absolute URL for image
         if (info.favicon) {
-            const imageUrl = info.favicon.startsWith('http') ? info.favicon : `${siteUrl}/${info.favicon}`;
-            this.setMeta('og:image', imageUrl, 'property');
-            this.setMeta('twitter:image', imageUrl, 'property');
-            this.setFavicon(info.favicon);
+            const imageUrl = info.favicon.startsWith('http') ? info.favicon : `${SITE_URL}/${info.favicon}`;
+            add('og:image', imageUrl, 'property');
+            add('twitter:image', imageUrl, 'property');
         }
 
         // 3. Twitter Card
-        this.setMeta('twitter:title', info.title, 'property');
-        this.setMeta('twitter:description', info.desc, 'property');
-        this.setMeta('twitter:creator', '@CarrotWuDev'); // 默认 Twitter 账号
+        add('twitter:title', info.title, 'property');
+        add('twitter:description', info.desc, 'property');
+        add('twitter:creator', '@CarrotWuDev'); // 默认 Twitter 账号
+
+        return {
+            title: info.title || '',
+            canonical: `${SITE_URL}/`,
+            favicon: info.favicon || '',
+            meta
+        };
+    },
 
-        // 4. Update Canonical
+    /**
+     * 设置 SEO 信息 (Title, Meta, OG, Twitter)
+     */
+    updateSEO(config) {
+        const seo = this.getSEOMeta(config);
+        if (!seo) return;
+
+        if (seo.title) document.title = seo.title;
+        seo.meta.forEach(({ name, content, attr }) => this.setMeta(name, content, attr));
+        this.setFavicon(seo.favicon);
+
+        // Update Canonical
         const canonical = document.querySelector('link[rel="canonical"]');
-        if (canonical) canonical.href = siteUrl + '/';
+        if (canonical) canonical.href = seo.canonical;
+
+        // JSON-LD：站点与作者
+        this.updateStructuredData('site', this.buildSiteStructuredData(config));
+    },
+
+    /**
+     * 站点与作者的 JSON-LD
+     * @param {Object} config - 站点配置对象
+     * @returns {Object|null}
+     */
+    buildSiteStructuredData(config) {
+        return StructuredData.site(config, { siteUrl: SITE_URL });
+    },
+
+    /**
+     * 分类条目的 JSON-LD（条目链接为 #分类/条目 深链接）
+     * @param {Object} category - 分类配置对象
+     * @param {Array} items - 分类内容项数组
+     * @returns {Object|null}
+     */
+    buildCategoryStructuredData(category, items) {
+        return StructuredData.category(category, items, {
+            siteUrl: SITE_URL,
+            urlFor: (cat, item) => `${SITE_URL}/${Router.buildHash(cat.id, item ? item.id : null)}`
+        });
+    },
+
+    /**
+     * 写入（或移除）一段 JSON-LD
+     * 按 key 复用已有的 script 元素，因此预渲染写入的数据会被原位更新
+     *
+     * @param {string} key - 标识（'site' 或分类 ID）
+     * @param {Object|null} data - JSON-LD 数据；null 时移除
+     */
+    updateStructuredData(key, data) {
+        let script = Array.from(document.querySelectorAll('script[type="application/ld+json"]'))
+            .find(el => el.dataset.ld === key);
+
+        if (!data) {
+            script?.remove();
+            return;
+        }
+        if (!script) {
+            script = document.createElement('script');
+            script.type = 'application/ld+json';
+            script.dataset.ld = key;
+            document.head.appendChild(script);
+        }
+        script.textContent = StructuredData.serialize(data);
     },
 
     setMeta(name, content, attr = 'name') {
@@ -194,17 +256,28 @@ export const RenderService = {
      */
     renderAll(config) {
         this.updateSEO(config);
+        CardRenderer.configure({ sourceRepo: config.blogInfo.repo });
         this.renderProfile(config.authorInfo);
         this.renderBot(config.blogInfo);
 
         this.renderNav(config.categories);
-        this.renderContentSkeleton(config.categories);
 
-        // Apply colors and inject dynamic styles for unknown types
+        // 已有预渲染内容（scripts/prerender.mjs）时保留，各 section 加载数据后复用
+        if (!this.isPrerendered(config.categories)) {
+            this.renderContentSkeleton(config.categories);
+        }
+
+        // Apply colors and inject styles: registered CSS first, dynamic accent styles as fallback
         config.categories.forEach(cat => {
-            if (cat.color && cat.type) {
+            if (!cat.type) return;
+            const css = getCardType(cat.type)?.css;
+
+            if (typeof css === 'string') {
+                this.injectCardTypeStyles(cat.type, css);
+            }
+            if (cat.color) {
                 document.documentElement.style.setProperty(`--accent-${cat.type}`, cat.color);
-                if (!TYPE_REGISTRY[cat.type]?.hasStaticCSS) {
+                if (!css) {
                     this.injectDynamicStyles(cat.type);
                 }
             }
@@ -213,6 +286,21 @@ export const RenderService = {
         // 注意：MusicUI.initLayout() 将在音乐 section 内容加载后调用
     },
 
+    /**
+     * 注入卡片类型注册时提供的 CSS（每个类型只注入一次）
+     * @param {string} type - 类型名
+     * @param {string} cssText - CSS 文本
+     */
+    injectCardTypeStyles(type, cssText) {
+        const styleId = `card-type-style-${type}`;
+        if (document.getElementById(styleId)) return;
+
+        const style = document.createElement('style');
+        style.id = styleId;
+        style.textContent = cssText;
+        document.head.appendChild(style);
+    },
+
     injectDynamicStyles(type) {
         const styleId = `dynamic-style-${type}`;
         if (document.getElementById(styleId)) return;
@@ -249,18 +337,34 @@ export const RenderService = {
         }
         if (info.name) document.getElementById('profileName').textContent = info.name;
 
-        const socialHtml = [];
-        if (info.email) socialHtml.push(`<a href="mailto:${info.email}">Email</a>`);
-        if (info.github) socialHtml.push(`<a href="${info.github}" target="_blank" rel="noopener">Github</a>`);
-        document.getElementById('socialLinks').innerHTML = socialHtml.join('\n');
+        document.getElementById('socialLinks').innerHTML = this.buildSocialLinksHtml(info);
 
         if (info.tags) {
-            document.getElementById('profileTags').innerHTML = info.tags.map(tag =>
-                `<span class="tag profile-tag">${tag}</span>`
-            ).join('');
+            document.getElementById('profileTags').innerHTML = this.buildProfileTagsHtml(info.tags);
         }
     },
 
+    /**
+     * 社交链接 HTML
+     * @param {Object} info - 作者信息
+     * @returns {SafeHtml}
+     */
+    buildSocialLinksHtml(info) {
+        const socialHtml = [];
+        if (info.email) socialHtml.push(html`<a href="${safeUrl(`mailto:${info.email}`)}">Email</a>`);
+        if (info.github) socialHtml.push(html`<a href="${safeUrl(info.github)}" target="_blank" rel="noopener">Github</a>`);
+        return join(socialHtml, '\n');
+    },
+
+    /**
+     * 个人标签 HTML
+     * @param {string[]} tags
+     * @returns {SafeHtml}
+     */
+    buildProfileTagsHtml(tags) {
+        return html`${tags.map(tag => html`<span class="tag profile-tag">${tag}</span>`)}`;
+    },
+
     renderBot(info) {
         if (!info) return;
         if (info.slogan) document.getElementById('slogan').textContent = info.slogan;
@@ -268,15 +372,23 @@ export const RenderService = {
     },
 
     renderNav(categories) {
-        const html = categories.map((cat, idx) => `
+        document.getElementById('typeNav').innerHTML = this.buildNavHtml(categories);
+    },
+
+    /**
+     * 导航 HTML
+     * @param {Array<Object>} categories - 分类配置数组
+     * @returns {SafeHtml}
+     */
+    buildNavHtml(categories) {
+        return html`${categories.map((cat, idx) => html`
             <a href="#${cat.id}" 
                data-target="${cat.id}" 
                data-type="${cat.type}"
-               ${idx === 0 ? 'aria-current="true"' : ''}>
+               ${idx === 0 ? html`aria-current="true"` : ''}>
                ${cat.title}
             </a>
-        `).join('');
-        document.getElementById('typeNav').innerHTML = html;
+        `)}`;
     },
 
     /**
@@ -287,22 +399,60 @@ export const RenderService = {
      */
     renderContentSkeleton(categories) {
         const root = document.getElementById('contentRoot');
-        root.innerHTML = categories.map(cat => `
+        root.innerHTML = html`${categories.map(cat => this.buildSectionHtml(cat))}`;
+    },
+
+    /**
+     * 单个 section 的 HTML
+     *
+     * @param {Object} category - 分类配置对象
+     * @param {SafeHtml|null} [contentHtml=null] - 预渲染的内容；省略时输出加载状态
+     * @returns {SafeHtml}
+     */
+    buildSectionHtml(category, contentHtml = null) {
+        return html`
             <section 
-                id="${cat.id}" 
-                aria-labelledby="h-${cat.id}"
+                id="${category.id}" 
+                aria-labelledby="h-${category.id}"
                 data-loaded="false"
-                data-type="${cat.type}"
+                data-type="${category.type}"
+                ${contentHtml !== null ? html`data-prerendered="true"` : ''}
             >
-                <h2 id="h-${cat.id}">${cat.title}</h2>
+                <h2 id="h-${category.id}">${category.title}</h2>
                 <div class="section-content">
-                    <div class="loading-state" aria-live="polite">
-                        <span class="loading-spinner" aria-hidden="true"></span>
-                        <span class="loading-text">加载中...</span>
-                    </div>
+                    ${contentHtml !== null ? contentHtml : html`
+                        <div class="loading-state" aria-live="polite">
+                            <span class="loading-spinner" aria-hidden="true"></span>
+                            <span class="loading-text">加载中...</span>
+                        </div>
+                    `}
                 </div>
             </section>
-        `).join('');
+        `;
+    },
+
+    /**
+     * section 内容 HTML（卡片列表或音乐播放器）
+     *
+     * @param {Array} items - 分类内容项数组
+     * @param {string} type - 分类类型
+     * @param {string} sectionId - 分类 ID（用于卡片上的深链接）
+     * @returns {SafeHtml|string}
+     */
+    buildSectionContentHtml(items, type, sectionId) {
+        if (!items || items.length === 0) {
+            return html`<p class="empty-state">暂无内容</p>`;
+        }
+
+        if (type === 'music') {
+            return MusicUI.render(items);
+        }
+
+        // 渲染失败的条目被跳过
+        return html`<div class="cards">${items.map(item => {
+            const markup = this._renderCard(item, type);
+            return markup === '' ? '' : this._annotateCard(markup, sectionId, item);
+        })}</div>`;
     },
 
     /**
@@ -321,23 +471,88 @@ export const RenderService = {
             return;
         }
 
-        const hasItems = items && items.length > 0;
+        contentEl.innerHTML = this.buildSectionContentHtml(items, type, sectionEl.id);
+        delete sectionEl.dataset.prerendered;
+        this._activateSection(sectionEl, contentEl, items, type);
+    },
 
-        // 根据类型渲染不同的内容结构
-        if (type === 'music') {
-            contentEl.innerHTML = hasItems
-                ? MusicUI.render(items)
-                : `<p class="empty-state">暂无内容</p>`;
+    /**
+     * 内容更新后局部更新 section：按条目 ID 比较新旧数据，只重新渲染变化的卡片，并按新顺序排列
+     * 未变化的卡片保留原有 DOM（图片加载状态、筛选状态等不受影响）
+     * 音乐分类或更新前后有一方为空时整体重新渲染
+     *
+     * @param {HTMLElement} sectionEl - section DOM 元素
+     * @param {Array} previousItems - 当前显示的条目
+     * @param {Array} items - 新的条目
+     * @param {string} type - 分类类型
+     * @returns {void}
+     */
+    patchSectionContent(sectionEl, previousItems, items, type) {
+        const contentEl = sectionEl.querySelector('.section-content');
+        const listEl = contentEl?.querySelector(':scope > .cards');
+        if (!listEl || type === 'music' || !items || items.length === 0) {
+            this.renderSectionContent(sectionEl, items, type);
+            return;
+        }
 
-            // 音乐类型需要初始化布局
-            if (hasItems) {
-                MusicUI.initLayout();
-            }
-        } else {
-            // 默认卡片布局
-            contentEl.innerHTML = hasItems
-                ? `<div class="cards">${items.map(item => CardRenderer.render(item, type)).join('')}</div>`
-                : `<p class="empty-state">暂无内容</p>`;
+        const previous = new Map((previousItems || []).map(item => [item.id, JSON.stringify(item)]));
+        const existing = new Map(Array.from(listEl.querySelectorAll(':scope > [data-item-id]'), el => [el.dataset.itemId, el]));
+        const template = document.createElement('template');
+
+        const cards = items.map(item => {
+            const current = existing.get(item.id);
+            if (current && previous.get(item.id) === JSON.stringify(item)) return current;
+
+            // 渲染失败的条目被跳过
+            const markup = this._renderCard(item, type);
+            if (markup === '') return null;
+            template.innerHTML = this._annotateCard(markup, sectionEl.id, item);
+            return template.content.firstElementChild;
+        }).filter(Boolean);
+
+        listEl.replaceChildren(...cards);
+        this._activateSection(sectionEl, contentEl, items, type);
+    },
+
+    /**
+     * 复用预渲染的 section 内容（不重新渲染），只初始化交互
+     * 预渲染后内容有变动时（条目 ID、顺序或卡片的内容摘要 data-hash 与当前条目不一致）返回 false，由调用方重新渲染
+     *
+     * @param {HTMLElement} sectionEl - section DOM 元素
+     * @param {Array} items - 分类内容项数组
+     * @param {string} type - 分类类型
+     * @returns {boolean} 是否成功复用
+     */
+    hydrateSectionContent(sectionEl, items, type) {
+        const contentEl = sectionEl.querySelector('.section-content');
+        if (!contentEl || sectionEl.dataset.prerendered !== 'true') return false;
+
+        const rendered = Array.from(contentEl.querySelectorAll('[data-item-id]'), el => `${el.dataset.itemId}:${el.dataset.hash}`);
+        const current = (items || []).map(item => `${item.id}:${hashContent(item)}`);
+        if (rendered.join('/') !== current.join('/')) {
+            console.info(`[RenderService] Prerendered section "${sectionEl.id}" is stale, re-rendering`);
+            return false;
+        }
+
+        delete sectionEl.dataset.prerendered;
+        this._activateSection(sectionEl, contentEl, items, type);
+        return true;
+    },
+
+    /**
+     * 内容就位后的初始化：音乐布局、图片加载、标记为已加载
+     * @private
+     * @param {HTMLElement} sectionEl
+     * @param {HTMLElement} contentEl
+     * @param {Array} items
+     * @param {string} type
+     */
+    _activateSection(sectionEl, contentEl, items, type) {
+        const hasItems = items && items.length > 0;
+
+        // 音乐类型需要初始化布局
+        if (type === 'music' && hasItems) {
+            MusicUI.initLayout();
         }
 
         // 标记为已加载
@@ -346,14 +561,76 @@ export const RenderService = {
         // 移除加载状态的 ARIA 属性
         contentEl.removeAttribute('aria-live');
 
-        // 如果是图片类型，初始化图片加载管理
-        if (type === 'photo' && hasItems) {
+        // 初始化图片加载管理（各类卡片的懒加载图片）
+        if (hasItems) {
             this._initializeImageLoading(sectionEl);
         }
     },
 
     /**
-     * 初始化图片加载管理（针对图集）
+     * 渲染单张卡片：单个条目出错时跳过该条目并输出其 Markdown 源位置，不影响整个分类
+     * @private
+     * @param {Object} item - 数据项
+     * @param {string} type - 分类类型
+     * @returns {SafeHtml|string} 卡片 HTML（出错时为空字符串）
+     */
+    _renderCard(item, type) {
+        try {
+            return CardRenderer.render(item, type);
+        } catch (err) {
+            console.error(`[RenderService] Failed to render "${item.title}" (${formatSource(item.source)}):`, err);
+            return '';
+        }
+    },
+
+    /**
+     * 为卡片根元素写入 data-item-id（供搜索、深链接定位条目）和 data-hash（条目内容摘要，供复用预渲染标记时检查是否过期），
+     * 并在根元素末尾追加「复制链接」「查看详情」按钮
+     * 以字符串方式处理，浏览器渲染和预渲染输出一致
+     * 约定：每个卡片模板输出单个根元素
+     * @private
+     * @param {SafeHtml} markup - 卡片 HTML
+     * @param {string} sectionId - 分类 ID
+     * @param {Object} item - 数据项
+     * @returns {SafeHtml}
+     */
+    _annotateCard(markup, sectionId, item) {
+        if (!item.id) return markup;
+
+        const source = String(markup).trim();
+        const closeIndex = source.lastIndexOf('</');
+        if (!/^<[a-zA-Z]/.test(source) || closeIndex === -1) return markup;
+
+        const openEnd = source.search(/[\s>]/);
+        return raw(
+            source.slice(0, openEnd) +
+            String(html` data-item-id="${item.id}" data-hash="${hashContent(item)}"`) +
+            source.slice(openEnd, closeIndex) +
+            String(Router.renderCardActions(sectionId, item.id)) +
+            source.slice(closeIndex)
+        );
+    },
+
+    /**
+     * 从 .lightbox-trigger 读取 Lightbox 条目
+     * @private
+     * @param {HTMLElement} el - 图片元素
+     * 缩略图使用卡片上的图片地址（通常已在缓存中）
+     * @returns {{ src: string, thumb: string, caption: string, info: Object|null }}
+     */
+    _lightboxItem(el) {
+        let info = null;
+        try {
+            info = el.dataset.info ? JSON.parse(el.dataset.info) : null;
+        } catch (e) {
+            console.warn('[RenderService] Invalid photo info:', e);
+        }
+        const thumb = el.dataset.src || el.currentSrc || el.getAttribute('src');
+        return { src: el.dataset.full, thumb, caption: el.dataset.caption, info };
+    },
+
+    /**
+     * 初始化图片加载管理：注册 section 中的懒加载图片
      * @private
      * @param {HTMLElement} sectionEl - section 元素
      */
@@ -364,11 +641,7 @@ export const RenderService = {
                 // 初始化管理器
                 ImageLoadManager.init();
 
-                // 注册所有图集
-                const galleries = sectionEl.querySelectorAll('.card.is-gallery');
-                galleries.forEach(gallery => {
-                    ImageLoadManager.registerGalleryImages(gallery);
-                });
+                ImageLoadManager.registerImages(sectionEl);
 
                 // 调试：输出统计信息
                 if (window.__DEV__) {
@@ -382,6 +655,19 @@ export const RenderService = {
         }
     },
 
+    /**
+     * 页面是否包含与当前配置一致的预渲染内容（分类及顺序相同）
+     * @param {Array<Object>} categories - 分类配置数组
+     * @returns {boolean}
+     */
+    isPrerendered(categories) {
+        const root = document.getElementById('contentRoot');
+        if (!root || root.dataset.prerendered !== 'true') return false;
+
+        const sectionIds = Array.from(root.querySelectorAll(':scope > section'), el => el.id);
+        return sectionIds.join('/') === categories.map(cat => cat.id).join('/');
+    },
+
     /**
      * 检查 section 是否已加载内容
      * @param {HTMLElement} sectionEl - section DOM 元素
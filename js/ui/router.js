@@ -0,0 +1,361 @@
+import { html, raw } from '../core/html.js';
+import { TagFilter } from './tag-filter.js';
+import { DetailView } from './detail-view.js';
+
+/**
+ * Router - 基于 hash 的条目深链接
+ *
+ * 路由格式：
+ * - #分类ID                → 滚动到分类
+ * - #分类ID/条目ID         → 滚动到条目并高亮（如 #电影/疯狂动物城2）
+ * - #分类ID/条目ID/detail  → 同上，并打开详情面板（DetailView）
+ *
+ * 分类 ID 来自 slugify(分类标题)，条目 ID 由 DataService 分配（slugify(标题)，重名追加序号）
+ * hash 只是片段，搜索引擎不会单独收录；构建时另为每个条目预渲染独立页面 items/分类ID/条目ID/（buildItemPath），列入 sitemap.xml
+ *
+ * 职责：
+ * 1. 首次加载及 hashchange 时解析路由：先加载目标分类及其之前的所有分类（避免懒加载导致的布局偏移），再定位
+ * 2. 导航点击写入历史记录（pushState）；滚动切换分类时只替换 hash（replaceState）
+ * 3. 卡片上的「复制链接」「查看详情」按钮
+ */
+
+const VIEW_DETAIL = 'detail';
+
+const HIGHLIGHT_DURATION = 2000; // ms
+const COPIED_FEEDBACK_DURATION = 1500; // ms
+
+const ICON_LINK = '<svg class="icon-link" viewBox="0 0 24 24" width="14" height="14" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71"></path><path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71"></path></svg>';
+const ICON_EXPAND = '<svg viewBox="0 0 24 24" width="14" height="14" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><polyline points="15 3 21 3 21 9"></polyline><polyline points="9 21 3 21 3 15"></polyline><line x1="21" y1="3" x2="14" y2="10"></line><line x1="3" y1="21" x2="10" y2="14"></line></svg>';
+const ICON_CHECK = '<svg class="icon-check" viewBox="0 0 24 24" width="14" height="14" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><polyline points="20 6 9 17 4 12"></polyline></svg>';
+
+/**
+ * 写入剪贴板（不支持 Clipboard API 或非安全上下文时回退到 execCommand）
+ * @param {string} text
+ * @returns {Promise<void>}
+ */
+async function copyText(text) {
+    if (navigator.clipboard && window.isSecureContext) {
+        await navigator.clipboard.writeText(text);
+        return;
+    }
+
+    const textarea = document.createElement('textarea');
+    textarea.value = text;
+    textarea.setAttribute('readonly', '');
+    textarea.style.position = 'fixed';
+    textarea.style.opacity = '0';
+    document.body.appendChild(textarea);
+    textarea.select();
+    try {
+        if (!document.execCommand('copy')) throw new Error('execCommand copy failed');
+    } finally {
+        textarea.remove();
+    }
+}
+
+export const Router = {
+    // --- State ---
+    _categories: [],
+    _loadSection: null,
+    /** @type {boolean} 正在等待分类加载，期间忽略滚动引起的分类切换 */
+    _pending: false,
+    _highlightTimer: null,
+    /** @type {boolean} 当前详情面板是否由页面打开时的 hash 直接打开（关闭时无历史记录可后退） */
+    _detailFromStart: false,
+    /** @type {boolean} 关闭详情面板后退时，条目已在视图中，忽略随之而来的 hashchange */
+    _skipNextRoute: false,
+
+    /**
+     * 初始化路由
+     * @param {Object} options
+     * @param {Array<Object>} options.categories - 全部分类
+     * @param {Function} options.loadSection - (category) => Promise，加载并渲染分类（需可重复调用）
+     */
+    init({ categories, loadSection }) {
+        this._categories = categories;
+        this._loadSection = loadSection;
+
+        // 浏览器前进/后退、手动修改 hash
+        window.addEventListener('hashchange', () => {
+            this._detailFromStart = false;
+            if (this._skipNextRoute) {
+                this._skipNextRoute = false;
+                return;
+            }
+            this._route(this.parse());
+        });
+
+        // 导航栏点击：写入历史记录（条目导航由 navigate 自行写入）
+        document.addEventListener('nav-click', (e) => {
+            if (e.detail.element) return;
+            this._writeHash(e.detail.id, null);
+        });
+
+        // 滚动切换分类：替换 hash
+        document.addEventListener('section-change', (e) => {
+            if (this._pending) return;
+            const current = this.parse();
+            if (current && current.sectionId === e.detail.id) return;
+            // 未带 hash 打开页面时，停留在首个分类不写入 hash
+            if (!current && e.detail.id === this._categories[0]?.id) return;
+            this._writeHash(e.detail.id, null, null, { replace: true });
+        });
+
+        // 卡片「复制链接」按钮
+        document.addEventListener('click', (e) => {
+            const button = e.target.closest('.card-copy-link');
+            if (!button) return;
+            e.preventDefault();
+            const card = button.closest('[data-item-id]');
+            const section = button.closest('section');
+            if (card && section) this._copyLink(button, section.id, card.dataset.itemId);
+        });
+    },
+
+    /**
+     * 处理页面打开时的 hash
+     * @returns {Promise<void>}
+     */
+    async start() {
+        const route = this.parse();
+        if (!route) return;
+        this._detailFromStart = route.view === VIEW_DETAIL;
+        await this._route(route);
+    },
+
+    /**
+     * 导航到分类或条目（写入历史记录）
+     * @param {string} sectionId - 分类 ID
+     * @param {string|null} [itemId=null] - 条目 ID
+     * @returns {Promise<boolean>} 是否找到目标
+     */
+    navigate(sectionId, itemId = null) {
+        this._writeHash(sectionId, itemId);
+        return this._route({ sectionId, itemId });
+    },
+
+    /**
+     * 解析 hash
+     * @param {string} [hash=window.location.hash]
+     * @returns {{sectionId: string, itemId: string|null, view: string|null}|null}
+     */
+    parse(hash = window.location.hash) {
+        const path = hash.replace(/^#/, '');
+        if (!path) return null;
+
+        try {
+            const [sectionId, itemId, view] = path.split('/').map(decodeURIComponent);
+            if (!sectionId) return null;
+            return { sectionId, itemId: itemId || null, view: (itemId && view) || null };
+        } catch {
+            // 非法的百分号编码
+            return null;
+        }
+    },
+
+    /**
+     * 生成 hash
+     * @param {string} sectionId
+     * @param {string|null} [itemId=null]
+     * @param {string|null} [view=null] - 'detail' 表示打开详情面板
+     * @returns {string}
+     */
+    buildHash(sectionId, itemId = null, view = null) {
+        const parts = [sectionId, itemId, itemId && view].filter(Boolean).map(encodeURIComponent);
+        return `#${parts.join('/')}`;
+    },
+
+    /**
+     * 生成条目的完整链接（不含查询参数，如标签筛选和 ?lint）
+     * @param {string} sectionId
+     * @param {string|null} [itemId=null]
+     * @returns {string}
+     */
+    buildUrl(sectionId, itemId = null) {
+        const { origin, pathname } = window.location;
+        return `${origin}${pathname}${this.buildHash(sectionId, itemId)}`;
+    },
+
+    /**
+     * 条目独立页面的路径（相对站点根目录，由 scripts/prerender.mjs 生成）
+     * @param {string} sectionId
+     * @param {string} itemId
+     * @returns {string} 如 items/%E7%94%B5%E5%BD%B1/%E7%96%AF%E7%8B%82%E5%8A%A8%E7%89%A9%E5%9F%8E2/
+     */
+    buildItemPath(sectionId, itemId) {
+        return `items/${encodeURIComponent(sectionId)}/${encodeURIComponent(itemId)}/`;
+    },
+
+    /**
+     * 卡片操作按钮 HTML：复制链接、查看详情（由 RenderService 追加到每张卡片）
+     * @param {string} sectionId
+     * @param {string} itemId
+     * @returns {SafeHtml}
+     */
+    renderCardActions(sectionId, itemId) {
+        return html`<button type="button" class="card-copy-link" aria-label="复制链接" title="复制链接">
+            ${raw(ICON_LINK)}${raw(ICON_CHECK)}
+        </button>
+        <a class="card-detail-link" href="${this.buildHash(sectionId, itemId, VIEW_DETAIL)}" aria-label="查看详情" title="查看详情">
+            ${raw(ICON_EXPAND)}
+        </a>`;
+    },
+
+    /**
+     * 执行路由
+     * @private
+     * @param {{sectionId: string, itemId: string|null, view?: string|null}|null} route
+     * @returns {Promise<boolean>} 是否找到目标
+     */
+    async _route(route) {
+        // 离开详情路由（如浏览器后退）时关闭面板
+        if (route?.view !== VIEW_DETAIL) {
+            DetailView.close({ notify: false });
+        }
+        if (!route) return false;
+
+        const index = this._categories.findIndex(c => c.id === route.sectionId);
+        if (index === -1) {
+            console.warn(`[Router] Unknown section: ${route.sectionId}`);
+            return false;
+        }
+
+        this._pending = true;
+        try {
+            await Promise.all(this._categories.slice(0, index + 1).map(c => this._loadSection(c)));
+        } catch (e) {
+            console.error('[Router] Failed to load sections for route:', e);
+        } finally {
+            this._pending = false;
+        }
+
+        if (!route.itemId) {
+            document.dispatchEvent(new CustomEvent('nav-click', { detail: { id: route.sectionId } }));
+            return true;
+        }
+
+        const section = document.getElementById(route.sectionId);
+        const target = section?.querySelector(`[data-item-id="${CSS.escape(route.itemId)}"]`);
+        if (!target) {
+            console.warn(`[Router] Item not found: ${route.sectionId}/${route.itemId}`);
+            document.dispatchEvent(new CustomEvent('nav-click', { detail: { id: route.sectionId } }));
+            return false;
+        }
+
+        const isDetail = route.view === VIEW_DETAIL;
+        this._reveal(route.sectionId, target, { focus: !isDetail });
+
+        if (isDetail) {
+            // 关闭面板后焦点回到卡片的「查看详情」按钮
+            target.querySelector('.card-detail-link')?.focus({ preventScroll: true });
+            this._openDetail(route);
+        }
+        return true;
+    },
+
+    /**
+     * 打开详情面板
+     * @private
+     * @param {{sectionId: string, itemId: string}} route
+     */
+    _openDetail(route) {
+        const category = this._categories.find(c => c.id === route.sectionId);
+        const item = category?.items?.find(it => it.id === route.itemId);
+        if (!item) return;
+
+        DetailView.open(item, category, {
+            onClose: () => {
+                // 直接打开详情链接时没有可后退的记录，替换为条目路由；站内打开时后退，避免留下重复记录
+                if (this._detailFromStart) {
+                    this._detailFromStart = false;
+                    this._writeHash(route.sectionId, route.itemId, null, { replace: true });
+                } else {
+                    this._skipNextRoute = true;
+                    history.back();
+                }
+            }
+        });
+    },
+
+    /**
+     * 滚动到条目并高亮
+     * @private
+     * @param {string} sectionId
+     * @param {HTMLElement} target
+     * @param {Object} [options]
+     * @param {boolean} [options.focus=true] - 是否将焦点移到卡片
+     */
+    _reveal(sectionId, target, { focus = true } = {}) {
+        // 目标被标签筛选隐藏时先清除筛选
+        if (target.classList.contains('is-filtered-out')) {
+            TagFilter.clear();
+        }
+
+        // 交给 ScrollSpy 执行滚动（期间锁定导航高亮，避免途经的分类改写 hash）
+        document.dispatchEvent(new CustomEvent('nav-click', { detail: { id: sectionId, element: target } }));
+
+        // 重新触发高亮动画
+        document.querySelectorAll('.is-highlighted').forEach(el => el.classList.remove('is-highlighted'));
+        void target.offsetWidth;
+        target.classList.add('is-highlighted');
+
+        clearTimeout(this._highlightTimer);
+        this._highlightTimer = setTimeout(() => target.classList.remove('is-highlighted'), HIGHLIGHT_DURATION);
+
+        // 将焦点移到卡片，便于键盘用户继续操作
+        if (!focus) return;
+        if (!target.hasAttribute('tabindex')) {
+            target.setAttribute('tabindex', '-1');
+            target.addEventListener('blur', () => target.removeAttribute('tabindex'), { once: true });
+        }
+        target.focus({ preventScroll: true });
+    },
+
+    /**
+     * 写入 hash（不触发 hashchange）
+     * @private
+     * @param {string} sectionId
+     * @param {string|null} itemId
+     * @param {string|null} [view=null]
+     * @param {Object} [options]
+     * @param {boolean} [options.replace=false] - 替换当前历史记录
+     */
+    _writeHash(sectionId, itemId, view = null, { replace = false } = {}) {
+        const hash = this.buildHash(sectionId, itemId, view);
+        if (hash === window.location.hash) return;
+
+        const url = `${window.location.pathname}${window.location.search}${hash}`;
+        if (replace) {
+            history.replaceState(history.state, '', url);
+        } else {
+            history.pushState(history.state, '', url);
+        }
+    },
+
+    /**
+     * 复制条目链接并在按钮上显示反馈
+     * @private
+     * @param {HTMLElement} button
+     * @param {string} sectionId
+     * @param {string} itemId
+     */
+    async _copyLink(button, sectionId, itemId) {
+        const url = this.buildUrl(sectionId, itemId);
+        try {
+            await copyText(url);
+        } catch (e) {
+            console.error('[Router] Failed to copy link:', e);
+            window.prompt('复制链接', url);
+            return;
+        }
+
+        button.dataset.copied = 'true';
+        button.setAttribute('aria-label', '已复制链接');
+        button.title = '已复制链接';
+        setTimeout(() => {
+            delete button.dataset.copied;
+            button.setAttribute('aria-label', '复制链接');
+            button.title = '复制链接';
+        }, COPIED_FEEDBACK_DURATION);
+    }
+};
@@ -0,0 +1,258 @@
+import { SearchIndex } from '../services/search-index.js';
+import { html } from '../core/html.js';
+import { Router } from './router.js';
+
+/**
+ * SearchUI - 侧边栏全文搜索
+ *
+ * 职责：
+ * 1. 各分类渲染完成后将条目加入 SearchIndex（由 app.js 调用 index）
+ * 2. 输入即搜索，结果按分类分组展示，标题和摘要中高亮查询词
+ * 3. 键盘操作：Ctrl/⌘+K 或 / 聚焦，↑/↓ 选择，Enter 打开，Esc 清空/退出
+ * 4. 选择结果后通过 Router 导航到条目（写入 #分类/条目，滚动并高亮卡片）
+ */
+
+const INPUT_DEBOUNCE = 120; // ms
+const RESULT_LIMIT = 30;
+
+/**
+ * 在文本中高亮查询词（与搜索相同，按归一化后的文本匹配：不区分大小写和全角/半角）
+ * @param {string} text - 原始文本
+ * @param {string[]} terms - 查询词
+ * @returns {SafeHtml}
+ */
+function highlightTerms(text, terms) {
+    if (!text || terms.length === 0) return html`${text}`;
+
+    const parts = [];
+    let lastIndex = 0;
+    SearchIndex.findMatches(text, terms).forEach(({ start, end }) => {
+        parts.push(text.slice(lastIndex, start), html`<mark>${text.slice(start, end)}</mark>`);
+        lastIndex = end;
+    });
+    parts.push(text.slice(lastIndex));
+
+    return html`${parts}`;
+}
+
+/**
+ * 当前焦点是否在可编辑元素中（此时 / 应作为普通字符输入）
+ * @param {EventTarget} target
+ * @returns {boolean}
+ */
+function isEditable(target) {
+    if (!target || !target.tagName) return false;
+    return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+}
+
+export const SearchUI = {
+    // --- State ---
+    input: null,
+    panel: null,
+    _categories: [],
+    _activeIndex: -1,
+    _debounceTimer: null,
+
+    /**
+     * 初始化：绑定输入框、结果列表和全局快捷键
+     * @param {Array<Object>} categories - 站点配置中的全部分类（用于提示尚未加载的分类数量）
+     */
+    init(categories = []) {
+        this.input = document.getElementById('searchInput');
+        this.panel = document.getElementById('searchResults');
+        this._categories = categories;
+
+        if (!this.input || !this.panel) {
+            console.warn('[SearchUI] Search elements not found');
+            return;
+        }
+
+        const isMac = /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent);
+        const shortcut = document.getElementById('searchShortcut');
+        if (shortcut) shortcut.textContent = isMac ? '⌘K' : 'Ctrl K';
+
+        this.input.addEventListener('input', () => {
+            clearTimeout(this._debounceTimer);
+            this._debounceTimer = setTimeout(() => {
+                this._debounceTimer = null;
+                this.update();
+            }, INPUT_DEBOUNCE);
+        });
+
+        this.input.addEventListener('keydown', (e) => this._onInputKeydown(e));
+        this.input.addEventListener('focus', () => {
+            if (this.input.value.trim()) this.update();
+        });
+
+        // 焦点移出搜索区域时收起结果
+        this.input.closest('.sidebar-search')?.addEventListener('focusout', (e) => {
+            if (!e.currentTarget.contains(e.relatedTarget)) this.close();
+        });
+
+        // 结果项不可聚焦：阻止 mousedown 抢走输入框焦点（否则 focusout 会在 click 前收起列表）
+        this.panel.addEventListener('mousedown', (e) => e.preventDefault());
+        this.panel.addEventListener('click', (e) => {
+            const option = e.target.closest('.search-result');
+            if (option) this._select(option);
+        });
+
+        document.addEventListener('keydown', (e) => {
+            const isShortcut = (e.key === 'k' || e.key === 'K') && (e.metaKey || e.ctrlKey);
+            const isSlash = e.key === '/' && !e.metaKey && !e.ctrlKey && !e.altKey && !isEditable(e.target);
+            if (!isShortcut && !isSlash) return;
+
+            e.preventDefault();
+            this.input.focus();
+            this.input.select();
+        });
+    },
+
+    /**
+     * 将分类条目加入索引；若正在搜索则刷新结果
+     * @param {Object} category - 分类配置
+     * @param {Array<Object>} items - 分类条目
+     */
+    index(category, items) {
+        SearchIndex.addCategory(category, items);
+        if (this.input && document.activeElement === this.input && this.input.value.trim()) {
+            this.update();
+        }
+    },
+
+    /**
+     * 按当前输入执行搜索并渲染结果
+     */
+    update() {
+        const query = this.input.value.trim();
+        if (!query) {
+            this.close();
+            return;
+        }
+
+        const groups = SearchIndex.search(query, { limit: RESULT_LIMIT });
+        const terms = SearchIndex.getQueryTerms(query);
+        const pending = this._categories.filter(c => !SearchIndex.hasCategory(c.id)).length;
+
+        let optionIndex = 0;
+        const groupsHtml = groups.map((group, groupIndex) => html`
+            <div class="search-group" role="group" aria-labelledby="search-group-${groupIndex}" data-type="${group.type}">
+                <p class="search-group-title" id="search-group-${groupIndex}">${group.categoryTitle}</p>
+                <ul class="search-group-list" role="presentation">
+                    ${group.results.map(result => html`
+                        <li class="search-result" role="option" id="search-option-${optionIndex++}" aria-selected="false"
+                            data-category="${group.categoryId}" data-item-id="${result.itemId}">
+                            <span class="search-result-title">${highlightTerms(result.title, terms)}</span>
+                            ${result.snippet && html`<span class="search-result-snippet">${highlightTerms(result.snippet, terms)}</span>`}
+                        </li>
+                    `)}
+                </ul>
+            </div>
+        `);
+
+        const pendingHtml = pending > 0
+            ? html`<p class="search-empty">还有 ${pending} 个分类正在加载…</p>`
+            : '';
+
+        this.panel.innerHTML = groups.length > 0
+            ? html`${groupsHtml}${pendingHtml}`
+            : html`<p class="search-empty">没有找到与「${query}」相关的内容</p>${pendingHtml}`;
+
+        this._setActive(groups.length > 0 ? 0 : -1);
+        this.panel.hidden = false;
+        this.input.setAttribute('aria-expanded', 'true');
+    },
+
+    /**
+     * 收起结果列表
+     */
+    close() {
+        if (!this.panel) return;
+        this.panel.hidden = true;
+        this.panel.innerHTML = '';
+        this._activeIndex = -1;
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.removeAttribute('aria-activedescendant');
+    },
+
+    /**
+     * 输入框键盘操作
+     * @private
+     * @param {KeyboardEvent} e
+     */
+    _onInputKeydown(e) {
+        const options = this._getOptions();
+
+        switch (e.key) {
+            case 'ArrowDown':
+            case 'ArrowUp': {
+                if (options.length === 0) return;
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                this._setActive((this._activeIndex + step + options.length) % options.length);
+                break;
+            }
+            case 'Enter': {
+                // 输入后立即回车时，先执行尚未触发的搜索
+                if (this._debounceTimer) {
+                    clearTimeout(this._debounceTimer);
+                    this._debounceTimer = null;
+                    this.update();
+                }
+                const active = this._getOptions()[this._activeIndex];
+                if (active) {
+                    e.preventDefault();
+                    this._select(active);
+                }
+                break;
+            }
+            case 'Escape':
+                e.preventDefault();
+                if (this.input.value) {
+                    this.input.value = '';
+                    this.close();
+                } else {
+                    this.input.blur();
+                }
+                break;
+        }
+    },
+
+    /**
+     * 选择结果：收起列表并导航到条目
+     * @private
+     * @param {HTMLElement} option
+     */
+    _select(option) {
+        const { category, itemId } = option.dataset;
+        this.close();
+        Router.navigate(category, itemId);
+    },
+
+    /**
+     * 设置当前选中项
+     * @private
+     * @param {number} index
+     */
+    _setActive(index) {
+        const options = this._getOptions();
+        this._activeIndex = index;
+
+        options.forEach((option, i) => option.setAttribute('aria-selected', String(i === index)));
+
+        const active = options[index];
+        if (active) {
+            this.input.setAttribute('aria-activedescendant', active.id);
+            active.scrollIntoView({ block: 'nearest' });
+        } else {
+            this.input.removeAttribute('aria-activedescendant');
+        }
+    },
+
+    /**
+     * @private
+     * @returns {HTMLElement[]}
+     */
+    _getOptions() {
+        return Array.from(this.panel.querySelectorAll('.search-result'));
+    }
+};
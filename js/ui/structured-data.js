@@ -0,0 +1,273 @@
+import { getCardType } from './card-types.js';
+import { DateUtils } from '../core/date-utils.js';
+import { Markdown } from '../core/markdown.js';
+
+/**
+ * 结构化数据（schema.org JSON-LD）
+ *
+ * - 站点：WebSite + Person（作者，sameAs 指向 GitHub）
+ * - 分类：ItemList，每个条目按卡片类型映射为 schema.org 类型
+ *   （内置：Book、Movie、VideoGame、MusicRecording；其他类型可在 registerCardType 时提供 structuredData）
+ *
+ * 只负责生成数据对象，写入页面由 RenderService.updateStructuredData 完成（浏览器和预渲染共用）
+ *
+ * @module ui/structured-data
+ */
+
+const CONTEXT = 'https://schema.org';
+
+/**
+ * 多值文本的分隔符（如 导演：A、B；主演：A / B）
+ */
+const NAME_SEPARATOR = /\s\/|\/\s|[、，,;；]/;
+
+/**
+ * 拆分多值文本
+ * @param {string} value
+ * @param {RegExp} [separator=NAME_SEPARATOR]
+ * @returns {string[]}
+ */
+function splitList(value, separator = NAME_SEPARATOR) {
+    if (!value) return [];
+    return String(value).split(separator).map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * 名称列表 → schema.org 节点（单个时不包数组）
+ * @param {string} value
+ * @param {string} type - 如 'Person'、'Organization'
+ * @returns {Object|Object[]|undefined}
+ */
+function toNodes(value, type) {
+    const nodes = splitList(value).map(name => ({ '@type': type, name }));
+    if (nodes.length === 0) return undefined;
+    return nodes.length === 1 ? nodes[0] : nodes;
+}
+
+/**
+ * 日期文本 → ISO 8601 日期，保留原有精度（2018 → 2018；2025-8-02 → 2025-08-02）
+ * 无法解析时原样返回
+ * @param {string} value
+ * @returns {string|undefined}
+ */
+function toIsoDate(value) {
+    if (!value) return undefined;
+    const date = DateUtils.parseDate(value);
+    if (!date) return String(value);
+
+    const pad = n => String(n).padStart(2, '0');
+    const precision = (String(value).match(/\d+/g) || []).length;
+    return [date.getFullYear(), pad(date.getMonth() + 1), pad(date.getDate())].slice(0, precision).join('-');
+}
+
+/**
+ * 秒 → ISO 8601 时长
+ * @param {number} seconds
+ * @returns {string|undefined}
+ */
+function toDuration(seconds) {
+    if (!Number.isFinite(seconds) || seconds <= 0) return undefined;
+    const minutes = Math.floor(seconds / 60);
+    const rest = Math.round(seconds % 60);
+    return `PT${minutes ? `${minutes}M` : ''}${rest || !minutes ? `${rest}S` : ''}`;
+}
+
+/**
+ * 相对路径 → 绝对 URL
+ * @param {string} path
+ * @param {string} siteUrl
+ * @returns {string|undefined}
+ */
+function toAbsoluteUrl(path, siteUrl) {
+    if (!path) return undefined;
+    if (/^https?:\/\//.test(path)) return path;
+    return `${siteUrl}/${path.replace(/^(\.\.\/|\.\/|\/)+/, '')}`;
+}
+
+/**
+ * 移除值为 undefined / 空数组的属性，避免输出无意义的键
+ * @param {Object} node
+ * @returns {Object}
+ */
+function compact(node) {
+    return Object.fromEntries(Object.entries(node).filter(([, value]) =>
+        value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0)
+    ));
+}
+
+/**
+ * 各类型共用的属性
+ * @param {Object} item
+ * @param {Object} context
+ * @returns {Object}
+ */
+function commonProps(item, { url, siteUrl, author }) {
+    return {
+        name: item.title,
+        url,
+        description: item.desc || undefined,
+        image: toAbsoluteUrl(item.cover, siteUrl),
+        genre: item.tags,
+        review: item.review ? {
+            '@type': 'Review',
+            reviewBody: Markdown.toPlainText(item.review),
+            author
+        } : undefined
+    };
+}
+
+export const StructuredData = {
+    /**
+     * 书籍
+     * @param {Object} item
+     * @param {Object} context - { url, siteUrl, author }
+     * @returns {Object}
+     */
+    book(item, context) {
+        return compact({
+            '@type': 'Book',
+            ...commonProps(item, context),
+            author: toNodes(item.author, 'Person'),
+            isbn: item.isbn,
+            datePublished: toIsoDate(item.publishYear)
+        });
+    },
+
+    /**
+     * 电影（有集数时为剧集，时长为每集时长，不输出 duration）
+     * @param {Object} item
+     * @param {Object} context
+     * @returns {Object}
+     */
+    film(item, context) {
+        return compact({
+            '@type': item.episodes ? 'TVSeries' : 'Movie',
+            ...commonProps(item, context),
+            director: toNodes(item.director, 'Person'),
+            actor: toNodes(item.starring, 'Person'),
+            countryOfOrigin: toNodes(item.region, 'Country'),
+            inLanguage: item.language,
+            numberOfEpisodes: item.episodes,
+            duration: item.duration && !item.episodes ? toDuration(item.duration * 60) : undefined,
+            datePublished: toIsoDate(item.releaseDate),
+            sameAs: item.imdb ? `https://www.imdb.com/title/${encodeURIComponent(item.imdb)}/` : undefined
+        });
+    },
+
+    /**
+     * 游戏
+     * @param {Object} item
+     * @param {Object} context
+     * @returns {Object}
+     */
+    game(item, context) {
+        return compact({
+            '@type': 'VideoGame',
+            ...commonProps(item, context),
+            publisher: toNodes(item.dev, 'Organization'),
+            gamePlatform: splitList(item.platform, /[+、，,/]/),
+            datePublished: toIsoDate(item.releaseDate),
+            sameAs: item.steamId ? `https://store.steampowered.com/app/${encodeURIComponent(item.steamId)}/` : undefined
+        });
+    },
+
+    /**
+     * 音乐
+     * @param {Object} item
+     * @param {Object} context
+     * @returns {Object}
+     */
+    music(item, context) {
+        return compact({
+            '@type': 'MusicRecording',
+            ...commonProps(item, context),
+            byArtist: toNodes(item.artist || item.author, 'MusicGroup'),
+            inAlbum: item.album ? { '@type': 'MusicAlbum', name: item.album } : undefined,
+            // 歌曲时长以毫秒记录
+            duration: item.duration ? toDuration(item.duration / 1000) : undefined,
+            datePublished: toIsoDate(item.releaseTime)
+        });
+    },
+
+    /**
+     * 站点与作者
+     *
+     * @param {Object} config - 站点配置
+     * @param {Object} options
+     * @param {string} options.siteUrl - 站点地址
+     * @returns {Object|null}
+     */
+    site(config, { siteUrl }) {
+        if (!config || !config.blogInfo) return null;
+
+        const info = config.blogInfo;
+        const author = config.authorInfo || {};
+        const personId = `${siteUrl}/#author`;
+
+        const person = compact({
+            '@type': 'Person',
+            '@id': personId,
+            name: author.name,
+            url: `${siteUrl}/`,
+            image: toAbsoluteUrl(author.avatar, siteUrl),
+            email: author.email ? `mailto:${author.email}` : undefined,
+            sameAs: [author.github].filter(Boolean),
+            knowsAbout: author.tags
+        });
+
+        const website = compact({
+            '@type': 'WebSite',
+            '@id': `${siteUrl}/#website`,
+            url: `${siteUrl}/`,
+            name: info.title,
+            description: info.desc,
+            inLanguage: 'zh-CN',
+            author: { '@id': personId }
+        });
+
+        return { '@context': CONTEXT, '@graph': [website, person] };
+    },
+
+    /**
+     * 分类条目列表；该类型没有 schema.org 映射时返回 null
+     *
+     * @param {Object} category - 分类配置
+     * @param {Array<Object>} items - 分类条目
+     * @param {Object} options
+     * @param {string} options.siteUrl - 站点地址
+     * @param {(category: Object, item: Object|null) => string} options.urlFor - 生成分类 / 条目的绝对链接
+     * @returns {Object|null}
+     */
+    category(category, items, { siteUrl, urlFor }) {
+        const build = getCardType(category.type)?.structuredData;
+        if (!build || !items || items.length === 0) return null;
+
+        const author = { '@id': `${siteUrl}/#author` };
+        const elements = items
+            .map(item => build(item, { url: urlFor(category, item), siteUrl, author }))
+            .filter(Boolean);
+        if (elements.length === 0) return null;
+
+        return {
+            '@context': CONTEXT,
+            '@type': 'ItemList',
+            name: category.title,
+            url: urlFor(category, null),
+            numberOfItems: elements.length,
+            itemListElement: elements.map((item, index) => ({
+                '@type': 'ListItem',
+                position: index + 1,
+                item
+            }))
+        };
+    },
+
+    /**
+     * 序列化为可放入 <script type="application/ld+json"> 的文本（转义 <，避免提前闭合标签）
+     * @param {Object} data
+     * @returns {string}
+     */
+    serialize(data) {
+        return JSON.stringify(data).replace(/</g, '\\u003c');
+    }
+};
@@ -0,0 +1,281 @@
+import { html } from '../core/html.js';
+
+/**
+ * TagFilter - 标签筛选与分类标签云
+ *
+ * 职责：
+ * 1. 卡片中的标签（CardRenderer.renderTags 输出的 .tag[data-tag]）和标签云均可点击切换筛选
+ * 2. 每个分类顶部渲染标签云（含计数），筛选时计数为「当前结果中包含该标签的条目数」
+ * 3. 多选为「同时包含」（AND）；默认只作用于点击所在的分类，可切换为作用于所有分类
+ * 4. 筛选状态同步到 URL（?tags=动画,喜剧&in=电影），便于分享；省略 in 表示所有分类
+ *
+ * 标签从已渲染卡片的 DOM 中收集，因此自定义卡片类型只要使用 renderTags 即可参与筛选
+ */
+
+const PARAM_TAGS = 'tags';
+const PARAM_SCOPE = 'in';
+const TAG_SEPARATOR = ',';
+const TAG_CLOUD_LIMIT = 12; // 收起时最多显示的标签数（已选标签始终显示）
+
+/**
+ * 收集卡片上的标签
+ * @param {HTMLElement} card
+ * @returns {Set<string>}
+ */
+function getCardTags(card) {
+    return new Set(Array.from(card.querySelectorAll('.tag[data-tag]'), el => el.dataset.tag));
+}
+
+export const TagFilter = {
+    // --- State ---
+    /** @type {Set<string>} 已选标签 */
+    _selected: new Set(),
+    /** @type {string|null} 作用的分类 ID；null 表示所有分类 */
+    _scope: null,
+    /** @type {boolean} 从 URL 恢复的筛选是否还需要滚动到目标分类 */
+    _pendingScroll: false,
+    /** @type {Set<string>} 标签云已展开的分类 ID */
+    _expanded: new Set(),
+
+    /**
+     * 初始化：从 URL 恢复筛选状态并绑定点击事件（事件委托）
+     */
+    init() {
+        this._readUrl();
+
+        document.addEventListener('click', (e) => {
+            const root = e.target.closest('#contentRoot');
+            if (!root) return;
+
+            const tagEl = e.target.closest('[data-tag]');
+            if (tagEl) {
+                e.preventDefault();
+                this.toggle(tagEl.dataset.tag, tagEl.closest('section')?.id ?? null);
+                return;
+            }
+
+            if (e.target.closest('.tag-filter-clear')) {
+                this.clear();
+                return;
+            }
+
+            const moreBtn = e.target.closest('.tag-cloud-more');
+            if (moreBtn) {
+                const section = moreBtn.closest('section');
+                this._expanded.add(section.id);
+                this.refreshSection(section);
+                return;
+            }
+
+            const scopeBtn = e.target.closest('.tag-filter-scope');
+            if (scopeBtn) {
+                this.setScope(this._scope === null ? scopeBtn.closest('section')?.id ?? null : null);
+            }
+        });
+    },
+
+    /**
+     * 切换标签选中状态
+     * 在另一个分类中点击标签时，筛选切换到该分类并重新开始
+     *
+     * @param {string} tag - 标签
+     * @param {string|null} sectionId - 标签所在分类 ID
+     */
+    toggle(tag, sectionId) {
+        if (this._selected.size === 0) {
+            this._scope = sectionId;
+        } else if (this._scope !== null && sectionId && sectionId !== this._scope) {
+            this._selected.clear();
+            this._scope = sectionId;
+        }
+
+        if (this._selected.has(tag)) {
+            this._selected.delete(tag);
+        } else {
+            this._selected.add(tag);
+        }
+
+        this.apply();
+    },
+
+    /**
+     * 设置筛选范围
+     * @param {string|null} sectionId - 分类 ID；null 表示所有分类
+     */
+    setScope(sectionId) {
+        this._scope = sectionId;
+        this.apply();
+    },
+
+    /**
+     * 清除筛选
+     */
+    clear() {
+        this._selected.clear();
+        this._scope = null;
+        this.apply();
+    },
+
+    /**
+     * 当前筛选状态
+     * @returns {{tags: string[], scope: string|null}}
+     */
+    getState() {
+        return { tags: Array.from(this._selected), scope: this._scope };
+    },
+
+    /**
+     * 重新应用筛选到所有已加载的分类，并同步 URL
+     */
+    apply() {
+        document.querySelectorAll('#contentRoot section[data-loaded="true"]')
+            .forEach(section => this.refreshSection(section));
+        this._writeUrl();
+    },
+
+    /**
+     * 刷新单个分类：渲染标签云、显示/隐藏卡片
+     * 分类内容渲染完成后由 app.js 调用
+     *
+     * @param {HTMLElement} sectionEl - section 元素
+     */
+    refreshSection(sectionEl) {
+        const cards = Array.from(sectionEl.querySelectorAll('.cards > *'));
+        const cardTags = cards.map(getCardTags);
+        const selected = Array.from(this._selected);
+        const active = selected.length > 0 && (this._scope === null || this._scope === sectionEl.id);
+
+        // 从分享链接打开时，目标分类加载后滚动过去
+        if (this._pendingScroll && sectionEl.id === this._scope) {
+            this._pendingScroll = false;
+            document.dispatchEvent(new CustomEvent('nav-click', { detail: { id: sectionEl.id } }));
+        }
+
+        // 1. 筛选卡片
+        const matched = cardTags.map(tags => !active || selected.every(tag => tags.has(tag)));
+        cards.forEach((card, i) => card.classList.toggle('is-filtered-out', !matched[i]));
+
+        // 2. 卡片内标签的选中状态
+        sectionEl.querySelectorAll('.cards .tag[data-tag]').forEach(el => {
+            el.setAttribute('aria-pressed', String(active && this._selected.has(el.dataset.tag)));
+        });
+
+        // 3. 标签云：按出现次数降序，同次数保持首次出现顺序
+        const totals = new Map();
+        cardTags.forEach(tags => tags.forEach(tag => totals.set(tag, (totals.get(tag) || 0) + 1)));
+        if (active) {
+            // 所选标签即使不在本分类中也显示，便于取消
+            selected.forEach(tag => totals.has(tag) || totals.set(tag, 0));
+        }
+
+        let cloud = sectionEl.querySelector('.tag-cloud');
+        if (totals.size === 0) {
+            cloud?.remove();
+            this._renderEmptyNotice(sectionEl, active && cards.length > 0);
+            return;
+        }
+
+        const allEntries = Array.from(totals.entries())
+            .sort((a, b) => b[1] - a[1])
+            .map(([tag]) => {
+                const count = cardTags.filter((tags, i) => matched[i] && tags.has(tag)).length;
+                const pressed = active && this._selected.has(tag);
+                return { tag, count, pressed };
+            });
+
+        const collapsed = !this._expanded.has(sectionEl.id) && allEntries.length > TAG_CLOUD_LIMIT;
+        const entries = collapsed
+            ? allEntries.filter((entry, i) => i < TAG_CLOUD_LIMIT || entry.pressed)
+            : allEntries;
+
+        if (!cloud) {
+            cloud = document.createElement('div');
+            cloud.className = 'tag-cloud';
+            cloud.setAttribute('role', 'group');
+            cloud.setAttribute('aria-label', '按标签筛选');
+            sectionEl.querySelector('.section-content')?.before(cloud);
+        }
+
+        const visible = matched.filter(Boolean).length;
+        cloud.innerHTML = html`
+            ${entries.map(({ tag, count, pressed }) => html`
+                <button type="button" class="tag tag-cloud-item" data-tag="${tag}" aria-pressed="${String(pressed)}"
+                    ${count === 0 && !pressed ? html`disabled` : ''}>
+                    ${tag}<span class="tag-count">${count}</span>
+                </button>
+            `)}
+            ${collapsed && html`
+                <button type="button" class="tag-cloud-more">更多 +${allEntries.length - entries.length}</button>
+            `}
+            ${active && html`
+                <span class="tag-filter-status" aria-live="polite">显示 ${visible} / ${cards.length} 项</span>
+                <button type="button" class="tag-filter-scope" aria-pressed="${String(this._scope === null)}">所有分类</button>
+                <button type="button" class="tag-filter-clear">清除筛选 ×</button>
+            `}
+        `;
+
+        this._renderEmptyNotice(sectionEl, active && visible === 0);
+    },
+
+    /**
+     * 筛选结果为空时显示提示
+     * @private
+     * @param {HTMLElement} sectionEl
+     * @param {boolean} show
+     */
+    _renderEmptyNotice(sectionEl, show) {
+        const content = sectionEl.querySelector('.section-content');
+        let notice = sectionEl.querySelector('.tag-filter-empty');
+
+        if (!show) {
+            notice?.remove();
+            return;
+        }
+        if (!notice && content) {
+            notice = document.createElement('p');
+            notice.className = 'empty-state tag-filter-empty';
+            notice.textContent = '没有同时包含所选标签的条目';
+            content.prepend(notice);
+        }
+    },
+
+    /**
+     * 从 URL 读取筛选状态
+     * @private
+     */
+    _readUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const tags = (params.get(PARAM_TAGS) || '')
+            .split(TAG_SEPARATOR)
+            .map(t => t.trim())
+            .filter(Boolean);
+
+        this._selected = new Set(tags);
+        this._scope = tags.length > 0 ? (params.get(PARAM_SCOPE) || null) : null;
+        this._pendingScroll = this._scope !== null;
+    },
+
+    /**
+     * 将筛选状态写入 URL（replaceState，不产生历史记录；保留其他参数和 hash）
+     * @private
+     */
+    _writeUrl() {
+        const url = new URL(window.location.href);
+
+        if (this._selected.size > 0) {
+            url.searchParams.set(PARAM_TAGS, Array.from(this._selected).join(TAG_SEPARATOR));
+            if (this._scope) {
+                url.searchParams.set(PARAM_SCOPE, this._scope);
+            } else {
+                url.searchParams.delete(PARAM_SCOPE);
+            }
+        } else {
+            url.searchParams.delete(PARAM_TAGS);
+            url.searchParams.delete(PARAM_SCOPE);
+        }
+
+        if (url.href !== window.location.href) {
+            history.replaceState(history.state, '', url);
+        }
+    }
+};
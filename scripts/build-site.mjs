@@ -0,0 +1,72 @@
+/**
+ * 站点构建脚本
+ * 将站点文件复制到发布目录（默认 _site/），再由预渲染脚本把生成的首页写入该目录的 index.html：
+ *   npm run build  =  node scripts/build-site.mjs && node scripts/prerender.mjs --out _site/index.html
+ *
+ * 发布目录即 GitHub Pages 的部署内容（.github/workflows/pages.yml 在推送到 main 时执行 npm run build 并部署 _site/）；
+ * 仓库设置中 Pages 的来源需设为「GitHub Actions」，否则 Pages 仍直接发布分支上未预渲染的 index.html
+ *
+ * 复制项目根目录下除开发文件（脚本、编辑器配置、构建输出等）以外的全部内容
+ *
+ * 使用（项目根目录下执行，需 Node 20+）：
+ *   npm run build                                     # 输出到 _site/，可用任意静态服务器预览
+ *   node scripts/build-site.mjs --out public          # 只复制站点文件到其他目录
+ */
+
+import { readdir, rm, cp, mkdir } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DEFAULT_OUT = '_site';
+
+/**
+ * 不发布的开发文件（项目根目录下的名称）
+ */
+const EXCLUDED = new Set([
+    '.git',
+    '.github',
+    '.gitignore',
+    '.vscode',
+    'node_modules',
+    'scripts',
+    'dist',
+    DEFAULT_OUT,
+    'package.json',
+    'package-lock.json',
+    'PHOTO_SYSTEM_IMPLEMENTATION.md'
+]);
+
+/**
+ * 读取命令行参数值（--name value）
+ * @param {string} name
+ * @param {string} fallback
+ * @returns {string}
+ */
+function getArg(name, fallback) {
+    const index = process.argv.indexOf(name);
+    return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+async function main() {
+    const outDir = path.resolve(ROOT, getArg('--out', DEFAULT_OUT));
+    if (outDir === ROOT || !outDir.startsWith(ROOT + path.sep)) {
+        throw new Error(`Output directory must be inside the project: ${outDir}`);
+    }
+
+    await rm(outDir, { recursive: true, force: true });
+    await mkdir(outDir, { recursive: true });
+
+    const outName = path.relative(ROOT, outDir).split(path.sep)[0];
+    const entries = (await readdir(ROOT)).filter(name => !EXCLUDED.has(name) && name !== outName);
+    for (const name of entries) {
+        await cp(path.join(ROOT, name), path.join(outDir, name), { recursive: true });
+    }
+
+    console.log(`[Build] ${entries.length} entr(ies) → ${path.relative(ROOT, outDir)}/`);
+}
+
+main().catch(e => {
+    console.error('[Build] Failed:', e);
+    process.exitCode = 1;
+});
@@ -0,0 +1,116 @@
+/**
+ * 站点地图与订阅源生成脚本（无头模式）
+ * 读取 contents/*.md（与页面相同的解析、排序和数量限制），输出：
+ * - sitemap.xml           首页（lastmod 取最新条目的日期）和各条目的独立页面 items/分类/条目/（lastmod 取条目日期，没有日期时不输出）；
+ *                         条目页由预渲染脚本生成（npm run build），条目深链接 #分类/条目 只是片段，不列出
+ * - feeds/diary.xml       日记 Atom 订阅源（按标题日期）
+ * - feeds/diary.json      日记 JSON Feed
+ * - feeds/recent.xml      所有分类「最近添加」Atom 订阅源
+ * - feeds/recent.json     所有分类「最近添加」JSON Feed
+ *
+ * 使用（项目根目录下执行，需 Node 20+）：
+ *   npm run feeds
+ *
+ * 内容、照片清单（npm run manifest）更新后重新运行并提交生成的文件
+ */
+
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import { DataService } from '../js/services/data.js';
+import { FeedBuilder } from '../js/core/feed-builder.js';
+import { SITE_URL } from '../js/ui/render.js';
+import { Router } from '../js/ui/router.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const FEED_DIR = 'feeds';
+const RECENT_LIMIT = 30;
+
+/**
+ * 读取项目内的文本文件，不存在时返回 null
+ * @param {string} relativePath
+ * @returns {Promise<string|null>}
+ */
+async function loadText(relativePath) {
+    try {
+        return await readFile(path.join(ROOT, decodeURI(relativePath)), 'utf8');
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * 写入项目内的文件（自动创建目录）
+ * @param {string} relativePath
+ * @param {string} content
+ */
+async function output(relativePath, content) {
+    const target = path.join(ROOT, relativePath);
+    await mkdir(path.dirname(target), { recursive: true });
+    await writeFile(target, content, 'utf8');
+    console.log(`[Feeds] ${relativePath}`);
+}
+
+/**
+ * 输出 Atom + JSON Feed
+ * @param {string} name - 文件名（不含扩展名）
+ * @param {Object} feed - FeedBuilder.buildAtom 参数（不含 feedUrl）
+ */
+async function outputFeeds(name, feed) {
+    await output(`${FEED_DIR}/${name}.xml`, FeedBuilder.buildAtom({ ...feed, feedUrl: `${SITE_URL}/${FEED_DIR}/${name}.xml` }));
+    await output(`${FEED_DIR}/${name}.json`, FeedBuilder.buildJsonFeed({ ...feed, feedUrl: `${SITE_URL}/${FEED_DIR}/${name}.json` }));
+}
+
+async function main() {
+    DataService.configure({ loadText });
+
+    const config = await DataService.loadSiteConfig();
+    const blog = config.blogInfo || {};
+    const author = {
+        name: config.authorInfo?.name,
+        url: config.authorInfo?.github
+    };
+    const homeUrl = `${SITE_URL}/`;
+    const now = new Date();
+
+    const entries = [];
+    const diaryEntries = [];
+    const itemPages = [];
+    for (const category of config.categories) {
+        const items = await DataService.loadCategoryContent(category);
+        items.forEach(item => {
+            const url = `${SITE_URL}/${Router.buildHash(category.id, item.id)}`;
+            const entry = FeedBuilder.toEntry(item, category, { url, siteUrl: SITE_URL, now });
+            entries.push(entry);
+            if (category.type === 'diary') diaryEntries.push(entry);
+            itemPages.push({ loc: `${SITE_URL}/${Router.buildItemPath(category.id, item.id)}`, lastmod: entry.date });
+        });
+    }
+
+    // 1. Sitemap：首页（lastmod 取所有条目中最新的日期）+ 条目页
+    const latest = FeedBuilder.recent(entries, 1)[0]?.date || null;
+    await output('sitemap.xml', FeedBuilder.buildSitemap([{ loc: homeUrl, lastmod: latest }, ...itemPages]));
+
+    // 2. 日记
+    await outputFeeds('diary', {
+        title: `${blog.title} · 日记`,
+        description: blog.desc,
+        homeUrl,
+        author,
+        entries: FeedBuilder.recent(diaryEntries, Infinity)
+    });
+
+    // 3. 最近添加（所有分类）
+    await outputFeeds('recent', {
+        title: `${blog.title} · 最近添加`,
+        description: blog.desc,
+        homeUrl,
+        author,
+        entries: FeedBuilder.recent(entries, RECENT_LIMIT)
+    });
+}
+
+main().catch(e => {
+    console.error('[Feeds] Failed:', e);
+    process.exitCode = 1;
+});
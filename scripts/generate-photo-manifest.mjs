@@ -0,0 +1,157 @@
+/**
+ * 照片清单生成脚本
+ * 扫描 assets/images/photos/ 下的各目录，输出 assets/photo-manifest.json，
+ * 供 PhotoDiscovery 查询「照片源」目录中的照片，无需在访客浏览器中调用 GitHub API
+ *
+ * 每张照片记录：文件名、大小、尺寸（按 EXIF 方向）、拍摄时间，
+ * 以及 EXIF 拍摄参数（相机、镜头、焦距、光圈、快门、ISO、GPS 坐标）和加载前的占位图（主色 + 16px 预览，仅 JPEG）
+ * 目录内按文件名排序（与 GitHub API 的返回顺序一致）；照片根目录下的零散照片记录在 "." 分组中
+ * 输出只取决于照片文件本身（不含生成时间和本地文件的修改时间），照片不变时重新运行不产生改动
+ * 无法读取元数据的照片（文件损坏等）只记录文件名和大小，不影响其他照片
+ *
+ * GPS 坐标会公开拍摄地点，可以不写入清单：
+ * - 目录中放置空文件 .nogps：该目录及其子目录的照片不记录坐标
+ * - 命令行参数 --no-gps：所有照片都不记录坐标
+ *
+ * 使用（项目根目录下执行，需 Node 20+）：
+ *   npm run manifest
+ *   npm run manifest -- --no-gps
+ *
+ * 添加或删除照片后重新运行并提交生成的文件；清单中没有的目录仍会回退到 GitHub API
+ */
+
+import { readdir, stat, open, writeFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { deflateSync } from 'node:zlib';
+import path from 'node:path';
+import { Exif } from '../js/core/exif.js';
+import { Lqip } from '../js/core/lqip.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const PHOTO_ROOT = 'assets/images/photos';
+const OUTPUT = 'assets/photo-manifest.json';
+const SUPPORTED_EXTENSIONS = new Set(['.jpg', '.jpeg', '.png', '.gif', '.webp']);
+
+/**
+ * 目录中存在该文件时，目录及其子目录的照片不记录 GPS 坐标
+ */
+const NO_GPS_MARKER = '.nogps';
+
+/**
+ * 读取元数据时先读取的字节数（不够时读取整个文件）
+ */
+const HEAD_BYTES = 256 * 1024;
+
+/**
+ * 读取文件开头部分
+ * @param {string} file - 绝对路径
+ * @param {number} length
+ * @returns {Promise<Uint8Array>}
+ */
+async function readHead(file, length) {
+    const handle = await open(file, 'r');
+    try {
+        const buffer = new Uint8Array(length);
+        const { bytesRead } = await handle.read(buffer, 0, length, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * 读取单张照片的元数据
+ * @param {string} file - 绝对路径
+ * @param {import('node:fs').Stats} stats
+ * @param {Object} options
+ * @param {boolean} options.gps - 是否记录 GPS 坐标
+ * @returns {Promise<Object>}
+ */
+async function readPhoto(file, stats, { gps }) {
+    let bytes = await readHead(file, HEAD_BYTES);
+    let info = Exif.readImageInfo(bytes);
+    // 占位图需要解码整个 JPEG
+    if (info && (info.width === null || info.format === 'jpeg') && stats.size > HEAD_BYTES) {
+        bytes = await readHead(file, stats.size);
+        info = Exif.readImageInfo(bytes);
+    }
+    if (!info) {
+        console.warn(`[PhotoManifest] Unrecognized image format: ${path.relative(ROOT, file)}`);
+    }
+
+    const placeholder = info?.format === 'jpeg'
+        ? Lqip.createPlaceholder(bytes, { deflate: deflateSync, orientation: info.exif.orientation })
+        : null;
+    if (info?.format === 'jpeg' && !placeholder) {
+        console.warn(`[PhotoManifest] Failed to create placeholder: ${path.relative(ROOT, file)}`);
+    }
+
+    const { takenAt = null, ...exif } = info ? Exif.getPhotoMetadata(info.exif) : {};
+    if (!gps) delete exif.gps;
+    return {
+        name: path.basename(file),
+        size: stats.size,
+        width: info?.width ?? null,
+        height: info?.height ?? null,
+        taken: takenAt,
+        exif,
+        placeholder
+    };
+}
+
+/**
+ * 递归扫描目录：每个直接包含照片的目录生成一个分组（分组名为相对照片根目录的路径）
+ * @param {string} relativeDir - 相对项目根目录的路径
+ * @param {Object} manifest - 输出：分组名 → { path, files }
+ * @param {Object} options
+ * @param {boolean} options.gps - 是否记录 GPS 坐标（目录中有 .nogps 时对该目录及子目录关闭）
+ */
+async function scan(relativeDir, manifest, options) {
+    const entries = await readdir(path.join(ROOT, relativeDir), { withFileTypes: true });
+    const files = [];
+    if (entries.some(entry => entry.isFile() && entry.name === NO_GPS_MARKER)) {
+        options = { ...options, gps: false };
+    }
+
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+        const relativePath = `${relativeDir}/${entry.name}`;
+        if (entry.isDirectory()) {
+            await scan(relativePath, manifest, options);
+        } else if (entry.isFile() && SUPPORTED_EXTENSIONS.has(path.extname(entry.name).toLowerCase())) {
+            const file = path.join(ROOT, relativePath);
+            const stats = await stat(file);
+            try {
+                files.push(await readPhoto(file, stats, options));
+            } catch (e) {
+                console.warn(`[PhotoManifest] Failed to read metadata: ${relativePath}`, e.message);
+                files.push({ name: entry.name, size: stats.size, width: null, height: null, taken: null, placeholder: null });
+            }
+        }
+    }
+
+    if (files.length > 0) {
+        manifest[relativeDir === PHOTO_ROOT ? '.' : relativeDir.slice(PHOTO_ROOT.length + 1)] = { path: relativeDir, files };
+    }
+}
+
+async function main() {
+    const manifest = {};
+    await scan(PHOTO_ROOT, manifest, { gps: !process.argv.includes('--no-gps') });
+
+    const groups = Object.values(manifest);
+    const files = groups.flatMap(group => group.files);
+    const output = {
+        totalDirectories: groups.length,
+        totalFiles: files.length,
+        totalSize: files.reduce((sum, file) => sum + file.size, 0),
+        manifest
+    };
+
+    await writeFile(path.join(ROOT, OUTPUT), `${JSON.stringify(output, null, 2)}\n`, 'utf8');
+    console.log(`[PhotoManifest] ${groups.length} director(ies), ${files.length} photo(s) → ${OUTPUT}`);
+}
+
+main().catch(e => {
+    console.error('[PhotoManifest] Failed:', e);
+    process.exitCode = 1;
+});
@@ -0,0 +1,309 @@
+/**
+ * 静态预渲染脚本（无头模式）
+ * 复用 Parser、DataService（排序、数量限制）和 CardRenderer 模板，以 index.html 为模板，
+ * 将 SEO 信息、JSON-LD、侧边栏和全部分类内容写入另一个文件（默认 dist/index.html），
+ * 使搜索引擎和链接预览无需执行 JS 即可看到内容
+ *
+ * 同时在输出文件所在目录下为每个条目生成独立页面 items/分类ID/条目ID/index.html（Router.buildItemPath）：
+ * 条目深链接 #分类/条目 只是片段，搜索引擎不会单独收录；条目页为静态的详情内容（与详情面板相同），
+ * 带该条目的标题、描述和 canonical，列入 sitemap.xml（scripts/generate-feeds.mjs），并链接回首页的 #分类/条目
+ *
+ * 部署：npm run build 将站点文件复制到 _site/ 并把预渲染结果写入 _site/index.html，
+ * 由 GitHub Actions（.github/workflows/pages.yml）发布 _site/，见 scripts/build-site.mjs
+ *
+ * index.html 只作为手工维护的模板，不写入生成的内容
+ *
+ * 浏览器端加载后复用预渲染的标记（RenderService.hydrateSectionContent），只初始化交互；
+ * 内容更新后未重新预渲染时，条目 ID、顺序或卡片内容摘要（data-hash）与标记不一致的分类会自动重新渲染
+ *
+ * 使用（项目根目录下执行，需 Node 20+）：
+ *   npm run prerender                                 # 写入 dist/index.html
+ *   npm run prerender -- --out build/index.html       # 写入其他文件
+ *   npm run build                                     # 构建完整的发布目录 _site/
+ *
+ * 可重复执行：模板已包含预渲染内容时替换为本次的内容
+ * 照片分类的目录自动发现依赖 GitHub API，离线时只输出已配置的照片
+ */
+
+import { readFile, writeFile, mkdir, rm } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import { DataService } from '../js/services/data.js';
+import { ImageProxyService } from '../js/services/image-proxy.js';
+import { RenderService, SITE_URL } from '../js/ui/render.js';
+import { CardRenderer } from '../js/ui/card-renderer.js';
+import { StructuredData } from '../js/ui/structured-data.js';
+import { DetailView } from '../js/ui/detail-view.js';
+import { Router } from '../js/ui/router.js';
+import { FeedBuilder } from '../js/core/feed-builder.js';
+import { html, safeUrl } from '../js/core/html.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const TEMPLATE = 'index.html';
+const DEFAULT_OUT = 'dist/index.html';
+const ITEM_PAGE_DIR = 'items';
+
+/**
+ * 读取项目内的文本文件，不存在时返回 null
+ * @param {string} relativePath
+ * @returns {Promise<string|null>}
+ */
+async function loadText(relativePath) {
+    try {
+        return await readFile(path.join(ROOT, decodeURI(relativePath)), 'utf8');
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * 读取命令行参数值（--name value）
+ * @param {string} name
+ * @param {string} fallback
+ * @returns {string}
+ */
+function getArg(name, fallback) {
+    const index = process.argv.indexOf(name);
+    return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+/**
+ * 替换模板中唯一的锚点；找不到时报错，避免静默输出不完整的页面
+ * @param {string} source - HTML 文本
+ * @param {RegExp} pattern - 锚点（非全局）
+ * @param {(...match: string[]) => string} replacer
+ * @param {string} label - 报错时的锚点名称
+ * @returns {string}
+ */
+function replaceAnchor(source, pattern, replacer, label) {
+    if (!pattern.test(source)) {
+        throw new Error(`Anchor not found in ${TEMPLATE}: ${label}`);
+    }
+    return source.replace(pattern, replacer);
+}
+
+/**
+ * 写入元素的内部 HTML（元素内部不能包含同名子元素）
+ * @param {string} source
+ * @param {string} openTagPattern - 开始标签的正则片段
+ * @param {string} tagName
+ * @param {SafeHtml|string} inner - 已转义的 HTML
+ * @returns {string}
+ */
+function setInner(source, openTagPattern, tagName, inner) {
+    const pattern = new RegExp(`(${openTagPattern})[\\s\\S]*?(</${tagName}>)`);
+    return replaceAnchor(source, pattern, (_, open, close) => `${open}${inner}${close}`, openTagPattern);
+}
+
+/**
+ * 写入 SEO 信息（与 RenderService.updateSEO 使用同一份数据）
+ * @param {string} source
+ * @param {Object} config - 站点配置
+ * @returns {string}
+ */
+function applySEO(source, config) {
+    const seo = RenderService.getSEOMeta(config);
+    if (!seo) return source;
+
+    let out = source;
+    if (seo.title) {
+        out = replaceAnchor(out, /<title>[\s\S]*?<\/title>/, () => String(html`<title>${seo.title}</title>`), 'title');
+    }
+
+    seo.meta.forEach(({ name, content, attr }) => {
+        const tag = String(html`<meta ${attr}="${name}" content="${content}" />`);
+        const pattern = new RegExp(`<meta ${attr}="${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}"[^>]*>`);
+        // 模板中没有的 meta 追加到 head 末尾
+        out = pattern.test(out)
+            ? out.replace(pattern, () => tag)
+            : replaceAnchor(out, /\n?<\/head>/, (end) => `\n  ${tag}${end}`, '</head>');
+    });
+
+    out = replaceAnchor(out, /<link rel="canonical"[^>]*>/, () => String(html`<link rel="canonical" href="${seo.canonical}" />`), 'canonical');
+
+    if (seo.favicon) {
+        const type = RenderService.getFaviconMimeType(seo.favicon);
+        out = replaceAnchor(out, /<link rel="icon"[^>]*>/, () => String(html`<link rel="icon" type="${type}" href="${safeUrl(seo.favicon)}" />`), 'favicon');
+    }
+
+    return out;
+}
+
+/**
+ * 写入 JSON-LD（站点与作者 + 各分类；与浏览器端 RenderService.updateStructuredData 使用相同的 data-ld 标识）
+ * @param {string} source
+ * @param {Array<{key: string, data: Object|null}>} blocks
+ * @returns {string}
+ */
+function applyStructuredData(source, blocks) {
+    // 先移除上一次预渲染写入的 JSON-LD
+    const out = source.replace(/\n?[ \t]*<script type="application\/ld\+json"[^>]*>[\s\S]*?<\/script>/g, '');
+    const scripts = blocks
+        .filter(({ data }) => data)
+        .map(({ key, data }) => `\n  ${html`<script type="application/ld+json" data-ld="${key}">`}${StructuredData.serialize(data)}</script>`)
+        .join('');
+    return replaceAnchor(out, /\n?<\/head>/, (end) => `${scripts}${end}`, '</head>');
+}
+
+/**
+ * 写入侧边栏：头像、昵称、社交链接、标签、导航、标语、版权
+ * @param {string} source
+ * @param {Object} config - 站点配置
+ * @returns {string}
+ */
+function applySidebar(source, config) {
+    const author = config.authorInfo || {};
+    const blog = config.blogInfo || {};
+    let out = source;
+
+    if (author.avatar) {
+        out = replaceAnchor(out, /<img class="avatar" id="avatar"[^>]*>/,
+            () => String(html`<img class="avatar" id="avatar" src="${safeUrl(author.avatar, '')}" alt="${author.name || '头像'}">`), 'avatar');
+    }
+    if (author.name) out = setInner(out, '<div class="profile-name" id="profileName">', 'div', html`${author.name}`);
+    out = setInner(out, '<span id="socialLinks">', 'span', RenderService.buildSocialLinksHtml(author));
+    if (author.tags) out = setInner(out, '<div class="profile-tags" id="profileTags">', 'div', RenderService.buildProfileTagsHtml(author.tags));
+
+    out = setInner(out, '<nav [^>]*id="typeNav">', 'nav', RenderService.buildNavHtml(config.categories));
+
+    if (blog.slogan) out = setInner(out, '<div id="slogan">', 'div', html`${blog.slogan}`);
+    if (blog.copyright) out = setInner(out, '<footer id="copyright">', 'footer', html`${blog.copyright}`);
+
+    return out;
+}
+
+/**
+ * 写入全部分类内容，并在 #contentRoot 上标记 data-prerendered
+ * @param {string} source
+ * @param {Array<SafeHtml>} sections - 各 section 的 HTML
+ * @returns {string}
+ */
+function applyContent(source, sections) {
+    // 内容中的最后一个元素是 </section>，因此紧跟 </main> 的 </div> 即为 #contentRoot 的结束标签
+    return replaceAnchor(source, /(<div id="contentRoot"[^>]*?)(?: data-prerendered="true")?>[\s\S]*?(<\/div>\s*<\/main>)/,
+        (_, open, close) => `${open} data-prerendered="true">${html`${sections}`}\n      ${close.trimStart()}`, '#contentRoot');
+}
+
+/**
+ * 条目独立页面：详情内容 + 该条目的 SEO 信息
+ * 页面位于 items/分类ID/条目ID/，用 <base> 指回站点根目录，样式、图片和 Markdown 中的相对链接与首页一致
+ *
+ * @param {Object} config - 站点配置
+ * @param {Object} category - 分类配置
+ * @param {Object} item - 条目
+ * @returns {string}
+ */
+function buildItemPage(config, category, item) {
+    const blog = config.blogInfo || {};
+    const itemPath = Router.buildItemPath(category.id, item.id);
+    const url = `${SITE_URL}/${itemPath}`;
+    const entry = FeedBuilder.toEntry(item, category, { url, siteUrl: SITE_URL });
+    const title = [item.title, category.title, blog.title].filter(Boolean).join(' · ');
+    const description = entry.summary || item.desc || blog.desc || '';
+    const base = '../'.repeat(itemPath.split('/').filter(Boolean).length);
+    const favicon = blog.favicon ? html`\n  <link rel="icon" type="${RenderService.getFaviconMimeType(blog.favicon)}" href="${safeUrl(blog.favicon)}" />` : '';
+
+    return `${html`<!doctype html>
+<html lang="zh-CN">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width,initial-scale=1,viewport-fit=cover" />
+  <base href="${base}" />
+  <title>${title}</title>
+  <meta name="description" content="${description}" />
+  <link rel="canonical" href="${url}" />
+  <meta property="og:type" content="article" />
+  <meta property="og:url" content="${url}" />
+  <meta property="og:title" content="${title}" />
+  <meta property="og:description" content="${description}" />${entry.image ? html`
+  <meta property="og:image" content="${entry.image}" />` : ''}${favicon}
+  <link rel="stylesheet" href="css/main.css">
+</head>
+<body>
+  <main class="item-page">
+    <a class="item-page-home" href="${Router.buildHash(category.id, item.id)}">← ${blog.title || '首页'}</a>
+    <article class="detail-dialog" data-type="${category.type}" aria-labelledby="detailTitle">
+      ${DetailView.render(item, category, { closable: false })}
+    </article>
+  </main>
+</body>
+</html>`}\n`;
+}
+
+/**
+ * 写入全部条目页（先清空上一次生成的条目页，已删除的条目不残留）
+ * @param {string} outDir - 输出文件所在目录
+ * @param {Object} config - 站点配置
+ * @param {Array<{category: Object, items: Array}>} sections
+ * @returns {Promise<number>} 写入的页面数
+ */
+async function writeItemPages(outDir, config, sections) {
+    await rm(path.join(outDir, ITEM_PAGE_DIR), { recursive: true, force: true });
+
+    let count = 0;
+    for (const { category, items } of sections) {
+        for (const item of items) {
+            // ID 只含字母、数字和 -_.（slugify），但 "." / ".." 会指向上级目录
+            if (!item.id || /^\.+$/.test(item.id) || /^\.+$/.test(category.id)) continue;
+
+            const file = path.join(outDir, ITEM_PAGE_DIR, category.id, item.id, 'index.html');
+            await mkdir(path.dirname(file), { recursive: true });
+            await writeFile(file, buildItemPage(config, category, item), 'utf8');
+            count++;
+        }
+    }
+    return count;
+}
+
+async function main() {
+    const outFile = getArg('--out', DEFAULT_OUT);
+    const outPath = path.resolve(ROOT, outFile);
+    if (outPath === path.join(ROOT, TEMPLATE)) {
+        throw new Error(`Refusing to overwrite the template ${TEMPLATE}; choose another --out`);
+    }
+
+    // 图片代理需要站点地址把相对路径转为绝对 URL（浏览器中为 location.origin）
+    ImageProxyService.init({ siteBaseUrl: SITE_URL });
+    DataService.configure({ loadText });
+
+    const config = await DataService.loadSiteConfig();
+    if (config.blogInfo.imageProxy) ImageProxyService.updateConfig({ providers: config.blogInfo.imageProxy });
+    CardRenderer.configure({ sourceRepo: config.blogInfo.repo });
+
+    const sections = [];
+    const loaded = [];
+    const structuredData = [{ key: 'site', data: RenderService.buildSiteStructuredData(config) }];
+    let itemCount = 0;
+    for (const category of config.categories) {
+        const items = await DataService.loadCategoryContent(category);
+        itemCount += items.length;
+        loaded.push({ category, items });
+        sections.push(RenderService.buildSectionHtml(
+            category,
+            RenderService.buildSectionContentHtml(items, category.type, category.id)
+        ));
+        structuredData.push({ key: category.id, data: RenderService.buildCategoryStructuredData(category, items) });
+    }
+
+    const template = await loadText(TEMPLATE);
+    if (template === null) {
+        throw new Error(`Template not found: ${TEMPLATE}`);
+    }
+
+    let output = applySEO(template, config);
+    output = applyStructuredData(output, structuredData);
+    output = applySidebar(output, config);
+    output = applyContent(output, sections);
+
+    await mkdir(path.dirname(outPath), { recursive: true });
+    await writeFile(outPath, output, 'utf8');
+    const pageCount = await writeItemPages(path.dirname(outPath), config, loaded);
+
+    console.log(`[Prerender] ${config.categories.length} section(s), ${itemCount} item(s) → ${path.relative(ROOT, outPath)}`);
+    console.log(`[Prerender] ${pageCount} item page(s) → ${path.relative(ROOT, path.join(path.dirname(outPath), ITEM_PAGE_DIR))}/`);
+}
+
+main().catch(e => {
+    console.error('[Prerender] Failed:', e);
+    process.exitCode = 1;
+});
@@ -0,0 +1,60 @@
+/**
+ * 内容校验脚本（无头模式）
+ * 检查 contents/*.md 的格式问题，输出 文件:行号 形式的诊断信息
+ *
+ * 使用（项目根目录下执行，需 Node 20+）：
+ *   npm run validate              # 文本输出
+ *   npm run validate -- --json    # JSON 输出（便于 CI 处理）
+ *
+ * 退出码：存在 error 级别问题时为 1，否则为 0
+ */
+
+import { readFile, access } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import { ContentValidator, SEVERITY } from '../js/core/content-validator.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * 读取项目内的文本文件，不存在时返回 null
+ * @param {string} relativePath
+ * @returns {Promise<string|null>}
+ */
+async function loadText(relativePath) {
+    try {
+        return await readFile(path.join(ROOT, relativePath), 'utf8');
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * 检测项目内的资源文件是否存在
+ * @param {string} relativePath
+ * @returns {Promise<boolean>}
+ */
+async function resourceExists(relativePath) {
+    try {
+        await access(path.join(ROOT, decodeURI(relativePath)));
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+const diagnostics = await ContentValidator.validateSite({ loadText, resourceExists });
+
+if (process.argv.includes('--json')) {
+    console.log(JSON.stringify(diagnostics, null, 2));
+} else {
+    diagnostics.forEach(d => {
+        const field = d.field ? ` [${d.field}]` : '';
+        console.log(`${d.file}:${d.line}  ${d.severity.padEnd(7)} ${d.code}${field}  ${d.message}`);
+    });
+
+    const errors = diagnostics.filter(d => d.severity === SEVERITY.ERROR).length;
+    console.log(`\n${diagnostics.length} problem(s): ${errors} error(s), ${diagnostics.length - errors} warning(s)`);
+}
+
+process.exitCode = diagnostics.some(d => d.severity === SEVERITY.ERROR) ? 1 : 0;
@@ -0,0 +1,275 @@
+/**
+ * Service Worker - 离线支持
+ *
+ * 缓存策略：
+ * - 页面（导航请求）：网络优先，离线时使用缓存（保证预渲染内容最新）
+ * - 应用外壳（js/、css/）：安装时预缓存，之后网络优先，离线时使用缓存
+ *   （不用 stale-while-revalidate：部署后各模块分别新旧，新模块导入旧模块中不存在的导出时整个页面无法加载）
+ * - 分类 Markdown（contents/*.md）：stale-while-revalidate；
+ *   后台取到的新版本与缓存不同时通知页面（{ type: 'content-updated', url }），由页面提示刷新
+ *   DataService 带 ETag / Last-Modified 的条件请求自行判断是否更新，走网络优先
+ * - 照片清单（assets/photo-manifest.json）、地图轮廓（*.geojson）：stale-while-revalidate
+ * - 图片（图片代理与站内 assets/）：缓存优先，只缓存成功的响应，按条目数限制缓存大小；
+ *   代理域名默认为 images.weserv.nl，页面按博客配置通过消息（{ type: 'image-proxy-hosts', hosts }）更新；
+ *   代理图片先按 CORS 模式请求以便读取状态码，不支持 CORS 的代理域名按原请求加载、不缓存
+ *
+ * 预缓存清单无需手动维护：从入口文件出发，沿静态 / 动态 import 和 CSS @import 收集全部模块
+ * 修改缓存策略时递增 VERSION，旧版本的缓存在 activate 时清理
+ *
+ * 必须位于站点根目录，作用域才能覆盖整个站点
+ */
+
+const VERSION = 'v2';
+
+const SHELL_CACHE = `shell-${VERSION}`;
+const CONTENT_CACHE = `content-${VERSION}`;
+const IMAGE_CACHE = `images-${VERSION}`;
+
+/**
+ * 预缓存入口（相对 Service Worker 所在目录）
+ */
+const SHELL_ENTRIES = ['./', 'js/app.js', 'css/main.css'];
+const CONTENT_ENTRIES = ['contents/博客配置.md'];
+
+/**
+ * 图片缓存的最大条目数
+ * 读取响应体才能得到实际大小，因此按条目数限制
+ */
+const MAX_IMAGE_ENTRIES = 200;
+
+/**
+ * 图片代理域名（Service Worker 重启后恢复为默认值，页面加载时重新告知）
+ * @type {Set<string>}
+ */
+let imageProxyHosts = new Set(['images.weserv.nl']);
+
+/**
+ * CORS 请求失败的图片域名（不返回 Access-Control-Allow-Origin），其图片按原请求加载、不缓存
+ * @type {Set<string>}
+ */
+const noCorsHosts = new Set();
+
+/**
+ * 模块依赖：import ... from './x.js'、import './x.js'、import('./x.js')、@import "x.css"
+ */
+const JS_IMPORT_PATTERN = /(?:\bfrom\s*|\bimport\s*\(?\s*)['"](\.{1,2}\/[^'"]+)['"]/g;
+const CSS_IMPORT_PATTERN = /@import\s+(?:url\(\s*)?['"]([^'"]+)['"]/g;
+
+/**
+ * 从入口文件出发收集应用外壳的全部 URL
+ * @param {string[]} entries - 入口文件
+ * @returns {Promise<Map<string, Response>>} URL → 响应
+ */
+async function collectShell(entries) {
+    const responses = new Map();
+    const required = new Set(entries.map(entry => new URL(entry, self.location).href));
+    const queue = [...required];
+    const visited = new Set();
+
+    while (queue.length > 0) {
+        const url = queue.shift();
+        if (visited.has(url)) continue;
+        visited.add(url);
+
+        const response = await fetch(url, { cache: 'no-cache' });
+        if (!response.ok) {
+            // 入口必须存在；依赖按文本匹配，可能匹配到注释中的示例代码，找不到时跳过
+            if (required.has(url)) throw new Error(`Failed to precache: ${url}`);
+            continue;
+        }
+        responses.set(url, response);
+
+        const pattern = url.endsWith('.js') ? JS_IMPORT_PATTERN : (url.endsWith('.css') ? CSS_IMPORT_PATTERN : null);
+        if (!pattern) continue;
+
+        const source = await response.clone().text();
+        for (const match of source.matchAll(pattern)) {
+            const dependency = new URL(match[1], url).href;
+            if (!visited.has(dependency)) queue.push(dependency);
+        }
+    }
+
+    return responses;
+}
+
+/**
+ * 预缓存应用外壳和站点配置
+ */
+async function precache() {
+    const shell = await collectShell(SHELL_ENTRIES);
+    const shellCache = await caches.open(SHELL_CACHE);
+    await Promise.all([...shell].map(([url, response]) => shellCache.put(url, response)));
+
+    const contentCache = await caches.open(CONTENT_CACHE);
+    await contentCache.addAll(CONTENT_ENTRIES);
+}
+
+/**
+ * 清理旧版本的缓存
+ */
+async function removeStaleCaches() {
+    const current = [SHELL_CACHE, CONTENT_CACHE, IMAGE_CACHE];
+    const keys = await caches.keys();
+    await Promise.all(keys.filter(key => !current.includes(key)).map(key => caches.delete(key)));
+}
+
+/**
+ * 通知所有页面
+ * @param {Object} message
+ */
+async function broadcast(message) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage(message));
+}
+
+/**
+ * 网络优先：离线或请求失败时使用缓存
+ * @param {Request} request
+ * @param {string} cacheName
+ * @param {string} [fallbackUrl] - 没有该请求的缓存时使用的缓存地址
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request, cacheName, fallbackUrl) {
+    const cache = await caches.open(cacheName);
+    try {
+        const response = await fetch(request);
+        if (response.ok) await cache.put(request, response.clone());
+        return response;
+    } catch (e) {
+        const cached = await cache.match(request, { ignoreSearch: true }) || (fallbackUrl && await cache.match(fallbackUrl));
+        if (cached) return cached;
+        throw e;
+    }
+}
+
+/**
+ * stale-while-revalidate：有缓存时立即返回，同时在后台更新缓存
+ *
+ * @param {FetchEvent} event
+ * @param {string} cacheName
+ * @param {Object} [options]
+ * @param {boolean} [options.notify=false] - 新版本与缓存内容不同时通知页面
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(event, cacheName, { notify = false } = {}) {
+    const { request } = event;
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+
+    const revalidate = fetch(request).then(async (response) => {
+        if (!response.ok) return response;
+
+        if (notify && cached) {
+            const [previous, next] = await Promise.all([cached.clone().text(), response.clone().text()]);
+            await cache.put(request, response.clone());
+            if (previous !== next) {
+                await broadcast({ type: 'content-updated', url: request.url });
+            }
+        } else {
+            await cache.put(request, response.clone());
+        }
+        return response;
+    });
+
+    if (!cached) return revalidate;
+
+    event.waitUntil(revalidate.catch(() => {
+        // 离线时保留缓存
+    }));
+    return cached;
+}
+
+/**
+ * 缓存优先，只缓存成功的响应，写入后按条目数淘汰最早的缓存
+ *
+ * <img> 的跨域请求默认为 no-cors，返回 opaque 响应（status 为 0）：无法区分成功和代理的 404 / 5xx，
+ * 缓存后失败的图片会一直从缓存返回，ImageLoadManager 的降级链也不会再请求网络；
+ * 且浏览器按每条数 MB 计算 opaque 响应占用的配额。因此 opaque 响应不缓存，跨域图片先按 CORS 模式请求；
+ * 不返回 Access-Control-Allow-Origin 的域名（如自建的 imgproxy / thumbor）CORS 请求会失败，
+ * 此时按原请求（no-cors）重新加载、不缓存，并记住该域名，之后直接按原请求加载
+ *
+ * @param {Request} request
+ * @param {string} cacheName
+ * @param {number} maxEntries
+ * @param {Object} [options]
+ * @param {boolean} [options.cors=false] - 先按 CORS 模式重新发出请求
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request, cacheName, maxEntries, { cors = false } = {}) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const host = new URL(request.url).host;
+    let response;
+    if (cors && !noCorsHosts.has(host)) {
+        try {
+            response = await fetch(new Request(request.url, { mode: 'cors', credentials: 'omit' }));
+        } catch {
+            // CORS 被拒绝或网络错误：按原请求重试（网络错误时由这次请求抛出）
+            response = await fetch(request);
+            noCorsHosts.add(host);
+        }
+    } else {
+        response = await fetch(request);
+    }
+
+    if (response.ok) {
+        await cache.put(request, response.clone());
+        const keys = await cache.keys();
+        // cache.keys() 按写入顺序返回
+        await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+    }
+    return response;
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(precache().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(removeStaleCaches().then(() => self.clients.claim()));
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'image-proxy-hosts' && Array.isArray(event.data.hosts)) {
+        imageProxyHosts = new Set(event.data.hosts);
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    // 只处理 GET；音频等 Range 请求交给浏览器
+    if (request.method !== 'GET' || request.headers.has('range')) return;
+
+    const url = new URL(request.url);
+    const sameOrigin = url.origin === self.location.origin;
+
+    if (request.mode === 'navigate') {
+        // 带查询参数（如 ?lint）的页面地址离线时回退到首页
+        event.respondWith(networkFirst(request, SHELL_CACHE, './'));
+        return;
+    }
+
+    if (request.destination === 'image') {
+        if (imageProxyHosts.has(url.host)) {
+            event.respondWith(cacheFirst(request, IMAGE_CACHE, MAX_IMAGE_ENTRIES, { cors: true }));
+        } else if (sameOrigin && url.pathname.includes('/assets/')) {
+            event.respondWith(cacheFirst(request, IMAGE_CACHE, MAX_IMAGE_ENTRIES));
+        }
+        return;
+    }
+
+    if (!sameOrigin) return;
+
+    if (url.pathname.includes('/contents/') && url.pathname.endsWith('.md')) {
+        const conditional = request.headers.has('if-none-match') || request.headers.has('if-modified-since');
+        event.respondWith(conditional
+            ? networkFirst(request, CONTENT_CACHE)
+            : staleWhileRevalidate(event, CONTENT_CACHE, { notify: true }));
+    } else if (url.pathname.endsWith('/assets/photo-manifest.json') || url.pathname.endsWith('.geojson')) {
+        event.respondWith(staleWhileRevalidate(event, CONTENT_CACHE));
+    } else if (/\.(?:js|css)$/.test(url.pathname)) {
+        event.respondWith(networkFirst(request, SHELL_CACHE));
+    }
+});